@@ -2,7 +2,7 @@
 const admin = require('firebase-admin');
 require('dotenv').config();
 
-let auth, db;
+let auth, db, messaging;
 
 try {
   // Check if required environment variables exist
@@ -16,9 +16,12 @@ try {
     
     // Don't throw error - let the app run without Firebase auth
     auth = {
-      verifyIdToken: async () => { throw new Error('Firebase not configured'); }
+      verifyIdToken: async () => { throw new Error('Firebase not configured'); },
+      deleteUser: async () => { throw new Error('Firebase not configured'); },
+      revokeRefreshTokens: async () => { throw new Error('Firebase not configured'); }
     };
     db = null;
+    messaging = null;
   } else {
     // Initialize Firebase Admin only if not already initialized
     if (!admin.apps.length) {
@@ -40,6 +43,7 @@ try {
     
     auth = admin.auth();
     db = admin.firestore();
+    messaging = admin.messaging();
   }
 } catch (error) {
   console.error('Firebase Admin initialization error:', error);
@@ -47,9 +51,12 @@ try {
   
   // Provide mock services so the app doesn't crash
   auth = {
-    verifyIdToken: async () => { throw new Error('Firebase initialization failed'); }
+    verifyIdToken: async () => { throw new Error('Firebase initialization failed'); },
+    deleteUser: async () => { throw new Error('Firebase initialization failed'); },
+    revokeRefreshTokens: async () => { throw new Error('Firebase initialization failed'); }
   };
   db = null;
+  messaging = null;
 }
 
-module.exports = { admin, auth, db };
\ No newline at end of file
+module.exports = { admin, auth, db, messaging };
\ No newline at end of file
@@ -9,59 +9,94 @@ try {
   auth = null;
 }
 
+// Verifies the bearer token at most once per request. The rate limiters need
+// the uid before the route's own auth middleware runs, so the result is
+// cached on the request and shared.
+const authenticate = (req) => {
+  if (!req.authResult) {
+    req.authResult = decodeToken(req.headers.authorization?.split('Bearer ')[1]);
+  }
+  return req.authResult;
+};
+
+async function decodeToken(token) {
+  if (!token) {
+    return { token: false, user: null };
+  }
+
+  if (!auth || typeof auth.verifyIdToken !== 'function') {
+    return { token: true, user: null, unavailable: true };
+  }
+
+  try {
+    const decodedToken = await auth.verifyIdToken(token);
+    return {
+      token: true,
+      user: {
+        uid: decodedToken.uid,
+        email: decodedToken.email,
+        emailVerified: decodedToken.email_verified === true
+      }
+    };
+  } catch (error) {
+    return { token: true, user: null, error };
+  }
+}
+
 const verifyToken = async (req, res, next) => {
-  const token = req.headers.authorization?.split('Bearer ')[1];
+  const result = await authenticate(req);
   
-  if (!token) {
+  if (!result.token) {
     // Guest mode - no user ID
     req.user = null;
     return next();
   }
 
   // If Firebase is not configured, skip verification
-  if (!auth || typeof auth.verifyIdToken !== 'function') {
+  if (result.unavailable) {
     console.warn('Firebase Auth not available - skipping token verification');
     req.user = null;
     return next();
   }
 
-  try {
-    const decodedToken = await auth.verifyIdToken(token);
-    req.user = {
-      uid: decodedToken.uid,
-      email: decodedToken.email
-    };
-    next();
-  } catch (error) {
-    console.error('Error verifying token:', error.message);
-    res.status(401).json({ error: 'Invalid authentication token' });
+  if (result.error) {
+    console.error('Error verifying token:', result.error.message);
+    return res.status(401).json({ error: 'Invalid authentication token' });
   }
+
+  req.user = result.user;
+  next();
 };
 
 const requireAuth = async (req, res, next) => {
-  const token = req.headers.authorization?.split('Bearer ')[1];
+  const result = await authenticate(req);
   
-  if (!token) {
+  if (!result.token) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
   // If Firebase is not configured, return error
-  if (!auth || typeof auth.verifyIdToken !== 'function') {
+  if (result.unavailable) {
     console.error('Firebase Auth not available');
     return res.status(503).json({ error: 'Authentication service unavailable' });
   }
 
-  try {
-    const decodedToken = await auth.verifyIdToken(token);
-    req.user = {
-      uid: decodedToken.uid,
-      email: decodedToken.email
-    };
-    next();
-  } catch (error) {
-    console.error('Error verifying token:', error.message);
-    res.status(401).json({ error: 'Invalid authentication token' });
+  if (result.error) {
+    console.error('Error verifying token:', result.error.message);
+    return res.status(401).json({ error: 'Invalid authentication token' });
+  }
+
+  req.user = result.user;
+  next();
+};
+
+// For actions that trust the token's email address, e.g. circle invites,
+// which are addressed to an email. Use after requireAuth.
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user || !req.user.emailVerified) {
+    return res.status(403).json({ error: 'Verify your email address first' });
   }
+  next();
 };
 
-module.exports = { verifyToken, requireAuth };
\ No newline at end of file
+module.exports = { verifyToken, requireAuth, requireVerifiedEmail, authenticate };
@@ -0,0 +1,36 @@
+// middleware/quota.js
+const { usageSubject, findExceededQuota, meteredAi } = require('../services/usage');
+
+// Rejects the request once the caller's daily or monthly AI allowance is used
+// up; otherwise attaches `req.ai`, which records usage under `endpoint`.
+// Must run after verifyToken and attachDbUser so signed-in users are billed
+// to their account rather than their IP.
+const enforceQuota = (endpoint) => async (req, res, next) => {
+  const subject = usageSubject(req);
+
+  try {
+    const exceeded = await findExceededQuota(subject);
+    if (exceeded) {
+      res.set('Retry-After', Math.ceil((exceeded.resetsAt - Date.now()) / 1000));
+      return res.status(429).json({
+        error: `${exceeded.period === 'daily' ? 'Daily' : 'Monthly'} AI usage quota exceeded`,
+        quota: {
+          plan: subject.plan,
+          period: exceeded.period,
+          limit: exceeded.limit,
+          used: exceeded.used,
+          resetsAt: exceeded.resetsAt,
+        },
+      });
+    }
+  } catch (error) {
+    // Don't take generation down with the usage table
+    console.error('Error checking AI usage quota:', error);
+  }
+
+  req.usageSubject = subject;
+  req.ai = meteredAi(subject, endpoint);
+  next();
+};
+
+module.exports = { enforceQuota };
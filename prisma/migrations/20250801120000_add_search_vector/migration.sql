@@ -0,0 +1,15 @@
+-- Restore full-text search (dropped by 20250722152003_ because the column
+-- was missing from schema.prisma)
+ALTER TABLE "Dream"
+ADD COLUMN IF NOT EXISTS "search_vector" tsvector
+GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE("dreamText", '')), 'B') ||
+  setweight(to_tsvector('english', COALESCE(story, '')), 'C')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "Dream_search_idx" ON "Dream" USING GIN ("search_vector");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "Dream_tags_idx" ON "Dream" USING GIN ("tags");
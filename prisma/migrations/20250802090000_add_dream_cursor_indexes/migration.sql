@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX "Dream_userId_createdAt_id_idx" ON "Dream"("userId", "createdAt", "id");
+
+-- CreateIndex
+CREATE INDEX "Dream_userId_date_id_idx" ON "Dream"("userId", "date", "id");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Dream" ADD COLUMN     "clientId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Dream_userId_clientId_key" ON "Dream"("userId", "clientId");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "DreamAnalysis" ADD COLUMN     "summary" TEXT,
+ADD COLUMN     "scores" JSONB;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "DreamImage" ADD COLUMN     "storageKey" TEXT;
+
+-- CreateIndex
+CREATE INDEX "DreamImage_storageKey_idx" ON "DreamImage"("storageKey");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Dream" ADD COLUMN     "audioStorageKey" TEXT;
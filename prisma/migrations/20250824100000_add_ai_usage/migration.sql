@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "plan" TEXT NOT NULL DEFAULT 'free';
+
+-- CreateTable
+CREATE TABLE "AiUsage" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT,
+    "guestId" TEXT,
+    "endpoint" TEXT NOT NULL,
+    "capability" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "promptTokens" INTEGER,
+    "completionTokens" INTEGER,
+    "images" INTEGER,
+    "characters" INTEGER,
+    "audioSeconds" INTEGER,
+    "estimatedCost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AiUsage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AiUsage_userId_createdAt_idx" ON "AiUsage"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AiUsage_guestId_createdAt_idx" ON "AiUsage"("guestId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "AiUsage" ADD CONSTRAINT "AiUsage_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "DreamSymbol" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "dreamId" TEXT NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "meaning" TEXT,
+    "source" TEXT NOT NULL,
+    "dreamDate" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DreamSymbol_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DreamSymbol_dreamId_symbol_key" ON "DreamSymbol"("dreamId", "symbol");
+
+-- CreateIndex
+CREATE INDEX "DreamSymbol_userId_symbol_dreamDate_idx" ON "DreamSymbol"("userId", "symbol", "dreamDate");
+
+-- CreateIndex
+CREATE INDEX "DreamSymbol_userId_dreamDate_idx" ON "DreamSymbol"("userId", "dreamDate");
+
+-- AddForeignKey
+ALTER TABLE "DreamSymbol" ADD CONSTRAINT "DreamSymbol_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DreamSymbol" ADD CONSTRAINT "DreamSymbol_dreamId_fkey" FOREIGN KEY ("dreamId") REFERENCES "Dream"("id") ON DELETE CASCADE ON UPDATE CASCADE;
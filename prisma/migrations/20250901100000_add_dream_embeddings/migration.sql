@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "DreamEmbedding" (
+    "dreamId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "dimensions" INTEGER NOT NULL,
+    "vector" DOUBLE PRECISION[],
+    "contentHash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DreamEmbedding_pkey" PRIMARY KEY ("dreamId")
+);
+
+-- CreateIndex
+CREATE INDEX "DreamEmbedding_userId_model_idx" ON "DreamEmbedding"("userId", "model");
+
+-- AddForeignKey
+ALTER TABLE "DreamEmbedding" ADD CONSTRAINT "DreamEmbedding_dreamId_fkey" FOREIGN KEY ("dreamId") REFERENCES "Dream"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DreamEmbedding" ADD CONSTRAINT "DreamEmbedding_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Use pgvector for similarity queries when the server has it. Plans without
+-- the extension (or without permission to create it) fall back to computing
+-- cosine similarity in the app.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_available_extensions WHERE name = 'vector') THEN
+    CREATE EXTENSION IF NOT EXISTS vector;
+  END IF;
+EXCEPTION WHEN insufficient_privilege THEN
+  RAISE NOTICE 'pgvector is available but could not be enabled; using in-app similarity';
+END $$;
@@ -0,0 +1,134 @@
+-- CreateTable
+CREATE TABLE "Circle" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Circle_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CircleMember" (
+    "id" TEXT NOT NULL,
+    "circleId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "role" TEXT NOT NULL DEFAULT 'member',
+    "joinedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CircleMember_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CircleInvite" (
+    "id" TEXT NOT NULL,
+    "circleId" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" TEXT NOT NULL DEFAULT 'member',
+    "invitedById" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "respondedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CircleInvite_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CircleDream" (
+    "id" TEXT NOT NULL,
+    "circleId" TEXT NOT NULL,
+    "dreamId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CircleDream_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CircleComment" (
+    "id" TEXT NOT NULL,
+    "circleDreamId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "parentId" TEXT,
+    "body" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "deletedAt" TIMESTAMP(3),
+
+    CONSTRAINT "CircleComment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CircleReaction" (
+    "id" TEXT NOT NULL,
+    "circleDreamId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CircleReaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CircleMember_userId_idx" ON "CircleMember"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CircleMember_circleId_userId_key" ON "CircleMember"("circleId", "userId");
+
+-- CreateIndex
+CREATE INDEX "CircleInvite_email_status_idx" ON "CircleInvite"("email", "status");
+
+-- CreateIndex
+CREATE INDEX "CircleInvite_circleId_status_idx" ON "CircleInvite"("circleId", "status");
+
+-- CreateIndex
+CREATE INDEX "CircleDream_circleId_createdAt_idx" ON "CircleDream"("circleId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "CircleDream_dreamId_idx" ON "CircleDream"("dreamId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CircleDream_circleId_dreamId_key" ON "CircleDream"("circleId", "dreamId");
+
+-- CreateIndex
+CREATE INDEX "CircleComment_circleDreamId_createdAt_idx" ON "CircleComment"("circleDreamId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "CircleComment_parentId_idx" ON "CircleComment"("parentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CircleReaction_circleDreamId_userId_type_key" ON "CircleReaction"("circleDreamId", "userId", "type");
+
+-- AddForeignKey
+ALTER TABLE "CircleMember" ADD CONSTRAINT "CircleMember_circleId_fkey" FOREIGN KEY ("circleId") REFERENCES "Circle"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CircleMember" ADD CONSTRAINT "CircleMember_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CircleInvite" ADD CONSTRAINT "CircleInvite_circleId_fkey" FOREIGN KEY ("circleId") REFERENCES "Circle"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CircleInvite" ADD CONSTRAINT "CircleInvite_invitedById_fkey" FOREIGN KEY ("invitedById") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CircleDream" ADD CONSTRAINT "CircleDream_circleId_fkey" FOREIGN KEY ("circleId") REFERENCES "Circle"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CircleDream" ADD CONSTRAINT "CircleDream_dreamId_fkey" FOREIGN KEY ("dreamId") REFERENCES "Dream"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CircleComment" ADD CONSTRAINT "CircleComment_circleDreamId_fkey" FOREIGN KEY ("circleDreamId") REFERENCES "CircleDream"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CircleComment" ADD CONSTRAINT "CircleComment_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CircleComment" ADD CONSTRAINT "CircleComment_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "CircleComment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CircleReaction" ADD CONSTRAINT "CircleReaction_circleDreamId_fkey" FOREIGN KEY ("circleDreamId") REFERENCES "CircleDream"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CircleReaction" ADD CONSTRAINT "CircleReaction_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Dream" ADD COLUMN "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Dream_deletedAt_idx" ON "Dream"("deletedAt");
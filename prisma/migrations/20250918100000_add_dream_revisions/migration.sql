@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "DreamRevision" (
+    "id" TEXT NOT NULL,
+    "dreamId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "source" TEXT NOT NULL,
+    "snapshot" JSONB NOT NULL,
+    "changes" JSONB NOT NULL,
+    "changedFields" TEXT[],
+    "imageKeys" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DreamRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DreamRevision_imageKeys_idx" ON "DreamRevision" USING GIN ("imageKeys");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DreamRevision_dreamId_revision_key" ON "DreamRevision"("dreamId", "revision");
+
+-- AddForeignKey
+ALTER TABLE "DreamRevision" ADD CONSTRAINT "DreamRevision_dreamId_fkey" FOREIGN KEY ("dreamId") REFERENCES "Dream"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DreamRevision" ADD CONSTRAINT "DreamRevision_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
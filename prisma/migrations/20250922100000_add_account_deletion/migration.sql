@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "deletionTokenHash" TEXT,
+ADD COLUMN     "deletionTokenExpiresAt" TIMESTAMP(3),
+ADD COLUMN     "deletionRequestedAt" TIMESTAMP(3),
+ADD COLUMN     "deletionScheduledAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "User_deletionScheduledAt_idx" ON "User"("deletionScheduledAt");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "timezone" TEXT,
+ADD COLUMN     "language" TEXT,
+ADD COLUMN     "storyTone" TEXT,
+ADD COLUMN     "storyLength" TEXT,
+ADD COLUMN     "ttsVoice" TEXT,
+ADD COLUMN     "ttsSpeed" DOUBLE PRECISION,
+ADD COLUMN     "analysisStyle" TEXT;
@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "DeletedAccount" (
+    "firebaseUid" TEXT NOT NULL,
+    "deletedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DeletedAccount_pkey" PRIMARY KEY ("firebaseUid")
+);
+
+-- CreateIndex
+CREATE INDEX "DeletedAccount_deletedAt_idx" ON "DeletedAccount"("deletedAt");
@@ -0,0 +1,56 @@
+// scripts/backfill-embeddings.js
+// Embeds every dream that has no embedding from the configured model yet.
+// Safe to re-run: dreams that are already up to date are skipped.
+//
+//   npm run embeddings:backfill -- [--batch 100] [--limit 5000]
+
+require('dotenv').config();
+const ai = require('../services/ai');
+const db = require('../services/database');
+const { embedDreams, embeddingModel } = require('../services/embeddings');
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  const value = index !== -1 ? parseInt(process.argv[index + 1]) : NaN;
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+async function backfill() {
+  const batchSize = option('batch', 100);
+  const limit = option('limit', Infinity);
+
+  if (!ai.isConfigured('embedding')) {
+    throw new Error('Embedding provider not configured');
+  }
+
+  const model = embeddingModel();
+  console.log(`Backfilling dream embeddings with ${model}`);
+
+  let afterId;
+  let processed = 0;
+  let embedded = 0;
+
+  while (processed < limit) {
+    const dreamIds = await db.findDreamIdsWithoutEmbedding(model, {
+      take: Math.min(batchSize, limit - processed),
+      afterId,
+    });
+    if (dreamIds.length === 0) break;
+
+    const result = await embedDreams(dreamIds);
+    processed += dreamIds.length;
+    embedded += result.embedded;
+    afterId = dreamIds[dreamIds.length - 1];
+
+    console.log(`Embedded ${embedded} of ${processed} dreams checked`);
+  }
+
+  console.log(`Done: ${embedded} dreams embedded`);
+}
+
+backfill()
+  .catch(error => {
+    console.error('Embedding backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => db.disconnect());
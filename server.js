@@ -8,8 +8,42 @@ const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
-const { verifyToken, requireAuth } = require('./middleware/auth');
+const { verifyToken, requireAuth, requireVerifiedEmail, authenticate } = require('./middleware/auth');
+const { enforceQuota } = require('./middleware/quota');
 const db = require('./services/database');
+const { getExportWriter, EXPORT_FORMATS } = require('./services/export');
+const { importDreams, parseRecords, detectFormat, toDreamData, IMPORT_FORMATS, MAX_IMPORT_RECORDS } = require('./services/import');
+const {
+  buildAnalysisResult,
+  analysisChatOptions,
+  toAnalysisResponse,
+  toAnalysisRecord
+} = require('./services/analysis');
+const ai = require('./services/ai');
+const { wantsEventStream, openEventStream } = require('./services/sse');
+const { generateIllustrations } = require('./services/illustrations');
+const jobs = require('./services/jobs');
+const rateLimitStore = require('./services/ratelimit');
+const { getUsageSummary, usageSubject } = require('./services/usage');
+const { normalizeSymbol, INTERVALS } = require('./services/symbols');
+const { findSimilarDreams, findRecurringClusters, MIN_RECURRING_THRESHOLD } = require('./services/embeddings');
+const { getTrends, resolveTrendOptions, isValidTimezone, isValidDay } = require('./services/trends');
+const reminders = require('./services/reminders');
+const { notifyUser } = require('./services/notifications');
+const sharing = require('./services/sharing');
+const circles = require('./services/circles');
+const { normalizeTag, normalizeTags } = require('./services/tags');
+const trash = require('./services/trash');
+const { RESTORE_SCOPES, snapshotToUpdates } = require('./services/revisions');
+const account = require('./services/account');
+const preferences = require('./services/preferences');
+const { isValidKey, MEDIA_ROUTE, EXTENSIONS } = require('./services/storage');
+const {
+  releaseImages,
+  storeRecording,
+  deleteStoredFile,
+  sendStoredFile
+} = require('./services/media');
 require('dotenv').config();
 
 const app = express();
@@ -66,45 +100,57 @@ if (isDevelopment) {
   app.use(morgan('combined', { stream: accessLogStream }));
 }
 
-// Rate limiting with Redis support (if available)
-const createRateLimiter = (windowMs, max, message) => {
+// Rate limiting. Counters live in the store picked by RATE_LIMIT_STORE (see
+// services/ratelimit) and are kept per Firebase uid for signed-in users, per
+// IP for guests.
+const rateLimitKey = async (req) => {
+  const { user } = await authenticate(req);
+  return user ? `uid:${user.uid}` : `ip:${req.ip}`;
+};
+
+const createRateLimiter = (name, windowMs, max, message) => {
   const config = {
     windowMs: windowMs || 15 * 60 * 1000,
     max: max || 100,
     message: message || 'Too many requests, please try again later.',
     standardHeaders: true,
     legacyHeaders: false,
-    handler: (req, res) => {
+    store: rateLimitStore.createStore(name),
+    keyGenerator: rateLimitKey,
+    handler: async (req, res) => {
+      const { resetTime } = req.rateLimit;
+      const { user } = await authenticate(req);
       res.status(429).json({
         error: message || 'Too many requests, please try again later.',
-        retryAfter: Math.ceil(windowMs / 1000)
+        limit: {
+          name,
+          scope: user ? 'user' : 'ip',
+          max: max || 100,
+          windowMs: windowMs || 15 * 60 * 1000
+        },
+        retryAfter: resetTime
+          ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000))
+          : Math.ceil(windowMs / 1000)
       });
     }
   };
 
-  // In production, you might want to use Redis store
-  // if (process.env.REDIS_URL) {
-  //   const RedisStore = require('rate-limit-redis');
-  //   config.store = new RedisStore({
-  //     client: redisClient,
-  //     prefix: 'rl:',
-  //   });
-  // }
-
   return rateLimit(config);
 };
 
 // Apply rate limiters
 const generalLimiter = createRateLimiter(
+  'general',
   parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
   parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  'Too many requests from this IP, please try again later.'
+  'Too many requests, please try again later.'
 );
 
-const storyLimiter = createRateLimiter(60 * 1000, 5, 'Story generation rate limit exceeded. Please wait a moment.');
-const imageLimiter = createRateLimiter(60 * 1000, 3, 'Image generation rate limit exceeded. Please wait a moment.');
-const analysisLimiter = createRateLimiter(60 * 1000, 5, 'Dream analysis rate limit exceeded. Please wait a moment.');
-const ttsLimiter = createRateLimiter(60 * 1000, 10, 'Text-to-speech rate limit exceeded. Please wait a moment.');
+const storyLimiter = createRateLimiter('story', 60 * 1000, 5, 'Story generation rate limit exceeded. Please wait a moment.');
+const imageLimiter = createRateLimiter('image', 60 * 1000, 3, 'Image generation rate limit exceeded. Please wait a moment.');
+const analysisLimiter = createRateLimiter('analysis', 60 * 1000, 5, 'Dream analysis rate limit exceeded. Please wait a moment.');
+const ttsLimiter = createRateLimiter('tts', 60 * 1000, 10, 'Text-to-speech rate limit exceeded. Please wait a moment.');
+const dataExportLimiter = createRateLimiter('data-export', 24 * 60 * 60 * 1000, 3, 'Data export limit reached. Please try again tomorrow.');
 
 app.use(generalLimiter);
 
@@ -136,6 +182,7 @@ app.get('/api/health', async (req, res) => {
     services: {
       database: dbStatus,
       openai: !!process.env.OPENAI_API_KEY,
+      ai: ai.describe(),
       firebase: !!process.env.FIREBASE_PROJECT_ID
     }
   };
@@ -161,6 +208,23 @@ const upload = multer({
   }
 });
 
+// Journal imports are text files (JSON, CSV, Markdown or plain text)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: (parseInt(process.env.MAX_IMPORT_SIZE_MB) || 20) * 1024 * 1024,
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ['.json', '.csv', '.md', '.markdown', '.txt'];
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (allowedExtensions.includes(extension) || file.mimetype.startsWith('text/') || file.mimetype === 'application/json') {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only JSON, CSV, Markdown or text files are allowed.'), false);
+    }
+  }
+});
+
 // Middleware to attach database user to request
 const attachDbUser = async (req, res, next) => {
   if (req.user && req.user.uid) {
@@ -173,6 +237,9 @@ const attachDbUser = async (req, res, next) => {
       });
       req.dbUser = dbUser;
     } catch (error) {
+      if (error.message === 'Account deleted') {
+        return res.status(401).json({ error: 'This account has been deleted' });
+      }
       console.error('Error attaching DB user:', error);
       // Continue without dbUser - let individual endpoints handle this
     }
@@ -180,16 +247,12 @@ const attachDbUser = async (req, res, next) => {
   next();
 };
 
-// API Configuration with validation
-const API_CONFIG = {
-  openai: {
-    apiKey: process.env.OPENAI_API_KEY,
-    baseURL: 'https://api.openai.com/v1',
-  }
-};
-
 // Validate required environment variables
-const requiredEnvVars = ['OPENAI_API_KEY', 'DATABASE_URL', 'FIREBASE_PROJECT_ID'];
+const requiredEnvVars = ['DATABASE_URL', 'FIREBASE_PROJECT_ID'];
+// The key is only needed when a capability talks to api.openai.com
+if (ai.unconfiguredCapabilities().length > 0) {
+  requiredEnvVars.unshift('OPENAI_API_KEY');
+}
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 if (missingEnvVars.length > 0) {
   console.error('Missing required environment variables:', missingEnvVars);
@@ -201,73 +264,72 @@ if (missingEnvVars.length > 0) {
 // Import route handlers (create these as separate modules for better organization)
 // For now, including inline...
 
-// Utility function to make API calls with retries
-async function makeAPICall(url, options, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await fetch(url, options);
-      
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        
-        // Don't retry on client errors (4xx)
-        if (response.status >= 400 && response.status < 500) {
-          throw new Error(`API Error: ${response.status} - ${error.message || 'Client error'}`);
-        }
-        
-        // Retry on server errors (5xx) or rate limits
-        if (i < retries - 1 && (response.status >= 500 || response.status === 429)) {
-          const delay = Math.min(1000 * Math.pow(2, i), 10000); // Exponential backoff
-          await new Promise(resolve => setTimeout(resolve, delay));
-          continue;
-        }
-        
-        throw new Error(`API Error: ${response.status} - ${error.message || 'Unknown error'}`);
-      }
-      
-      return response.json();
-    } catch (error) {
-      if (i === retries - 1) throw error;
-      
-      // Network errors - retry
-      const delay = Math.min(1000 * Math.pow(2, i), 10000);
-      await new Promise(resolve => setTimeout(resolve, delay));
+// Origin of the current request, used to build absolute media URLs
+function requestOrigin(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+// Streams a chat completion as Server-Sent Events: a `token` event per chunk,
+// then `done` with whatever `finish` builds from the full text, or `error`.
+// Disconnecting aborts the upstream request.
+async function streamCompletion(req, res, chatOptions, finish, errorMessage) {
+  const stream = openEventStream(req, res);
+  let content = '';
+
+  try {
+    for await (const token of req.ai.chatStream({ ...chatOptions, signal: stream.signal })) {
+      if (stream.closed) break;
+      content += token;
+      stream.send('token', { text: token });
     }
+
+    if (!stream.closed) {
+      stream.send('done', await finish(content));
+    }
+  } catch (error) {
+    if (stream.closed || error.name === 'AbortError') {
+      return;
+    }
+    console.error(`${errorMessage}:`, error);
+    stream.send('error', { error: errorMessage });
+  } finally {
+    stream.close();
   }
 }
 
-// Helper function to extract story segments
-function extractStorySegments(story) {
-  const sentences = story.match(/[^.!?]+[.!?]+/g) || [];
-  const totalSentences = sentences.length;
-  
-  if (totalSentences < 3) {
-    return {
-      beginning: story,
-      middle: story,
-      ending: story
-    };
+// Transcription services detect the format from the file extension
+function audioFilename(mimetype) {
+  return `audio.${EXTENSIONS[mimetype] || 'wav'}`;
+}
+
+// Embeddings are computed in the background; failing to queue them must not
+// fail the save
+function scheduleEmbeddings(userId, dreamIds) {
+  if (dreamIds.length === 0 || process.env.EMBEDDINGS_ENABLED === 'false' || !ai.isConfigured('embedding')) {
+    return;
   }
-  
-  const third = Math.floor(totalSentences / 3);
-  
-  return {
-    beginning: sentences.slice(0, third).join(' ').trim(),
-    middle: sentences.slice(third, third * 2).join(' ').trim(),
-    ending: sentences.slice(third * 2).join(' ').trim()
-  };
+  jobs.enqueue('embed-dreams', { dreamIds }, { userId, maxAttempts: 5 }).catch(error => {
+    console.error('Error scheduling dream embeddings:', error);
+  });
+}
+
+function dreamAudioUrl(req, dreamId) {
+  return `${process.env.MEDIA_BASE_URL || requestOrigin(req)}/api/dreams/${dreamId}/audio`;
 }
 
 // Dreams endpoints
 app.get('/api/dreams', verifyToken, attachDbUser, async (req, res) => {
   try {
     if (!req.dbUser) {
-      return res.json({ dreams: [], total: 0, hasMore: false });
+      return res.json({ dreams: [], total: 0, hasMore: false, nextCursor: null, prevCursor: null });
     }
 
     const { 
-      page = 1, 
+      page, 
       limit = 20, 
+      after,
+      before,
+      includeTotal,
       search, 
       tags, 
       startDate, 
@@ -278,10 +340,24 @@ app.get('/api/dreams', verifyToken, attachDbUser, async (req, res) => {
       favoritesOnly = false
     } = req.query;
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    if (after && before) {
+      return res.status(400).json({ error: 'Use either after or before, not both' });
+    }
+
+    const take = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    // Offset paging is kept for older clients; cursors take precedence
+    const skip = page && !after && !before
+      ? (Math.max(parseInt(page) || 1, 1) - 1) * take
+      : undefined;
+
     const result = await db.getDreamsByUser(req.dbUser.id, {
       skip,
-      take: parseInt(limit),
+      take,
+      after,
+      before,
+      // Older clients (first page or paging by number) expect a total;
+      // cursor pages skip the count unless asked
+      includeTotal: includeTotal === 'true' || (!after && !before && includeTotal !== 'false'),
       orderBy,
       order,
       search,
@@ -295,17 +371,28 @@ app.get('/api/dreams', verifyToken, attachDbUser, async (req, res) => {
     res.json(result);
   } catch (error) {
     console.error('Error fetching dreams:', error);
-    res.status(500).json({ error: 'Failed to fetch dreams' });
+    if (['Invalid cursor', 'Invalid orderBy', 'Invalid order'].includes(error.message)) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch dreams' });
+    }
   }
 });
 
 app.post('/api/dreams', verifyToken, attachDbUser, async (req, res) => {
+  let tags;
+  try {
+    tags = normalizeTags(req.body.tags || []);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
   try {
     if (!req.dbUser) {
       return res.json({ 
         success: true, 
         message: 'Dream saved locally (guest mode)',
-        dream: { ...req.body, id: Date.now().toString() }
+        dream: { ...req.body, tags, id: Date.now().toString() }
       });
     }
 
@@ -319,7 +406,7 @@ app.post('/api/dreams', verifyToken, attachDbUser, async (req, res) => {
       hasAudio: req.body.hasAudio || false,
       audioUrl: req.body.audioUrl,
       audioDuration: req.body.audioDuration,
-      tags: req.body.tags || [],
+      tags,
       mood: req.body.mood,
       lucidity: req.body.lucidity,
       images: req.body.images || [],
@@ -327,6 +414,7 @@ app.post('/api/dreams', verifyToken, attachDbUser, async (req, res) => {
     };
 
     const dream = await db.createDream(req.dbUser.id, dreamData);
+    scheduleEmbeddings(req.dbUser.id, [dream.id]);
     
     res.json({ 
       success: true, 
@@ -338,6 +426,259 @@ app.post('/api/dreams', verifyToken, attachDbUser, async (req, res) => {
   }
 });
 
+// Guest sync - uploads dreams kept locally in guest mode once the user signs in.
+// Safe to retry: dreams are keyed by the client's own IDs.
+app.post('/api/dreams/sync', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const { dreams } = req.body;
+    const maxBatchSize = 100;
+
+    if (!Array.isArray(dreams) || dreams.length === 0) {
+      return res.status(400).json({ error: 'dreams must be a non-empty array' });
+    }
+
+    if (dreams.length > maxBatchSize) {
+      return res.status(400).json({ error: `At most ${maxBatchSize} dreams can be synced per request` });
+    }
+
+    const errors = [];
+    const items = [];
+    const seen = new Set();
+
+    dreams.forEach((dream, index) => {
+      const clientId = dream && (dream.clientId || dream.id);
+      if (!clientId || (typeof clientId !== 'string' && typeof clientId !== 'number')) {
+        errors.push({ index, clientId: null, error: 'clientId is required' });
+        return;
+      }
+
+      const key = String(clientId);
+      if (seen.has(key)) {
+        errors.push({ index, clientId: key, error: 'Duplicate clientId in batch' });
+        return;
+      }
+      seen.add(key);
+
+      try {
+        items.push({ clientId: key, data: toDreamData(dream) });
+      } catch (error) {
+        errors.push({ index, clientId: key, error: error.message });
+      }
+    });
+
+    const mappings = items.length > 0 ? await db.syncGuestDreams(req.dbUser.id, items) : [];
+    scheduleEmbeddings(req.dbUser.id, mappings.filter(m => m.status === 'created').map(m => m.id));
+
+    res.json({
+      success: errors.length === 0,
+      mappings,
+      errors
+    });
+  } catch (error) {
+    console.error('Error syncing guest dreams:', error);
+    res.status(500).json({ error: 'Failed to sync dreams' });
+  }
+});
+
+// Journal import - accepts our JSON export, generic CSV, or Markdown/plain text
+app.post('/api/dreams/import', requireAuth, attachDbUser, importUpload.single('file'), async (req, res) => {
+  try {
+    const dryRun = (req.query.dryRun || req.body.dryRun) === 'true' || req.body.dryRun === true;
+    let format = req.query.format || req.body.format;
+    let content;
+
+    if (req.file) {
+      content = req.file.buffer.toString('utf8');
+      format = format || detectFormat(req.file.originalname, req.file.mimetype, content);
+    } else if (Array.isArray(req.body.dreams)) {
+      content = JSON.stringify({ dreams: req.body.dreams });
+      format = 'json';
+    } else if (typeof req.body.content === 'string') {
+      content = req.body.content;
+      format = format || detectFormat(null, null, content);
+    } else {
+      return res.status(400).json({ error: 'No import file provided' });
+    }
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Use one of: ${IMPORT_FORMATS.join(', ')}` });
+    }
+
+    let records;
+    try {
+      records = parseRecords(format, content);
+    } catch (error) {
+      return res.status(400).json({ error: `Could not parse ${format} import: ${error.message}` });
+    }
+    if (records.length > MAX_IMPORT_RECORDS) {
+      return res.status(400).json({ error: `An import can have at most ${MAX_IMPORT_RECORDS} dreams; split the file and import it in parts` });
+    }
+
+    const report = await importDreams(req.dbUser.id, records, { dryRun });
+    if (!dryRun) {
+      scheduleEmbeddings(req.dbUser.id, report.created.map(c => c.id));
+    }
+
+    res.json({
+      success: true,
+      format,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error importing dreams:', error);
+    res.status(500).json({ error: 'Failed to import dreams' });
+  }
+});
+
+// Journal export - streams every dream as JSON, CSV or a Markdown zip
+app.get('/api/dreams/export', requireAuth, attachDbUser, async (req, res) => {
+  const { format = 'json' } = req.query;
+  const writer = getExportWriter(format);
+
+  if (!writer) {
+    return res.status(400).json({ error: `Invalid format. Use one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  try {
+    const filename = `dream-journal-${new Date().toISOString().slice(0, 10)}.${writer.extension}`;
+    res.set({
+      'Content-Type': writer.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    await writer.write(res, req.dbUser, db.streamDreamsByUser(req.dbUser.id));
+  } catch (error) {
+    console.error('Error exporting dreams:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Failed to export dreams' });
+    }
+  }
+});
+
+// Ranked full-text search over title, dream text and story
+app.get('/api/dreams/search', verifyToken, attachDbUser, async (req, res) => {
+  try {
+    const {
+      q,
+      page = 1,
+      limit = 10,
+      tags,
+      startDate,
+      endDate,
+      mood,
+      favoritesOnly = false
+    } = req.query;
+
+    if (!q || q.trim().length === 0) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+
+    if (!req.dbUser) {
+      return res.json({ dreams: [], total: 0, hasMore: false });
+    }
+
+    const take = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const result = await db.searchDreams(req.dbUser.id, q.trim(), {
+      skip,
+      take,
+      tags: tags ? tags.split(',') : undefined,
+      startDate,
+      endDate,
+      mood,
+      favoritesOnly: favoritesOnly === 'true'
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error searching dreams:', error);
+    res.status(500).json({ error: 'Failed to search dreams' });
+  }
+});
+
+// Groups of near-duplicate dreams, i.e. dreams the user keeps having
+app.get('/api/dreams/recurring', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : undefined;
+    if (threshold !== undefined && !(threshold >= MIN_RECURRING_THRESHOLD && threshold <= 1)) {
+      return res.status(400).json({ error: `threshold must be a number between ${MIN_RECURRING_THRESHOLD} and 1` });
+    }
+
+    const result = await findRecurringClusters(req.dbUser.id, {
+      threshold,
+      minSize: parseInt(req.query.minSize) || 2,
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Error finding recurring dreams:', error);
+    res.status(500).json({ error: 'Failed to find recurring dreams' });
+  }
+});
+
+app.get('/api/dreams/:id', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const dream = await db.getDreamById(req.params.id, req.dbUser.id);
+
+    if (!dream) {
+      return res.status(404).json({ error: 'Dream not found' });
+    }
+
+    res.json({ dream });
+  } catch (error) {
+    console.error('Error fetching dream:', error);
+    res.status(500).json({ error: 'Failed to fetch dream' });
+  }
+});
+
+app.get('/api/dreams/:id/analyses', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const analyses = await db.getDreamAnalyses(req.params.id, req.dbUser.id);
+    res.json({ analyses });
+  } catch (error) {
+    console.error('Error fetching dream analyses:', error);
+    if (error.message === 'Dream not found') {
+      res.status(404).json({ error: 'Dream not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch dream analyses' });
+    }
+  }
+});
+
+// Dreams whose text is closest to this one
+app.get('/api/dreams/:id/similar', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const { limit = 10 } = req.query;
+    const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : undefined;
+    if (threshold !== undefined && !(threshold >= 0 && threshold <= 1)) {
+      return res.status(400).json({ error: 'threshold must be a number between 0 and 1' });
+    }
+
+    const similar = await findSimilarDreams(req.params.id, req.dbUser.id, {
+      take: Math.max(1, Math.min(50, parseInt(limit) || 10)),
+      threshold,
+    });
+
+    // Not embedded yet (e.g. saved before embeddings existed): queue it
+    if (!similar) {
+      scheduleEmbeddings(req.dbUser.id, [req.params.id]);
+      return res.json({ similar: [], embedded: false });
+    }
+
+    res.json({ similar, embedded: true });
+  } catch (error) {
+    console.error('Error finding similar dreams:', error);
+    if (error.message === 'Dream not found') {
+      res.status(404).json({ error: 'Dream not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to find similar dreams' });
+    }
+  }
+});
+
 app.put('/api/dreams/:id', requireAuth, attachDbUser, async (req, res) => {
   try {
     const updates = {
@@ -349,14 +690,35 @@ app.put('/api/dreams/:id', requireAuth, attachDbUser, async (req, res) => {
       tags: req.body.tags,
       mood: req.body.mood,
       lucidity: req.body.lucidity,
-      images: req.body.images
+      images: req.body.images,
+      isPrivate: req.body.isPrivate
     };
 
+    if (updates.isPrivate !== undefined && typeof updates.isPrivate !== 'boolean') {
+      return res.status(400).json({ error: 'isPrivate must be a boolean' });
+    }
+    if (updates.tags !== undefined) {
+      try {
+        updates.tags = normalizeTags(updates.tags);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
     Object.keys(updates).forEach(key => 
       updates[key] === undefined && delete updates[key]
     );
 
+    // Images are replaced wholesale, so remember the old files to clean up
+    const oldImageKeys = updates.images !== undefined
+      ? await db.getDreamImageKeys(req.params.id, req.dbUser.id)
+      : [];
+
     const dream = await db.updateDream(req.params.id, req.dbUser.id, updates);
+    await releaseImages(oldImageKeys);
+    if (updates.dreamText !== undefined) {
+      scheduleEmbeddings(req.dbUser.id, [dream.id]);
+    }
     
     res.json({ 
       success: true, 
@@ -364,7 +726,11 @@ app.put('/api/dreams/:id', requireAuth, attachDbUser, async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating dream:', error);
-    res.status(500).json({ error: 'Failed to update dream' });
+    if (error.message === 'Dream not found') {
+      res.status(404).json({ error: 'Dream not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to update dream' });
+    }
   }
 });
 
@@ -386,385 +752,1725 @@ app.patch('/api/dreams/:id/favorite', requireAuth, attachDbUser, async (req, res
   }
 });
 
+// Moves the dream to the trash; it can be restored until it is purged
 app.delete('/api/dreams/:id', requireAuth, attachDbUser, async (req, res) => {
   try {
-    await db.deleteDream(req.params.id, req.dbUser.id);
-    res.json({ success: true });
+    await db.trashDream(req.params.id, req.dbUser.id);
+    res.json({ success: true, trashed: true, purgeAt: trash.purgeDate(new Date()) });
   } catch (error) {
     console.error('Error deleting dream:', error);
-    res.status(500).json({ error: 'Failed to delete dream' });
+    if (error.message === 'Dream not found') {
+      res.status(404).json({ error: 'Dream not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to delete dream' });
+    }
   }
 });
 
-// Speech-to-Text endpoint
-app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
+// Revision history endpoints. Revision N holds the dream as it was before
+// the Nth update.
+function parseRevision(value) {
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision > 0 ? revision : null;
+}
+
+app.get('/api/dreams/:id/revisions', requireAuth, attachDbUser, async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No audio file provided' });
-    }
+    const { page = 1, limit = 20 } = req.query;
+    const take = Math.max(1, Math.min(100, parseInt(limit) || 20));
+    const skip = (Math.max(1, parseInt(page) || 1) - 1) * take;
 
-    if (!API_CONFIG.openai.apiKey) {
-      return res.status(500).json({ error: 'OpenAI API key not configured' });
+    res.json(await db.getDreamRevisions(req.params.id, req.dbUser.id, { skip, take }));
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    if (error.message === 'Dream not found') {
+      res.status(404).json({ error: 'Dream not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch revisions' });
     }
+  }
+});
 
-    const formData = new FormData();
-    formData.append('file', new Blob([req.file.buffer], { type: req.file.mimetype }), 'audio.wav');
-    formData.append('model', 'whisper-1');
-    formData.append('language', 'en');
+app.get('/api/dreams/:id/revisions/:revision', requireAuth, attachDbUser, async (req, res) => {
+  const revision = parseRevision(req.params.revision);
+  if (!revision) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
 
-    const response = await fetch(`${API_CONFIG.openai.baseURL}/audio/transcriptions`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${API_CONFIG.openai.apiKey}`,
-      },
-      body: formData
+  try {
+    const found = await db.getDreamRevision(req.params.id, req.dbUser.id, revision);
+    res.json({
+      revision: found.revision,
+      source: found.source,
+      snapshot: found.snapshot,
+      changes: found.changes,
+      createdAt: found.createdAt
     });
-
-    if (!response.ok) {
-      throw new Error(`Transcription failed: ${response.status}`);
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    if (error.message === 'Dream not found' || error.message === 'Revision not found') {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch revision' });
     }
+  }
+});
 
-    const result = await response.json();
-    res.json({ text: result.text });
+// Body: { scope?: 'all' | 'images' }. Restoring is itself recorded as a
+// revision, so it can be undone.
+app.post('/api/dreams/:id/revisions/:revision/restore', requireAuth, attachDbUser, async (req, res) => {
+  const revision = parseRevision(req.params.revision);
+  if (!revision) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
 
-  } catch (error) {
-    console.error('Transcription error:', error);
-    res.status(500).json({ error: 'Failed to transcribe audio' });
+  const { scope = 'all' } = req.body;
+  if (!RESTORE_SCOPES.includes(scope)) {
+    return res.status(400).json({ error: `scope must be one of: ${RESTORE_SCOPES.join(', ')}` });
   }
-});
 
-// Title Generation endpoint
-app.post('/api/generate-title', storyLimiter, async (req, res) => {
   try {
-    const { dreamText } = req.body;
+    const found = await db.getDreamRevision(req.params.id, req.dbUser.id, revision);
+    const oldImageKeys = await db.getDreamImageKeys(req.params.id, req.dbUser.id);
 
-    if (!dreamText || dreamText.trim().length === 0) {
-      return res.status(400).json({ error: 'Dream text is required' });
+    const dream = await db.updateDream(req.params.id, req.dbUser.id, snapshotToUpdates(found.snapshot, scope), {
+      source: 'restore'
+    });
+    await releaseImages(oldImageKeys);
+    if (scope === 'all') {
+      scheduleEmbeddings(req.dbUser.id, [dream.id]);
     }
 
-    if (!API_CONFIG.openai.apiKey) {
-      return res.status(500).json({ error: 'OpenAI API key not configured' });
+    res.json({ success: true, restoredFrom: found.revision, dream });
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    if (error.message === 'Dream not found' || error.message === 'Revision not found') {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to restore revision' });
     }
+  }
+});
 
-    const systemPrompt = `You are a creative title generator. Create a short, engaging title (3-6 words) for a fairy tale based on the dream description provided. The title should be magical, whimsical, and capture the essence of the dream. Do not use quotation marks.`;
-
-    const response = await makeAPICall(`${API_CONFIG.openai.baseURL}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${API_CONFIG.openai.apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: `Create a fairy tale title for this dream: "${dreamText}"` }
-        ],
-        max_tokens: 50,
-        temperature: 0.8
-      })
-    });
-
-    const title = response.choices[0].message.content.trim();
-    res.json({ title });
+// Trash endpoints
+app.get('/api/trash', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const take = Math.max(1, Math.min(100, parseInt(limit) || 20));
+    const skip = (Math.max(1, parseInt(page) || 1) - 1) * take;
+
+    const result = await db.getTrash(req.dbUser.id, { skip, take });
+    res.json({
+      ...result,
+      dreams: result.dreams.map(dream => ({ ...dream, purgeAt: trash.purgeDate(dream.deletedAt) })),
+      retentionDays: trash.RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
 
+app.post('/api/trash/:id/restore', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const dream = await db.restoreDream(req.params.id, req.dbUser.id);
+    res.json({ success: true, dream });
   } catch (error) {
-    console.error('Title generation error:', error);
-    res.status(500).json({ error: 'Failed to generate title' });
+    console.error('Error restoring dream:', error);
+    if (error.message === 'Dream not found') {
+      res.status(404).json({ error: 'Dream not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to restore dream' });
+    }
   }
 });
 
-// Story Generation endpoint
-app.post('/api/generate-story', storyLimiter, async (req, res) => {
+// Permanently deletes everything in the trash
+app.delete('/api/trash', requireAuth, attachDbUser, async (req, res) => {
   try {
-    const { dreamText, tone = 'whimsical', length = 'medium' } = req.body;
+    const purged = await trash.emptyTrash(req.dbUser.id);
+    res.json({ success: true, purged });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
 
-    if (!dreamText || dreamText.trim().length === 0) {
-      return res.status(400).json({ error: 'Dream text is required' });
+app.delete('/api/dreams/:id/images/:imageId', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const image = await db.deleteDreamImage(req.params.id, req.params.imageId, req.dbUser.id);
+    await releaseImages([image.storageKey]);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting dream image:', error);
+    if (error.message === 'Image not found') {
+      res.status(404).json({ error: 'Image not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to delete image' });
     }
+  }
+});
 
-    if (!API_CONFIG.openai.apiKey) {
-      return res.status(500).json({ error: 'OpenAI API key not configured' });
-    }
+// Share links. The URL points at SHARE_BASE_URL (the web app's share page)
+// when set, otherwise straight at the public API route.
+function shareUrl(req, token) {
+  return `${process.env.SHARE_BASE_URL || `${requestOrigin(req)}/api/public/dreams`}/${token}`;
+}
 
-    const tonePrompts = {
-      whimsical: "Transform this dream into a whimsical fairy tale bursting with magical creatures, rainbow-colored landscapes, and heartwarming adventures. Infuse it with the playful wonder of a classic Disney story—full of delightful surprises, quirky characters, and just the right sprinkle of comedy. Think enchanted forests where frogs gossip, spells occasionally backfire in funny ways, and joy shines through every twist and turn.",
-      mystical: "Transform this dream into a mystical, magical fairy tale with ancient wisdom, ethereal beings, and spiritual undertones. Include elements of wonder, mystery, and enlightenment.",
-      adventurous: "Transform this dream into an adventurous, bold fairy tale with brave heroes, epic quests, and thrilling challenges. Make it exciting and action-packed with courage and triumph.",
+// Body: { includeDreamText?, includeAnalysis?, expiresAt? }. Sharing makes the
+// dream public (isPrivate: false); making it private again disables its links.
+app.post('/api/dreams/:id/shares', requireAuth, attachDbUser, async (req, res) => {
+  let options;
+  try {
+    options = sharing.toShareOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const dream = await db.getDreamById(req.params.id, req.dbUser.id);
+    if (!dream) {
+      return res.status(404).json({ error: 'Dream not found' });
+    }
+    if (!dream.story && !options.includeDreamText) {
+      return res.status(409).json({ error: 'Dream has no story yet. Generate one or include the dream text.' });
+    }
+    if (await db.countActiveShareLinks(dream.id) >= sharing.MAX_ACTIVE_LINKS_PER_DREAM) {
+      return res.status(409).json({ error: `A dream can have at most ${sharing.MAX_ACTIVE_LINKS_PER_DREAM} active share links` });
+    }
+
+    const link = await db.createShareLink(dream.id, req.dbUser.id, {
+      ...options,
+      token: sharing.createShareToken(),
+    });
+    res.status(201).json(sharing.toShareResponse(link, shareUrl(req, link.token)));
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    if (error.message === 'Dream not found') {
+      res.status(404).json({ error: 'Dream not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to create share link' });
+    }
+  }
+});
+
+app.get('/api/dreams/:id/shares', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const links = await db.getShareLinks(req.params.id, req.dbUser.id);
+    res.json({ shares: links.map(link => sharing.toShareResponse(link, shareUrl(req, link.token))) });
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    if (error.message === 'Dream not found') {
+      res.status(404).json({ error: 'Dream not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch share links' });
+    }
+  }
+});
+
+app.delete('/api/dreams/:id/shares/:shareId', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    await db.revokeShareLink(req.params.shareId, req.params.id, req.dbUser.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    if (error.message === 'Share link not found') {
+      res.status(404).json({ error: 'Share link not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to revoke share link' });
+    }
+  }
+});
+
+// Public, no auth. Expired, revoked and private links all look the same.
+app.get('/api/public/dreams/:token', async (req, res) => {
+  try {
+    const link = sharing.isShareToken(req.params.token)
+      ? await db.getSharedDream(req.params.token)
+      : null;
+    if (!link) {
+      return res.status(404).json({ error: 'Shared dream not found' });
+    }
+
+    // Not cached, so revoking or making the dream private takes effect immediately
+    res.set('Cache-Control', 'no-store');
+    res.set('X-Robots-Tag', 'noindex');
+    res.json({ dream: sharing.toPublicDream(link) });
+  } catch (error) {
+    console.error('Error fetching shared dream:', error);
+    res.status(500).json({ error: 'Failed to load shared dream' });
+  }
+});
+
+// Stored media (generated illustrations). Keys are random UUIDs, so these
+// URLs can be used directly in <img> tags without an auth header.
+app.get(`${MEDIA_ROUTE}/:folder/:file`, async (req, res) => {
+  try {
+    const key = `${req.params.folder}/${req.params.file}`;
+    // Voice memos are private and only served through /api/dreams/:id/audio
+    if (req.params.folder !== 'images' || !isValidKey(key)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const sent = await sendStoredFile(req, res, key, {
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    if (!sent) {
+      res.status(404).json({ error: 'File not found' });
+    }
+  } catch (error) {
+    console.error('Error serving media:', error);
+    res.status(500).json({ error: 'Failed to load file' });
+  }
+});
+
+// Upload a recording, transcribe it and create the dream in one call
+app.post('/api/dreams/from-recording', requireAuth, attachDbUser, enforceQuota('from-recording'), upload.single('audio'), async (req, res) => {
+  let tags;
+  try {
+    tags = normalizeTags(req.body.tags || []);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  let recording;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No audio file provided' });
+    }
+
+    if (!ai.isConfigured('transcription')) {
+      return res.status(500).json({ error: 'Transcription provider not configured' });
+    }
+
+    const transcript = await req.ai.transcribe({
+      buffer: req.file.buffer,
+      mimetype: req.file.mimetype,
+      filename: audioFilename(req.file.mimetype),
+      language: req.body.language || 'en'
+    });
+
+    if (!transcript.text || transcript.text.trim().length === 0) {
+      return res.status(422).json({ error: 'No speech found in recording' });
+    }
+
+    recording = await storeRecording(req.file.buffer, req.file.mimetype);
+
+    const dream = await db.createDream(req.dbUser.id, {
+      title: req.body.title,
+      dreamText: transcript.text.trim(),
+      date: req.body.date ? new Date(req.body.date) : new Date(),
+      tags,
+      mood: req.body.mood,
+      lucidity: req.body.lucidity ? parseInt(req.body.lucidity) : undefined,
+      hasAudio: true,
+      audioStorageKey: recording.key,
+      audioDuration: recording.duration
+    });
+    scheduleEmbeddings(req.dbUser.id, [dream.id]);
+
+    const withAudio = await db.setDreamAudio(dream.id, req.dbUser.id, {
+      audioStorageKey: recording.key,
+      audioUrl: dreamAudioUrl(req, dream.id),
+      audioDuration: recording.duration
+    });
+
+    res.json({
+      success: true,
+      transcript: transcript.text,
+      dream: withAudio.dream
+    });
+  } catch (error) {
+    console.error('Error creating dream from recording:', error);
+    if (recording) {
+      await deleteStoredFile(recording.key);
+    }
+    res.status(500).json({ error: 'Failed to create dream from recording' });
+  }
+});
+
+// Attach or replace the voice memo on an existing dream
+app.put('/api/dreams/:id/audio', requireAuth, attachDbUser, upload.single('audio'), async (req, res) => {
+  let recording;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No audio file provided' });
+    }
+
+    await db.assertDreamOwner(req.params.id, req.dbUser.id);
+    recording = await storeRecording(req.file.buffer, req.file.mimetype);
+
+    const { dream, previousKey } = await db.setDreamAudio(req.params.id, req.dbUser.id, {
+      audioStorageKey: recording.key,
+      audioUrl: dreamAudioUrl(req, req.params.id),
+      audioDuration: recording.duration
+    });
+    await deleteStoredFile(previousKey);
+
+    res.json({ success: true, dream });
+  } catch (error) {
+    console.error('Error storing dream audio:', error);
+    if (recording) {
+      await deleteStoredFile(recording.key);
+    }
+    if (error.message === 'Dream not found') {
+      res.status(404).json({ error: 'Dream not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to store recording' });
+    }
+  }
+});
+
+// Stream the original recording back for playback (supports Range requests)
+app.get('/api/dreams/:id/audio', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const audio = await db.getDreamAudio(req.params.id, req.dbUser.id);
+
+    if (!audio.audioStorageKey) {
+      return res.status(404).json({ error: 'Dream has no recording' });
+    }
+
+    const sent = await sendStoredFile(req, res, audio.audioStorageKey, {
+      'Cache-Control': 'private, max-age=3600'
+    });
+    if (!sent) {
+      res.status(404).json({ error: 'Recording not found' });
+    }
+  } catch (error) {
+    console.error('Error streaming dream audio:', error);
+    if (error.message === 'Dream not found') {
+      res.status(404).json({ error: 'Dream not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to load recording' });
+    }
+  }
+});
+
+app.delete('/api/dreams/:id/audio', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const { dream, previousKey } = await db.setDreamAudio(req.params.id, req.dbUser.id, null);
+    await deleteStoredFile(previousKey);
+    res.json({ success: true, dream });
+  } catch (error) {
+    console.error('Error deleting dream audio:', error);
+    if (error.message === 'Dream not found') {
+      res.status(404).json({ error: 'Dream not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to delete recording' });
+    }
+  }
+});
+
+// Speech-to-Text endpoint
+app.post('/api/transcribe', verifyToken, attachDbUser, enforceQuota('transcribe'), upload.single('audio'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No audio file provided' });
+    }
+
+    if (!ai.isConfigured('transcription')) {
+      return res.status(500).json({ error: 'Transcription provider not configured' });
+    }
+
+    const result = await req.ai.transcribe({
+      buffer: req.file.buffer,
+      mimetype: req.file.mimetype,
+      filename: audioFilename(req.file.mimetype),
+      language: 'en'
+    });
+    res.json({ text: result.text });
+
+  } catch (error) {
+    console.error('Transcription error:', error);
+    res.status(500).json({ error: 'Failed to transcribe audio' });
+  }
+});
+
+// Title Generation endpoint
+app.post('/api/generate-title', storyLimiter, verifyToken, attachDbUser, enforceQuota('generate-title'), async (req, res) => {
+  try {
+    const { dreamText } = req.body;
+
+    if (!dreamText || dreamText.trim().length === 0) {
+      return res.status(400).json({ error: 'Dream text is required' });
+    }
+
+    if (!ai.isConfigured('chat')) {
+      return res.status(500).json({ error: 'Chat provider not configured' });
+    }
+
+    const systemPrompt = `You are a creative title generator. Create a short, engaging title (3-6 words) for a fairy tale based on the dream description provided. The title should be magical, whimsical, and capture the essence of the dream. Do not use quotation marks.`;
+
+    const chatOptions = {
+      purpose: 'title',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: `Create a fairy tale title for this dream: "${dreamText}"` }
+      ],
+      maxTokens: 50,
+      temperature: 0.8
+    };
+
+    if (wantsEventStream(req)) {
+      return streamCompletion(req, res, chatOptions, content => ({ title: content.trim() }), 'Failed to generate title');
+    }
+
+    const response = await req.ai.chat(chatOptions);
+
+    const title = response.content.trim();
+    res.json({ title });
+
+  } catch (error) {
+    console.error('Title generation error:', error);
+    res.status(500).json({ error: 'Failed to generate title' });
+  }
+});
+
+// Story Generation endpoint
+app.post('/api/generate-story', storyLimiter, verifyToken, attachDbUser, enforceQuota('generate-story'), async (req, res) => {
+  try {
+    const prefs = preferences.generationPreferences(req.dbUser);
+    const { dreamText, tone = prefs.storyTone, length = prefs.storyLength, language = prefs.language } = req.body;
+
+    if (!dreamText || dreamText.trim().length === 0) {
+      return res.status(400).json({ error: 'Dream text is required' });
+    }
+
+    if (!ai.isConfigured('chat')) {
+      return res.status(500).json({ error: 'Chat provider not configured' });
+    }
+
+    const tonePrompts = {
+      whimsical: "Transform this dream into a whimsical fairy tale bursting with magical creatures, rainbow-colored landscapes, and heartwarming adventures. Infuse it with the playful wonder of a classic Disney story—full of delightful surprises, quirky characters, and just the right sprinkle of comedy. Think enchanted forests where frogs gossip, spells occasionally backfire in funny ways, and joy shines through every twist and turn.",
+      mystical: "Transform this dream into a mystical, magical fairy tale with ancient wisdom, ethereal beings, and spiritual undertones. Include elements of wonder, mystery, and enlightenment.",
+      adventurous: "Transform this dream into an adventurous, bold fairy tale with brave heroes, epic quests, and thrilling challenges. Make it exciting and action-packed with courage and triumph.",
       gentle: "Transform this dream into a gentle, soothing fairy tale with kind characters, peaceful settings, and heartwarming moments. Make it comforting, tender, and full of love.",
       mysterious: "Transform this dream into a mysterious, dark fairy tale with shadows, secrets, and intriguing plot twists. Keep it atmospheric and engaging but not too scary.",
       comedy: "Transform this dream into a delightfully quirky fairy tale filled with spooky charm, sarcastic humor, and over-the-top plot twists. Think enchanted castles with passive-aggressive ghosts, dramatic family secrets that unravel hilariously, and magical mishaps that somehow make things worse (but funnier). Keep the atmosphere mysterious and whimsical—more haunted tea party than true horror—with a lighthearted tone that makes the weirdness feel magical and entertaining."
     };
 
-    const lengthPrompts = {
-      short: "150-250 words",
-      medium: "300-500 words", 
-      long: "600-800 words"
-    };
+    const lengthPrompts = {
+      short: "150-250 words",
+      medium: "300-500 words", 
+      long: "600-800 words"
+    };
+
+    const storyLanguage = preferences.promptLanguage(language);
+
+    const systemPrompt = `You are a master storyteller who specializes in transforming dreams into captivating fairy tales. ${tonePrompts[tone] || tonePrompts.whimsical}
+
+Guidelines:
+- Create a complete, well-structured fairy tale with a clear beginning, middle, and end
+- Length: ${lengthPrompts[length] || lengthPrompts.medium}
+- Include vivid descriptions and engaging dialogue
+- Make it appropriate for all ages
+- Incorporate classic fairy tale elements (magic, transformation, resolution)
+- Use the dream as core inspiration but expand creatively
+- Structure the story with clear scene transitions that can be illustrated${storyLanguage ? `
+- Write the story in ${storyLanguage}` : ''}`;
+
+    const chatOptions = {
+      purpose: 'story',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: `Transform this dream into a fairy tale: "${dreamText}"` }
+      ],
+      maxTokens: length === 'long' ? 1200 : (length === 'short' ? 400 : 800),
+      temperature: 0.8
+    };
+
+    if (wantsEventStream(req)) {
+      return streamCompletion(req, res, chatOptions, story => ({
+        story,
+        tone: tonePrompts[tone] ? tone : 'whimsical',
+        length: lengthPrompts[length] ? length : 'medium',
+        wordCount: story.split(/\s+/).filter(Boolean).length
+      }), 'Failed to generate story');
+    }
+
+    const response = await req.ai.chat(chatOptions);
+
+    const story = response.content;
+    res.json({ story });
+
+  } catch (error) {
+    console.error('Story generation error:', error);
+    res.status(500).json({ error: 'Failed to generate story' });
+  }
+});
+
+// Parses a finished analysis and saves it when the user is signed in and a dreamId is given
+async function finishAnalysis(req, dreamId, content) {
+  const result = buildAnalysisResult(content);
+  if (!result.structured) {
+    console.warn('Dream analysis was not valid JSON - falling back to prose');
+  }
+
+  const body = toAnalysisResponse(result);
+
+  if (!req.dbUser || !dreamId) {
+    return { ...body, saved: false };
+  }
+
+  const savedAnalysis = await db.createDreamAnalysis(dreamId, req.dbUser.id, toAnalysisRecord(result));
+
+  return { ...body, saved: true, analysisId: savedAnalysis.id };
+}
+
+// Dream Analysis endpoint
+app.post('/api/analyze-dream', analysisLimiter, verifyToken, attachDbUser, enforceQuota('analyze-dream'), async (req, res) => {
+  try {
+    const prefs = preferences.generationPreferences(req.dbUser);
+    const { dreamText, dreamId, style = prefs.analysisStyle, language = prefs.language } = req.body;
+
+    if (!dreamText || dreamText.trim().length === 0) {
+      return res.status(400).json({ error: 'Dream text is required' });
+    }
+
+    if (!ai.isConfigured('chat')) {
+      return res.status(500).json({ error: 'Chat provider not configured' });
+    }
+
+    // Check ownership up front so a bad dreamId fails before any generation
+    if (req.dbUser && dreamId) {
+      await db.assertDreamOwner(dreamId, req.dbUser.id);
+    }
+
+    const chatOptions = analysisChatOptions(dreamText, {
+      style,
+      language: preferences.promptLanguage(language),
+    });
+
+    // Streamed tokens are the raw JSON; the final event carries the parsed analysis
+    if (wantsEventStream(req)) {
+      return streamCompletion(req, res, chatOptions, content => finishAnalysis(req, dreamId, content), 'Failed to analyze dream');
+    }
+
+    const response = await req.ai.chat(chatOptions);
+    res.json(await finishAnalysis(req, dreamId, response.content));
+
+  } catch (error) {
+    console.error('Dream analysis error:', error);
+    if (error.message === 'Dream not found') {
+      res.status(404).json({ error: 'Dream not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to analyze dream' });
+    }
+  }
+});
+
+// Image Generation endpoint
+app.post('/api/generate-images', imageLimiter, verifyToken, attachDbUser, enforceQuota('generate-images'), async (req, res) => {
+  try {
+    const { story, tone = preferences.generationPreferences(req.dbUser).storyTone } = req.body;
+
+    if (!story || story.trim().length === 0) {
+      return res.status(400).json({ error: 'Story text is required' });
+    }
+
+    if (!ai.isConfigured('image')) {
+      return res.status(500).json({ error: 'Image provider not configured' });
+    }
+
+    const images = await generateIllustrations(story, tone, requestOrigin(req), req.ai);
+    res.json({ images });
+
+  } catch (error) {
+    console.error('Image generation error:', error);
+    res.status(500).json({ error: 'Failed to generate images' });
+  }
+});
+
+// Text-to-Speech endpoint
+app.post('/api/text-to-speech', ttsLimiter, verifyToken, attachDbUser, enforceQuota('text-to-speech'), async (req, res) => {
+  try {
+    const prefs = preferences.generationPreferences(req.dbUser);
+    const { text, voice = prefs.ttsVoice, speed = prefs.ttsSpeed } = req.body;
+
+    if (!text || text.trim().length === 0) {
+      return res.status(400).json({ error: 'Text is required' });
+    }
+
+    if (!ai.isConfigured('speech')) {
+      return res.status(500).json({ error: 'Speech provider not configured' });
+    }
+
+    const selectedVoice = preferences.TTS_VOICES.includes(voice) ? voice : prefs.ttsVoice;
+
+    const { audio, contentType } = await req.ai.speech({
+      text,
+      voice: selectedVoice,
+      speed: Math.max(preferences.MIN_TTS_SPEED, Math.min(preferences.MAX_TTS_SPEED, speed))
+    });
+    
+    res.set({
+      'Content-Type': contentType,
+      'Content-Length': audio.length,
+      'Cache-Control': 'public, max-age=3600'
+    });
+
+    res.send(audio);
+
+  } catch (error) {
+    console.error('Text-to-speech error:', error);
+    res.status(500).json({ error: 'Failed to generate speech' });
+  }
+});
+
+// Background jobs
+const JOB_LIMITERS = {
+  'generate-images': imageLimiter,
+  'text-to-speech': ttsLimiter,
+  'batch-analysis': analysisLimiter,
+};
+const MAX_JOB_SPEECH_LENGTH = 100000;
+const MAX_BATCH_ANALYSIS = 50;
+
+// What each job type's result may show the client. Storage keys and other
+// internals stay on the server; audio and archives have their own endpoints.
+const JOB_RESULT_VIEWS = {
+  'generate-images': result => ({
+    images: result.images.map(image => ({
+      url: image.url,
+      scene: image.scene,
+      description: image.description,
+      ...(image.error && { error: true }),
+    })),
+    attached: result.attached,
+  }),
+  'text-to-speech': (result, job) => ({
+    audioUrl: `/api/jobs/${job.id}/audio`,
+    contentType: result.contentType,
+    size: result.size,
+  }),
+  'batch-analysis': result => ({
+    analyses: result.analyses.map(analysis => ({
+      dreamId: analysis.dreamId,
+      analysisId: analysis.analysisId,
+      structured: analysis.structured,
+      error: analysis.error,
+    })),
+  }),
+  'embed-dreams': result => ({ embedded: result.embedded, skipped: result.skipped }),
+  'export-account-data': result => ({ size: result.size, expiresAt: result.expiresAt, expired: Boolean(result.expired) }),
+};
+
+function toJobResult(job) {
+  const view = JOB_RESULT_VIEWS[job.type];
+  if (job.status !== 'completed' || !job.result || !view) return null;
+  return view(job.result, job);
+}
+
+function toJobResponse(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    dreamId: job.dreamId,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    result: toJobResult(job),
+    error: job.error,
+    runAt: job.runAt,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+  };
+}
+
+// Jobs belong to the user who created them; guest jobs are reachable only
+// through their unguessable id
+async function findVisibleJob(req) {
+  const job = await db.getJob(req.params.id);
+  if (!job) return null;
+  if (job.userId && (!req.dbUser || req.dbUser.id !== job.userId)) return null;
+  return job;
+}
+
+// Validates the request body for a job type and returns its payload
+function jobPayload(type, body, req) {
+  const prefs = preferences.generationPreferences(req.dbUser);
+
+  switch (type) {
+    case 'generate-images': {
+      const { story, tone = prefs.storyTone } = body;
+      if (!story || story.trim().length === 0) {
+        return { error: 'Story text is required' };
+      }
+      return { payload: { story, tone, baseUrl: requestOrigin(req) }, capability: 'image' };
+    }
+    case 'text-to-speech': {
+      const { text, voice = prefs.ttsVoice, speed = prefs.ttsSpeed } = body;
+      if (!text || text.trim().length === 0) {
+        return { error: 'Text is required' };
+      }
+      if (text.length > MAX_JOB_SPEECH_LENGTH) {
+        return { error: `Text must be at most ${MAX_JOB_SPEECH_LENGTH} characters` };
+      }
+      return {
+        payload: {
+          text,
+          voice: preferences.TTS_VOICES.includes(voice) ? voice : prefs.ttsVoice,
+          speed: Math.max(preferences.MIN_TTS_SPEED, Math.min(preferences.MAX_TTS_SPEED, Number(speed) || prefs.ttsSpeed)),
+        },
+        capability: 'speech',
+      };
+    }
+    case 'batch-analysis': {
+      const { dreamIds, style = prefs.analysisStyle, language = prefs.language } = body;
+      if (!req.dbUser) {
+        return { error: 'Authentication required for batch analysis', status: 401 };
+      }
+      if (!Array.isArray(dreamIds) || dreamIds.length === 0 || dreamIds.some(id => typeof id !== 'string')) {
+        return { error: 'dreamIds must be a non-empty array of dream ids' };
+      }
+      if (dreamIds.length > MAX_BATCH_ANALYSIS) {
+        return { error: `At most ${MAX_BATCH_ANALYSIS} dreams can be analyzed per job` };
+      }
+      return {
+        payload: {
+          dreamIds: [...new Set(dreamIds)],
+          style,
+          language: preferences.promptLanguage(language),
+        },
+        capability: 'chat',
+      };
+    }
+    default:
+      return { error: `type must be one of: ${Object.keys(JOB_LIMITERS).join(', ')}` };
+  }
+}
+
+// Each job type counts against the same rate limit as its synchronous endpoint
+function jobLimiter(req, res, next) {
+  const limiter = JOB_LIMITERS[req.body && req.body.type];
+  return limiter ? limiter(req, res, next) : next();
+}
+
+app.post('/api/jobs', verifyToken, attachDbUser, jobLimiter, enforceQuota('jobs'), async (req, res) => {
+  try {
+    const { type, dreamId } = req.body;
+    const { payload, capability, error, status } = jobPayload(type, req.body, req);
+
+    if (error) {
+      return res.status(status || 400).json({ error });
+    }
+
+    if (!ai.isConfigured(capability)) {
+      return res.status(500).json({ error: `${capability.charAt(0).toUpperCase() + capability.slice(1)} provider not configured` });
+    }
+
+    // Results are attached to the dream when the job finishes, so it must be ours
+    if (dreamId) {
+      if (!req.dbUser) {
+        return res.status(401).json({ error: 'Authentication required to attach results to a dream' });
+      }
+      await db.assertDreamOwner(dreamId, req.dbUser.id);
+    }
+
+    // Guests' job usage is metered against their fingerprint when the job runs
+    if (!req.dbUser) {
+      payload.guestId = req.usageSubject.guestId;
+    }
+
+    const job = await jobs.enqueue(type, payload, {
+      userId: req.dbUser ? req.dbUser.id : null,
+      dreamId: dreamId || null,
+    });
+
+    res.status(202).json({ jobId: job.id, status: job.status });
+  } catch (error) {
+    console.error('Error creating job:', error);
+    if (error.message === 'Dream not found') {
+      res.status(404).json({ error: 'Dream not found' });
+    } else {
+      res.status(500).json({ error: 'Failed to create job' });
+    }
+  }
+});
+
+app.get('/api/jobs', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const { status, limit = 20 } = req.query;
+    const list = await db.getJobsByUser(req.dbUser.id, {
+      status,
+      take: Math.max(1, Math.min(100, parseInt(limit) || 20)),
+    });
+    res.json({ jobs: list.map(toJobResponse) });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+app.get('/api/jobs/:id', verifyToken, attachDbUser, async (req, res) => {
+  try {
+    const job = await findVisibleJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(toJobResponse(job));
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Audio produced by a finished text-to-speech job
+app.get('/api/jobs/:id/audio', verifyToken, attachDbUser, async (req, res) => {
+  try {
+    const job = await findVisibleJob(req);
+    if (!job || job.type !== 'text-to-speech') {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'completed' || !job.result || !job.result.audioKey) {
+      return res.status(409).json({ error: 'Audio is not ready', status: job.status });
+    }
+
+    const sent = await sendStoredFile(req, res, job.result.audioKey, {
+      'Cache-Control': 'private, max-age=3600',
+    });
+    if (!sent) {
+      res.status(404).json({ error: 'Audio not found' });
+    }
+  } catch (error) {
+    console.error('Error streaming job audio:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to fetch audio' });
+    }
+  }
+});
+
+// Only jobs that haven't started can be cancelled
+app.delete('/api/jobs/:id', verifyToken, attachDbUser, async (req, res) => {
+  try {
+    const job = await findVisibleJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const cancelled = await db.cancelJob(job.id);
+    if (!cancelled) {
+      return res.status(409).json({ error: `Job is already ${job.status}` });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+// Tag endpoints
+
+// All of the user's tags with how many dreams use each, most used first.
+// With `prefix`, matching tags for autocomplete (10 by default).
+app.get('/api/tags', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const { prefix, limit } = req.query;
+    const take = limit !== undefined || prefix
+      ? Math.max(1, Math.min(100, parseInt(limit) || 10))
+      : undefined;
+
+    const tags = await db.getUserTags(req.dbUser.id, {
+      prefix: prefix ? prefix.trim() : undefined,
+      take,
+    });
+    res.json({ tags });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+// Body: { name }. Renaming onto an existing tag merges the two.
+app.put('/api/tags/:tag', requireAuth, attachDbUser, async (req, res) => {
+  const name = normalizeTag(req.body.name);
+  if (!name) {
+    return res.status(400).json({ error: 'A new tag name is required' });
+  }
+
+  try {
+    const dreamsUpdated = await db.replaceTags(req.dbUser.id, [req.params.tag], name, { source: 'tag-rename' });
+    if (dreamsUpdated === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    res.json({ success: true, tag: name, dreamsUpdated });
+  } catch (error) {
+    console.error('Error renaming tag:', error);
+    res.status(500).json({ error: 'Failed to rename tag' });
+  }
+});
+
+// Body: { tags: [...], into }. Every source tag becomes `into`.
+app.post('/api/tags/merge', requireAuth, attachDbUser, async (req, res) => {
+  const { tags } = req.body;
+  const into = normalizeTag(req.body.into);
+  if (!Array.isArray(tags) || tags.length === 0 || tags.some(tag => typeof tag !== 'string')) {
+    return res.status(400).json({ error: 'tags must be a non-empty array of tag names' });
+  }
+  if (!into) {
+    return res.status(400).json({ error: 'into is required' });
+  }
+
+  try {
+    const dreamsUpdated = await db.replaceTags(req.dbUser.id, tags, into);
+    res.json({ success: true, tag: into, dreamsUpdated });
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    res.status(500).json({ error: 'Failed to merge tags' });
+  }
+});
+
+// Removes the tag from every dream
+app.delete('/api/tags/:tag', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const dreamsUpdated = await db.removeTags(req.dbUser.id, [req.params.tag]);
+    if (dreamsUpdated === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    res.json({ success: true, dreamsUpdated });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
+
+// Symbol index endpoints
+
+function symbolDateRangeError({ startDate, endDate }) {
+  if ((startDate !== undefined && !isValidDay(startDate)) || (endDate !== undefined && !isValidDay(endDate))) {
+    return 'startDate and endDate must be dates in YYYY-MM-DD format';
+  }
+  return null;
+}
+
+// Most frequent symbols across the user's journal
+app.get('/api/symbols', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const { limit = 20, startDate, endDate } = req.query;
+    const dateError = symbolDateRangeError(req.query);
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+
+    const symbols = await db.getTopSymbols(req.dbUser.id, {
+      take: Math.max(1, Math.min(100, parseInt(limit) || 20)),
+      startDate,
+      endDate,
+    });
+    res.json({ symbols });
+  } catch (error) {
+    console.error('Error fetching symbols:', error);
+    res.status(500).json({ error: 'Failed to fetch symbols' });
+  }
+});
+
+// Rebuilds the index for every dream, e.g. for dreams saved before it existed
+app.post('/api/symbols/reindex', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const indexed = await db.reindexUserSymbols(req.dbUser.id);
+    res.json({ success: true, indexed });
+  } catch (error) {
+    console.error('Error reindexing symbols:', error);
+    res.status(500).json({ error: 'Failed to reindex symbols' });
+  }
+});
+
+app.get('/api/symbols/:symbol/dreams', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const symbol = normalizeSymbol(req.params.symbol);
+    if (!symbol) {
+      return res.status(400).json({ error: 'Invalid symbol' });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const take = Math.max(1, Math.min(100, parseInt(limit) || 20));
+    const skip = (Math.max(1, parseInt(page) || 1) - 1) * take;
+
+    const result = await db.getDreamsWithSymbol(req.dbUser.id, symbol, { skip, take });
+    res.json({ symbol, ...result });
+  } catch (error) {
+    console.error('Error fetching dreams for symbol:', error);
+    res.status(500).json({ error: 'Failed to fetch dreams' });
+  }
+});
+
+// How often the symbol appears per week, month or year
+app.get('/api/symbols/:symbol/timeline', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const symbol = normalizeSymbol(req.params.symbol);
+    if (!symbol) {
+      return res.status(400).json({ error: 'Invalid symbol' });
+    }
+
+    const { interval = 'month', startDate, endDate } = req.query;
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `interval must be one of: ${INTERVALS.join(', ')}` });
+    }
+    const dateError = symbolDateRangeError(req.query);
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+
+    const points = await db.getSymbolTimeline(req.dbUser.id, symbol, { interval, startDate, endDate });
+    res.json({ symbol, interval, points });
+  } catch (error) {
+    console.error('Error fetching symbol timeline:', error);
+    res.status(500).json({ error: 'Failed to fetch symbol timeline' });
+  }
+});
+
+// AI usage and remaining allowance for the current user or guest
+app.get('/api/usage', verifyToken, attachDbUser, async (req, res) => {
+  try {
+    res.json(await getUsageSummary(usageSubject(req)));
+  } catch (error) {
+    console.error('Error fetching usage:', error);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
+// User statistics endpoint
+app.get('/api/stats', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const { timezone = req.dbUser.timezone || 'UTC' } = req.query;
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+
+    const stats = await db.getUserStats(req.dbUser.id, { timezone });
+    res.json(stats);
+  } catch (error) {
+    console.error('Error fetching stats:', error);
+    res.status(500).json({ error: 'Failed to fetch statistics' });
+  }
+});
+
+// Mood, lucidity, count, tag and emotion trends per day, week or month in the
+// user's timezone (IANA name, e.g. Europe/London), plus streaks and weekday patterns
+app.get('/api/stats/trends', requireAuth, attachDbUser, async (req, res) => {
+  let options;
+  try {
+    options = resolveTrendOptions({ timezone: req.dbUser.timezone || undefined, ...req.query });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    res.json(await getTrends(req.dbUser.id, options));
+  } catch (error) {
+    console.error('Error fetching trends:', error);
+    res.status(500).json({ error: 'Failed to fetch trends' });
+  }
+});
+
+// Push notification devices. The client registers its FCM token after each
+// sign-in and whenever the token is refreshed.
+const DEVICE_PLATFORMS = ['ios', 'android', 'web'];
+
+app.post('/api/devices', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const { token, platform } = req.body;
+    if (typeof token !== 'string' || !token.trim() || token.length > 4096) {
+      return res.status(400).json({ error: 'Device token is required' });
+    }
+    if (platform !== undefined && !DEVICE_PLATFORMS.includes(platform)) {
+      return res.status(400).json({ error: `platform must be one of: ${DEVICE_PLATFORMS.join(', ')}` });
+    }
+
+    const device = await db.registerDeviceToken(req.dbUser.id, token.trim(), platform || null);
+    res.status(201).json({ id: device.id, platform: device.platform, createdAt: device.createdAt });
+  } catch (error) {
+    console.error('Error registering device:', error);
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+});
+
+// Called on sign-out so the device stops receiving the user's reminders
+app.delete('/api/devices/:token', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const removed = await db.unregisterDeviceToken(req.dbUser.id, req.params.token);
+    if (!removed) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error unregistering device:', error);
+    res.status(500).json({ error: 'Failed to unregister device' });
+  }
+});
+
+// Reminder endpoints
+app.get('/api/reminders', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    res.json({ reminders: await db.getReminders(req.dbUser.id) });
+  } catch (error) {
+    console.error('Error fetching reminders:', error);
+    res.status(500).json({ error: 'Failed to fetch reminders' });
+  }
+});
+
+// Body: { type: 'wake' | 'streak', timezone, time?: 'HH:MM', days?: [1-7], enabled? }
+app.post('/api/reminders', requireAuth, attachDbUser, async (req, res) => {
+  let data;
+  try {
+    data = reminders.toReminderData(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    if (await db.countReminders(req.dbUser.id) >= reminders.MAX_REMINDERS_PER_USER) {
+      return res.status(400).json({ error: `At most ${reminders.MAX_REMINDERS_PER_USER} reminders are allowed` });
+    }
+
+    res.status(201).json(await reminders.createReminder(req.dbUser.id, data));
+  } catch (error) {
+    console.error('Error creating reminder:', error);
+    res.status(500).json({ error: 'Failed to create reminder' });
+  }
+});
+
+app.put('/api/reminders/:id', requireAuth, attachDbUser, async (req, res) => {
+  let changes;
+  try {
+    changes = reminders.toReminderData(req.body, { partial: true });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    res.json(await reminders.updateReminder(req.params.id, req.dbUser.id, changes));
+  } catch (error) {
+    if (error.message === 'Reminder not found') {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+    console.error('Error updating reminder:', error);
+    res.status(500).json({ error: 'Failed to update reminder' });
+  }
+});
+
+app.delete('/api/reminders/:id', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    await db.deleteReminder(req.params.id, req.dbUser.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.message === 'Reminder not found') {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+    console.error('Error deleting reminder:', error);
+    res.status(500).json({ error: 'Failed to delete reminder' });
+  }
+});
+
+// Sends a test notification to the user's devices
+app.post('/api/reminders/test', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const delivered = await notifyUser(req.dbUser.id, {
+      title: 'Dream Log',
+      body: 'Notifications are working.',
+      data: { type: 'test' },
+    });
+    res.json({ delivered });
+  } catch (error) {
+    console.error('Error sending test notification:', error);
+    res.status(500).json({ error: 'Failed to send test notification' });
+  }
+});
+
+// Circle endpoints. Membership is checked per request; non-members get 404s.
+function sendCircleError(res, error, message) {
+  const status = circles.CIRCLE_ERRORS[error.message];
+  if (status) {
+    return res.status(status).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+// Sets req.membership for the circle in req.params.id
+const requireCircleRole = (minimumRole) => async (req, res, next) => {
+  try {
+    req.membership = await circles.requireMember(req.params.id, req.dbUser.id, minimumRole);
+    next();
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to load circle');
+  }
+};
+
+async function findCircleDream(req) {
+  const circleDream = await db.getCircleDream(req.params.id, req.params.dreamId);
+  if (!circleDream) {
+    throw new Error('Dream not found');
+  }
+  return circleDream;
+}
+
+app.get('/api/circles', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    res.json({ circles: await db.getUserCircles(req.dbUser.id) });
+  } catch (error) {
+    console.error('Error fetching circles:', error);
+    res.status(500).json({ error: 'Failed to fetch circles' });
+  }
+});
+
+app.post('/api/circles', requireAuth, attachDbUser, async (req, res) => {
+  let data;
+  try {
+    data = circles.toCircleData(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    res.status(201).json(await db.createCircle(req.dbUser.id, data));
+  } catch (error) {
+    console.error('Error creating circle:', error);
+    res.status(500).json({ error: 'Failed to create circle' });
+  }
+});
+
+// Invites addressed to the signed-in user's email. Only a verified address
+// proves it's theirs, so unverified accounts can't see or answer invites.
+app.get('/api/circles/invites', requireAuth, requireVerifiedEmail, attachDbUser, async (req, res) => {
+  try {
+    const invites = await db.getInvitesForEmail(req.dbUser.email.toLowerCase());
+    res.json({
+      invites: invites.map(invite => ({
+        id: invite.id,
+        circle: invite.circle,
+        invitedBy: circles.toPublicUser(invite.invitedBy),
+        role: invite.role,
+        expiresAt: invite.expiresAt,
+        createdAt: invite.createdAt,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching invites:', error);
+    res.status(500).json({ error: 'Failed to fetch invites' });
+  }
+});
+
+app.post('/api/circles/invites/:inviteId/accept', requireAuth, requireVerifiedEmail, attachDbUser, async (req, res) => {
+  try {
+    const membership = await circles.acceptInvite(req.params.inviteId, req.dbUser);
+    res.json({ success: true, circleId: membership.circleId, role: membership.role });
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to accept invite');
+  }
+});
 
-    const systemPrompt = `You are a master storyteller who specializes in transforming dreams into captivating fairy tales. ${tonePrompts[tone] || tonePrompts.whimsical}
+app.post('/api/circles/invites/:inviteId/decline', requireAuth, requireVerifiedEmail, attachDbUser, async (req, res) => {
+  try {
+    await db.declineCircleInvite(req.params.inviteId, req.dbUser.email.toLowerCase());
+    res.json({ success: true });
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to decline invite');
+  }
+});
 
-Guidelines:
-- Create a complete, well-structured fairy tale with a clear beginning, middle, and end
-- Length: ${lengthPrompts[length] || lengthPrompts.medium}
-- Include vivid descriptions and engaging dialogue
-- Make it appropriate for all ages
-- Incorporate classic fairy tale elements (magic, transformation, resolution)
-- Use the dream as core inspiration but expand creatively
-- Structure the story with clear scene transitions that can be illustrated`;
-
-    const response = await makeAPICall(`${API_CONFIG.openai.baseURL}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${API_CONFIG.openai.apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: `Transform this dream into a fairy tale: "${dreamText}"` }
-        ],
-        max_tokens: length === 'long' ? 1200 : (length === 'short' ? 400 : 800),
-        temperature: 0.8
-      })
-    });
-
-    const story = response.choices[0].message.content;
-    res.json({ story });
+app.get('/api/circles/:id', requireAuth, attachDbUser, requireCircleRole('member'), async (req, res) => {
+  try {
+    const circle = await db.getCircle(req.params.id);
+    res.json({
+      id: circle.id,
+      name: circle.name,
+      description: circle.description,
+      role: req.membership.role,
+      members: circle.members.map(member => ({
+        ...circles.toPublicUser(member.user),
+        role: member.role,
+        joinedAt: member.joinedAt,
+      })),
+      createdAt: circle.createdAt,
+    });
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to fetch circle');
+  }
+});
 
+app.put('/api/circles/:id', requireAuth, attachDbUser, requireCircleRole('admin'), async (req, res) => {
+  let data;
+  try {
+    data = circles.toCircleData(req.body, { partial: true });
   } catch (error) {
-    console.error('Story generation error:', error);
-    res.status(500).json({ error: 'Failed to generate story' });
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    res.json(await db.updateCircle(req.params.id, data));
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to update circle');
   }
 });
 
-// Dream Analysis endpoint
-app.post('/api/analyze-dream', analysisLimiter, verifyToken, attachDbUser, async (req, res) => {
+app.delete('/api/circles/:id', requireAuth, attachDbUser, requireCircleRole('owner'), async (req, res) => {
   try {
-    const { dreamText, dreamId } = req.body;
+    await db.deleteCircle(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to delete circle');
+  }
+});
 
-    if (!dreamText || dreamText.trim().length === 0) {
-      return res.status(400).json({ error: 'Dream text is required' });
-    }
+app.get('/api/circles/:id/invites', requireAuth, attachDbUser, requireCircleRole('admin'), async (req, res) => {
+  try {
+    res.json({ invites: await db.getCircleInvites(req.params.id) });
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to fetch invites');
+  }
+});
 
-    if (!API_CONFIG.openai.apiKey) {
-      return res.status(500).json({ error: 'OpenAI API key not configured' });
-    }
+// Body: { email, role?: 'member' | 'admin' }. Invites expire after two weeks.
+app.post('/api/circles/:id/invites', requireAuth, attachDbUser, requireCircleRole('admin'), async (req, res) => {
+  let data;
+  try {
+    data = circles.toInviteData(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    const systemPrompt = `You are a compassionate dream analyst with expertise in psychology and symbolism. Analyze the provided dream and offer insights into its potential meanings, symbols, and emotional significance.
+  try {
+    res.status(201).json(await circles.inviteMember(req.params.id, req.dbUser.id, data));
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to create invite');
+  }
+});
 
-Guidelines:
-- Provide a thoughtful, empathetic analysis (200-300 words)
-- Identify key symbols and their possible meanings
-- Discuss potential emotional themes or life situations it might reflect
-- Offer constructive insights without being prescriptive
-- Use accessible language, avoiding excessive jargon
-- Be supportive and encouraging
-- Remember this is for self-reflection, not clinical diagnosis`;
-
-    const response = await makeAPICall(`${API_CONFIG.openai.baseURL}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${API_CONFIG.openai.apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: `Please analyze this dream: "${dreamText}"` }
-        ],
-        max_tokens: 500,
-        temperature: 0.7
-      })
-    });
-
-    const analysisText = response.choices[0].message.content;
-    
-    // Save analysis to database if user is authenticated and dreamId provided
-    if (req.dbUser && dreamId) {
-      const emotionKeywords = ['happy', 'sad', 'anxious', 'peaceful', 'excited', 'fearful', 'content', 'frustrated'];
-      const themeKeywords = ['freedom', 'control', 'love', 'loss', 'growth', 'conflict', 'journey', 'transformation'];
-      
-      const lowerText = analysisText.toLowerCase();
-      const emotions = emotionKeywords.filter(emotion => lowerText.includes(emotion));
-      const themes = themeKeywords.filter(theme => lowerText.includes(theme));
-      
-      const savedAnalysis = await db.createDreamAnalysis(dreamId, req.dbUser.id, {
-        analysisText,
-        themes,
-        emotions
-      });
-      
-      res.json({ 
-        analysis: analysisText,
-        themes,
-        emotions,
-        saved: true,
-        analysisId: savedAnalysis.id
-      });
-    } else {
-      res.json({ 
-        analysis: analysisText,
-        saved: false
-      });
-    }
+app.delete('/api/circles/:id/invites/:inviteId', requireAuth, attachDbUser, requireCircleRole('admin'), async (req, res) => {
+  try {
+    await db.revokeCircleInvite(req.params.inviteId, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to revoke invite');
+  }
+});
+
+// Owner only. Setting role to 'owner' transfers ownership.
+app.put('/api/circles/:id/members/:userId', requireAuth, attachDbUser, requireCircleRole('owner'), async (req, res) => {
+  if (!circles.ROLES.includes(req.body.role)) {
+    return res.status(400).json({ error: `role must be one of: ${circles.ROLES.join(', ')}` });
+  }
 
+  try {
+    await circles.changeMemberRole(req.params.id, req.membership, req.params.userId, req.body.role);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Dream analysis error:', error);
-    res.status(500).json({ error: 'Failed to analyze dream' });
+    sendCircleError(res, error, 'Failed to update member');
   }
 });
 
-// Image Generation endpoint
-app.post('/api/generate-images', imageLimiter, async (req, res) => {
+// Removes a member, or leaves the circle when userId is your own
+app.delete('/api/circles/:id/members/:userId', requireAuth, attachDbUser, requireCircleRole('member'), async (req, res) => {
   try {
-    const { story, tone = 'whimsical' } = req.body;
+    await circles.removeMember(req.params.id, req.membership, req.params.userId);
+    res.json({ success: true });
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to remove member');
+  }
+});
 
-    if (!story || story.trim().length === 0) {
-      return res.status(400).json({ error: 'Story text is required' });
-    }
+app.get('/api/circles/:id/feed', requireAuth, attachDbUser, requireCircleRole('member'), async (req, res) => {
+  try {
+    const { cursor, limit = 20 } = req.query;
+    const feed = await circles.getFeed(req.params.id, req.dbUser.id, {
+      cursor,
+      take: Math.max(1, Math.min(50, parseInt(limit) || 20)),
+    });
+    res.json(feed);
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to fetch feed');
+  }
+});
 
-    if (!API_CONFIG.openai.apiKey) {
-      return res.status(500).json({ error: 'OpenAI API key not configured' });
-    }
+// Share one of your dreams to the circle. Body: { dreamId }
+app.post('/api/circles/:id/dreams', requireAuth, attachDbUser, requireCircleRole('member'), async (req, res) => {
+  if (typeof req.body.dreamId !== 'string') {
+    return res.status(400).json({ error: 'dreamId is required' });
+  }
 
-    const stylePrompts = {
-      whimsical: "whimsical fairy tale illustration, bright vibrant colors, Disney-style animation, magical and playful, soft lighting",
-      mystical: "mystical fairy tale artwork, ethereal lighting, fantasy art style, magical realism, dreamy atmosphere",
-      adventurous: "epic fantasy illustration, adventure book art style, dynamic composition, heroic and bold",
-      gentle: "soft watercolor fairy tale illustration, pastel colors, gentle and peaceful, children's book style",
-      mysterious: "gothic fairy tale illustration, dramatic shadows, mysterious atmosphere, dark fantasy art",
-      comedy: "whimsical silly comedy illustration, Pixar style, quirky characters, humorous ridiculous fantasy"
-    };
+  try {
+    const circleDream = await db.shareDreamToCircle(req.params.id, req.body.dreamId, req.dbUser.id);
+    res.status(201).json({ success: true, dreamId: circleDream.dreamId, sharedAt: circleDream.createdAt });
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to share dream');
+  }
+});
 
-    const baseStyle = stylePrompts[tone] || stylePrompts.whimsical;
-    const commonStyle = `${baseStyle}, high quality, detailed artwork, storybook illustration, beautiful composition, IMPORTANT: NO TEXT, no words, no letters, NO WRITING, text-free illustration`;
+app.get('/api/circles/:id/dreams/:dreamId', requireAuth, attachDbUser, requireCircleRole('member'), async (req, res) => {
+  try {
+    res.json(await circles.getSharedDream(req.params.id, req.params.dreamId, req.dbUser.id));
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to fetch dream');
+  }
+});
 
-    const segments = extractStorySegments(story);
-    
-    const scenes = [
-      {
-        name: "Scene 1",
-        description: "Beginning of the story",
-        prompt: `Illustrate this scene: ${segments.beginning} | Make it feel like the start of a fairy tale: introduce the main character(s) and setting clearly. | Style: ${commonStyle} | Composition: wide establishing shot, cinematic lighting, detailed storybook artwork. IMPORTANT: Do not include any text, words, letters, or writing in the image.`
-      },
-      {
-        name: "Scene 2", 
-        description: "Middle of the story",
-        prompt: `Illustrate this scene: ${segments.middle} | Focus on the main action or conflict—show drama, movement, and emotions. | Style: ${commonStyle} | Composition: mid-shot or dynamic angle, detailed character expressions, high-quality fairy tale illustration. IMPORTANT: Do not include any text, words, letters, or writing in the image.`
-      },
-      {
-        name: "Scene 3",
-        description: "End of the story",
-        prompt: `Illustrate this scene: ${segments.ending} | Show the resolution or magical transformation—make it feel satisfying and final. | Style: ${commonStyle}, composition: full scene, warm and complete storybook atmosphere, polished illustration. IMPORTANT: Do not include any text, words, letters, or writing in the image.`
-      }
-    ];
+app.delete('/api/circles/:id/dreams/:dreamId', requireAuth, attachDbUser, requireCircleRole('member'), async (req, res) => {
+  try {
+    await circles.unshareDream(req.params.id, req.params.dreamId, req.membership);
+    res.json({ success: true });
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to remove dream from circle');
+  }
+});
 
-    const imagePromises = scenes.map(async (scene) => {
-      try {
-        const response = await makeAPICall(`${API_CONFIG.openai.baseURL}/images/generations`, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${API_CONFIG.openai.apiKey}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            model: 'dall-e-3',
-            prompt: scene.prompt,
-            size: '1024x1024',
-            quality: 'standard',
-            n: 1
-          })
-        });
-
-        return {
-          url: response.data[0].url,
-          scene: scene.name,
-          description: scene.description,
-          prompt: scene.prompt
-        };
-      } catch (error) {
-        console.error(`Error generating image for ${scene.name}:`, error);
-        return {
-          url: null,
-          scene: scene.name,
-          description: scene.description,
-          error: true
-        };
-      }
-    });
+// Body: { body, parentId? } - parentId makes it a reply
+app.post('/api/circles/:id/dreams/:dreamId/comments', requireAuth, attachDbUser, requireCircleRole('member'), async (req, res) => {
+  let body;
+  try {
+    body = circles.toCommentBody(req.body.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    const images = await Promise.all(imagePromises);
-    res.json({ images });
+  try {
+    const circleDream = await findCircleDream(req);
+    const comment = await db.createCircleComment(circleDream.id, req.dbUser.id, { body, parentId: req.body.parentId });
+    res.status(201).json(circles.buildCommentThreads([comment])[0]);
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to add comment');
+  }
+});
 
+app.put('/api/circles/:id/dreams/:dreamId/comments/:commentId', requireAuth, attachDbUser, requireCircleRole('member'), async (req, res) => {
+  let body;
+  try {
+    body = circles.toCommentBody(req.body.body);
   } catch (error) {
-    console.error('Image generation error:', error);
-    res.status(500).json({ error: 'Failed to generate images' });
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const circleDream = await findCircleDream(req);
+    await circles.getEditableComment(circleDream.id, req.params.commentId, req.membership, 'edit');
+    const comment = await db.updateCircleComment(req.params.commentId, body);
+    res.json(circles.buildCommentThreads([comment])[0]);
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to update comment');
   }
 });
 
-// Text-to-Speech endpoint
-app.post('/api/text-to-speech', ttsLimiter, async (req, res) => {
+app.delete('/api/circles/:id/dreams/:dreamId/comments/:commentId', requireAuth, attachDbUser, requireCircleRole('member'), async (req, res) => {
   try {
-    const { text, voice = 'alloy', speed = 1.0 } = req.body;
+    const circleDream = await findCircleDream(req);
+    await circles.getEditableComment(circleDream.id, req.params.commentId, req.membership, 'delete');
+    await db.deleteCircleComment(req.params.commentId);
+    res.json({ success: true });
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to delete comment');
+  }
+});
 
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({ error: 'Text is required' });
-    }
+// Reactions are idempotent: PUT adds yours, DELETE removes it
+app.put('/api/circles/:id/dreams/:dreamId/reactions/:type', requireAuth, attachDbUser, requireCircleRole('member'), async (req, res) => {
+  if (!circles.REACTIONS.includes(req.params.type)) {
+    return res.status(400).json({ error: `Reaction must be one of: ${circles.REACTIONS.join(', ')}` });
+  }
+
+  try {
+    const circleDream = await findCircleDream(req);
+    await db.addCircleReaction(circleDream.id, req.dbUser.id, req.params.type);
+    const reactions = await db.getCircleReactionSummary([circleDream.id], req.dbUser.id);
+    res.json({ reactions: reactions[circleDream.id] });
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to add reaction');
+  }
+});
+
+app.delete('/api/circles/:id/dreams/:dreamId/reactions/:type', requireAuth, attachDbUser, requireCircleRole('member'), async (req, res) => {
+  try {
+    const circleDream = await findCircleDream(req);
+    await db.removeCircleReaction(circleDream.id, req.dbUser.id, req.params.type);
+    const reactions = await db.getCircleReactionSummary([circleDream.id], req.dbUser.id);
+    res.json({ reactions: reactions[circleDream.id] });
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to remove reaction');
+  }
+});
+
+// Circles one of your dreams is shared to
+app.get('/api/dreams/:id/circles', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    res.json({ circles: await db.getDreamCircles(req.params.id, req.dbUser.id) });
+  } catch (error) {
+    sendCircleError(res, error, 'Failed to fetch circles');
+  }
+});
+
+// Profile and generation preferences. Generation endpoints use the
+// preferences for anything a request leaves out.
+app.get('/api/profile', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    res.json(preferences.toProfileResponse(req.dbUser));
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// Body: { displayName?, timezone?, preferences?: { storyTone, storyLength,
+// ttsVoice, ttsSpeed, analysisStyle, language } }; null resets a field
+app.put('/api/profile', requireAuth, attachDbUser, async (req, res) => {
+  let data;
+  try {
+    data = preferences.toProfileUpdate(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const user = await db.updateUserProfile(req.dbUser.id, data);
+    res.json(preferences.toProfileResponse(user));
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Account endpoints
+
+// Step one of deleting the account: a confirmation token, valid for 15
+// minutes, to send back to /api/account/deletion/confirm
+app.post('/api/account/deletion', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    res.json(await account.requestDeletion(req.dbUser.id));
+  } catch (error) {
+    console.error('Error requesting account deletion:', error);
+    res.status(500).json({ error: 'Failed to request account deletion' });
+  }
+});
+
+// Deletes the account now, or after `graceDays` (0-30) during which it can
+// be cancelled
+app.post('/api/account/deletion/confirm', requireAuth, attachDbUser, async (req, res) => {
+  let graceDays;
+  try {
+    graceDays = account.toGraceDays(req.body.graceDays);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    if (!API_CONFIG.openai.apiKey) {
-      return res.status(500).json({ error: 'OpenAI API key not configured' });
+  try {
+    const result = await account.confirmDeletion(req.dbUser, req.body.confirmationToken, graceDays);
+    res.status(result.deleted ? 200 : 202).json(result);
+  } catch (error) {
+    if (error.message === 'Invalid or expired confirmation token') {
+      return res.status(400).json({ error: error.message });
     }
+    console.error('Error deleting account:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
 
-    const validVoices = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
-    const selectedVoice = validVoices.includes(voice) ? voice : 'alloy';
+app.get('/api/account/deletion', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    res.json(await account.getDeletionStatus(req.dbUser.id));
+  } catch (error) {
+    console.error('Error fetching account deletion:', error);
+    res.status(500).json({ error: 'Failed to fetch account deletion' });
+  }
+});
 
-    const response = await fetch(`${API_CONFIG.openai.baseURL}/audio/speech`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${API_CONFIG.openai.apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'tts-1',
-        input: text,
-        voice: selectedVoice,
-        speed: Math.max(0.25, Math.min(4.0, speed))
-      })
-    });
+// Cancels a deletion that is waiting out its grace period
+app.delete('/api/account/deletion', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const cancelled = await account.cancelDeletion(req.dbUser.id);
+    if (!cancelled) {
+      return res.status(404).json({ error: 'No account deletion is scheduled' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    res.status(500).json({ error: 'Failed to cancel account deletion' });
+  }
+});
+
+function toDataExportResponse(job) {
+  const result = job.result || {};
+  return {
+    id: job.id,
+    status: job.status,
+    size: result.size,
+    expiresAt: result.expiresAt,
+    expired: Boolean(result.expired),
+    ready: job.status === 'completed' && Boolean(result.archiveKey),
+    error: job.error,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+  };
+}
 
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('OpenAI TTS error:', error);
-      throw new Error(`TTS failed: ${response.status}`);
+// "Download my data": queues a zip of everything stored about the user.
+// Poll GET /api/account/data-export/:id, then download it once ready.
+app.post('/api/account/data-export', requireAuth, attachDbUser, dataExportLimiter, async (req, res) => {
+  try {
+    if (await db.hasActiveJob(req.dbUser.id, 'export-account-data')) {
+      return res.status(409).json({ error: 'A data export is already in progress' });
     }
 
-    const audioBuffer = await response.arrayBuffer();
-    
-    res.set({
-      'Content-Type': 'audio/mpeg',
-      'Content-Length': audioBuffer.byteLength,
-      'Cache-Control': 'public, max-age=3600'
-    });
+    const job = await jobs.enqueue('export-account-data', {}, { userId: req.dbUser.id });
+    res.status(202).json(toDataExportResponse(job));
+  } catch (error) {
+    console.error('Error requesting data export:', error);
+    res.status(500).json({ error: 'Failed to request data export' });
+  }
+});
+
+app.get('/api/account/data-export', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const list = await db.getJobsByUser(req.dbUser.id, { type: 'export-account-data', take: 10 });
+    res.json({ exports: list.map(toDataExportResponse) });
+  } catch (error) {
+    console.error('Error fetching data exports:', error);
+    res.status(500).json({ error: 'Failed to fetch data exports' });
+  }
+});
 
-    res.send(Buffer.from(audioBuffer));
+async function findDataExport(req) {
+  const job = await db.getJob(req.params.id);
+  if (!job || job.type !== 'export-account-data' || job.userId !== req.dbUser.id) {
+    return null;
+  }
+  return job;
+}
 
+app.get('/api/account/data-export/:id', requireAuth, attachDbUser, async (req, res) => {
+  try {
+    const job = await findDataExport(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Data export not found' });
+    }
+    res.json(toDataExportResponse(job));
   } catch (error) {
-    console.error('Text-to-speech error:', error);
-    res.status(500).json({ error: 'Failed to generate speech' });
+    console.error('Error fetching data export:', error);
+    res.status(500).json({ error: 'Failed to fetch data export' });
   }
 });
 
-// User statistics endpoint
-app.get('/api/stats', requireAuth, attachDbUser, async (req, res) => {
+app.get('/api/account/data-export/:id/download', requireAuth, attachDbUser, async (req, res) => {
   try {
-    const stats = await db.getUserStats(req.dbUser.id);
-    res.json(stats);
+    const job = await findDataExport(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Data export not found' });
+    }
+    if (!toDataExportResponse(job).ready) {
+      return res.status(409).json({ error: 'Data export is not available', status: job.status });
+    }
+
+    const date = job.completedAt.toISOString().slice(0, 10);
+    const sent = await sendStoredFile(req, res, job.result.archiveKey, {
+      'Content-Disposition': `attachment; filename="dream-log-data-${date}.zip"`,
+      'Cache-Control': 'private, no-store',
+    });
+    if (!sent) {
+      res.status(404).json({ error: 'Data export not found' });
+    }
   } catch (error) {
-    console.error('Error fetching stats:', error);
-    res.status(500).json({ error: 'Failed to fetch statistics' });
+    console.error('Error downloading data export:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to download data export' });
+    }
   }
 });
 
@@ -800,6 +2506,38 @@ const gracefulShutdown = async (signal) => {
   // Stop accepting new connections
   server.close(async () => {
     console.log('HTTP server closed');
+
+    // Let jobs that are already running finish
+    try {
+      await jobs.stopWorker();
+      console.log('Job worker stopped');
+    } catch (error) {
+      console.error('Error stopping job worker:', error);
+    }
+
+    try {
+      await reminders.stopReminderScheduler();
+    } catch (error) {
+      console.error('Error stopping reminder scheduler:', error);
+    }
+
+    try {
+      await trash.stopTrashPurge();
+    } catch (error) {
+      console.error('Error stopping trash purge:', error);
+    }
+
+    try {
+      await account.stopAccountCleanup();
+    } catch (error) {
+      console.error('Error stopping account cleanup:', error);
+    }
+    
+    try {
+      await rateLimitStore.disconnect();
+    } catch (error) {
+      console.error('Error closing rate limit store:', error);
+    }
     
     // Close database connections
     try {
@@ -838,9 +2576,29 @@ process.on('unhandledRejection', (reason, promise) => {
 const server = app.listen(PORT, HOST, () => {
   console.log(`Dream Log Backend running on ${HOST}:${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV}`);
-  console.log(`OpenAI API: ${API_CONFIG.openai.apiKey ? 'Configured' : 'Not configured'}`);
+  Object.entries(ai.describe()).forEach(([capability, info]) => {
+    console.log(`AI ${capability}: ${info.provider} (${info.model})${info.configured ? '' : ' - Not configured'}`);
+  });
   console.log(`Firebase Admin: ${process.env.FIREBASE_PROJECT_ID ? 'Configured' : 'Not configured'}`);
   console.log(`Database: ${process.env.DATABASE_URL ? 'Configured' : 'Not configured'}`);
+  console.log(`Rate limit store: ${rateLimitStore.storeName()}`);
+
+  // Set JOB_WORKER_ENABLED=false on web instances when a separate worker runs the queue
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    jobs.startWorker();
+  }
+
+  if (process.env.REMINDERS_ENABLED !== 'false') {
+    reminders.startReminderScheduler();
+  }
+
+  if (process.env.TRASH_PURGE_ENABLED !== 'false') {
+    trash.startTrashPurge();
+  }
+
+  if (process.env.ACCOUNT_CLEANUP_ENABLED !== 'false') {
+    account.startAccountCleanup();
+  }
 });
 
 module.exports = { app, server };
\ No newline at end of file
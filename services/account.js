@@ -0,0 +1,183 @@
+// dream-log-backend/services/account.js
+// Self-service account deletion. Asking for deletion returns a short-lived
+// confirmation token; confirming with it deletes the account straight away
+// or, with a grace period, at a scheduled time the user can still cancel.
+// Deleting removes every row the user owns, their stored media and their
+// Firebase Auth user.
+
+const crypto = require('crypto');
+const db = require('./database');
+const { releaseImages, deleteStoredFile } = require('./media');
+const { expireDataArchives } = require('./archive');
+const { auth } = require('../config/firebase-admin');
+
+const CONFIRMATION_TTL_MS = 15 * 60 * 1000;
+const DEFAULT_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 0;
+const MAX_GRACE_DAYS = 30;
+const PURGE_BATCH_SIZE = 20;
+// Longer than a Firebase ID token lives
+const TOMBSTONE_TTL_MS = 24 * 60 * 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Throws with a message suitable for a 400
+function toGraceDays(value) {
+  if (value === undefined || value === null) {
+    return DEFAULT_GRACE_DAYS;
+  }
+  if (!Number.isInteger(value) || value < 0 || value > MAX_GRACE_DAYS) {
+    throw new Error(`graceDays must be a whole number from 0 to ${MAX_GRACE_DAYS}`);
+  }
+  return value;
+}
+
+function toDeletionStatus(deletion) {
+  return {
+    scheduled: Boolean(deletion.deletionScheduledAt),
+    requestedAt: deletion.deletionRequestedAt,
+    scheduledFor: deletion.deletionScheduledAt,
+  };
+}
+
+// Replaces any earlier unconfirmed request
+async function requestDeletion(userId) {
+  const confirmationToken = crypto.randomBytes(24).toString('base64url');
+  const expiresAt = new Date(Date.now() + CONFIRMATION_TTL_MS);
+  await db.setAccountDeletionToken(userId, hashToken(confirmationToken), expiresAt);
+  return { confirmationToken, expiresAt };
+}
+
+async function deleteAccount(user) {
+  // Stops the client getting new ID tokens; ones already issued are refused
+  // by the tombstone deleteUser leaves
+  try {
+    await auth.revokeRefreshTokens(user.firebaseUid);
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      console.error(`Failed to revoke tokens for Firebase user ${user.firebaseUid}:`, error);
+    }
+  }
+
+  await db.handOverOwnedCircles(user.id);
+  const { imageKeys, fileKeys } = await db.getAccountStorageKeys(user.id);
+
+  await db.deleteUser(user.id, user.firebaseUid);
+
+  await Promise.all([
+    releaseImages(imageKeys),
+    ...fileKeys.map(key => deleteStoredFile(key)),
+  ]);
+
+  // The data is already gone, so a Firebase failure is logged rather than
+  // reported as a failed deletion
+  try {
+    await auth.deleteUser(user.firebaseUid);
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      console.error(`Failed to delete Firebase user ${user.firebaseUid}:`, error);
+    }
+  }
+}
+
+// Returns { deleted: true } or the scheduled deletion's status
+async function confirmDeletion(user, confirmationToken, graceDays) {
+  const deletion = await db.getAccountDeletion(user.id);
+  const valid = deletion &&
+    typeof confirmationToken === 'string' &&
+    deletion.deletionTokenHash === hashToken(confirmationToken) &&
+    deletion.deletionTokenExpiresAt > new Date();
+
+  if (!valid) {
+    throw new Error('Invalid or expired confirmation token');
+  }
+
+  if (graceDays === 0) {
+    await deleteAccount(user);
+    return { deleted: true };
+  }
+
+  const scheduledAt = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+  return toDeletionStatus(await db.scheduleAccountDeletion(user.id, scheduledAt));
+}
+
+async function getDeletionStatus(userId) {
+  return toDeletionStatus(await db.getAccountDeletion(userId));
+}
+
+async function cancelDeletion(userId) {
+  return await db.cancelAccountDeletion(userId);
+}
+
+async function purgeScheduledAccounts(now = new Date()) {
+  let deleted = 0;
+
+  for (;;) {
+    const users = await db.findAccountsDueForDeletion(now, PURGE_BATCH_SIZE);
+    let deletedInBatch = 0;
+
+    for (const user of users) {
+      try {
+        await deleteAccount(user);
+        deletedInBatch++;
+      } catch (error) {
+        console.error(`Failed to delete account ${user.id}:`, error);
+      }
+    }
+    deleted += deletedInBatch;
+
+    // Accounts that failed are fetched again, so a batch that deleted
+    // nothing would repeat forever; they are retried on the next run
+    if (users.length < PURGE_BATCH_SIZE || deletedInBatch === 0) break;
+  }
+
+  return deleted;
+}
+
+let timer = null;
+let running = null;
+
+// Deletes accounts whose grace period is over, expired data archives and
+// old tombstones
+function startAccountCleanup({ intervalMs = 60 * 60 * 1000 } = {}) {
+  if (timer) return;
+
+  const run = () => {
+    if (running) return;
+    running = Promise.all([
+      purgeScheduledAccounts(),
+      expireDataArchives(),
+      db.pruneDeletedAccounts(new Date(Date.now() - TOMBSTONE_TTL_MS)),
+    ])
+      .then(([accounts, archives]) => {
+        if (accounts > 0) console.log(`Deleted ${accounts} account(s) scheduled for deletion`);
+        if (archives > 0) console.log(`Removed ${archives} expired data archive(s)`);
+      })
+      .catch(error => console.error('Error running account cleanup:', error))
+      .finally(() => { running = null; });
+  };
+
+  timer = setInterval(run, intervalMs);
+  run();
+  console.log('Account cleanup scheduled');
+}
+
+async function stopAccountCleanup() {
+  clearInterval(timer);
+  timer = null;
+  await running;
+}
+
+module.exports = {
+  MAX_GRACE_DAYS,
+  toGraceDays,
+  requestDeletion,
+  confirmDeletion,
+  deleteAccount,
+  getDeletionStatus,
+  cancelDeletion,
+  purgeScheduledAccounts,
+  startAccountCleanup,
+  stopAccountCleanup,
+};
@@ -0,0 +1,191 @@
+// dream-log-backend/services/ai/fake.js
+// Deterministic offline stand-in for local development and CI. Output depends
+// only on the input, so the same request always gets the same response.
+
+const crypto = require('crypto');
+
+function hash(text) {
+  return crypto.createHash('sha256').update(text || '').digest();
+}
+
+function lastUserMessage(messages) {
+  const user = [...messages].reverse().find(m => m.role === 'user');
+  return user ? user.content : '';
+}
+
+// Pull the quoted dream out of prompts like: Transform this dream into a fairy tale: "..."
+function quotedText(content) {
+  const match = content.match(/"([\s\S]*)"/);
+  return (match ? match[1] : content).trim();
+}
+
+const STOP_WORDS = new Set([
+  'that', 'this', 'with', 'from', 'were', 'there', 'then', 'they', 'them', 'over',
+  'into', 'when', 'what', 'while', 'about', 'have', 'been', 'just', 'like', 'some',
+]);
+
+function keyWords(text, count) {
+  const words = (text.toLowerCase().match(/[a-z]{4,}/g) || []).filter(word => !STOP_WORDS.has(word));
+  return [...new Set(words)].slice(0, count);
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+const CANNED = {
+  title(dream) {
+    const words = keyWords(dream, 2).map(capitalize);
+    return words.length > 0 ? `The Tale of the ${words.join(' and ')}` : 'The Enchanted Dream';
+  },
+
+  story(dream) {
+    const [first = 'forest', second = 'moon', third = 'river'] = keyWords(dream, 3);
+    return [
+      `Once upon a time, in a land stitched together from dreams, a curious traveller found a ${first} glowing softly at the edge of the world.`,
+      `The ${first} whispered of a ${second} that had lost its way, and the traveller set off at once across hills of silver grass.`,
+      `Along the path, talking foxes offered riddles and lanterns floated just out of reach.`,
+      `At last the traveller reached a wide ${third}, where the ${second} lay sleeping beneath the water.`,
+      `With a gentle song the traveller woke it, and the ${second} rose into the sky to light the way home.`,
+      `From that night on, whenever the traveller dreamed, the ${first} and the ${second} shone together, and all was well.`,
+    ].join(' ');
+  },
+
+  analysis(dream) {
+    const words = keyWords(dream, 3);
+    const symbols = (words.length > 0 ? words : ['journey']).map(word => ({
+      symbol: word,
+      meaning: `The ${word} may reflect something you are currently paying attention to in waking life.`,
+    }));
+    const seed = hash(dream);
+    return JSON.stringify({
+      summary: 'This dream suggests a period of reflection and gentle change.',
+      analysis: `This dream appears to explore themes of change and curiosity. ${symbols.map(s => `The ${s.symbol} stands out as a meaningful image.`).join(' ')} Consider what feels unfinished or exciting in your life right now, and how the feelings in this dream mirror them. This is offered for self-reflection only.`,
+      symbols,
+      themes: [
+        { name: 'transformation', confidence: Math.round((0.5 + seed[0] / 512) * 100) / 100 },
+        { name: 'journey', confidence: Math.round((0.4 + seed[1] / 512) * 100) / 100 },
+      ],
+      emotions: [
+        { name: 'curious', confidence: Math.round((0.5 + seed[2] / 512) * 100) / 100 },
+        { name: 'peaceful', confidence: Math.round((0.3 + seed[3] / 512) * 100) / 100 },
+      ],
+    });
+  },
+};
+
+// Solid-colour SVG picked from the prompt, as a data URL
+function fakeImage(prompt) {
+  const seed = hash(prompt);
+  const color = `#${seed.subarray(0, 3).toString('hex')}`;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1024" height="1024"><rect width="1024" height="1024" fill="${color}"/><circle cx="512" cy="512" r="${200 + seed[3]}" fill="#ffffff" fill-opacity="0.35"/></svg>`;
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+// Silent 16-bit mono WAV, roughly as long as the text would take to read
+function silentWav(seconds) {
+  const sampleRate = 8000;
+  const samples = Math.max(1, Math.round(sampleRate * seconds));
+  const dataSize = samples * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+
+  return buffer;
+}
+
+const EMBEDDING_DIMENSIONS = 256;
+
+// Feature-hashed bag of words and word pairs, L2-normalised. Crude, but texts
+// sharing vocabulary land close together, which is enough for development.
+function hashedEmbedding(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  const words = (text.toLowerCase().match(/[a-z]{3,}/g) || []).filter(word => !STOP_WORDS.has(word));
+  const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+  features.forEach(feature => {
+    const digest = hash(feature);
+    const index = digest.readUInt16LE(0) % EMBEDDING_DIMENSIONS;
+    vector[index] += digest[2] & 1 ? 1 : -1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0)) || 1;
+  return vector.map(x => x / norm);
+}
+
+class FakeProvider {
+  constructor({ capability }) {
+    this.name = 'fake';
+    this.model = `fake-${capability}`;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async chat({ messages, purpose }) {
+    const prompt = lastUserMessage(messages);
+    const dream = quotedText(prompt);
+    const content = CANNED[purpose] ? CANNED[purpose](dream) : `Echo: ${dream}`;
+
+    return {
+      content,
+      model: this.model,
+      usage: {
+        prompt_tokens: Math.ceil(messages.reduce((n, m) => n + m.content.length, 0) / 4),
+        completion_tokens: Math.ceil(content.length / 4),
+      },
+    };
+  }
+
+  async *chatStream(options) {
+    const { content } = await this.chat(options);
+    // Word-sized chunks, like a real model streaming tokens
+    for (const token of content.match(/\S+\s*/g) || []) {
+      if (options.signal && options.signal.aborted) return;
+      yield token;
+    }
+  }
+
+  async generateImage({ prompt }) {
+    return { url: fakeImage(prompt), model: this.model };
+  }
+
+  async transcribe({ buffer }) {
+    const seed = hash(buffer.toString('base64'));
+    const transcripts = [
+      'I was flying over a quiet city at night and the streetlights turned into stars.',
+      'I was back at my old school looking for a classroom that kept moving.',
+      'I was swimming in a warm ocean with a whale that spoke in music.',
+    ];
+    return { text: transcripts[seed[0] % transcripts.length], model: this.model };
+  }
+
+  async embed({ input }) {
+    return {
+      embeddings: input.map(hashedEmbedding),
+      model: this.model,
+      usage: { prompt_tokens: Math.ceil(input.join('').length / 4) },
+    };
+  }
+
+  async speech({ text, speed = 1.0 }) {
+    // About 15 characters per second of speech
+    const seconds = Math.min(text.length / 15 / speed, 600);
+    return { audio: silentWav(seconds), contentType: 'audio/wav', model: this.model };
+  }
+}
+
+module.exports = { FakeProvider };
@@ -0,0 +1,93 @@
+// dream-log-backend/services/ai/index.js
+// Picks an AI provider per capability from the environment:
+//
+//   AI_PROVIDER=openai|fake              default for every capability
+//   AI_CHAT_PROVIDER, AI_IMAGE_PROVIDER,
+//   AI_TRANSCRIPTION_PROVIDER, AI_SPEECH_PROVIDER,
+//   AI_EMBEDDING_PROVIDER                per-capability override
+//   OPENAI_BASE_URL                      OpenAI-compatible server for all capabilities
+//   OPENAI_CHAT_BASE_URL, ...            per-capability base URL override
+//   OPENAI_CHAT_MODEL, OPENAI_IMAGE_MODEL,
+//   OPENAI_TRANSCRIPTION_MODEL, OPENAI_SPEECH_MODEL, OPENAI_EMBEDDING_MODEL
+
+const { OpenAIProvider } = require('./openai');
+const { FakeProvider } = require('./fake');
+
+const CAPABILITIES = ['chat', 'image', 'transcription', 'speech', 'embedding'];
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  fake: FakeProvider,
+};
+
+function capabilityEnv(capability, suffix) {
+  return process.env[`OPENAI_${capability.toUpperCase()}_${suffix}`];
+}
+
+function createProvider(capability) {
+  const name = (
+    process.env[`AI_${capability.toUpperCase()}_PROVIDER`] ||
+    process.env.AI_PROVIDER ||
+    'openai'
+  ).toLowerCase();
+
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown AI provider "${name}" for ${capability}. Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider({
+    capability,
+    apiKey: capabilityEnv(capability, 'API_KEY') || process.env.OPENAI_API_KEY,
+    baseURL: capabilityEnv(capability, 'BASE_URL') || process.env.OPENAI_BASE_URL,
+    model: capabilityEnv(capability, 'MODEL'),
+  });
+}
+
+const providers = {};
+
+function getProvider(capability) {
+  if (!CAPABILITIES.includes(capability)) {
+    throw new Error(`Unknown AI capability: ${capability}`);
+  }
+  if (!providers[capability]) {
+    providers[capability] = createProvider(capability);
+  }
+  return providers[capability];
+}
+
+function isConfigured(capability) {
+  return getProvider(capability).isConfigured();
+}
+
+// Summary for health checks and startup logs
+function describe() {
+  return CAPABILITIES.reduce((summary, capability) => {
+    const provider = getProvider(capability);
+    summary[capability] = {
+      provider: provider.name,
+      model: provider.model,
+      configured: provider.isConfigured(),
+    };
+    return summary;
+  }, {});
+}
+
+// Capabilities whose provider can't be used as configured (e.g. no API key)
+function unconfiguredCapabilities() {
+  return CAPABILITIES.filter(capability => !getProvider(capability).isConfigured());
+}
+
+module.exports = {
+  CAPABILITIES,
+  getProvider,
+  isConfigured,
+  describe,
+  unconfiguredCapabilities,
+  chat: options => getProvider('chat').chat(options),
+  chatStream: options => getProvider('chat').chatStream(options),
+  generateImage: options => getProvider('image').generateImage(options),
+  transcribe: options => getProvider('transcription').transcribe(options),
+  speech: options => getProvider('speech').speech(options),
+  embed: options => getProvider('embedding').embed(options),
+};
@@ -0,0 +1,225 @@
+// dream-log-backend/services/ai/openai.js
+// OpenAI (and OpenAI-compatible) implementation of the AI provider interface
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+const DEFAULT_MODELS = {
+  chat: 'gpt-4',
+  image: 'dall-e-3',
+  transcription: 'whisper-1',
+  speech: 'tts-1',
+  embedding: 'text-embedding-3-small',
+};
+
+// Utility function to make API calls with retries
+async function makeAPICall(url, options, retries = 3) {
+  for (let i = 0; i < retries; i++) {
+    try {
+      const response = await fetch(url, options);
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        const message = (error.error && error.error.message) || error.message;
+
+        // Don't retry on client errors (4xx)
+        if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+          const clientError = new Error(`API Error: ${response.status} - ${message || 'Client error'}`);
+          clientError.retryable = false;
+          throw clientError;
+        }
+
+        // Retry on server errors (5xx) or rate limits
+        if (i < retries - 1) {
+          const delay = Math.min(1000 * Math.pow(2, i), 10000); // Exponential backoff
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+
+        throw new Error(`API Error: ${response.status} - ${message || 'Unknown error'}`);
+      }
+
+      return response;
+    } catch (error) {
+      if (i === retries - 1 || error.retryable === false || error.name === 'AbortError') throw error;
+
+      // Network errors - retry
+      const delay = Math.min(1000 * Math.pow(2, i), 10000);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+class OpenAIProvider {
+  constructor({ apiKey, baseURL, model, capability }) {
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.baseURL = (baseURL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.model = model || DEFAULT_MODELS[capability];
+  }
+
+  // Compatible local servers usually don't need a key; api.openai.com does
+  isConfigured() {
+    return !!this.apiKey || this.baseURL !== DEFAULT_BASE_URL;
+  }
+
+  headers(json = true) {
+    return {
+      ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+      ...(json && { 'Content-Type': 'application/json' }),
+    };
+  }
+
+  async chat({ messages, maxTokens, temperature, signal }) {
+    const response = await makeAPICall(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify({
+        model: this.model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+      }),
+      signal,
+    });
+
+    const result = await response.json();
+    return {
+      content: result.choices[0].message.content,
+      model: result.model || this.model,
+      usage: result.usage || null,
+    };
+  }
+
+  // Yields content deltas as the model produces them
+  async *chatStream({ messages, maxTokens, temperature, signal }) {
+    const response = await makeAPICall(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify({
+        model: this.model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+      }),
+      signal,
+    });
+
+    const decoder = new TextDecoder();
+    let buffered = '';
+
+    for await (const chunk of response.body) {
+      buffered += decoder.decode(chunk, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const data = trimmed.slice(5).trim();
+        if (data === '[DONE]') return;
+
+        const event = JSON.parse(data);
+        const delta = event.choices && event.choices[0] && event.choices[0].delta;
+        if (delta && delta.content) {
+          yield delta.content;
+        }
+      }
+    }
+  }
+
+  async generateImage({ prompt, size = '1024x1024', quality = 'standard', signal }) {
+    const response = await makeAPICall(`${this.baseURL}/images/generations`, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify({
+        model: this.model,
+        prompt,
+        size,
+        quality,
+        n: 1,
+      }),
+      signal,
+    });
+
+    const result = await response.json();
+    return {
+      url: result.data[0].url || `data:image/png;base64,${result.data[0].b64_json}`,
+      model: this.model,
+    };
+  }
+
+  async transcribe({ buffer, mimetype, filename = 'audio.wav', language = 'en', signal }) {
+    const formData = new FormData();
+    formData.append('file', new Blob([buffer], { type: mimetype }), filename);
+    formData.append('model', this.model);
+    if (language) {
+      formData.append('language', language);
+    }
+
+    const response = await fetch(`${this.baseURL}/audio/transcriptions`, {
+      method: 'POST',
+      headers: this.headers(false),
+      body: formData,
+      signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Transcription failed: ${response.status}`);
+    }
+
+    const result = await response.json();
+    return { text: result.text, model: this.model };
+  }
+
+  // One vector per input string, in input order
+  async embed({ input, signal }) {
+    const response = await makeAPICall(`${this.baseURL}/embeddings`, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify({
+        model: this.model,
+        input,
+      }),
+      signal,
+    });
+
+    const result = await response.json();
+    return {
+      embeddings: result.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding),
+      model: result.model || this.model,
+      usage: result.usage || null,
+    };
+  }
+
+  async speech({ text, voice, speed, signal }) {
+    const response = await fetch(`${this.baseURL}/audio/speech`, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify({
+        model: this.model,
+        input: text,
+        voice,
+        speed,
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      console.error('OpenAI TTS error:', error);
+      throw new Error(`TTS failed: ${response.status}`);
+    }
+
+    return {
+      audio: Buffer.from(await response.arrayBuffer()),
+      contentType: 'audio/mpeg',
+      model: this.model,
+    };
+  }
+}
+
+module.exports = { OpenAIProvider, makeAPICall, DEFAULT_BASE_URL, DEFAULT_MODELS };
@@ -0,0 +1,195 @@
+// dream-log-backend/services/analysis.js
+
+const MAX_SYMBOLS = 10;
+const MAX_LABELS = 8;
+
+const ANALYSIS_SYSTEM_PROMPT = `You are a compassionate dream analyst with expertise in psychology and symbolism. Analyze the provided dream and offer insights into its potential meanings, symbols, and emotional significance.
+
+Guidelines:
+- Provide a thoughtful, empathetic analysis (200-300 words)
+- Identify key symbols and their possible meanings
+- Discuss potential emotional themes or life situations it might reflect
+- Offer constructive insights without being prescriptive
+- Use accessible language, avoiding excessive jargon
+- Be supportive and encouraging
+- Remember this is for self-reflection, not clinical diagnosis
+
+Respond with a single JSON object and nothing else, using exactly this shape:
+{
+  "summary": "one or two sentence overview of the dream's meaning",
+  "analysis": "the full 200-300 word analysis as plain prose",
+  "symbols": [{ "symbol": "short noun, e.g. water", "meaning": "what it may represent here" }],
+  "themes": [{ "name": "single lowercase word or short phrase", "confidence": 0.0 }],
+  "emotions": [{ "name": "single lowercase word", "confidence": 0.0 }]
+}
+Confidence is a number from 0 to 1. List at most ${MAX_SYMBOLS} symbols and ${MAX_LABELS} themes and emotions.`;
+
+// Added to the system prompt for every style but the default
+const ANALYSIS_STYLE_PROMPTS = {
+  balanced: null,
+  psychological: 'Take a modern psychological perspective: relate the dream to recent experiences, stress, relationships and emotional processing.',
+  jungian: 'Take a Jungian perspective: look for archetypes, the shadow, the anima or animus and the process of individuation.',
+  spiritual: 'Take a gentle spiritual perspective: treat the dream as a message for inner growth, intuition and meaning, without religious doctrine.',
+};
+
+// Used only when the model doesn't return parseable JSON
+const FALLBACK_EMOTIONS = ['happy', 'sad', 'anxious', 'peaceful', 'excited', 'fearful', 'content', 'frustrated'];
+const FALLBACK_THEMES = ['freedom', 'control', 'love', 'loss', 'growth', 'conflict', 'journey', 'transformation'];
+
+function nonEmptyString(value, maxLength = 2000) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+function normalizeLabels(list) {
+  if (!Array.isArray(list)) return [];
+
+  const seen = new Set();
+  return list
+    .map(item => {
+      const name = nonEmptyString(typeof item === 'string' ? item : item && item.name, 60);
+      if (!name) return null;
+
+      const raw = item && typeof item === 'object' ? Number(item.confidence) : NaN;
+      const confidence = Number.isFinite(raw) ? Math.max(0, Math.min(1, raw)) : null;
+
+      return { name: name.toLowerCase(), confidence };
+    })
+    .filter(label => label && !seen.has(label.name) && seen.add(label.name))
+    .sort((a, b) => (b.confidence ?? 0) - (a.confidence ?? 0))
+    .slice(0, MAX_LABELS);
+}
+
+function normalizeSymbols(list) {
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .map(item => {
+      const symbol = nonEmptyString(item && item.symbol, 80);
+      const meaning = nonEmptyString(item && item.meaning, 500);
+      return symbol && meaning ? { symbol: symbol.toLowerCase(), meaning } : null;
+    })
+    .filter(Boolean)
+    .slice(0, MAX_SYMBOLS);
+}
+
+// Models sometimes wrap JSON in a code fence or add a sentence around it
+function extractJson(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : content;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Returns the validated structure, or null if the content isn't usable JSON
+function parseStructuredAnalysis(content) {
+  const parsed = extractJson(content || '');
+  if (!parsed || typeof parsed !== 'object') return null;
+
+  const analysis = nonEmptyString(parsed.analysis, 10000);
+  const summary = nonEmptyString(parsed.summary, 1000);
+  if (!analysis || !summary) return null;
+
+  return {
+    summary,
+    analysis,
+    symbols: normalizeSymbols(parsed.symbols),
+    themes: normalizeLabels(parsed.themes),
+    emotions: normalizeLabels(parsed.emotions),
+  };
+}
+
+function matchKeywords(text, keywords) {
+  return keywords.filter(keyword => new RegExp(`\\b${keyword}\\b`, 'i').test(text));
+}
+
+// Turns a model response into the analysis we store and return. Falls back to
+// treating the response as prose, with whole-word keyword matching for tags.
+function buildAnalysisResult(content) {
+  const structured = parseStructuredAnalysis(content);
+
+  if (structured) {
+    return {
+      structured: true,
+      analysisText: structured.analysis,
+      summary: structured.summary,
+      symbols: structured.symbols,
+      themes: structured.themes,
+      emotions: structured.emotions,
+    };
+  }
+
+  const analysisText = (content || '').trim();
+  return {
+    structured: false,
+    analysisText,
+    summary: null,
+    symbols: [],
+    themes: matchKeywords(analysisText, FALLBACK_THEMES).map(name => ({ name, confidence: null })),
+    emotions: matchKeywords(analysisText, FALLBACK_EMOTIONS).map(name => ({ name, confidence: null })),
+  };
+}
+
+// `language` is a language name such as 'French', or null for English.
+// Theme and emotion names stay in English so stats and trends group them.
+function analysisChatOptions(dreamText, { style, language } = {}) {
+  let systemPrompt = ANALYSIS_SYSTEM_PROMPT;
+  if (ANALYSIS_STYLE_PROMPTS[style]) {
+    systemPrompt += `\n\nPerspective: ${ANALYSIS_STYLE_PROMPTS[style]}`;
+  }
+  if (language) {
+    systemPrompt += `\n\nWrite the summary, analysis and symbol meanings in ${language}. Keep the JSON keys, symbol names, theme names and emotion names in English.`;
+  }
+
+  return {
+    purpose: 'analysis',
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: `Please analyze this dream: "${dreamText}"` },
+    ],
+    maxTokens: 900,
+    temperature: 0.7,
+  };
+}
+
+// Shape returned to clients
+function toAnalysisResponse(result) {
+  return {
+    analysis: result.analysisText,
+    summary: result.summary,
+    symbols: result.symbols,
+    themes: result.themes.map(t => t.name),
+    emotions: result.emotions.map(e => e.name),
+    scores: { themes: result.themes, emotions: result.emotions },
+    structured: result.structured,
+  };
+}
+
+// Fields stored on DreamAnalysis
+function toAnalysisRecord(result) {
+  return {
+    analysisText: result.analysisText,
+    summary: result.summary,
+    symbols: result.symbols,
+    themes: result.themes.map(t => t.name),
+    emotions: result.emotions.map(e => e.name),
+    scores: { themes: result.themes, emotions: result.emotions },
+  };
+}
+
+module.exports = {
+  ANALYSIS_SYSTEM_PROMPT,
+  parseStructuredAnalysis,
+  buildAnalysisResult,
+  analysisChatOptions,
+  toAnalysisResponse,
+  toAnalysisRecord,
+};
@@ -0,0 +1,153 @@
+// dream-log-backend/services/archive.js
+// "Download my data": a zip of everything stored about a user, built by the
+// export-account-data job and kept in storage for DATA_EXPORT_TTL_DAYS.
+// Unlike the journal export it includes trashed dreams, revisions, circles,
+// reminders, devices, usage records and the stored media files themselves.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const archiver = require('archiver');
+const db = require('./database');
+const { getStorage } = require('./storage');
+const { deleteStoredFile } = require('./media');
+const { toExportRecord } = require('./export');
+
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_TTL_DAYS = parseInt(process.env.DATA_EXPORT_TTL_DAYS) || 7;
+const EXPIRE_BATCH_SIZE = 100;
+
+function archiveExpiresAt(createdAt) {
+  return new Date(createdAt.getTime() + ARCHIVE_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function json(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+// Adds one entry and waits for archiver to take it, so media streams are
+// opened one at a time
+async function appendEntry(archive, source, options) {
+  const processed = once(archive, 'entry');
+  archive.append(source, options);
+  await processed;
+}
+
+// The zip is written to a temporary file and uploaded from there, so media
+// never has to fit in memory
+async function buildAccountArchive(userId) {
+  const records = await db.getAccountRecords(userId);
+  const tempPath = path.join(os.tmpdir(), `dream-log-export-${crypto.randomUUID()}.zip`);
+  const output = fs.createWriteStream(tempPath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const written = once(output, 'close');
+  archive.pipe(output);
+
+  try {
+    const dreams = [];
+    const mediaKeys = new Set();
+
+    for await (const dream of db.streamAccountDreams(userId)) {
+      dreams.push({ ...toExportRecord(dream), deletedAt: dream.deletedAt });
+      dream.images.forEach(image => mediaKeys.add(image.storageKey));
+      mediaKeys.add(dream.audioStorageKey);
+    }
+    records.revisions.forEach(revision => {
+      revision.imageKeys.forEach(key => mediaKeys.add(key));
+    });
+    records.jobs.forEach(job => {
+      if (job.type === 'text-to-speech' && job.result) mediaKeys.add(job.result.audioKey);
+    });
+    mediaKeys.delete(null);
+    mediaKeys.delete(undefined);
+
+    const files = {
+      'account.json': records.user,
+      'dreams.json': dreams,
+      'revisions.json': records.revisions,
+      'symbols.json': records.symbols,
+      'embeddings.json': records.embeddings,
+      'circles.json': records.circles,
+      'share-links.json': records.shareLinks,
+      'reminders.json': records.reminders,
+      'devices.json': records.devices,
+      'jobs.json': records.jobs,
+      'ai-usage.json': records.aiUsage,
+    };
+
+    for (const [name, value] of Object.entries(files)) {
+      await appendEntry(archive, json(value), { name });
+    }
+
+    const missingMedia = [];
+    for (const key of mediaKeys) {
+      const file = await getStorage().get(key);
+      if (!file) {
+        missingMedia.push(key);
+        continue;
+      }
+      // Images and audio are already compressed
+      await appendEntry(archive, file.stream, { name: `media/${key}`, store: true });
+    }
+
+    await appendEntry(archive, json({
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      userId,
+      files: Object.keys(files),
+      counts: {
+        dreams: dreams.length,
+        revisions: records.revisions.length,
+        media: mediaKeys.size - missingMedia.length,
+      },
+      missingMedia,
+    }), { name: 'manifest.json' });
+
+    await archive.finalize();
+    await written;
+
+    const key = `exports/${crypto.randomUUID()}.zip`;
+    const { size } = await getStorage().putFile(key, tempPath, 'application/zip');
+
+    return {
+      archiveKey: key,
+      size,
+      dreams: dreams.length,
+      media: mediaKeys.size - missingMedia.length,
+      expiresAt: archiveExpiresAt(new Date()),
+    };
+  } catch (error) {
+    archive.abort();
+    output.destroy();
+    throw error;
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+}
+
+// Deletes archives older than the TTL and marks their jobs expired
+async function expireDataArchives(now = new Date()) {
+  const completedBefore = new Date(now.getTime() - ARCHIVE_TTL_DAYS * 24 * 60 * 60 * 1000);
+  let expired = 0;
+
+  for (;;) {
+    const jobs = await db.findDataArchiveJobs({ completedBefore, take: EXPIRE_BATCH_SIZE });
+    for (const job of jobs) {
+      await deleteStoredFile(job.result.archiveKey);
+      await db.expireDataArchive(job.id, job.result);
+      expired++;
+    }
+    if (jobs.length < EXPIRE_BATCH_SIZE) break;
+  }
+
+  return expired;
+}
+
+module.exports = {
+  ARCHIVE_TTL_DAYS,
+  archiveExpiresAt,
+  buildAccountArchive,
+  expireDataArchives,
+};
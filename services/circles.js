@@ -0,0 +1,302 @@
+// dream-log-backend/services/circles.js
+// Dream circles: private groups whose members share dreams, comment in
+// threads and react. Everything a circle shows is gated on membership, and a
+// dream only appears while its owner keeps it shared to the circle and out
+// of the trash. Circle sharing is independent of isPrivate, which only
+// governs public share links.
+//
+//   owner   one per circle; everything an admin can do, plus roles,
+//           ownership transfer and deleting the circle
+//   admin   invites, removes members, removes shared dreams and comments
+//   member  shares their own dreams, comments and reacts
+
+const db = require('./database');
+
+const ROLES = ['owner', 'admin', 'member'];
+const ROLE_RANK = { owner: 3, admin: 2, member: 1 };
+const INVITE_ROLES = ['admin', 'member'];
+const REACTIONS = ['heart', 'wow', 'insightful', 'relatable', 'spooky', 'hug'];
+
+const MAX_MEMBERS = 50;
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_COMMENT_LENGTH = 2000;
+const INVITE_TTL_DAYS = 14;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Error messages thrown by this module and the circle database methods, and
+// the status each maps to
+const CIRCLE_ERRORS = {
+  'Circle not found': 404,
+  'Dream not found': 404,
+  'Member not found': 404,
+  'Invite not found': 404,
+  'Comment not found': 404,
+  'Parent comment not found': 404,
+  'Invalid cursor': 400,
+  'Not allowed': 403,
+  'Circle is full': 409,
+  'Already a member': 409,
+  'The owner can\'t leave the circle. Transfer ownership or delete it.': 409,
+};
+
+function hasRole(membership, minimumRole) {
+  return Boolean(membership) && ROLE_RANK[membership.role] >= ROLE_RANK[minimumRole];
+}
+
+// The user's membership of the circle. Non-members get 'Circle not found'
+// so circle ids can't be probed.
+async function requireMember(circleId, userId, minimumRole = 'member') {
+  const membership = await db.getCircleMembership(circleId, userId);
+  if (!membership) {
+    throw new Error('Circle not found');
+  }
+  if (!hasRole(membership, minimumRole)) {
+    throw new Error('Not allowed');
+  }
+  return membership;
+}
+
+// Validates a create (partial = false) or update (partial = true) body.
+// Throws with a message suitable for a 400.
+function toCircleData(body, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > MAX_NAME_LENGTH) {
+      throw new Error(`name is required and must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    data.name = body.name.trim();
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH)) {
+      throw new Error(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    data.description = body.description ? body.description.trim() : null;
+  }
+
+  return data;
+}
+
+function toInviteData(body) {
+  const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+  if (!EMAIL_PATTERN.test(email)) {
+    throw new Error('A valid email is required');
+  }
+
+  const role = body.role || 'member';
+  if (!INVITE_ROLES.includes(role)) {
+    throw new Error(`role must be one of: ${INVITE_ROLES.join(', ')}`);
+  }
+
+  return {
+    email,
+    role,
+    expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+  };
+}
+
+function toCommentBody(body) {
+  if (typeof body !== 'string' || !body.trim()) {
+    throw new Error('Comment body is required');
+  }
+  if (body.length > MAX_COMMENT_LENGTH) {
+    throw new Error(`Comments must be at most ${MAX_COMMENT_LENGTH} characters`);
+  }
+  return body.trim();
+}
+
+function toPublicUser(user) {
+  return { id: user.id, displayName: user.displayName, photoURL: user.photoURL };
+}
+
+// What circle members see of a shared dream: an explicit allowlist, so audio,
+// analyses and new dream fields stay with the owner
+function toCircleDream(circleDream, reactions = { counts: {}, mine: [] }) {
+  const { dream } = circleDream;
+
+  return {
+    dreamId: dream.id,
+    sharedAt: circleDream.createdAt,
+    author: toPublicUser(dream.user),
+    title: dream.title,
+    dreamText: dream.dreamText,
+    story: dream.story,
+    storyTone: dream.storyTone,
+    date: dream.date,
+    mood: dream.mood,
+    lucidity: dream.lucidity,
+    tags: dream.tags,
+    images: dream.images.map(image => ({
+      url: image.url,
+      scene: image.scene,
+      description: image.description,
+    })),
+    commentCount: circleDream._count ? circleDream._count.comments : undefined,
+    reactions,
+  };
+}
+
+// Nests a flat, oldest-first comment list into threads. Deleted comments
+// keep their place in the thread but lose their body and author.
+function buildCommentThreads(comments) {
+  const byId = new Map();
+  const roots = [];
+
+  comments.forEach(comment => {
+    byId.set(comment.id, {
+      id: comment.id,
+      parentId: comment.parentId,
+      author: comment.deletedAt ? null : toPublicUser(comment.user),
+      body: comment.deletedAt ? null : comment.body,
+      deleted: Boolean(comment.deletedAt),
+      edited: !comment.deletedAt && comment.updatedAt - comment.createdAt > 1000,
+      createdAt: comment.createdAt,
+      replies: [],
+    });
+  });
+
+  byId.forEach(comment => {
+    const parent = comment.parentId && byId.get(comment.parentId);
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      roots.push(comment);
+    }
+  });
+
+  return roots;
+}
+
+// `data` as returned by toInviteData
+async function inviteMember(circleId, invitedById, data) {
+  if (await db.countCircleMembers(circleId) >= MAX_MEMBERS) {
+    throw new Error('Circle is full');
+  }
+  if (await db.isCircleMemberByEmail(circleId, data.email)) {
+    throw new Error('Already a member');
+  }
+
+  return await db.createCircleInvite(circleId, invitedById, data);
+}
+
+async function acceptInvite(inviteId, user) {
+  const invite = await db.getPendingInvite(inviteId, user.email.toLowerCase());
+  if (!invite) {
+    throw new Error('Invite not found');
+  }
+  if (await db.countCircleMembers(invite.circleId) >= MAX_MEMBERS) {
+    throw new Error('Circle is full');
+  }
+
+  return await db.acceptCircleInvite(invite, user.id);
+}
+
+// `actor` is the membership of the user making the change; `role` is one of ROLES
+async function changeMemberRole(circleId, actor, targetUserId, role) {
+  if (actor.role !== 'owner' || targetUserId === actor.userId) {
+    throw new Error('Not allowed');
+  }
+
+  const target = await db.getCircleMembership(circleId, targetUserId);
+  if (!target) {
+    throw new Error('Member not found');
+  }
+
+  if (role === 'owner') {
+    await db.transferCircleOwnership(circleId, actor.userId, targetUserId);
+  } else {
+    await db.updateCircleMemberRole(circleId, targetUserId, role);
+  }
+}
+
+// Members can leave; admins can remove members, and the owner can remove anyone
+async function removeMember(circleId, actor, targetUserId) {
+  if (targetUserId === actor.userId) {
+    if (actor.role === 'owner') {
+      throw new Error('The owner can\'t leave the circle. Transfer ownership or delete it.');
+    }
+  } else {
+    const target = await db.getCircleMembership(circleId, targetUserId);
+    if (!target) {
+      throw new Error('Member not found');
+    }
+    if (ROLE_RANK[actor.role] <= ROLE_RANK[target.role]) {
+      throw new Error('Not allowed');
+    }
+  }
+
+  await db.removeCircleMember(circleId, targetUserId);
+}
+
+async function getFeed(circleId, userId, options) {
+  const { items, nextCursor } = await db.getCircleFeed(circleId, options);
+  const reactions = await db.getCircleReactionSummary(items.map(item => item.id), userId);
+
+  return {
+    dreams: items.map(item => toCircleDream(item, reactions[item.id])),
+    nextCursor,
+  };
+}
+
+async function getSharedDream(circleId, dreamId, userId) {
+  const circleDream = await db.getCircleDream(circleId, dreamId);
+  if (!circleDream) {
+    throw new Error('Dream not found');
+  }
+
+  const [reactions, comments] = await Promise.all([
+    db.getCircleReactionSummary([circleDream.id], userId),
+    db.getCircleComments(circleDream.id),
+  ]);
+
+  return {
+    ...toCircleDream(circleDream, reactions[circleDream.id]),
+    commentCount: comments.filter(comment => !comment.deletedAt).length,
+    comments: buildCommentThreads(comments),
+  };
+}
+
+// Dream owners can take their dream out of a circle; admins can remove any
+async function unshareDream(circleId, dreamId, membership) {
+  if (!hasRole(membership, 'admin')) {
+    await db.assertDreamOwner(dreamId, membership.userId);
+  }
+  await db.unshareDreamFromCircle(circleId, dreamId);
+}
+
+// Comment authors can edit and delete their comments; admins can delete any
+async function getEditableComment(circleDreamId, commentId, membership, action) {
+  const comment = await db.getCircleComment(commentId, circleDreamId);
+  if (!comment || comment.deletedAt) {
+    throw new Error('Comment not found');
+  }
+
+  const isAuthor = comment.userId === membership.userId;
+  if (!isAuthor && !(action === 'delete' && hasRole(membership, 'admin'))) {
+    throw new Error('Not allowed');
+  }
+  return comment;
+}
+
+module.exports = {
+  ROLES,
+  REACTIONS,
+  CIRCLE_ERRORS,
+  requireMember,
+  toCircleData,
+  toInviteData,
+  toCommentBody,
+  toPublicUser,
+  buildCommentThreads,
+  inviteMember,
+  acceptInvite,
+  changeMemberRole,
+  removeMember,
+  getFeed,
+  getSharedDream,
+  unshareDream,
+  getEditableComment,
+};
@@ -0,0 +1,43 @@
+// dream-log-backend/services/cursors.js
+// Keyset pagination cursors for the dream list and circle feeds.
+
+// Cursors are opaque to clients: base64url JSON of the sort field, its value
+// and the row id used as a tie-breaker
+function encodeCursor(row, orderBy) {
+  const payload = { f: orderBy, v: row[orderBy].toISOString(), id: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, orderBy) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  // Valid JSON can still be null, a number or a string
+  if (!payload || typeof payload !== 'object') {
+    throw new Error('Invalid cursor');
+  }
+
+  const value = new Date(payload.v);
+  if (payload.f !== orderBy || typeof payload.id !== 'string' || isNaN(value.getTime())) {
+    throw new Error('Invalid cursor');
+  }
+
+  return { value, id: payload.id };
+}
+
+// Rows strictly after the cursor position when sorted by (orderBy, id) in `direction`
+function cursorCondition({ value, id }, orderBy, direction) {
+  const op = direction === 'desc' ? 'lt' : 'gt';
+  return {
+    OR: [
+      { [orderBy]: { [op]: value } },
+      { [orderBy]: value, id: { [op]: id } },
+    ],
+  };
+}
+
+module.exports = { encodeCursor, decodeCursor, cursorCondition };
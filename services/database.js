@@ -1,15 +1,75 @@
 // dream-log-backend/services/database.js
 
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { keyFromUrl } = require('./storage');
+const { extractDreamSymbols, INTERVALS } = require('./symbols');
+const { revisionSnapshot, diffSnapshots } = require('./revisions');
+const { encodeCursor, decodeCursor, cursorCondition } = require('./cursors');
 const prisma = new PrismaClient();
 
+// Columns the dream list may be sorted by. All are non-null, which keeps
+// cursor comparisons simple.
+const DREAM_SORT_FIELDS = ['createdAt', 'updatedAt', 'date'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+// ts_headline marks matches with these private-use characters rather than
+// <mark>, so the user's text can be HTML-escaped before the tags go in
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_STOP = '\uE001';
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function toHighlightHtml(headline) {
+  if (!headline) return null;
+  return headline
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .replaceAll(HIGHLIGHT_START, '<mark>')
+    .replaceAll(HIGHLIGHT_STOP, '</mark>');
+}
+
+function buildDreamCreateData(userId, dreamData) {
+  const { images, analyses, ...mainData } = dreamData;
+
+  return {
+    userId,
+    ...mainData,
+    images: images ? {
+      create: images.map(img => ({
+        url: img.url,
+        storageKey: keyFromUrl(img.url),
+        scene: img.scene,
+        description: img.description,
+        prompt: img.prompt,
+      })),
+    } : undefined,
+    analyses: analyses && analyses.length > 0 ? {
+      create: analyses.map(analysis => ({
+        userId,
+        analysisText: analysis.analysisText,
+        summary: analysis.summary,
+        symbols: analysis.symbols,
+        themes: analysis.themes || [],
+        emotions: analysis.emotions || [],
+        scores: analysis.scores,
+        ...(analysis.createdAt && { createdAt: analysis.createdAt }),
+      })),
+    } : undefined,
+  };
+}
+
 class DatabaseService {
   constructor() {
     this.prisma = prisma;
   }
 
   // User operations
+  // Throws 'Account deleted' for a uid whose account was just deleted, so a
+  // token issued before the deletion can't bring it back
   async findOrCreateUser(firebaseUser) {
+    const exists = await this.prisma.user.count({ where: { firebaseUid: firebaseUser.uid } });
+    if (!exists && await this.prisma.deletedAccount.count({ where: { firebaseUid: firebaseUser.uid } })) {
+      throw new Error('Account deleted');
+    }
+
     return await this.prisma.user.upsert({
       where: { firebaseUid: firebaseUser.uid },
       update: {
@@ -31,6 +91,7 @@ class DatabaseService {
       where: { id: userId },
       include: {
         dreams: {
+          where: { deletedAt: null },
           orderBy: { createdAt: 'desc' },
           take: 10,
         },
@@ -38,46 +99,500 @@ class DatabaseService {
     });
   }
 
-  // Dream operations
-  async createDream(userId, dreamData) {
-    const { images, ...mainData } = dreamData;
-    
-    return await this.prisma.dream.create({
+  async updateUserProfile(userId, data) {
+    return await this.prisma.user.update({
+      where: { id: userId },
+      data,
+    });
+  }
+
+  // Account deletion (see services/account)
+  async setAccountDeletionToken(userId, tokenHash, expiresAt) {
+    await this.prisma.user.update({
+      where: { id: userId },
+      data: { deletionTokenHash: tokenHash, deletionTokenExpiresAt: expiresAt },
+    });
+  }
+
+  async getAccountDeletion(userId) {
+    return await this.prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        deletionTokenHash: true,
+        deletionTokenExpiresAt: true,
+        deletionRequestedAt: true,
+        deletionScheduledAt: true,
+      },
+    });
+  }
+
+  // Uses up the confirmation token
+  async scheduleAccountDeletion(userId, scheduledAt) {
+    return await this.prisma.user.update({
+      where: { id: userId },
       data: {
-        userId,
-        ...mainData,
-        images: images ? {
-          create: images.map(img => ({
-            url: img.url,
-            scene: img.scene,
-            description: img.description,
-            prompt: img.prompt,
-          })),
-        } : undefined,
+        deletionTokenHash: null,
+        deletionTokenExpiresAt: null,
+        deletionRequestedAt: new Date(),
+        deletionScheduledAt: scheduledAt,
+      },
+      select: { deletionRequestedAt: true, deletionScheduledAt: true },
+    });
+  }
+
+  async cancelAccountDeletion(userId) {
+    const { count } = await this.prisma.user.updateMany({
+      where: { id: userId, deletionScheduledAt: { not: null } },
+      data: {
+        deletionTokenHash: null,
+        deletionTokenExpiresAt: null,
+        deletionRequestedAt: null,
+        deletionScheduledAt: null,
+      },
+    });
+    return count > 0;
+  }
+
+  async findAccountsDueForDeletion(now, take = 20) {
+    return await this.prisma.user.findMany({
+      where: { deletionScheduledAt: { lte: now } },
+      orderBy: { deletionScheduledAt: 'asc' },
+      take,
+      select: { id: true, firebaseUid: true },
+    });
+  }
+
+  // Circles the user owns pass to their longest-standing admin, or failing
+  // that their longest-standing member. Circles nobody else is in are deleted.
+  async handOverOwnedCircles(userId) {
+    const owned = await this.prisma.circleMember.findMany({
+      where: { userId, role: 'owner' },
+      select: { circleId: true },
+    });
+
+    for (const { circleId } of owned) {
+      const successor = await this.prisma.circleMember.findFirst({
+        where: { circleId, userId: { not: userId } },
+        // 'admin' sorts before 'member'
+        orderBy: [{ role: 'asc' }, { joinedAt: 'asc' }],
+      });
+
+      if (successor) {
+        await this.updateCircleMemberRole(circleId, successor.userId, 'owner');
+      } else {
+        await this.deleteCircle(circleId);
+      }
+    }
+  }
+
+  // Every stored file that belongs to the user. Images go through
+  // releaseImages, since the same image can be saved on more than one dream.
+  async getAccountStorageKeys(userId) {
+    const [images, revisions, dreams, jobs] = await Promise.all([
+      this.prisma.dreamImage.findMany({
+        where: { dream: { userId }, storageKey: { not: null } },
+        select: { storageKey: true },
+      }),
+      this.prisma.dreamRevision.findMany({
+        where: { userId },
+        select: { imageKeys: true },
+      }),
+      this.prisma.dream.findMany({
+        where: { userId, audioStorageKey: { not: null } },
+        select: { audioStorageKey: true },
+      }),
+      this.prisma.job.findMany({
+        where: { userId, status: 'completed' },
+        select: { result: true },
+      }),
+    ]);
+
+    return {
+      imageKeys: [
+        ...images.map(image => image.storageKey),
+        ...revisions.flatMap(revision => revision.imageKeys),
+      ],
+      fileKeys: [
+        ...dreams.map(dream => dream.audioStorageKey),
+        ...jobs.flatMap(job => job.result ? [job.result.audioKey, job.result.archiveKey] : []),
+      ].filter(Boolean),
+    };
+  }
+
+  // Deletes the user and, through the cascade, everything they own, and
+  // leaves a tombstone for their Firebase uid. Other people's replies to their
+  // circle comments move up to the nearest surviving comment instead of being
+  // deleted with them.
+  async deleteUser(userId, firebaseUid) {
+    await this.prisma.$transaction(async (tx) => {
+      let moved;
+      do {
+        moved = await tx.$executeRaw`
+          UPDATE "CircleComment" AS reply
+          SET "parentId" = parent."parentId"
+          FROM "CircleComment" AS parent
+          WHERE reply."parentId" = parent.id
+            AND parent."userId" = ${userId}
+            AND reply."userId" <> ${userId}
+        `;
+      } while (moved > 0);
+
+      await tx.user.delete({ where: { id: userId } });
+      await tx.deletedAccount.upsert({
+        where: { firebaseUid },
+        create: { firebaseUid },
+        update: { deletedAt: new Date() },
+      });
+    });
+  }
+
+  async pruneDeletedAccounts(deletedBefore) {
+    const { count } = await this.prisma.deletedAccount.deleteMany({
+      where: { deletedAt: { lt: deletedBefore } },
+    });
+    return count;
+  }
+
+  // Personal data archive (see services/archive). Dreams are streamed
+  // separately by streamAccountDreams.
+  async getAccountRecords(userId) {
+    const user = await this.prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        firebaseUid: true,
+        email: true,
+        displayName: true,
+        photoURL: true,
+        plan: true,
+        timezone: true,
+        language: true,
+        storyTone: true,
+        storyLength: true,
+        ttsVoice: true,
+        ttsSpeed: true,
+        analysisStyle: true,
+        createdAt: true,
+        updatedAt: true,
+        deletionRequestedAt: true,
+        deletionScheduledAt: true,
+      },
+    });
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const [
+      revisions,
+      symbols,
+      embeddings,
+      jobs,
+      aiUsage,
+      devices,
+      reminders,
+      shareLinks,
+      circleMemberships,
+      circleInvitesSent,
+      circleInvitesReceived,
+      circleDreams,
+      circleComments,
+      circleReactions,
+    ] = await Promise.all([
+      this.prisma.dreamRevision.findMany({
+        where: { userId },
+        orderBy: [{ dreamId: 'asc' }, { revision: 'asc' }],
+        select: { dreamId: true, revision: true, source: true, snapshot: true, changes: true, imageKeys: true, createdAt: true },
+      }),
+      this.prisma.dreamSymbol.findMany({
+        where: { userId },
+        orderBy: [{ dreamId: 'asc' }, { symbol: 'asc' }],
+        select: { dreamId: true, symbol: true, meaning: true, source: true, dreamDate: true, createdAt: true },
+      }),
+      this.prisma.dreamEmbedding.findMany({
+        where: { userId },
+        select: { dreamId: true, model: true, dimensions: true, vector: true, createdAt: true, updatedAt: true },
+      }),
+      this.prisma.job.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'asc' },
+        select: {
+          id: true,
+          type: true,
+          status: true,
+          dreamId: true,
+          payload: true,
+          result: true,
+          error: true,
+          attempts: true,
+          createdAt: true,
+          completedAt: true,
+        },
+      }),
+      this.prisma.aiUsage.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'asc' },
+        select: {
+          endpoint: true,
+          capability: true,
+          provider: true,
+          model: true,
+          promptTokens: true,
+          completionTokens: true,
+          images: true,
+          characters: true,
+          audioSeconds: true,
+          estimatedCost: true,
+          createdAt: true,
+        },
+      }),
+      this.prisma.deviceToken.findMany({
+        where: { userId },
+        select: { token: true, platform: true, createdAt: true, lastSeenAt: true },
+      }),
+      this.prisma.reminder.findMany({
+        where: { userId },
+        select: {
+          id: true,
+          type: true,
+          time: true,
+          days: true,
+          timezone: true,
+          enabled: true,
+          nextRunAt: true,
+          lastRunAt: true,
+          createdAt: true,
+          updatedAt: true,
+        },
+      }),
+      this.prisma.shareLink.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'asc' },
+        select: {
+          id: true,
+          dreamId: true,
+          token: true,
+          includeDreamText: true,
+          includeAnalysis: true,
+          expiresAt: true,
+          revokedAt: true,
+          viewCount: true,
+          lastViewedAt: true,
+          createdAt: true,
+        },
+      }),
+      this.prisma.circleMember.findMany({
+        where: { userId },
+        select: {
+          role: true,
+          joinedAt: true,
+          circle: { select: { id: true, name: true, description: true, createdAt: true } },
+        },
+      }),
+      this.prisma.circleInvite.findMany({
+        where: { invitedById: userId },
+        select: {
+          circleId: true,
+          email: true,
+          role: true,
+          status: true,
+          expiresAt: true,
+          respondedAt: true,
+          createdAt: true,
+        },
+      }),
+      this.prisma.circleInvite.findMany({
+        where: { email: user.email.toLowerCase() },
+        select: {
+          circleId: true,
+          role: true,
+          status: true,
+          expiresAt: true,
+          respondedAt: true,
+          createdAt: true,
+        },
+      }),
+      this.prisma.circleDream.findMany({
+        where: { dream: { userId } },
+        select: { circleId: true, dreamId: true, createdAt: true },
+      }),
+      this.prisma.circleComment.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'asc' },
+        select: {
+          id: true,
+          parentId: true,
+          body: true,
+          createdAt: true,
+          updatedAt: true,
+          deletedAt: true,
+          circleDream: { select: { circleId: true, dreamId: true } },
+        },
+      }),
+      this.prisma.circleReaction.findMany({
+        where: { userId },
+        select: {
+          type: true,
+          createdAt: true,
+          circleDream: { select: { circleId: true, dreamId: true } },
+        },
+      }),
+    ]);
+
+    return {
+      user,
+      revisions,
+      symbols,
+      embeddings,
+      jobs,
+      aiUsage,
+      devices,
+      reminders,
+      shareLinks,
+      circles: {
+        memberships: circleMemberships,
+        invitesSent: circleInvitesSent,
+        invitesReceived: circleInvitesReceived,
+        sharedDreams: circleDreams,
+        comments: circleComments,
+        reactions: circleReactions,
       },
+    };
+  }
+
+  // Every dream including trashed ones, in id order, with images and analyses
+  async *streamAccountDreams(userId, batchSize = 50) {
+    let cursor;
+
+    for (;;) {
+      const dreams = await this.prisma.dream.findMany({
+        where: { userId },
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+        include: {
+          images: true,
+          analyses: { orderBy: { createdAt: 'asc' } },
+        },
+      });
+
+      for (const dream of dreams) {
+        yield dream;
+      }
+
+      if (dreams.length < batchSize) return;
+      cursor = dreams[dreams.length - 1].id;
+    }
+  }
+
+  // Dream operations
+  async createDream(userId, dreamData) {
+    const dream = await this.prisma.dream.create({
+      data: buildDreamCreateData(userId, dreamData),
       include: {
         images: true,
         analyses: true,
       },
     });
+    await this.indexDreamSymbols([dream.id]);
+    return dream;
+  }
+
+  // Creates many dreams (with images and analyses) atomically
+  async createDreams(userId, dreamsData) {
+    const dreams = await this.prisma.$transaction(
+      dreamsData.map(dreamData => this.prisma.dream.create({
+        data: buildDreamCreateData(userId, dreamData),
+        select: {
+          id: true,
+          title: true,
+          date: true,
+        },
+      }))
+    );
+    await this.indexDreamSymbols(dreams.map(dream => dream.id));
+    return dreams;
+  }
+
+  // Idempotently creates guest dreams keyed by their client-side IDs.
+  // Returns one entry per item: the server id and whether it already existed.
+  async syncGuestDreams(userId, items) {
+    const existing = await this.prisma.dream.findMany({
+      where: {
+        userId,
+        clientId: { in: items.map(item => item.clientId) },
+      },
+      select: {
+        id: true,
+        clientId: true,
+      },
+    });
+    const existingIds = new Map(existing.map(dream => [dream.clientId, dream.id]));
+
+    const results = [];
+    for (const { clientId, data } of items) {
+      if (existingIds.has(clientId)) {
+        results.push({ clientId, id: existingIds.get(clientId), status: 'existing' });
+        continue;
+      }
+
+      // Upsert so a concurrent retry of the same batch can't create a duplicate
+      const dream = await this.prisma.dream.upsert({
+        where: { userId_clientId: { userId, clientId } },
+        update: {},
+        create: buildDreamCreateData(userId, { ...data, clientId }),
+        select: { id: true },
+      });
+      existingIds.set(clientId, dream.id);
+      results.push({ clientId, id: dream.id, status: 'created' });
+    }
+
+    await this.indexDreamSymbols(results.filter(r => r.status === 'created').map(r => r.id));
+    return results;
+  }
+
+  async getDreamsInDateRange(userId, startDate, endDate) {
+    return await this.prisma.dream.findMany({
+      where: {
+        userId,
+        deletedAt: null,
+        date: { gte: startDate, lte: endDate },
+      },
+      select: {
+        id: true,
+        date: true,
+        dreamText: true,
+      },
+    });
   }
 
   async getDreamsByUser(userId, options = {}) {
     const {
-      skip = 0,
+      skip,
       take = 20,
       orderBy = 'createdAt',
       order = 'desc',
+      after,
+      before,
+      includeTotal = false,
       search,
       tags,
       startDate,
       endDate,
       mood,
       favoritesOnly = false,  // NEW PARAMETER
+      includeAnalyses = false,
     } = options;
 
-    const where = {
+    if (!DREAM_SORT_FIELDS.includes(orderBy)) {
+      throw new Error('Invalid orderBy');
+    }
+    if (!SORT_ORDERS.includes(order)) {
+      throw new Error('Invalid order');
+    }
+
+    const filters = {
       userId,
+      deletedAt: null,
       ...(favoritesOnly && { isFavorite: true }),  // NEW FILTER
       ...(search && {
         OR: [
@@ -89,45 +604,100 @@ class DatabaseService {
       ...(tags && tags.length > 0 && {
         tags: { hasSome: tags },
       }),
-      ...(startDate && {
-        date: { gte: new Date(startDate) },
-      }),
-      ...(endDate && {
-        date: { lte: new Date(endDate) },
+      ...((startDate || endDate) && {
+        date: {
+          ...(startDate && { gte: new Date(startDate) }),
+          ...(endDate && { lte: new Date(endDate) }),
+        },
       }),
       ...(mood && {
         mood: mood,
       }),
     };
 
-    const [dreams, total] = await Promise.all([
+    // Keyset pagination: walk forward from `after`, or backward from `before`
+    // by flipping the sort and reversing the page afterwards
+    const cursor = after || before;
+    const backwards = !!before;
+    const direction = backwards ? (order === 'desc' ? 'asc' : 'desc') : order;
+
+    const where = cursor
+      ? { AND: [filters, cursorCondition(decodeCursor(cursor, orderBy), orderBy, direction)] }
+      : filters;
+
+    const [rows, total] = await Promise.all([
       this.prisma.dream.findMany({
         where,
-        skip,
-        take,
-        orderBy: { [orderBy]: order },
+        ...(!cursor && skip && { skip }),
+        take: take + 1,
+        orderBy: [{ [orderBy]: direction }, { id: direction }],
         include: {
           images: true,
+          ...(includeAnalyses && {
+            analyses: {
+              orderBy: { createdAt: 'asc' },
+            },
+          }),
           _count: {
             select: { analyses: true },
           },
         },
       }),
-      this.prisma.dream.count({ where }),
+      includeTotal ? this.prisma.dream.count({ where: filters }) : undefined,
     ]);
 
+    const hasExtra = rows.length > take;
+    const dreams = hasExtra ? rows.slice(0, take) : rows;
+    if (backwards) {
+      dreams.reverse();
+    }
+
+    const first = dreams[0];
+    const last = dreams[dreams.length - 1];
+
+    // Going forward there is a previous page whenever we started from a cursor
+    // or an offset; going backwards the `before` cursor itself is the next page
+    const hasNext = backwards ? true : hasExtra;
+    const hasPrev = backwards ? hasExtra : !!(cursor || skip);
+
     return {
       dreams,
-      total,
-      hasMore: skip + take < total,
+      ...(includeTotal && { total }),
+      hasMore: hasNext,
+      nextCursor: hasNext && last ? encodeCursor(last, orderBy) : null,
+      prevCursor: hasPrev && first ? encodeCursor(first, orderBy) : null,
     };
   }
 
+  // Yields every dream for a user one page at a time, oldest first, so
+  // exports never hold a whole journal in memory
+  async *streamDreamsByUser(userId, options = {}) {
+    const { batchSize = 50, includeAnalyses = true } = options;
+    let after;
+
+    do {
+      const page = await this.getDreamsByUser(userId, {
+        take: batchSize,
+        orderBy: 'date',
+        order: 'asc',
+        after,
+        includeAnalyses,
+      });
+
+      for (const dream of page.dreams) {
+        yield dream;
+      }
+
+      after = page.nextCursor;
+    } while (after);
+  }
+
   async getDreamById(dreamId, userId) {
     return await this.prisma.dream.findFirst({
       where: {
         id: dreamId,
         userId,
+        deletedAt: null,
       },
       include: {
         images: true,
@@ -138,40 +708,146 @@ class DatabaseService {
     });
   }
 
-  async updateDream(dreamId, userId, updates) {
+  // Every update that changes a tracked field records a revision holding the
+  // previous state (see services/revisions). `source` says what made the
+  // change: 'update', 'restore', a job type or a tag operation (see
+  // updateTagsWithRevisions).
+  async updateDream(dreamId, userId, updates, options = {}) {
+    const { source = 'update' } = options;
     const { images, ...mainUpdates } = updates;
 
-    // Handle image updates if provided
-    if (images !== undefined) {
-      // Delete existing images
-      await this.prisma.dreamImage.deleteMany({
-        where: { dreamId },
+    const dream = await this.prisma.$transaction(async (tx) => {
+      // Lock the row so concurrent updates get consecutive revision numbers
+      await tx.$queryRaw`SELECT 1 FROM "Dream" WHERE "id" = ${dreamId} FOR UPDATE`;
+
+      // Check ownership before touching images, which are keyed by dreamId only
+      const before = await tx.dream.findFirst({
+        where: { id: dreamId, userId, deletedAt: null },
+        include: { images: { orderBy: [{ createdAt: 'asc' }, { id: 'asc' }] } },
+      });
+      if (!before) {
+        throw new Error('Dream not found');
+      }
+
+      // Handle image updates if provided
+      if (images !== undefined) {
+        // Delete existing images; the revision keeps a copy of them
+        await tx.dreamImage.deleteMany({
+          where: { dreamId },
+        });
+      }
+
+      const after = await tx.dream.update({
+        where: {
+          id: dreamId,
+          userId, // Ensures user owns the dream
+        },
+        data: {
+          ...mainUpdates,
+          ...(images && {
+            images: {
+              create: images.map(img => ({
+                url: img.url,
+                storageKey: keyFromUrl(img.url),
+                scene: img.scene,
+                description: img.description,
+                prompt: img.prompt,
+              })),
+            },
+          }),
+        },
+        include: {
+          images: { orderBy: [{ createdAt: 'asc' }, { id: 'asc' }] },
+          analyses: true,
+        },
       });
+
+      const snapshot = revisionSnapshot(before);
+      const changes = diffSnapshots(snapshot, revisionSnapshot(after));
+      if (changes.length > 0) {
+        const latest = await tx.dreamRevision.findFirst({
+          where: { dreamId },
+          orderBy: { revision: 'desc' },
+          select: { revision: true },
+        });
+        await tx.dreamRevision.create({
+          data: {
+            dreamId,
+            userId,
+            revision: latest ? latest.revision + 1 : 1,
+            source,
+            snapshot,
+            changes,
+            changedFields: changes.map(change => change.field),
+            imageKeys: snapshot.images.map(image => image.storageKey).filter(Boolean),
+          },
+        });
+      }
+
+      return after;
+    });
+
+    if (mainUpdates.dreamText !== undefined || mainUpdates.title !== undefined || mainUpdates.date !== undefined) {
+      await this.indexDreamSymbols([dreamId]);
     }
+    return dream;
+  }
 
-    return await this.prisma.dream.update({
+  // Revision operations
+  async getDreamRevisions(dreamId, userId, options = {}) {
+    const { skip = 0, take = 20 } = options;
+    await this.assertDreamOwner(dreamId, userId);
+
+    const [revisions, total] = await Promise.all([
+      this.prisma.dreamRevision.findMany({
+        where: { dreamId },
+        orderBy: { revision: 'desc' },
+        skip,
+        take,
+        select: {
+          revision: true,
+          source: true,
+          changedFields: true,
+          createdAt: true,
+        },
+      }),
+      this.prisma.dreamRevision.count({ where: { dreamId } }),
+    ]);
+
+    return { revisions, total, hasMore: skip + revisions.length < total };
+  }
+
+  async getDreamRevision(dreamId, userId, revision) {
+    await this.assertDreamOwner(dreamId, userId);
+
+    const found = await this.prisma.dreamRevision.findUnique({
+      where: { dreamId_revision: { dreamId, revision } },
+    });
+    if (!found) {
+      throw new Error('Revision not found');
+    }
+    return found;
+  }
+
+  // Throws 'Dream not found' when the dream doesn't exist, belongs to someone
+  // else or is in the trash
+  async assertDreamOwner(dreamId, userId) {
+    const dream = await this.prisma.dream.findFirst({
       where: {
         id: dreamId,
-        userId, // Ensures user owns the dream
-      },
-      data: {
-        ...mainUpdates,
-        ...(images && {
-          images: {
-            create: images.map(img => ({
-              url: img.url,
-              scene: img.scene,
-              description: img.description,
-              prompt: img.prompt,
-            })),
-          },
-        }),
+        userId,
+        deletedAt: null,
       },
-      include: {
-        images: true,
-        analyses: true,
+      select: {
+        id: true,
       },
     });
+
+    if (!dream) {
+      throw new Error('Dream not found');
+    }
+
+    return dream;
   }
 
   // NEW METHOD: Toggle favorite status
@@ -181,6 +857,7 @@ class DatabaseService {
       where: {
         id: dreamId,
         userId,
+        deletedAt: null,
       },
       select: {
         isFavorite: true,
@@ -207,62 +884,1448 @@ class DatabaseService {
     });
   }
 
-  async deleteDream(dreamId, userId) {
-    return await this.prisma.dream.delete({
-      where: {
-        id: dreamId,
-        userId, // Ensures user owns the dream
-      },
+  // Trash operations. Deleting a dream only moves it to the trash; every
+  // other query skips trashed dreams. They are removed for good by
+  // purgeDreams, from emptying the trash or the retention purge.
+  async trashDream(dreamId, userId) {
+    const { count } = await this.prisma.dream.updateMany({
+      where: { id: dreamId, userId, deletedAt: null },
+      data: { deletedAt: new Date() },
     });
+    if (count === 0) {
+      throw new Error('Dream not found');
+    }
   }
 
-  // Dream Analysis operations
-  async createDreamAnalysis(dreamId, userId, analysisData) {
-    return await this.prisma.dreamAnalysis.create({
-      data: {
-        dreamId,
-        userId,
-        ...analysisData,
-      },
+  async restoreDream(dreamId, userId) {
+    const { count } = await this.prisma.dream.updateMany({
+      where: { id: dreamId, userId, deletedAt: { not: null } },
+      data: { deletedAt: null },
     });
+    if (count === 0) {
+      throw new Error('Dream not found');
+    }
+    return await this.getDreamById(dreamId, userId);
   }
 
-  async getDreamAnalyses(dreamId, userId) {
-    return await this.prisma.dreamAnalysis.findMany({
+  async getTrash(userId, options = {}) {
+    const { skip = 0, take = 20 } = options;
+    const where = { userId, deletedAt: { not: null } };
+
+    const [dreams, total] = await Promise.all([
+      this.prisma.dream.findMany({
+        where,
+        orderBy: [{ deletedAt: 'desc' }, { id: 'desc' }],
+        skip,
+        take,
+        include: {
+          images: true,
+          _count: {
+            select: { analyses: true },
+          },
+        },
+      }),
+      this.prisma.dream.count({ where }),
+    ]);
+
+    return { dreams, total, hasMore: skip + dreams.length < total };
+  }
+
+  // Ids of trashed dreams, oldest first: the user's when `userId` is given,
+  // and only those trashed before `trashedBefore` when that is given
+  async findTrashedDreamIds({ userId, trashedBefore, take = 100 } = {}) {
+    const dreams = await this.prisma.dream.findMany({
       where: {
-        dreamId,
-        userId,
+        ...(userId && { userId }),
+        deletedAt: trashedBefore ? { lt: trashedBefore } : { not: null },
       },
-      orderBy: { createdAt: 'desc' },
+      select: { id: true },
+      orderBy: { deletedAt: 'asc' },
+      take,
     });
+    return dreams.map(dream => dream.id);
   }
 
-  // Analytics and statistics
-  async getUserStats(userId) {
-    const [
-      totalDreams,
-      dreamsThisMonth,
-      favoriteDreams,  // NEW STAT
+  // Permanently deletes trashed dreams (analyses, images and everything else
+  // cascades). Returns the storage keys the caller should release.
+  async purgeDreams(dreamIds) {
+    const [images, revisions, dreams] = await Promise.all([
+      this.prisma.dreamImage.findMany({
+        where: { dreamId: { in: dreamIds }, storageKey: { not: null } },
+        select: { storageKey: true },
+      }),
+      this.prisma.dreamRevision.findMany({
+        where: { dreamId: { in: dreamIds } },
+        select: { imageKeys: true },
+      }),
+      this.prisma.dream.findMany({
+        where: { id: { in: dreamIds }, audioStorageKey: { not: null } },
+        select: { audioStorageKey: true },
+      }),
+    ]);
+
+    const { count } = await this.prisma.dream.deleteMany({
+      where: { id: { in: dreamIds }, deletedAt: { not: null } },
+    });
+
+    return {
+      count,
+      imageKeys: [
+        ...images.map(image => image.storageKey),
+        ...revisions.flatMap(revision => revision.imageKeys),
+      ],
+      audioKeys: dreams.map(dream => dream.audioStorageKey),
+    };
+  }
+
+  // Image operations
+  async getDreamImageKeys(dreamId, userId) {
+    const images = await this.prisma.dreamImage.findMany({
+      where: {
+        dreamId,
+        dream: { userId },
+        storageKey: { not: null },
+      },
+      select: { storageKey: true },
+    });
+    return images.map(img => img.storageKey);
+  }
+
+  async deleteDreamImage(dreamId, imageId, userId) {
+    const image = await this.prisma.dreamImage.findFirst({
+      where: {
+        id: imageId,
+        dreamId,
+        dream: { userId, deletedAt: null },
+      },
+    });
+
+    if (!image) {
+      throw new Error('Image not found');
+    }
+
+    return await this.prisma.dreamImage.delete({
+      where: { id: image.id },
+    });
+  }
+
+  // Keys still used by an image or kept by a revision for restoring
+  async findReferencedStorageKeys(keys) {
+    const [images, revisions] = await Promise.all([
+      this.prisma.dreamImage.findMany({
+        where: { storageKey: { in: keys } },
+        select: { storageKey: true },
+        distinct: ['storageKey'],
+      }),
+      this.prisma.dreamRevision.findMany({
+        where: { imageKeys: { hasSome: keys } },
+        select: { imageKeys: true },
+      }),
+    ]);
+    return [
+      ...images.map(img => img.storageKey),
+      ...revisions.flatMap(revision => revision.imageKeys),
+    ];
+  }
+
+  // Voice memo operations
+  async getDreamAudio(dreamId, userId) {
+    const dream = await this.prisma.dream.findFirst({
+      where: {
+        id: dreamId,
+        userId,
+        deletedAt: null,
+      },
+      select: {
+        hasAudio: true,
+        audioStorageKey: true,
+        audioDuration: true,
+      },
+    });
+
+    if (!dream) {
+      throw new Error('Dream not found');
+    }
+
+    return dream;
+  }
+
+  // Sets (or with null, clears) a dream's recording. Returns the updated
+  // dream and the storage key of the recording it replaced.
+  async setDreamAudio(dreamId, userId, audio) {
+    const { audioStorageKey: previousKey } = await this.getDreamAudio(dreamId, userId);
+
+    const dream = await this.prisma.dream.update({
+      where: {
+        id: dreamId,
+        userId,
+      },
+      data: audio ? {
+        hasAudio: true,
+        audioStorageKey: audio.audioStorageKey,
+        audioUrl: audio.audioUrl,
+        audioDuration: audio.audioDuration,
+      } : {
+        hasAudio: false,
+        audioStorageKey: null,
+        audioUrl: null,
+        audioDuration: null,
+      },
+      include: {
+        images: true,
+        analyses: true,
+      },
+    });
+
+    return {
+      dream,
+      previousKey: previousKey !== dream.audioStorageKey ? previousKey : null,
+    };
+  }
+
+  // Dream Analysis operations
+  async createDreamAnalysis(dreamId, userId, analysisData) {
+    await this.assertDreamOwner(dreamId, userId);
+
+    const analysis = await this.prisma.dreamAnalysis.create({
+      data: {
+        dreamId,
+        userId,
+        ...analysisData,
+      },
+    });
+    await this.indexDreamSymbols([dreamId]);
+    return analysis;
+  }
+
+  async getDreamAnalyses(dreamId, userId) {
+    await this.assertDreamOwner(dreamId, userId);
+
+    return await this.prisma.dreamAnalysis.findMany({
+      where: {
+        dreamId,
+        userId,
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  // Share link operations
+  // Creating a link publishes the dream: links only resolve while
+  // isPrivate is false, so setting it back to true hides every link at once.
+  async createShareLink(dreamId, userId, data) {
+    await this.assertDreamOwner(dreamId, userId);
+
+    const [, link] = await this.prisma.$transaction([
+      this.prisma.dream.update({
+        where: { id: dreamId },
+        data: { isPrivate: false },
+      }),
+      this.prisma.shareLink.create({
+        data: { ...data, dreamId, userId },
+      }),
+    ]);
+    return link;
+  }
+
+  async countActiveShareLinks(dreamId) {
+    return await this.prisma.shareLink.count({
+      where: {
+        dreamId,
+        revokedAt: null,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+      },
+    });
+  }
+
+  async getShareLinks(dreamId, userId) {
+    await this.assertDreamOwner(dreamId, userId);
+    return await this.prisma.shareLink.findMany({
+      where: { dreamId, userId },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  async revokeShareLink(shareId, dreamId, userId) {
+    const { count } = await this.prisma.shareLink.updateMany({
+      where: { id: shareId, dreamId, userId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    if (count === 0) {
+      throw new Error('Share link not found');
+    }
+  }
+
+  // The shared dream behind a token, or null unless the link is live and
+  // the dream is public
+  async getSharedDream(token) {
+    const now = new Date();
+    const link = await this.prisma.shareLink.findFirst({
+      where: {
+        token,
+        revokedAt: null,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: now } }],
+        dream: { isPrivate: false, deletedAt: null },
+      },
+      include: {
+        dream: {
+          include: {
+            images: { orderBy: { createdAt: 'asc' } },
+            analyses: { orderBy: { createdAt: 'desc' }, take: 1 },
+          },
+        },
+      },
+    });
+    if (!link) return null;
+
+    await this.prisma.shareLink.update({
+      where: { id: link.id },
+      data: { viewCount: { increment: 1 }, lastViewedAt: now },
+    });
+    return link;
+  }
+
+  // Tag operations. Tags live in Dream.tags, so these work on the arrays
+  // directly; each change is a single UPDATE, run in a transaction with the
+  // revisions it records.
+  async getUserTags(userId, options = {}) {
+    const { prefix, take } = options;
+
+    return await this.prisma.$queryRaw`
+      SELECT tag, COUNT(*)::int AS "count"
+      FROM (
+        SELECT unnest(tags) AS tag
+        FROM "Dream"
+        WHERE "userId" = ${userId} AND "deletedAt" IS NULL
+      ) AS dream_tags
+      ${prefix ? Prisma.sql`WHERE starts_with(lower(tag), lower(${prefix}))` : Prisma.empty}
+      GROUP BY tag
+      ORDER BY "count" DESC, tag ASC
+      ${take ? Prisma.sql`LIMIT ${take}` : Prisma.empty}
+    `;
+  }
+
+  // Runs a bulk tag UPDATE on the user's dreams carrying any of `tags`
+  // (trashed ones are left alone, as getUserTags doesn't count them) and
+  // records a revision for each dream it changed, in one transaction.
+  // Returns the number of dreams changed.
+  async updateTagsWithRevisions(userId, tags, source, update) {
+    return await this.prisma.$transaction(async (tx) => {
+      // Same row lock as updateDream, so revision numbers stay consecutive
+      const locked = await tx.$queryRaw`
+        SELECT id FROM "Dream"
+        WHERE "userId" = ${userId} AND "deletedAt" IS NULL AND "tags" && ${tags}::text[]
+        ORDER BY id
+        FOR UPDATE
+      `;
+      if (locked.length === 0) return 0;
+      const dreamIds = locked.map(row => row.id);
+
+      const before = await tx.dream.findMany({
+        where: { id: { in: dreamIds } },
+        include: { images: { orderBy: [{ createdAt: 'asc' }, { id: 'asc' }] } },
+      });
+      await update(tx, dreamIds);
+      const after = await tx.dream.findMany({
+        where: { id: { in: dreamIds } },
+        select: { id: true, tags: true },
+      });
+      const latest = await tx.dreamRevision.groupBy({
+        by: ['dreamId'],
+        where: { dreamId: { in: dreamIds } },
+        _max: { revision: true },
+      });
+
+      const tagsAfter = new Map(after.map(dream => [dream.id, dream.tags]));
+      const latestRevision = new Map(latest.map(row => [row.dreamId, row._max.revision]));
+      const revisions = before.map(dream => {
+        const snapshot = revisionSnapshot(dream);
+        const changes = diffSnapshots(snapshot, { ...snapshot, tags: tagsAfter.get(dream.id) });
+        return {
+          dreamId: dream.id,
+          userId,
+          revision: (latestRevision.get(dream.id) || 0) + 1,
+          source,
+          snapshot,
+          changes,
+          changedFields: changes.map(change => change.field),
+          imageKeys: snapshot.images.map(image => image.storageKey).filter(Boolean),
+        };
+      }).filter(revision => revision.changes.length > 0);
+
+      await tx.dreamRevision.createMany({ data: revisions });
+      return dreamIds.length;
+    });
+  }
+
+  // Replaces every tag in `fromTags` with `toTag` on all of the user's
+  // dreams, keeping each dream's tag order and dropping the duplicates a
+  // merge creates. Returns the number of dreams changed.
+  async replaceTags(userId, fromTags, toTag, options = {}) {
+    const { source = 'tag-merge' } = options;
+
+    return await this.updateTagsWithRevisions(userId, fromTags, source, (tx, dreamIds) => tx.$executeRaw`
+      UPDATE "Dream" d
+      SET "tags" = (
+        SELECT COALESCE(array_agg(tag ORDER BY pos), ARRAY[]::text[])
+        FROM (
+          SELECT tag, MIN(pos) AS pos
+          FROM (
+            SELECT CASE WHEN t = ANY(${fromTags}::text[]) THEN ${toTag} ELSE t END AS tag, pos
+            FROM unnest(d."tags") WITH ORDINALITY AS u(t, pos)
+          ) AS mapped
+          GROUP BY tag
+        ) AS deduped
+      ),
+      "updatedAt" = NOW()
+      WHERE d.id = ANY(${dreamIds}::text[])
+    `);
+  }
+
+  async removeTags(userId, tags) {
+    return await this.updateTagsWithRevisions(userId, tags, 'tag-delete', (tx, dreamIds) => tx.$executeRaw`
+      UPDATE "Dream" d
+      SET "tags" = ARRAY(
+        SELECT t
+        FROM unnest(d."tags") WITH ORDINALITY AS u(t, pos)
+        WHERE t <> ALL(${tags}::text[])
+        ORDER BY pos
+      ),
+      "updatedAt" = NOW()
+      WHERE d.id = ANY(${dreamIds}::text[])
+    `);
+  }
+
+  // Symbol index operations
+
+  // Rebuilds the symbol index rows for the given dreams. Indexing is derived
+  // data, so a failure is logged rather than failing the save that caused it.
+  async indexDreamSymbols(dreamIds) {
+    if (dreamIds.length === 0) return;
+
+    try {
+      const dreams = await this.prisma.dream.findMany({
+        where: { id: { in: dreamIds } },
+        select: {
+          id: true,
+          userId: true,
+          title: true,
+          dreamText: true,
+          date: true,
+          analyses: {
+            select: { symbols: true, createdAt: true },
+          },
+        },
+      });
+
+      const rows = dreams.flatMap(dream => extractDreamSymbols(dream).map(symbol => ({
+        userId: dream.userId,
+        dreamId: dream.id,
+        dreamDate: dream.date,
+        ...symbol,
+      })));
+
+      await this.prisma.$transaction([
+        this.prisma.dreamSymbol.deleteMany({ where: { dreamId: { in: dreamIds } } }),
+        this.prisma.dreamSymbol.createMany({ data: rows, skipDuplicates: true }),
+      ]);
+    } catch (error) {
+      console.error('Error indexing dream symbols:', error);
+    }
+  }
+
+  // Reindexes every dream a user has, e.g. after the lexicon changes
+  async reindexUserSymbols(userId, batchSize = 200) {
+    let cursor;
+    let count = 0;
+
+    for (;;) {
+      const dreams = await this.prisma.dream.findMany({
+        where: { userId, deletedAt: null },
+        select: { id: true },
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      });
+      if (dreams.length === 0) break;
+
+      await this.indexDreamSymbols(dreams.map(dream => dream.id));
+      count += dreams.length;
+      cursor = dreams[dreams.length - 1].id;
+    }
+
+    return count;
+  }
+
+  async getTopSymbols(userId, options = {}) {
+    const { take = 20, startDate, endDate } = options;
+
+    const groups = await this.prisma.dreamSymbol.groupBy({
+      by: ['symbol'],
+      where: {
+        userId,
+        dream: { deletedAt: null },
+        ...((startDate || endDate) && {
+          dreamDate: {
+            ...(startDate && { gte: new Date(startDate) }),
+            ...(endDate && { lte: new Date(endDate) }),
+          },
+        }),
+      },
+      _count: { dreamId: true },
+      _min: { dreamDate: true },
+      _max: { dreamDate: true },
+      orderBy: [{ _count: { dreamId: 'desc' } }, { symbol: 'asc' }],
+      take,
+    });
+
+    return groups.map(group => ({
+      symbol: group.symbol,
+      dreamCount: group._count.dreamId,
+      firstSeen: group._min.dreamDate,
+      lastSeen: group._max.dreamDate,
+    }));
+  }
+
+  async getDreamsWithSymbol(userId, symbol, options = {}) {
+    const { skip = 0, take = 20 } = options;
+    const where = { userId, symbol, dream: { deletedAt: null } };
+
+    const [entries, total] = await Promise.all([
+      this.prisma.dreamSymbol.findMany({
+        where,
+        orderBy: [{ dreamDate: 'desc' }, { dreamId: 'desc' }],
+        skip,
+        take,
+        select: {
+          meaning: true,
+          source: true,
+          dream: {
+            select: {
+              id: true,
+              title: true,
+              date: true,
+              dreamText: true,
+              mood: true,
+              tags: true,
+              isFavorite: true,
+            },
+          },
+        },
+      }),
+      this.prisma.dreamSymbol.count({ where }),
+    ]);
+
+    return {
+      dreams: entries.map(entry => ({ ...entry.dream, meaning: entry.meaning, source: entry.source })),
+      total,
+      hasMore: skip + entries.length < total,
+    };
+  }
+
+  // Number of dreams containing the symbol per week, month or year
+  async getSymbolTimeline(userId, symbol, options = {}) {
+    const { interval = 'month', startDate, endDate } = options;
+    if (!INTERVALS.includes(interval)) {
+      throw new Error('Invalid interval');
+    }
+
+    const conditions = [
+      Prisma.sql`"userId" = ${userId}`,
+      Prisma.sql`"symbol" = ${symbol}`,
+      Prisma.sql`EXISTS (SELECT 1 FROM "Dream" d WHERE d."id" = "DreamSymbol"."dreamId" AND d."deletedAt" IS NULL)`,
+    ];
+    if (startDate) conditions.push(Prisma.sql`"dreamDate" >= ${new Date(startDate)}`);
+    if (endDate) conditions.push(Prisma.sql`"dreamDate" <= ${new Date(endDate)}`);
+
+    const rows = await this.prisma.$queryRaw`
+      SELECT date_trunc(${Prisma.raw(`'${interval}'`)}, "dreamDate") AS "period", COUNT(*)::int AS "count"
+      FROM "DreamSymbol"
+      WHERE ${Prisma.join(conditions, ' AND ')}
+      GROUP BY 1
+      ORDER BY 1
+    `;
+
+    return rows.map(row => ({ period: row.period, count: row.count }));
+  }
+
+  // Embedding operations
+  async getDreamsForEmbedding(dreamIds) {
+    return await this.prisma.dream.findMany({
+      where: { id: { in: dreamIds } },
+      select: {
+        id: true,
+        userId: true,
+        dreamText: true,
+        embedding: {
+          select: { model: true, contentHash: true },
+        },
+      },
+    });
+  }
+
+  async saveDreamEmbeddings(rows) {
+    return await this.prisma.$transaction(rows.map(row => this.prisma.dreamEmbedding.upsert({
+      where: { dreamId: row.dreamId },
+      update: row,
+      create: row,
+    })));
+  }
+
+  // Page of dream ids with no embedding from `model` (missing or made by
+  // another model), for backfills
+  async findDreamIdsWithoutEmbedding(model, options = {}) {
+    const { take = 100, afterId } = options;
+
+    const dreams = await this.prisma.dream.findMany({
+      where: {
+        deletedAt: null,
+        OR: [
+          { embedding: null },
+          { embedding: { model: { not: model } } },
+        ],
+        ...(afterId && { id: { gt: afterId } }),
+      },
+      select: { id: true },
+      orderBy: { id: 'asc' },
+      take,
+    });
+    return dreams.map(dream => dream.id);
+  }
+
+  async getDreamEmbedding(dreamId, userId) {
+    await this.assertDreamOwner(dreamId, userId);
+    return await this.prisma.dreamEmbedding.findUnique({ where: { dreamId } });
+  }
+
+  // The user's most recent embeddings from one model
+  async getUserEmbeddings(userId, model, take) {
+    const rows = await this.prisma.dreamEmbedding.findMany({
+      where: { userId, model, dream: { deletedAt: null } },
+      select: {
+        dreamId: true,
+        vector: true,
+        dream: { select: { date: true } },
+      },
+      orderBy: { dream: { date: 'desc' } },
+      take,
+    });
+    return rows.map(row => ({ dreamId: row.dreamId, vector: row.vector, date: row.dream.date }));
+  }
+
+  // Changes whenever the set of the user's embeddings clustering would see
+  // changes (see getUserEmbeddings)
+  async getEmbeddingsVersion(userId, model) {
+    const result = await this.prisma.dreamEmbedding.aggregate({
+      where: { userId, model, dream: { deletedAt: null } },
+      _count: true,
+      _max: { updatedAt: true },
+    });
+    const latest = result._max.updatedAt;
+    return `${result._count}:${latest ? latest.getTime() : 0}`;
+  }
+
+  // Whether the pgvector extension is installed; checked once per process
+  async hasPgvector() {
+    if (this.pgvector === undefined) {
+      try {
+        const rows = await this.prisma.$queryRaw`SELECT 1 FROM pg_extension WHERE extname = 'vector'`;
+        this.pgvector = rows.length > 0;
+      } catch (error) {
+        console.error('Could not check for pgvector:', error);
+        this.pgvector = false;
+      }
+    }
+    return this.pgvector;
+  }
+
+  // Nearest dreams by cosine distance, computed by pgvector
+  async findNearestDreams(userId, model, vector, options = {}) {
+    const { excludeId, take = 10 } = options;
+    const literal = `[${vector.join(',')}]`;
+
+    return await this.prisma.$queryRaw`
+      SELECT "dreamId", 1 - ("vector"::vector <=> ${literal}::vector) AS "similarity"
+      FROM "DreamEmbedding" e
+      WHERE e."userId" = ${userId}
+        AND e."model" = ${model}
+        AND e."dimensions" = ${vector.length}
+        AND e."dreamId" <> ${excludeId || ''}
+        AND EXISTS (SELECT 1 FROM "Dream" d WHERE d."id" = e."dreamId" AND d."deletedAt" IS NULL)
+      ORDER BY "vector"::vector <=> ${literal}::vector
+      LIMIT ${take}
+    `;
+  }
+
+  async getDreamSummaries(dreamIds, userId) {
+    return await this.prisma.dream.findMany({
+      where: { id: { in: dreamIds }, userId, deletedAt: null },
+      select: {
+        id: true,
+        title: true,
+        date: true,
+        dreamText: true,
+        mood: true,
+        tags: true,
+        isFavorite: true,
+      },
+    });
+  }
+
+  // Circle operations
+  async createCircle(userId, data) {
+    return await this.prisma.circle.create({
+      data: {
+        ...data,
+        members: { create: { userId, role: 'owner' } },
+      },
+    });
+  }
+
+  async getUserCircles(userId) {
+    const memberships = await this.prisma.circleMember.findMany({
+      where: { userId },
+      include: {
+        circle: {
+          include: { _count: { select: { members: true, dreams: true } } },
+        },
+      },
+      orderBy: { joinedAt: 'desc' },
+    });
+
+    return memberships.map(({ circle, role, joinedAt }) => ({
+      id: circle.id,
+      name: circle.name,
+      description: circle.description,
+      role,
+      joinedAt,
+      memberCount: circle._count.members,
+      dreamCount: circle._count.dreams,
+      createdAt: circle.createdAt,
+    }));
+  }
+
+  async getCircleMembership(circleId, userId) {
+    return await this.prisma.circleMember.findUnique({
+      where: { circleId_userId: { circleId, userId } },
+    });
+  }
+
+  async getCircle(circleId) {
+    return await this.prisma.circle.findUnique({
+      where: { id: circleId },
+      include: {
+        members: {
+          include: { user: { select: { id: true, displayName: true, photoURL: true } } },
+          orderBy: { joinedAt: 'asc' },
+        },
+      },
+    });
+  }
+
+  async updateCircle(circleId, data) {
+    return await this.prisma.circle.update({
+      where: { id: circleId },
+      data,
+    });
+  }
+
+  async deleteCircle(circleId) {
+    await this.prisma.circle.delete({ where: { id: circleId } });
+  }
+
+  async countCircleMembers(circleId) {
+    return await this.prisma.circleMember.count({ where: { circleId } });
+  }
+
+  async isCircleMemberByEmail(circleId, email) {
+    const count = await this.prisma.circleMember.count({
+      where: { circleId, user: { email: { equals: email, mode: 'insensitive' } } },
+    });
+    return count > 0;
+  }
+
+  async updateCircleMemberRole(circleId, userId, role) {
+    await this.prisma.circleMember.update({
+      where: { circleId_userId: { circleId, userId } },
+      data: { role },
+    });
+  }
+
+  // The previous owner stays on as an admin
+  async transferCircleOwnership(circleId, fromUserId, toUserId) {
+    await this.prisma.$transaction([
+      this.prisma.circleMember.update({
+        where: { circleId_userId: { circleId, userId: fromUserId } },
+        data: { role: 'admin' },
+      }),
+      this.prisma.circleMember.update({
+        where: { circleId_userId: { circleId, userId: toUserId } },
+        data: { role: 'owner' },
+      }),
+    ]);
+  }
+
+  // A member who leaves takes their shared dreams with them; their comments
+  // on other dreams stay
+  async removeCircleMember(circleId, userId) {
+    await this.prisma.$transaction([
+      this.prisma.circleDream.deleteMany({
+        where: { circleId, dream: { userId } },
+      }),
+      this.prisma.circleMember.delete({
+        where: { circleId_userId: { circleId, userId } },
+      }),
+    ]);
+  }
+
+  // Invitations
+  async createCircleInvite(circleId, invitedById, { email, role, expiresAt }) {
+    // Re-inviting the same address replaces the pending invite
+    const [, invite] = await this.prisma.$transaction([
+      this.prisma.circleInvite.updateMany({
+        where: { circleId, email, status: 'pending' },
+        data: { status: 'revoked', respondedAt: new Date() },
+      }),
+      this.prisma.circleInvite.create({
+        data: { circleId, invitedById, email, role, expiresAt },
+      }),
+    ]);
+    return invite;
+  }
+
+  async getCircleInvites(circleId) {
+    return await this.prisma.circleInvite.findMany({
+      where: { circleId, status: 'pending', expiresAt: { gt: new Date() } },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  async revokeCircleInvite(inviteId, circleId) {
+    const { count } = await this.prisma.circleInvite.updateMany({
+      where: { id: inviteId, circleId, status: 'pending' },
+      data: { status: 'revoked', respondedAt: new Date() },
+    });
+    if (count === 0) {
+      throw new Error('Invite not found');
+    }
+  }
+
+  // Pending invites addressed to the email, with the circle and inviter
+  async getInvitesForEmail(email) {
+    return await this.prisma.circleInvite.findMany({
+      where: { email, status: 'pending', expiresAt: { gt: new Date() } },
+      include: {
+        circle: { select: { id: true, name: true, description: true } },
+        invitedBy: { select: { id: true, displayName: true, photoURL: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  async getPendingInvite(inviteId, email) {
+    return await this.prisma.circleInvite.findFirst({
+      where: { id: inviteId, email, status: 'pending', expiresAt: { gt: new Date() } },
+    });
+  }
+
+  // Marks the invite accepted and adds the user. Someone who is already a
+  // member keeps their current role.
+  async acceptCircleInvite(invite, userId) {
+    const [, membership] = await this.prisma.$transaction([
+      this.prisma.circleInvite.update({
+        where: { id: invite.id },
+        data: { status: 'accepted', respondedAt: new Date() },
+      }),
+      this.prisma.circleMember.upsert({
+        where: { circleId_userId: { circleId: invite.circleId, userId } },
+        create: { circleId: invite.circleId, userId, role: invite.role },
+        update: {},
+      }),
+    ]);
+    return membership;
+  }
+
+  async declineCircleInvite(inviteId, email) {
+    const { count } = await this.prisma.circleInvite.updateMany({
+      where: { id: inviteId, email, status: 'pending' },
+      data: { status: 'declined', respondedAt: new Date() },
+    });
+    if (count === 0) {
+      throw new Error('Invite not found');
+    }
+  }
+
+  // Shared dreams. A dream is visible in a circle exactly while its
+  // CircleDream row exists; isPrivate only governs share links, so sharing
+  // to a circle leaves it alone.
+  async shareDreamToCircle(circleId, dreamId, userId) {
+    await this.assertDreamOwner(dreamId, userId);
+
+    return await this.prisma.circleDream.upsert({
+      where: { circleId_dreamId: { circleId, dreamId } },
+      create: { circleId, dreamId },
+      update: {},
+    });
+  }
+
+  async unshareDreamFromCircle(circleId, dreamId) {
+    const { count } = await this.prisma.circleDream.deleteMany({
+      where: { circleId, dreamId },
+    });
+    if (count === 0) {
+      throw new Error('Dream not found');
+    }
+  }
+
+  // Circles the user's dream is shared to
+  async getDreamCircles(dreamId, userId) {
+    await this.assertDreamOwner(dreamId, userId);
+    const rows = await this.prisma.circleDream.findMany({
+      where: { dreamId, circle: { members: { some: { userId } } } },
+      include: { circle: { select: { id: true, name: true } } },
+      orderBy: { createdAt: 'asc' },
+    });
+    return rows.map(row => ({ ...row.circle, sharedAt: row.createdAt }));
+  }
+
+  circleDreamInclude() {
+    return {
+      dream: {
+        include: {
+          user: { select: { id: true, displayName: true, photoURL: true } },
+          images: { orderBy: { createdAt: 'asc' } },
+        },
+      },
+    };
+  }
+
+  async getCircleDream(circleId, dreamId) {
+    return await this.prisma.circleDream.findFirst({
+      where: { circleId, dreamId, dream: { deletedAt: null } },
+      include: this.circleDreamInclude(),
+    });
+  }
+
+  // Newest shares first. `cursor` is the nextCursor of the previous page;
+  // a malformed one throws 'Invalid cursor'.
+  async getCircleFeed(circleId, options = {}) {
+    const { cursor, take = 20 } = options;
+    const filters = { circleId, dream: { deletedAt: null } };
+
+    const items = await this.prisma.circleDream.findMany({
+      where: cursor
+        ? { AND: [filters, cursorCondition(decodeCursor(cursor, 'createdAt'), 'createdAt', 'desc')] }
+        : filters,
+      include: {
+        ...this.circleDreamInclude(),
+        _count: { select: { comments: { where: { deletedAt: null } } } },
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: take + 1,
+    });
+
+    const hasMore = items.length > take;
+    const page = hasMore ? items.slice(0, take) : items;
+    return {
+      items: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'createdAt') : null,
+    };
+  }
+
+  // { [circleDreamId]: { counts: { heart: 2 }, mine: ['heart'] } }
+  async getCircleReactionSummary(circleDreamIds, userId) {
+    if (circleDreamIds.length === 0) return {};
+
+    const [groups, mine] = await Promise.all([
+      this.prisma.circleReaction.groupBy({
+        by: ['circleDreamId', 'type'],
+        where: { circleDreamId: { in: circleDreamIds } },
+        _count: { _all: true },
+      }),
+      this.prisma.circleReaction.findMany({
+        where: { circleDreamId: { in: circleDreamIds }, userId },
+        select: { circleDreamId: true, type: true },
+      }),
+    ]);
+
+    const summary = Object.fromEntries(circleDreamIds.map(id => [id, { counts: {}, mine: [] }]));
+    groups.forEach(group => {
+      summary[group.circleDreamId].counts[group.type] = group._count._all;
+    });
+    mine.forEach(reaction => {
+      summary[reaction.circleDreamId].mine.push(reaction.type);
+    });
+    return summary;
+  }
+
+  async addCircleReaction(circleDreamId, userId, type) {
+    await this.prisma.circleReaction.upsert({
+      where: { circleDreamId_userId_type: { circleDreamId, userId, type } },
+      create: { circleDreamId, userId, type },
+      update: {},
+    });
+  }
+
+  async removeCircleReaction(circleDreamId, userId, type) {
+    await this.prisma.circleReaction.deleteMany({
+      where: { circleDreamId, userId, type },
+    });
+  }
+
+  // Comments
+  async getCircleComments(circleDreamId) {
+    return await this.prisma.circleComment.findMany({
+      where: { circleDreamId },
+      include: { user: { select: { id: true, displayName: true, photoURL: true } } },
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  async getCircleComment(commentId, circleDreamId) {
+    return await this.prisma.circleComment.findFirst({
+      where: { id: commentId, circleDreamId },
+    });
+  }
+
+  async createCircleComment(circleDreamId, userId, { body, parentId }) {
+    if (parentId) {
+      const parent = await this.getCircleComment(parentId, circleDreamId);
+      if (!parent || parent.deletedAt) {
+        throw new Error('Parent comment not found');
+      }
+    }
+
+    return await this.prisma.circleComment.create({
+      data: { circleDreamId, userId, body, parentId: parentId || null },
+      include: { user: { select: { id: true, displayName: true, photoURL: true } } },
+    });
+  }
+
+  async updateCircleComment(commentId, body) {
+    return await this.prisma.circleComment.update({
+      where: { id: commentId },
+      data: { body },
+      include: { user: { select: { id: true, displayName: true, photoURL: true } } },
+    });
+  }
+
+  // Comments with replies are blanked so the thread survives
+  async deleteCircleComment(commentId) {
+    const replies = await this.prisma.circleComment.count({ where: { parentId: commentId } });
+    if (replies > 0) {
+      await this.prisma.circleComment.update({
+        where: { id: commentId },
+        data: { body: '', deletedAt: new Date() },
+      });
+    } else {
+      await this.prisma.circleComment.delete({ where: { id: commentId } });
+    }
+  }
+
+  // Job queue operations
+  async createJob({ type, payload, userId, dreamId, maxAttempts }) {
+    return await this.prisma.job.create({
+      data: {
+        type,
+        payload,
+        userId,
+        dreamId,
+        ...(maxAttempts && { maxAttempts }),
+      },
+    });
+  }
+
+  async getJob(jobId) {
+    return await this.prisma.job.findUnique({
+      where: { id: jobId },
+    });
+  }
+
+  async getJobsByUser(userId, options = {}) {
+    const { status, type, take = 20 } = options;
+
+    return await this.prisma.job.findMany({
+      where: {
+        userId,
+        ...(status && { status }),
+        ...(type && { type }),
+      },
+      orderBy: { createdAt: 'desc' },
+      take,
+    });
+  }
+
+  async hasActiveJob(userId, type) {
+    const count = await this.prisma.job.count({
+      where: { userId, type, status: { in: ['pending', 'running'] } },
+    });
+    return count > 0;
+  }
+
+  // Finished data exports whose archive is still in storage
+  async findDataArchiveJobs({ completedBefore, take = 100 }) {
+    return await this.prisma.job.findMany({
+      where: {
+        type: 'export-account-data',
+        status: 'completed',
+        completedAt: { lt: completedBefore },
+        result: { path: ['archiveKey'], string_starts_with: 'exports/' },
+      },
+      orderBy: { completedAt: 'asc' },
+      take,
+      select: { id: true, result: true },
+    });
+  }
+
+  async expireDataArchive(jobId, result) {
+    await this.prisma.job.update({
+      where: { id: jobId },
+      data: { result: { ...result, archiveKey: null, expired: true } },
+    });
+  }
+
+  // Atomically claims the next due job. SKIP LOCKED lets several workers
+  // (or several instances) poll the same table without double-claiming.
+  async claimNextJob(workerId) {
+    const jobs = await this.prisma.$queryRaw`
+      UPDATE "Job"
+      SET status = 'running',
+          "lockedAt" = NOW(),
+          "lockedBy" = ${workerId},
+          attempts = attempts + 1,
+          "updatedAt" = NOW()
+      WHERE id = (
+        SELECT id FROM "Job"
+        WHERE status = 'pending' AND "runAt" <= NOW()
+        ORDER BY "runAt"
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+    return jobs[0] || null;
+  }
+
+  // Only the worker holding the lock can finish a job, so one whose lock went
+  // stale and was claimed again isn't finished twice. Returns false if the
+  // lock was lost.
+  async completeJob(jobId, workerId, result) {
+    const { count } = await this.prisma.job.updateMany({
+      where: { id: jobId, status: 'running', lockedBy: workerId },
+      data: {
+        status: 'completed',
+        result,
+        error: null,
+        lockedAt: null,
+        lockedBy: null,
+        completedAt: new Date(),
+      },
+    });
+    return count > 0;
+  }
+
+  // Puts the job back in the queue at retryAt, or marks it failed when retryAt
+  // is null. Like completeJob, returns false if the worker no longer holds it.
+  async failJob(jobId, workerId, errorMessage, retryAt) {
+    const { count } = await this.prisma.job.updateMany({
+      where: { id: jobId, status: 'running', lockedBy: workerId },
+      data: {
+        status: retryAt ? 'pending' : 'failed',
+        error: errorMessage,
+        lockedAt: null,
+        lockedBy: null,
+        ...(retryAt ? { runAt: retryAt } : { completedAt: new Date() }),
+      },
+    });
+    return count > 0;
+  }
+
+  // Stores a running job's partial result, which the next attempt sees as
+  // job.result if this one fails
+  async saveJobProgress(jobId, workerId, result) {
+    await this.prisma.job.updateMany({
+      where: { id: jobId, status: 'running', lockedBy: workerId },
+      data: { result },
+    });
+  }
+
+  // Heartbeat for jobs a worker is still running, so requeueStaleJobs only
+  // picks up jobs whose worker has stopped
+  async touchJobs(jobIds, workerId) {
+    const { count } = await this.prisma.job.updateMany({
+      where: { id: { in: jobIds }, status: 'running', lockedBy: workerId },
+      data: { lockedAt: new Date() },
+    });
+    return count;
+  }
+
+  async cancelJob(jobId) {
+    const { count } = await this.prisma.job.updateMany({
+      where: { id: jobId, status: 'pending' },
+      data: {
+        status: 'cancelled',
+        completedAt: new Date(),
+      },
+    });
+    return count > 0;
+  }
+
+  // Jobs left running by a worker that died are made available again,
+  // unless they have used up their attempts
+  async requeueStaleJobs(olderThan) {
+    const stale = {
+      status: 'running',
+      lockedAt: { lt: olderThan },
+    };
+
+    const [failed, requeued] = await this.prisma.$transaction([
+      this.prisma.job.updateMany({
+        where: { ...stale, attempts: { gte: this.prisma.job.fields.maxAttempts } },
+        data: {
+          status: 'failed',
+          error: 'Worker stopped while running the job',
+          lockedAt: null,
+          lockedBy: null,
+          completedAt: new Date(),
+        },
+      }),
+      this.prisma.job.updateMany({
+        where: stale,
+        data: {
+          status: 'pending',
+          lockedAt: null,
+          lockedBy: null,
+        },
+      }),
+    ]);
+
+    return { failed: failed.count, requeued: requeued.count };
+  }
+
+  // AI usage metering
+  async recordAiUsage(data) {
+    return await this.prisma.aiUsage.create({ data });
+  }
+
+  usageWhere(subject, since) {
+    return {
+      ...(subject.userId ? { userId: subject.userId } : { userId: null, guestId: subject.guestId }),
+      createdAt: { gte: since },
+    };
+  }
+
+  async getAiUsageCost(subject, since) {
+    const result = await this.prisma.aiUsage.aggregate({
+      where: this.usageWhere(subject, since),
+      _sum: { estimatedCost: true },
+    });
+    return result._sum.estimatedCost || 0;
+  }
+
+  async getAiUsageBreakdown(subject, since) {
+    const groups = await this.prisma.aiUsage.groupBy({
+      by: ['capability'],
+      where: this.usageWhere(subject, since),
+      _count: { _all: true },
+      _sum: {
+        promptTokens: true,
+        completionTokens: true,
+        images: true,
+        characters: true,
+        audioSeconds: true,
+        estimatedCost: true,
+      },
+    });
+
+    return groups.reduce((breakdown, group) => {
+      breakdown[group.capability] = {
+        calls: group._count._all,
+        promptTokens: group._sum.promptTokens || 0,
+        completionTokens: group._sum.completionTokens || 0,
+        images: group._sum.images || 0,
+        characters: group._sum.characters || 0,
+        audioSeconds: group._sum.audioSeconds || 0,
+        estimatedCost: Math.round((group._sum.estimatedCost || 0) * 1e6) / 1e6,
+      };
+      return breakdown;
+    }, {});
+  }
+
+  // Rate limiting: fixed-window counters. A hit on an expired window starts
+  // a new one in the same statement, so concurrent requests stay consistent.
+  async incrementRateLimit(key, windowMs) {
+    const resetAt = new Date(Date.now() + windowMs);
+    const [row] = await this.prisma.$queryRaw`
+      INSERT INTO "RateLimit" ("key", "hits", "resetAt")
+      VALUES (${key}, 1, ${resetAt})
+      ON CONFLICT ("key") DO UPDATE SET
+        "hits" = CASE WHEN "RateLimit"."resetAt" <= NOW() THEN 1 ELSE "RateLimit"."hits" + 1 END,
+        "resetAt" = CASE WHEN "RateLimit"."resetAt" <= NOW() THEN EXCLUDED."resetAt" ELSE "RateLimit"."resetAt" END
+      RETURNING "hits", "resetAt"
+    `;
+    return row;
+  }
+
+  async decrementRateLimit(key) {
+    await this.prisma.rateLimit.updateMany({
+      where: { key, hits: { gt: 0 } },
+      data: { hits: { decrement: 1 } },
+    });
+  }
+
+  async resetRateLimit(key) {
+    await this.prisma.rateLimit.deleteMany({ where: { key } });
+  }
+
+  async deleteExpiredRateLimits() {
+    return await this.prisma.rateLimit.deleteMany({
+      where: { resetAt: { lt: new Date() } },
+    });
+  }
+
+  // Push notification device tokens. A token belongs to whichever user
+  // registered it last, so a shared device follows its signed-in account.
+  async registerDeviceToken(userId, token, platform) {
+    return await this.prisma.deviceToken.upsert({
+      where: { token },
+      create: { userId, token, platform },
+      update: { userId, platform, lastSeenAt: new Date() },
+    });
+  }
+
+  async unregisterDeviceToken(userId, token) {
+    const { count } = await this.prisma.deviceToken.deleteMany({
+      where: { userId, token },
+    });
+    return count > 0;
+  }
+
+  async getDeviceTokens(userId) {
+    const devices = await this.prisma.deviceToken.findMany({
+      where: { userId },
+      select: { token: true },
+    });
+    return devices.map(device => device.token);
+  }
+
+  async deleteDeviceTokens(tokens) {
+    return await this.prisma.deviceToken.deleteMany({
+      where: { token: { in: tokens } },
+    });
+  }
+
+  // Reminder operations
+  async getReminders(userId) {
+    return await this.prisma.reminder.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  async getReminder(reminderId, userId) {
+    const reminder = await this.prisma.reminder.findFirst({
+      where: { id: reminderId, userId },
+    });
+    if (!reminder) {
+      throw new Error('Reminder not found');
+    }
+    return reminder;
+  }
+
+  async countReminders(userId) {
+    return await this.prisma.reminder.count({ where: { userId } });
+  }
+
+  async createReminder(userId, data) {
+    return await this.prisma.reminder.create({
+      data: { ...data, userId },
+    });
+  }
+
+  async updateReminder(reminderId, userId, data) {
+    const { count } = await this.prisma.reminder.updateMany({
+      where: { id: reminderId, userId },
+      data,
+    });
+    if (count === 0) {
+      throw new Error('Reminder not found');
+    }
+    return await this.prisma.reminder.findUnique({ where: { id: reminderId } });
+  }
+
+  async deleteReminder(reminderId, userId) {
+    const { count } = await this.prisma.reminder.deleteMany({
+      where: { id: reminderId, userId },
+    });
+    if (count === 0) {
+      throw new Error('Reminder not found');
+    }
+  }
+
+  // Claims reminders due at `now` and moves each to its next run, computed
+  // by `nextRunAt(reminder)`. Rows are locked with SKIP LOCKED so concurrent
+  // schedulers never claim the same reminder. Returns the claimed rows as
+  // they were before rescheduling.
+  async claimDueReminders(now, limit, nextRunAt) {
+    return await this.prisma.$transaction(async (tx) => {
+      const due = await tx.$queryRaw`
+        SELECT * FROM "Reminder"
+        WHERE enabled AND "nextRunAt" <= ${now}
+        ORDER BY "nextRunAt"
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      `;
+
+      for (const reminder of due) {
+        await tx.reminder.update({
+          where: { id: reminder.id },
+          data: { nextRunAt: nextRunAt(reminder), lastRunAt: now },
+        });
+      }
+
+      return due;
+    });
+  }
+
+  // Whether the user recorded a dream on the local calendar day (YYYY-MM-DD)
+  async hasDreamOnLocalDay(userId, timezone, day) {
+    const rows = await this.prisma.$queryRaw`
+      SELECT 1 FROM "Dream" d
+      WHERE ${this.dreamsInLocalRange(userId, { timezone, start: day, end: day })}
+      LIMIT 1
+    `;
+    return rows.length > 0;
+  }
+
+  // Analytics and statistics
+  async getUserStats(userId, options = {}) {
+    const { timezone = 'UTC' } = options;
+    const [
+      totalDreams,
+      dreamsThisMonth,
+      favoriteDreams,  // NEW STAT
       mostCommonTags,
       moodDistribution,
       averageLucidity,
     ] = await Promise.all([
-      this.prisma.dream.count({ where: { userId } }),
-      this.prisma.dream.count({
-        where: {
-          userId,
-          createdAt: {
-            gte: new Date(new Date().setDate(1)), // First day of current month
-          },
-        },
-      }),
-      this.prisma.dream.count({ where: { userId, isFavorite: true } }),  // NEW STAT
+      this.prisma.dream.count({ where: { userId, deletedAt: null } }),
+      // Calendar month in the user's timezone, not the server's
+      this.prisma.$queryRaw`
+        SELECT COUNT(*)::int AS "count"
+        FROM "Dream"
+        WHERE "userId" = ${userId}
+          AND "deletedAt" IS NULL
+          AND date_trunc('month', ("createdAt" AT TIME ZONE 'UTC') AT TIME ZONE ${timezone})
+            = date_trunc('month', NOW() AT TIME ZONE ${timezone})
+      `,
+      this.prisma.dream.count({ where: { userId, deletedAt: null, isFavorite: true } }),  // NEW STAT
       this.prisma.$queryRaw`
         SELECT tag, COUNT(*) as count
         FROM (
           SELECT unnest(tags) as tag
           FROM "Dream"
-          WHERE "userId" = ${userId}
+          WHERE "userId" = ${userId} AND "deletedAt" IS NULL
         ) as dream_tags
         GROUP BY tag
         ORDER BY count DESC
@@ -270,18 +2333,18 @@ class DatabaseService {
       `,
       this.prisma.dream.groupBy({
         by: ['mood'],
-        where: { userId, mood: { not: null } },
+        where: { userId, deletedAt: null, mood: { not: null } },
         _count: true,
       }),
       this.prisma.dream.aggregate({
-        where: { userId, lucidity: { not: null } },
+        where: { userId, deletedAt: null, lucidity: { not: null } },
         _avg: { lucidity: true },
       }),
     ]);
 
     return {
       totalDreams,
-      dreamsThisMonth,
+      dreamsThisMonth: dreamsThisMonth[0].count,
       favoriteDreams,  // NEW STAT
       mostCommonTags,
       moodDistribution: moodDistribution.map(m => ({
@@ -292,30 +2355,206 @@ class DatabaseService {
     };
   }
 
-  // Search functionality with PostgreSQL full-text search
-  async searchDreams(userId, searchTerm, options = {}) {
-    const { skip = 0, take = 10 } = options;
+  // Trend queries. Dates are bucketed by the dream's `date` converted to the
+  // user's timezone; `start` and `end` are local calendar dates (YYYY-MM-DD),
+  // both inclusive. Weeks start on Monday.
+  localDreamDate(timezone) {
+    return Prisma.sql`(d."date" AT TIME ZONE 'UTC') AT TIME ZONE ${timezone}`;
+  }
+
+  dreamsInLocalRange(userId, { timezone, start, end }) {
+    const local = this.localDreamDate(timezone);
+    return Prisma.sql`
+      d."userId" = ${userId}
+      AND d."deletedAt" IS NULL
+      AND ${local} >= ${start}::date
+      AND ${local} < ${end}::date + 1
+    `;
+  }
+
+  async getTrendData(userId, options) {
+    const { interval, timezone, start, end, topTags = 10 } = options;
+    const unit = Prisma.raw(`'${interval}'`);
+    const bucket = Prisma.sql`date_trunc(${unit}, ${this.localDreamDate(timezone)})`;
+    const inRange = this.dreamsInLocalRange(userId, options);
+    const period = Prisma.sql`to_char(${bucket}, 'YYYY-MM-DD')`;
+
+    const [series, moods, tags, emotions] = await Promise.all([
+      this.prisma.$queryRaw`
+        WITH buckets AS (
+          SELECT generate_series(
+            date_trunc(${unit}, ${start}::timestamp),
+            date_trunc(${unit}, ${end}::timestamp),
+            ${Prisma.raw(`'1 ${interval}'`)}::interval
+          ) AS bucket
+        ), dreams AS (
+          SELECT ${bucket} AS bucket, d."lucidity"
+          FROM "Dream" d
+          WHERE ${inRange}
+        )
+        SELECT to_char(b.bucket, 'YYYY-MM-DD') AS "period",
+               COUNT(dr.bucket)::int AS "count",
+               AVG(dr."lucidity")::float AS "averageLucidity"
+        FROM buckets b
+        LEFT JOIN dreams dr ON dr.bucket = b.bucket
+        GROUP BY b.bucket
+        ORDER BY b.bucket
+      `,
+      this.prisma.$queryRaw`
+        SELECT ${period} AS "period", d."mood" AS "name", COUNT(*)::int AS "count"
+        FROM "Dream" d
+        WHERE ${inRange} AND d."mood" IS NOT NULL
+        GROUP BY 1, 2
+      `,
+      // Only the most used tags in the range, so the series stays chartable
+      this.prisma.$queryRaw`
+        WITH tagged AS (
+          SELECT ${period} AS "period", unnest(d."tags") AS "name"
+          FROM "Dream" d
+          WHERE ${inRange}
+        ), top AS (
+          SELECT "name" FROM tagged GROUP BY "name" ORDER BY COUNT(*) DESC, "name" LIMIT ${topTags}
+        )
+        SELECT t."period", t."name", COUNT(*)::int AS "count"
+        FROM tagged t
+        JOIN top USING ("name")
+        GROUP BY 1, 2
+      `,
+      // Emotions from each dream's latest analysis
+      this.prisma.$queryRaw`
+        WITH latest AS (
+          SELECT DISTINCT ON (a."dreamId") ${period} AS "period", a."emotions"
+          FROM "DreamAnalysis" a
+          JOIN "Dream" d ON d."id" = a."dreamId"
+          WHERE ${inRange}
+          ORDER BY a."dreamId", a."createdAt" DESC
+        )
+        SELECT "period", unnest("emotions") AS "name", COUNT(*)::int AS "count"
+        FROM latest
+        GROUP BY 1, 2
+      `,
+    ]);
+
+    return { series, moods, tags, emotions };
+  }
 
-    // Use PostgreSQL's full-text search
-    const dreams = await this.prisma.$queryRaw`
-      SELECT 
-        d.*,
-        ts_rank(d.search_vector, plainto_tsquery('english', ${searchTerm})) AS rank
+  async getWeekdayPattern(userId, options) {
+    const { timezone } = options;
+
+    return await this.prisma.$queryRaw`
+      SELECT EXTRACT(ISODOW FROM ${this.localDreamDate(timezone)})::int AS "isoDay",
+             COUNT(*)::int AS "count",
+             AVG(d."lucidity")::float AS "averageLucidity",
+             MODE() WITHIN GROUP (ORDER BY d."mood") AS "topMood"
       FROM "Dream" d
-      WHERE 
-        d."userId" = ${userId}
-        AND d.search_vector @@ plainto_tsquery('english', ${searchTerm})
-      ORDER BY rank DESC
-      OFFSET ${skip}
-      LIMIT ${take}
+      WHERE ${this.dreamsInLocalRange(userId, options)}
+      GROUP BY 1
+      ORDER BY 1
     `;
+  }
 
-    // Convert the raw results to match Prisma's format
-    return dreams.map(dream => ({
-      ...dream,
-      images: [], // You'd need to fetch these separately or join them
-      _count: { analyses: 0 } // Same for counts
-    }));
+  // Every local calendar day with at least one dream, ascending
+  async getJournalDays(userId, timezone) {
+    const rows = await this.prisma.$queryRaw`
+      SELECT DISTINCT to_char(${this.localDreamDate(timezone)}, 'YYYY-MM-DD') AS "day"
+      FROM "Dream" d
+      WHERE d."userId" = ${userId} AND d."deletedAt" IS NULL
+      ORDER BY 1
+    `;
+    return rows.map(row => row.day);
+  }
+
+  // Search functionality with PostgreSQL full-text search
+  async searchDreams(userId, searchTerm, options = {}) {
+    const {
+      skip = 0,
+      take = 10,
+      tags,
+      startDate,
+      endDate,
+      mood,
+      favoritesOnly = false,
+    } = options;
+
+    const query = Prisma.sql`plainto_tsquery('english', ${searchTerm})`;
+
+    const conditions = [
+      Prisma.sql`d."userId" = ${userId}`,
+      Prisma.sql`d."deletedAt" IS NULL`,
+      Prisma.sql`d.search_vector @@ ${query}`,
+    ];
+    if (favoritesOnly) {
+      conditions.push(Prisma.sql`d."isFavorite" = true`);
+    }
+    if (tags && tags.length > 0) {
+      conditions.push(Prisma.sql`d.tags && ${tags}::text[]`);
+    }
+    if (startDate) {
+      conditions.push(Prisma.sql`d.date >= ${new Date(startDate)}`);
+    }
+    if (endDate) {
+      conditions.push(Prisma.sql`d.date <= ${new Date(endDate)}`);
+    }
+    if (mood) {
+      conditions.push(Prisma.sql`d.mood = ${mood}`);
+    }
+    const where = Prisma.join(conditions, ' AND ');
+
+    const headlineOptions = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxFragments=2, MaxWords=30, MinWords=10`;
+    // Marker characters already in the text are dropped so they can't pass as highlights
+    const markers = HIGHLIGHT_START + HIGHLIGHT_STOP;
+
+    // Rank and highlight in SQL, then load the full records through Prisma so
+    // images and analysis counts come back in the same shape as getDreamsByUser
+    const [matches, countResult] = await Promise.all([
+      this.prisma.$queryRaw`
+        SELECT
+          d.id,
+          ts_rank(d.search_vector, ${query}) AS rank,
+          ts_headline('english', translate(COALESCE(d.title, ''), ${markers}, ''), ${query}, ${headlineOptions}) AS "titleHighlight",
+          ts_headline('english', translate(d."dreamText", ${markers}, ''), ${query}, ${headlineOptions}) AS "dreamTextHighlight",
+          ts_headline('english', translate(COALESCE(d.story, ''), ${markers}, ''), ${query}, ${headlineOptions}) AS "storyHighlight"
+        FROM "Dream" d
+        WHERE ${where}
+        ORDER BY rank DESC, d."createdAt" DESC
+        OFFSET ${skip}
+        LIMIT ${take}
+      `,
+      this.prisma.$queryRaw`
+        SELECT COUNT(*)::int AS total
+        FROM "Dream" d
+        WHERE ${where}
+      `,
+    ]);
+
+    const dreams = await this.prisma.dream.findMany({
+      where: { id: { in: matches.map(m => m.id) } },
+      include: {
+        images: true,
+        _count: {
+          select: { analyses: true },
+        },
+      },
+    });
+    const dreamsById = new Map(dreams.map(dream => [dream.id, dream]));
+
+    const total = countResult[0].total;
+
+    return {
+      dreams: matches
+        .filter(match => dreamsById.has(match.id))
+        .map(match => ({
+          ...dreamsById.get(match.id),
+          rank: match.rank,
+          highlights: {
+            title: toHighlightHtml(match.titleHighlight),
+            dreamText: toHighlightHtml(match.dreamTextHighlight),
+            story: toHighlightHtml(match.storyHighlight),
+          },
+        })),
+      total,
+      hasMore: skip + take < total,
+    };
   }
 
   // Cleanup and maintenance
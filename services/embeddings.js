@@ -0,0 +1,227 @@
+// dream-log-backend/services/embeddings.js
+// Embeddings of dreamText for finding similar dreams and recurring ones.
+// Similarity is cosine; pgvector computes it when installed, otherwise it is
+// done here over the user's stored vectors.
+
+const crypto = require('crypto');
+const ai = require('./ai');
+const db = require('./database');
+
+// Inputs per embeddings request
+const EMBED_BATCH_SIZE = 64;
+// Clustering compares every pair, so it looks at the most recent dreams only
+const MAX_CLUSTER_DREAMS = 2000;
+
+const DEFAULT_SIMILAR_THRESHOLD = parseFloat(process.env.SIMILAR_DREAM_THRESHOLD) || 0.5;
+const DEFAULT_RECURRING_THRESHOLD = parseFloat(process.env.RECURRING_DREAM_THRESHOLD) || 0.85;
+// Below this nearly everything links up into one cluster
+const MIN_RECURRING_THRESHOLD = 0.5;
+
+function embeddingModel() {
+  return ai.getProvider('embedding').model;
+}
+
+function contentHash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0)) || 1;
+  return Float32Array.from(vector, x => x / norm);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// Embeds the given dreams, skipping any whose text and model haven't changed
+// since they were last embedded. `client` is services/ai or a metered wrapper.
+async function embedDreams(dreamIds, client = ai) {
+  const model = embeddingModel();
+  const dreams = await db.getDreamsForEmbedding(dreamIds);
+
+  const stale = dreams.filter(dream => {
+    const hash = contentHash(dream.dreamText);
+    return !dream.embedding || dream.embedding.model !== model || dream.embedding.contentHash !== hash;
+  });
+
+  for (let i = 0; i < stale.length; i += EMBED_BATCH_SIZE) {
+    const batch = stale.slice(i, i + EMBED_BATCH_SIZE);
+    const { embeddings, model: usedModel } = await client.embed({ input: batch.map(dream => dream.dreamText) });
+
+    await db.saveDreamEmbeddings(batch.map((dream, j) => ({
+      dreamId: dream.id,
+      userId: dream.userId,
+      model: usedModel || model,
+      dimensions: embeddings[j].length,
+      vector: embeddings[j],
+      contentHash: contentHash(dream.dreamText),
+    })));
+  }
+
+  return { embedded: stale.length, skipped: dreams.length - stale.length };
+}
+
+async function attachDreams(matches, userId) {
+  const dreams = await db.getDreamSummaries(matches.map(m => m.dreamId), userId);
+  const byId = new Map(dreams.map(dream => [dream.id, dream]));
+
+  return matches
+    .filter(match => byId.has(match.dreamId))
+    .map(match => ({
+      ...byId.get(match.dreamId),
+      dreamText: byId.get(match.dreamId).dreamText.slice(0, 300),
+      similarity: Math.round(match.similarity * 1000) / 1000,
+    }));
+}
+
+// Dreams most similar to the given one. Returns null when the dream hasn't
+// been embedded yet.
+async function findSimilarDreams(dreamId, userId, options = {}) {
+  const { take = 10, threshold = DEFAULT_SIMILAR_THRESHOLD } = options;
+
+  const embedding = await db.getDreamEmbedding(dreamId, userId);
+  if (!embedding) return null;
+
+  let matches;
+  if (await db.hasPgvector()) {
+    matches = await db.findNearestDreams(userId, embedding.model, embedding.vector, { excludeId: dreamId, take });
+  } else {
+    const target = normalize(embedding.vector);
+    const candidates = await db.getUserEmbeddings(userId, embedding.model);
+    matches = candidates
+      .filter(candidate => candidate.dreamId !== dreamId && candidate.vector.length === target.length)
+      .map(candidate => ({ dreamId: candidate.dreamId, similarity: dot(target, normalize(candidate.vector)) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, take);
+  }
+
+  return await attachDreams(matches.filter(match => match.similarity >= threshold), userId);
+}
+
+// Pairwise clustering is CPU-bound, so it hands the event loop back this
+// often and other requests keep being served
+const CLUSTER_SLICE_MS = 20;
+
+// Single-linkage clusters (union-find) of the rows' vectors: any two at least
+// `threshold` similar end up together. Returns groups of row indices with
+// their mean pairwise similarity.
+async function clusterVectors(rows, threshold) {
+  const vectors = rows.map(row => normalize(row.vector));
+  const parent = rows.map((row, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  let sliceStart = Date.now();
+
+  for (let i = 0; i < rows.length; i++) {
+    for (let j = i + 1; j < rows.length; j++) {
+      if (vectors[i].length !== vectors[j].length) continue;
+      const rootI = find(i);
+      const rootJ = find(j);
+      // Already in the same cluster, so the comparison can't change anything
+      if (rootI === rootJ) continue;
+      if (dot(vectors[i], vectors[j]) >= threshold) {
+        parent[rootI] = rootJ;
+      }
+    }
+
+    if (Date.now() - sliceStart >= CLUSTER_SLICE_MS) {
+      await new Promise(resolve => setImmediate(resolve));
+      sliceStart = Date.now();
+    }
+  }
+
+  const groups = new Map();
+  rows.forEach((row, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  return [...groups.values()]
+    .filter(members => members.length >= 2)
+    .map(members => ({ members, cohesion: meanPairSimilarity(members.map(i => vectors[i])) }));
+}
+
+// For unit vectors the pairwise dot products sum to (|v1 + ... + vn|^2 - n) / 2,
+// so the mean needs one pass instead of every pair
+function meanPairSimilarity(vectors) {
+  const sum = new Float64Array(vectors[0].length);
+  vectors.forEach(vector => {
+    for (let k = 0; k < vector.length; k++) sum[k] += vector[k];
+  });
+  const n = vectors.length;
+  return (dot(sum, sum) - n) / (n * (n - 1));
+}
+
+// Cluster membership per user, model and threshold, reused until the user's
+// embeddings change or it is CLUSTER_CACHE_TTL_MS old
+const CLUSTER_CACHE_SIZE = 200;
+const CLUSTER_CACHE_TTL_MS = 10 * 60 * 1000;
+const clusterCache = new Map();
+
+async function getClusters(userId, model, threshold) {
+  const key = `${userId}:${model}:${threshold}`;
+  const version = await db.getEmbeddingsVersion(userId, model);
+  const cached = clusterCache.get(key);
+  if (cached && cached.version === version && Date.now() - cached.computedAt < CLUSTER_CACHE_TTL_MS) {
+    return cached;
+  }
+
+  const rows = await db.getUserEmbeddings(userId, model, MAX_CLUSTER_DREAMS);
+  const groups = await clusterVectors(rows, threshold);
+  const entry = {
+    version,
+    computedAt: Date.now(),
+    analyzed: rows.length,
+    clusters: groups.map(group => ({
+      dreamIds: group.members.map(i => rows[i].dreamId),
+      cohesion: group.cohesion,
+    })),
+  };
+
+  clusterCache.delete(key);
+  clusterCache.set(key, entry);
+  if (clusterCache.size > CLUSTER_CACHE_SIZE) {
+    clusterCache.delete(clusterCache.keys().next().value);
+  }
+  return entry;
+}
+
+// Groups near-duplicate dreams: any two dreams at least `threshold` similar
+// end up in the same cluster. Only clusters of `minSize` or more dreams are
+// returned, largest first.
+async function findRecurringClusters(userId, options = {}) {
+  const { threshold = DEFAULT_RECURRING_THRESHOLD, minSize = 2 } = options;
+  const { clusters: found, analyzed } = await getClusters(userId, embeddingModel(), threshold);
+
+  const clusters = [];
+  for (const cluster of found) {
+    if (cluster.dreamIds.length < Math.max(2, minSize)) continue;
+
+    const dreams = await attachDreams(cluster.dreamIds.map(dreamId => ({ dreamId, similarity: 1 })), userId);
+    if (dreams.length < 2) continue;
+    dreams.forEach(dream => delete dream.similarity);
+    dreams.sort((a, b) => a.date - b.date);
+
+    clusters.push({
+      size: dreams.length,
+      cohesion: Math.round(cluster.cohesion * 1000) / 1000,
+      firstDate: dreams[0].date,
+      lastDate: dreams[dreams.length - 1].date,
+      dreams,
+    });
+  }
+
+  clusters.sort((a, b) => b.size - a.size || b.lastDate - a.lastDate);
+  return { clusters, analyzed, threshold };
+}
+
+module.exports = {
+  embeddingModel,
+  embedDreams,
+  findSimilarDreams,
+  findRecurringClusters,
+  MIN_RECURRING_THRESHOLD,
+};
@@ -0,0 +1,236 @@
+// dream-log-backend/services/export.js
+
+const { once } = require('events');
+const archiver = require('archiver');
+
+const EXPORT_VERSION = 1;
+const EXPORT_FORMATS = ['json', 'markdown', 'csv'];
+
+const CSV_COLUMNS = [
+  'id',
+  'date',
+  'title',
+  'dreamText',
+  'story',
+  'storyTone',
+  'storyLength',
+  'tags',
+  'mood',
+  'lucidity',
+  'isFavorite',
+  'isPrivate',
+  'hasAudio',
+  'audioUrl',
+  'audioDuration',
+  'imageUrls',
+  'analysisCount',
+  'latestAnalysis',
+  'createdAt',
+  'updatedAt',
+];
+
+// Write respecting backpressure so a slow client doesn't buffer the journal
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+  }
+}
+
+function toExportRecord(dream) {
+  return {
+    id: dream.id,
+    title: dream.title,
+    dreamText: dream.dreamText,
+    date: dream.date,
+    story: dream.story,
+    storyTone: dream.storyTone,
+    storyLength: dream.storyLength,
+    hasAudio: dream.hasAudio,
+    audioUrl: dream.audioUrl,
+    audioDuration: dream.audioDuration,
+    isPrivate: dream.isPrivate,
+    isFavorite: dream.isFavorite,
+    tags: dream.tags,
+    mood: dream.mood,
+    lucidity: dream.lucidity,
+    createdAt: dream.createdAt,
+    updatedAt: dream.updatedAt,
+    images: (dream.images || []).map(img => ({
+      id: img.id,
+      url: img.url,
+      scene: img.scene,
+      description: img.description,
+      prompt: img.prompt,
+      createdAt: img.createdAt,
+    })),
+    analyses: (dream.analyses || []).map(analysis => ({
+      id: analysis.id,
+      analysisText: analysis.analysisText,
+      summary: analysis.summary,
+      symbols: analysis.symbols,
+      themes: analysis.themes,
+      emotions: analysis.emotions,
+      scores: analysis.scores,
+      createdAt: analysis.createdAt,
+    })),
+  };
+}
+
+// Lossless JSON: everything needed to re-import the journal
+async function writeJsonExport(res, user, dreams) {
+  const header = {
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    user: {
+      email: user.email,
+      displayName: user.displayName,
+    },
+  };
+
+  await write(res, JSON.stringify(header).slice(0, -1) + ',"dreams":[');
+
+  let first = true;
+  for await (const dream of dreams) {
+    if (res.destroyed) return;
+    await write(res, (first ? '' : ',') + JSON.stringify(toExportRecord(dream)));
+    first = false;
+  }
+
+  res.end(']}');
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // User text is prefixed with ' so it shows as typed instead of running
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(dream) {
+  const analyses = dream.analyses || [];
+  const latest = analyses[analyses.length - 1];
+  const row = {
+    ...dream,
+    tags: dream.tags.join(';'),
+    imageUrls: (dream.images || []).map(img => img.url).join(' '),
+    analysisCount: analyses.length,
+    latestAnalysis: latest ? latest.analysisText : null,
+  };
+  return CSV_COLUMNS.map(column => csvCell(row[column])).join(',') + '\r\n';
+}
+
+// Flat CSV, one row per dream, for spreadsheets
+async function writeCsvExport(res, user, dreams) {
+  await write(res, CSV_COLUMNS.join(',') + '\r\n');
+
+  for await (const dream of dreams) {
+    if (res.destroyed) return;
+    await write(res, toCsvRow(dream));
+  }
+
+  res.end();
+}
+
+function slugify(text) {
+  return (text || 'untitled')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50) || 'untitled';
+}
+
+function yamlString(value) {
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function toMarkdown(dream) {
+  const lines = [
+    '---',
+    `id: ${yamlString(dream.id)}`,
+    `title: ${yamlString(dream.title)}`,
+    `date: ${yamlString(dream.date.toISOString())}`,
+    `tags: ${yamlString(dream.tags)}`,
+    `mood: ${yamlString(dream.mood)}`,
+    `lucidity: ${yamlString(dream.lucidity)}`,
+    `favorite: ${yamlString(dream.isFavorite)}`,
+    `storyTone: ${yamlString(dream.storyTone)}`,
+    `storyLength: ${yamlString(dream.storyLength)}`,
+    '---',
+    '',
+    `# ${dream.title || 'Untitled dream'}`,
+    '',
+    '## Dream',
+    '',
+    dream.dreamText,
+    '',
+  ];
+
+  if (dream.story) {
+    lines.push('## Story', '', dream.story, '');
+  }
+
+  if (dream.images && dream.images.length > 0) {
+    lines.push('## Illustrations', '');
+    dream.images.forEach(img => {
+      lines.push(`![${img.scene}: ${img.description}](${img.url})`, '');
+    });
+  }
+
+  (dream.analyses || []).forEach(analysis => {
+    lines.push(`## Analysis (${analysis.createdAt.toISOString().slice(0, 10)})`, '', analysis.analysisText, '');
+    if (analysis.themes.length > 0) lines.push(`Themes: ${analysis.themes.join(', ')}`, '');
+    if (analysis.emotions.length > 0) lines.push(`Emotions: ${analysis.emotions.join(', ')}`, '');
+  });
+
+  return lines.join('\n');
+}
+
+// Zip of one Markdown file per dream
+async function writeMarkdownExport(res, user, dreams) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const names = new Set();
+
+  archive.pipe(res);
+
+  for await (const dream of dreams) {
+    if (res.destroyed) {
+      archive.abort();
+      return;
+    }
+
+    const base = `${dream.date.toISOString().slice(0, 10)}-${slugify(dream.title)}`;
+    const name = names.has(base) ? `${base}-${dream.id}` : base;
+    names.add(name);
+
+    // Wait for each entry to be processed so archiver's queue stays small
+    const processed = once(archive, 'entry');
+    archive.append(toMarkdown(dream), { name: `dreams/${name}.md`, date: dream.updatedAt });
+    await processed;
+  }
+
+  await archive.finalize();
+}
+
+const writers = {
+  json: { contentType: 'application/json', extension: 'json', write: writeJsonExport },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', write: writeCsvExport },
+  markdown: { contentType: 'application/zip', extension: 'zip', write: writeMarkdownExport },
+};
+
+function getExportWriter(format) {
+  return Object.hasOwn(writers, format) ? writers[format] : null;
+}
+
+module.exports = {
+  EXPORT_VERSION,
+  EXPORT_FORMATS,
+  CSV_COLUMNS,
+  getExportWriter,
+  toExportRecord,
+};
@@ -0,0 +1,100 @@
+// dream-log-backend/services/illustrations.js
+// Storybook illustrations: three scenes from a story, stored as they're generated
+
+const ai = require('./ai');
+const { persistImage } = require('./media');
+
+// Helper function to extract story segments
+function extractStorySegments(story) {
+  const sentences = story.match(/[^.!?]+[.!?]+/g) || [];
+  const totalSentences = sentences.length;
+
+  if (totalSentences < 3) {
+    return {
+      beginning: story,
+      middle: story,
+      ending: story
+    };
+  }
+
+  const third = Math.floor(totalSentences / 3);
+
+  return {
+    beginning: sentences.slice(0, third).join(' ').trim(),
+    middle: sentences.slice(third, third * 2).join(' ').trim(),
+    ending: sentences.slice(third * 2).join(' ').trim()
+  };
+}
+
+// Generates one image per scene. Failed scenes, including ones whose image
+// couldn't be stored, come back with url: null and error: true rather than
+// failing the whole set. `client` is services/ai or a metered wrapper around
+// it. Scenes that already have a stored image in `previous` (an earlier
+// attempt's images) are kept instead of generated again.
+async function generateIllustrations(story, tone = 'whimsical', baseUrl, client = ai, previous = []) {
+  const stylePrompts = {
+    whimsical: "whimsical fairy tale illustration, bright vibrant colors, Disney-style animation, magical and playful, soft lighting",
+    mystical: "mystical fairy tale artwork, ethereal lighting, fantasy art style, magical realism, dreamy atmosphere",
+    adventurous: "epic fantasy illustration, adventure book art style, dynamic composition, heroic and bold",
+    gentle: "soft watercolor fairy tale illustration, pastel colors, gentle and peaceful, children's book style",
+    mysterious: "gothic fairy tale illustration, dramatic shadows, mysterious atmosphere, dark fantasy art",
+    comedy: "whimsical silly comedy illustration, Pixar style, quirky characters, humorous ridiculous fantasy"
+  };
+
+  const baseStyle = stylePrompts[tone] || stylePrompts.whimsical;
+  const commonStyle = `${baseStyle}, high quality, detailed artwork, storybook illustration, beautiful composition, IMPORTANT: NO TEXT, no words, no letters, NO WRITING, text-free illustration`;
+
+  const segments = extractStorySegments(story);
+
+  const scenes = [
+    {
+      name: "Scene 1",
+      description: "Beginning of the story",
+      prompt: `Illustrate this scene: ${segments.beginning} | Make it feel like the start of a fairy tale: introduce the main character(s) and setting clearly. | Style: ${commonStyle} | Composition: wide establishing shot, cinematic lighting, detailed storybook artwork. IMPORTANT: Do not include any text, words, letters, or writing in the image.`
+    },
+    {
+      name: "Scene 2", 
+      description: "Middle of the story",
+      prompt: `Illustrate this scene: ${segments.middle} | Focus on the main action or conflict—show drama, movement, and emotions. | Style: ${commonStyle} | Composition: mid-shot or dynamic angle, detailed character expressions, high-quality fairy tale illustration. IMPORTANT: Do not include any text, words, letters, or writing in the image.`
+    },
+    {
+      name: "Scene 3",
+      description: "End of the story",
+      prompt: `Illustrate this scene: ${segments.ending} | Show the resolution or magical transformation—make it feel satisfying and final. | Style: ${commonStyle}, composition: full scene, warm and complete storybook atmosphere, polished illustration. IMPORTANT: Do not include any text, words, letters, or writing in the image.`
+    }
+  ];
+
+  return Promise.all(scenes.map(async (scene, i) => {
+    if (previous[i] && previous[i].url) {
+      return previous[i];
+    }
+
+    try {
+      const response = await client.generateImage({
+        prompt: scene.prompt,
+        size: '1024x1024',
+        quality: 'standard'
+      });
+
+      // Provider URLs expire, so only our own copy is ever handed out
+      const { url } = await persistImage(response.url, baseUrl);
+
+      return {
+        url,
+        scene: scene.name,
+        description: scene.description,
+        prompt: scene.prompt
+      };
+    } catch (error) {
+      console.error(`Error generating image for ${scene.name}:`, error);
+      return {
+        url: null,
+        scene: scene.name,
+        description: scene.description,
+        error: true
+      };
+    }
+  }));
+}
+
+module.exports = { extractStorySegments, generateIllustrations };
@@ -0,0 +1,473 @@
+// dream-log-backend/services/import.js
+
+const db = require('./database');
+const { normalizeTag } = require('./tags');
+
+const IMPORT_FORMATS = ['json', 'csv', 'text'];
+
+// Similarity above which two dreams on the same day count as duplicates
+const DUPLICATE_THRESHOLD = 0.9;
+
+const MAX_TEXT_LENGTH = 50000;
+const MAX_IMPORT_RECORDS = parseInt(process.env.MAX_IMPORT_RECORDS) || 5000;
+
+// Header aliases for generic CSV journals (compared lowercased, without spaces/underscores)
+const CSV_FIELD_ALIASES = {
+  title: ['title', 'name', 'subject', 'heading'],
+  dreamText: ['dreamtext', 'dream', 'text', 'content', 'body', 'entry', 'description', 'notes'],
+  date: ['date', 'day', 'dreamdate', 'createdat', 'created', 'timestamp'],
+  story: ['story'],
+  storyTone: ['storytone', 'tone'],
+  storyLength: ['storylength', 'length'],
+  tags: ['tags', 'tag', 'labels', 'keywords'],
+  mood: ['mood', 'feeling', 'emotion'],
+  lucidity: ['lucidity', 'lucid', 'lucidlevel'],
+  isFavorite: ['isfavorite', 'favorite', 'favourite', 'starred'],
+  imageUrls: ['imageurls', 'images'],
+};
+
+function detectFormat(filename, mimetype, content) {
+  const name = (filename || '').toLowerCase();
+  if (name.endsWith('.json') || mimetype === 'application/json') return 'json';
+  if (name.endsWith('.csv') || mimetype === 'text/csv') return 'csv';
+  if (name.endsWith('.md') || name.endsWith('.txt') || name.endsWith('.markdown')) return 'text';
+
+  const trimmed = content.trimStart();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+  return 'text';
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes and newlines
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const text = content.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function csvRecords(content) {
+  const [header, ...rows] = parseCsv(content);
+  if (!header) return [];
+
+  const columns = header.map(name => {
+    const key = name.toLowerCase().replace(/[\s_-]/g, '');
+    return Object.keys(CSV_FIELD_ALIASES).find(field => CSV_FIELD_ALIASES[field].includes(key)) || null;
+  });
+
+  if (!columns.includes('dreamText')) {
+    throw new Error('CSV must have a dream text column (e.g. "dreamText", "text" or "content")');
+  }
+
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach((field, i) => {
+      if (field && cells[i] !== undefined && cells[i] !== '' && record[field] === undefined) {
+        // Undo the ' our CSV export puts before text that looks like a formula
+        record[field] = cells[i].replace(/^'(?=[=+\-@\t\r])/, '');
+      }
+    });
+    if (record.imageUrls) {
+      record.images = record.imageUrls.split(/\s+/).filter(Boolean).map((url, i) => ({
+        url,
+        scene: `Scene ${i + 1}`,
+        description: 'Imported image',
+      }));
+    }
+    return record;
+  });
+}
+
+function jsonRecords(content) {
+  const parsed = JSON.parse(content);
+  const dreams = Array.isArray(parsed) ? parsed : parsed && parsed.dreams;
+  if (!Array.isArray(dreams)) {
+    throw new Error('JSON must be a dream export or an array of dreams');
+  }
+  return dreams;
+}
+
+const DATE_PATTERN = /\b(\d{4}-\d{2}-\d{2})\b/;
+
+function parseFrontMatter(block) {
+  const record = {};
+  block.split('\n').forEach(line => {
+    const match = line.match(/^(\w+):\s*(.*)$/);
+    if (!match) return;
+    let value = match[2].trim();
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      // Plain YAML scalar
+    }
+    record[match[1] === 'favorite' ? 'isFavorite' : match[1]] = value;
+  });
+  return record;
+}
+
+// Markdown files from our own export: front matter, then ## sections
+function frontMatterRecord(entry) {
+  const match = entry.match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
+  if (!match) {
+    throw new Error('Front matter is missing its closing ---');
+  }
+  const record = parseFrontMatter(match[1]);
+  const sections = {};
+  let current = null;
+
+  match[2].split('\n').forEach(line => {
+    const heading = line.match(/^##\s+(.*)$/);
+    if (heading) {
+      current = heading[1].trim().toLowerCase();
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  });
+
+  const section = name => (sections[name] ? sections[name].join('\n').trim() : undefined);
+  record.dreamText = section('dream');
+  record.story = section('story');
+  return record;
+}
+
+// Plain-text and Markdown journals. Entries are split on headings or on
+// lines starting with an ISO date; a date in the heading becomes the dream date.
+function textRecords(content) {
+  const text = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+  if (text.trimStart().startsWith('---\n')) {
+    return text
+      .split(/\n(?=---\nid: )/)
+      .map(entry => frontMatterRecord(entry.trim()));
+  }
+
+  const entries = [];
+  let current = null;
+
+  text.split('\n').forEach(line => {
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    const dateLine = !heading && line.match(/^\s*(\d{4}-\d{2}-\d{2})\b[\s:.-]*(.*)$/);
+
+    if (heading || dateLine) {
+      const label = heading ? heading[1].trim() : dateLine[2].trim();
+      const dateMatch = heading ? label.match(DATE_PATTERN) : dateLine;
+      current = {
+        title: label.replace(DATE_PATTERN, '').replace(/^[\s:.-]+|[\s:.-]+$/g, '') || undefined,
+        date: dateMatch ? dateMatch[1] : undefined,
+        lines: [],
+      };
+      entries.push(current);
+    } else {
+      if (!current) {
+        current = { lines: [] };
+        entries.push(current);
+      }
+      current.lines.push(line);
+    }
+  });
+
+  return entries
+    .map(({ lines, ...record }) => ({ ...record, dreamText: lines.join('\n').trim() }))
+    .filter(record => record.dreamText || record.title);
+}
+
+function parseRecords(format, content) {
+  switch (format) {
+    case 'json':
+      return jsonRecords(content);
+    case 'csv':
+      return csvRecords(content);
+    case 'text':
+      return textRecords(content);
+    default:
+      throw new Error(`Unsupported import format: ${format}`);
+  }
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === undefined || value === null) return undefined;
+  return ['true', 'yes', '1', 'y'].includes(String(value).trim().toLowerCase());
+}
+
+function parseTags(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const tags = Array.isArray(value) ? value : String(value).split(/[;,|]/);
+  return [...new Set(tags.map(tag => normalizeTag(String(tag))).filter(Boolean))];
+}
+
+function optionalString(value) {
+  if (value === undefined || value === null) return undefined;
+  const text = String(value).trim();
+  return text === '' ? undefined : text;
+}
+
+// Map a parsed record onto Dream fields. Throws with a row-level message.
+function toDreamData(record) {
+  if (!record || typeof record !== 'object') {
+    throw new Error('Entry is not an object');
+  }
+
+  const dreamText = optionalString(record.dreamText);
+  if (!dreamText) {
+    throw new Error('Dream text is required');
+  }
+  if (dreamText.length > MAX_TEXT_LENGTH) {
+    throw new Error(`Dream text is longer than ${MAX_TEXT_LENGTH} characters`);
+  }
+
+  let date = new Date();
+  if (record.date !== undefined && record.date !== null && record.date !== '') {
+    date = new Date(record.date);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid date: ${record.date}`);
+    }
+  }
+
+  let lucidity;
+  if (record.lucidity !== undefined && record.lucidity !== null && record.lucidity !== '') {
+    lucidity = Number(record.lucidity);
+    if (!Number.isInteger(lucidity) || lucidity < 1 || lucidity > 5) {
+      throw new Error(`Lucidity must be an integer from 1 to 5, got ${record.lucidity}`);
+    }
+  }
+
+  const images = Array.isArray(record.images)
+    ? record.images.filter(img => img && img.url).map(img => ({
+      url: img.url,
+      scene: img.scene || 'Scene',
+      description: img.description || '',
+      prompt: img.prompt,
+    }))
+    : [];
+
+  const analyses = Array.isArray(record.analyses)
+    ? record.analyses.filter(a => a && a.analysisText).map(a => ({
+      analysisText: a.analysisText,
+      summary: optionalString(a.summary),
+      symbols: a.symbols === null ? undefined : a.symbols,
+      themes: Array.isArray(a.themes) ? a.themes : [],
+      emotions: Array.isArray(a.emotions) ? a.emotions : [],
+      scores: a.scores === null ? undefined : a.scores,
+      ...(a.createdAt && !isNaN(new Date(a.createdAt).getTime()) && { createdAt: new Date(a.createdAt) }),
+    }))
+    : [];
+
+  const audioDuration = record.audioDuration === undefined || record.audioDuration === null
+    ? undefined
+    : parseInt(record.audioDuration);
+
+  return {
+    title: optionalString(record.title),
+    dreamText,
+    date,
+    story: optionalString(record.story),
+    storyTone: optionalString(record.storyTone),
+    storyLength: optionalString(record.storyLength),
+    hasAudio: parseBoolean(record.hasAudio) || false,
+    audioUrl: optionalString(record.audioUrl),
+    audioDuration: Number.isNaN(audioDuration) ? undefined : audioDuration,
+    isFavorite: parseBoolean(record.isFavorite) || false,
+    ...(record.isPrivate !== undefined && { isPrivate: parseBoolean(record.isPrivate) }),
+    tags: parseTags(record.tags),
+    mood: optionalString(record.mood),
+    lucidity,
+    images,
+    analyses,
+  };
+}
+
+function normalizeText(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function bigrams(text) {
+  const grams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+// Sørensen–Dice coefficient over character bigrams of the normalised text
+function textSimilarity(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  let overlap = 0;
+  leftGrams.forEach((count, gram) => {
+    overlap += Math.min(count, rightGrams.get(gram) || 0);
+  });
+
+  return (2 * overlap) / (left.length - 1 + right.length - 1);
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Index of existing dreams by calendar day for duplicate lookups
+class DuplicateIndex {
+  constructor(dreams = []) {
+    this.byDay = new Map();
+    dreams.forEach(dream => this.add(dream));
+  }
+
+  add(dream) {
+    const key = dayKey(dream.date);
+    if (!this.byDay.has(key)) this.byDay.set(key, []);
+    this.byDay.get(key).push(dream);
+  }
+
+  find(dream) {
+    const candidates = this.byDay.get(dayKey(dream.date)) || [];
+    return candidates.find(candidate =>
+      textSimilarity(candidate.dreamText, dream.dreamText) >= DUPLICATE_THRESHOLD
+    ) || null;
+  }
+}
+
+// Validate every record, skip duplicates of existing or earlier rows, then
+// create the rest in one transaction (unless this is a dry run)
+async function importDreams(userId, records, options = {}) {
+  const { dryRun = false } = options;
+  const errors = [];
+  const candidates = [];
+
+  records.forEach((record, index) => {
+    try {
+      candidates.push({ row: index + 1, data: toDreamData(record) });
+    } catch (error) {
+      errors.push({ row: index + 1, error: error.message });
+    }
+  });
+
+  let existing = [];
+  if (candidates.length > 0) {
+    // A loop rather than Math.min(...times), which runs out of stack on big imports
+    let first = Infinity;
+    let last = -Infinity;
+    candidates.forEach(c => {
+      const time = c.data.date.getTime();
+      if (time < first) first = time;
+      if (time > last) last = time;
+    });
+    const start = new Date(first);
+    const end = new Date(last);
+    start.setUTCHours(0, 0, 0, 0);
+    end.setUTCHours(23, 59, 59, 999);
+    existing = await db.getDreamsInDateRange(userId, start, end);
+  }
+
+  const index = new DuplicateIndex(existing);
+  const duplicates = [];
+  const toCreate = [];
+
+  candidates.forEach(candidate => {
+    const match = index.find(candidate.data);
+    if (match) {
+      duplicates.push({
+        row: candidate.row,
+        title: candidate.data.title || null,
+        date: candidate.data.date,
+        duplicateOf: match.id || null,
+        duplicateOfRow: match.row || null,
+      });
+      return;
+    }
+    index.add({ row: candidate.row, date: candidate.data.date, dreamText: candidate.data.dreamText });
+    toCreate.push(candidate);
+  });
+
+  let created;
+  if (dryRun) {
+    created = toCreate.map(({ row, data }) => ({
+      row,
+      title: data.title || null,
+      date: data.date,
+      dreamText: data.dreamText.slice(0, 200),
+      tags: data.tags,
+      mood: data.mood || null,
+      lucidity: data.lucidity || null,
+      images: data.images.length,
+      analyses: data.analyses.length,
+    }));
+  } else {
+    const dreams = await db.createDreams(userId, toCreate.map(c => c.data));
+    created = dreams.map((dream, i) => ({
+      row: toCreate[i].row,
+      id: dream.id,
+      title: dream.title,
+      date: dream.date,
+    }));
+  }
+
+  return {
+    dryRun,
+    summary: {
+      total: records.length,
+      created: created.length,
+      duplicates: duplicates.length,
+      errors: errors.length,
+    },
+    created,
+    duplicates,
+    errors,
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  MAX_IMPORT_RECORDS,
+  detectFormat,
+  parseRecords,
+  toDreamData,
+  textSimilarity,
+  DuplicateIndex,
+  importDreams,
+};
@@ -0,0 +1,143 @@
+// dream-log-backend/services/jobs/handlers.js
+// One handler per job type. Each receives the claimed job and returns a
+// JSON-serialisable result; throwing makes the queue retry with backoff.
+
+const db = require('../database');
+const { generateIllustrations } = require('../illustrations');
+const { releaseImages } = require('../media');
+const { getStorage, newKey } = require('../storage');
+const { analysisChatOptions, buildAnalysisResult, toAnalysisRecord } = require('../analysis');
+const { meteredAi, SYSTEM_SUBJECT } = require('../usage');
+const { embedDreams } = require('../embeddings');
+const { buildAccountArchive } = require('../archive');
+
+// OpenAI's speech endpoint accepts at most 4096 characters per request
+const MAX_SPEECH_CHUNK = 4000;
+
+function splitForSpeech(text) {
+  const sentences = text.match(/[^.!?]+[.!?]*\s*/g) || [text];
+  const chunks = [];
+  let current = '';
+
+  sentences.forEach(sentence => {
+    if (current.length + sentence.length > MAX_SPEECH_CHUNK && current) {
+      chunks.push(current);
+      current = '';
+    }
+    // A single overlong "sentence" is hard-split
+    while (sentence.length > MAX_SPEECH_CHUNK) {
+      chunks.push(sentence.slice(0, MAX_SPEECH_CHUNK));
+      sentence = sentence.slice(MAX_SPEECH_CHUNK);
+    }
+    current += sentence;
+  });
+
+  if (current.trim()) chunks.push(current);
+  return chunks;
+}
+
+// MP3 frames can simply be concatenated; WAV needs one header for all the PCM data
+function joinAudio(parts, contentType) {
+  if (parts.length === 1 || contentType !== 'audio/wav') {
+    return Buffer.concat(parts);
+  }
+
+  const header = Buffer.from(parts[0].subarray(0, 44));
+  const data = Buffer.concat(parts.map(part => part.subarray(44)));
+  header.writeUInt32LE(36 + data.length, 4);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+// Usage is billed to whoever submitted the job
+function jobAi(job) {
+  return meteredAi({ userId: job.userId, guestId: job.payload.guestId || null }, `job:${job.type}`);
+}
+
+const handlers = {
+  async 'generate-images'(job) {
+    const { story, tone, baseUrl } = job.payload;
+    // A retry keeps the images earlier attempts stored, so only scenes that
+    // failed are generated (and billed) again
+    const previous = (job.result && job.result.images) || [];
+    const images = await generateIllustrations(story, tone, baseUrl, jobAi(job), previous);
+    const generated = images.filter(img => img.url);
+
+    if (generated.length === 0) {
+      throw new Error('No images could be generated');
+    }
+    await db.saveJobProgress(job.id, job.lockedBy, { images });
+
+    let attached = false;
+    if (job.dreamId && job.userId) {
+      const oldKeys = await db.getDreamImageKeys(job.dreamId, job.userId);
+      await db.updateDream(job.dreamId, job.userId, { images: generated }, { source: 'job:generate-images' });
+      await releaseImages(oldKeys);
+      attached = true;
+    }
+
+    return { images, attached };
+  },
+
+  async 'text-to-speech'(job) {
+    const { text, voice, speed } = job.payload;
+    const ai = jobAi(job);
+    const parts = [];
+    let contentType;
+
+    for (const chunk of splitForSpeech(text)) {
+      const result = await ai.speech({ text: chunk, voice, speed });
+      parts.push(result.audio);
+      contentType = result.contentType;
+    }
+
+    const audio = joinAudio(parts, contentType);
+    const key = newKey('speech', contentType);
+    await getStorage().put(key, audio, contentType);
+
+    return { audioKey: key, contentType, size: audio.length, chunks: parts.length };
+  },
+
+  async 'batch-analysis'(job) {
+    const { dreamIds, style, language } = job.payload;
+    const ai = jobAi(job);
+    const analyses = [];
+
+    for (const dreamId of dreamIds) {
+      try {
+        const dream = await db.getDreamById(dreamId, job.userId);
+        if (!dream) {
+          analyses.push({ dreamId, error: 'Dream not found' });
+          continue;
+        }
+
+        const response = await ai.chat(analysisChatOptions(dream.dreamText, { style, language }));
+        const result = buildAnalysisResult(response.content);
+        const saved = await db.createDreamAnalysis(dreamId, job.userId, toAnalysisRecord(result));
+        analyses.push({ dreamId, analysisId: saved.id, structured: result.structured });
+      } catch (error) {
+        console.error(`Batch analysis failed for dream ${dreamId}:`, error);
+        analyses.push({ dreamId, error: 'Analysis failed' });
+      }
+    }
+
+    if (analyses.every(a => a.error)) {
+      throw new Error('Every dream in the batch failed to analyse');
+    }
+
+    return { analyses };
+  },
+
+  // Queued by the server whenever dreams are created or their text changes,
+  // so it is billed as system usage rather than to the user's quota
+  async 'embed-dreams'(job) {
+    return await embedDreams(job.payload.dreamIds, meteredAi(SYSTEM_SUBJECT, `job:${job.type}`));
+  },
+
+  // "Download my data"; queued from /api/account/data-export
+  async 'export-account-data'(job) {
+    return await buildAccountArchive(job.userId);
+  },
+};
+
+module.exports = { handlers, splitForSpeech, joinAudio };
@@ -0,0 +1,134 @@
+// dream-log-backend/services/jobs/index.js
+// Postgres-backed job queue. Jobs are rows in "Job"; workers poll for due
+// jobs and claim them with SKIP LOCKED, so no Redis is needed and several
+// instances can share the queue.
+
+const os = require('os');
+const crypto = require('crypto');
+const db = require('../database');
+const { handlers } = require('./handlers');
+
+const JOB_TYPES = Object.keys(handlers);
+
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// A running job whose lock hasn't been refreshed for this long is assumed to
+// belong to a dead worker; live workers refresh theirs every HEARTBEAT_MS
+const STALE_AFTER_MS = 15 * 60 * 1000;
+const HEARTBEAT_MS = STALE_AFTER_MS / 5;
+
+const workerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+let pollTimer = null;
+let staleTimer = null;
+let heartbeatTimer = null;
+let running = 0;
+let stopping = false;
+const inFlight = new Set();
+const runningJobIds = new Set();
+
+async function enqueue(type, payload, options = {}) {
+  if (!handlers[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  return await db.createJob({
+    type,
+    payload,
+    userId: options.userId,
+    dreamId: options.dreamId,
+    maxAttempts: options.maxAttempts,
+  });
+}
+
+// Exponential backoff: 30s, 1m, 2m, ... capped at an hour
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+function warnLockLost(job) {
+  console.warn(`Job ${job.id} (${job.type}) was requeued while running; its result was discarded`);
+}
+
+async function runJob(job) {
+  runningJobIds.add(job.id);
+  try {
+    const result = await handlers[job.type](job);
+    if (!await db.completeJob(job.id, workerId, result)) warnLockLost(job);
+  } catch (error) {
+    console.error(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed:`, error);
+    const retryAt = job.attempts < job.maxAttempts
+      ? new Date(Date.now() + retryDelay(job.attempts))
+      : null;
+    await db.failJob(job.id, workerId, error.message, retryAt)
+      .then(recorded => { if (!recorded) warnLockLost(job); })
+      .catch(updateError => {
+        console.error(`Failed to record failure for job ${job.id}:`, updateError);
+      });
+  } finally {
+    runningJobIds.delete(job.id);
+  }
+}
+
+function heartbeat() {
+  if (runningJobIds.size === 0) return;
+  db.touchJobs([...runningJobIds], workerId).catch(error => {
+    console.error('Error refreshing job locks:', error);
+  });
+}
+
+async function poll(concurrency) {
+  while (!stopping && running < concurrency) {
+    let job;
+    try {
+      job = await db.claimNextJob(workerId);
+    } catch (error) {
+      console.error('Error claiming job:', error);
+      return;
+    }
+    if (!job) return;
+
+    running++;
+    const promise = runJob(job).finally(() => {
+      running--;
+      inFlight.delete(promise);
+    });
+    inFlight.add(promise);
+  }
+}
+
+function startWorker(options = {}) {
+  const {
+    concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2,
+    pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+  } = options;
+
+  if (pollTimer) return;
+  stopping = false;
+
+  pollTimer = setInterval(() => poll(concurrency), pollIntervalMs);
+  staleTimer = setInterval(() => {
+    db.requeueStaleJobs(new Date(Date.now() - STALE_AFTER_MS)).catch(error => {
+      console.error('Error requeueing stale jobs:', error);
+    });
+  }, STALE_AFTER_MS / 3);
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = setInterval(heartbeat, HEARTBEAT_MS);
+
+  console.log(`Job worker ${workerId} started (concurrency ${concurrency})`);
+}
+
+// Stops polling and waits for jobs already running to finish
+async function stopWorker() {
+  stopping = true;
+  clearInterval(pollTimer);
+  clearInterval(staleTimer);
+  pollTimer = null;
+  staleTimer = null;
+  // Keeps refreshing locks until the jobs it is waiting for finish
+  await Promise.allSettled([...inFlight]);
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+}
+
+module.exports = { JOB_TYPES, enqueue, startWorker, stopWorker };
@@ -0,0 +1,157 @@
+// dream-log-backend/services/media.js
+// Persists generated illustrations and voice memos, serves them back, and
+// cleans them up once nothing uses them
+
+const mm = require('music-metadata');
+const db = require('./database');
+const { getStorage, newKey, mediaUrl, EXTENSIONS } = require('./storage');
+
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+async function fetchImage(url) {
+  if (url.startsWith('data:')) {
+    const match = url.match(/^data:([^;,]+)(;base64)?,(.*)$/s);
+    if (!match) {
+      throw new Error('Invalid data URL');
+    }
+    const buffer = match[2]
+      ? Buffer.from(match[3], 'base64')
+      : Buffer.from(decodeURIComponent(match[3]));
+    return { buffer, contentType: match[1] };
+  }
+
+  const response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Image download failed: ${response.status}`);
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+  const buffer = Buffer.from(await response.arrayBuffer());
+  return { buffer, contentType };
+}
+
+// Downloads a (possibly short-lived) image URL into storage right away and
+// returns the stable URL it is served from
+async function persistImage(sourceUrl, baseUrl) {
+  const { buffer, contentType } = await fetchImage(sourceUrl);
+
+  if (!EXTENSIONS[contentType]) {
+    throw new Error(`Unsupported image type: ${contentType || 'unknown'}`);
+  }
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new Error('Image too large');
+  }
+
+  const key = newKey('images', contentType);
+  await getStorage().put(key, buffer, contentType);
+
+  return { key, url: mediaUrl(key, baseUrl) };
+}
+
+// Deletes stored files for the given keys unless another DreamImage still
+// points at them (e.g. the same generated image saved on two dreams)
+async function releaseImages(keys) {
+  const unique = [...new Set(keys.filter(Boolean))];
+  if (unique.length === 0) return;
+
+  const stillUsed = new Set(await db.findReferencedStorageKeys(unique));
+
+  await Promise.all(unique
+    .filter(key => !stillUsed.has(key))
+    .map(key => getStorage().delete(key).catch(error => {
+      console.error(`Failed to delete stored image ${key}:`, error);
+    })));
+}
+
+// Duration in whole seconds read from the file itself, or null if unknown
+async function readAudioDuration(buffer, mimetype) {
+  try {
+    const metadata = await mm.parseBuffer(buffer, mimetype, { duration: true });
+    const duration = metadata.format.duration;
+    return Number.isFinite(duration) ? Math.round(duration) : null;
+  } catch (error) {
+    console.error('Could not read audio duration:', error.message);
+    return null;
+  }
+}
+
+async function storeRecording(buffer, mimetype) {
+  const key = newKey('audio', mimetype);
+  const [duration] = await Promise.all([
+    readAudioDuration(buffer, mimetype),
+    getStorage().put(key, buffer, mimetype),
+  ]);
+  return { key, duration };
+}
+
+async function deleteStoredFile(key) {
+  if (!key) return;
+  try {
+    await getStorage().delete(key);
+  } catch (error) {
+    console.error(`Failed to delete stored file ${key}:`, error);
+  }
+}
+
+// Parses a single "bytes=start-end" range against the file size.
+// Returns null for no/unsupported range, false for an unsatisfiable one.
+function parseRange(header, size) {
+  const match = header && header.match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(size - parseInt(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  }
+
+  return start <= end && start < size ? { start, end } : false;
+}
+
+// Streams a stored file to the response, honouring Range requests so audio
+// players can seek
+async function sendStoredFile(req, res, key, headers = {}) {
+  const storage = getStorage();
+  const info = await storage.head(key);
+  if (!info) return false;
+
+  const range = parseRange(req.headers.range, info.size);
+  if (range === false) {
+    res.status(416).set('Content-Range', `bytes */${info.size}`).end();
+    return true;
+  }
+
+  const file = await storage.get(key, range || undefined);
+  if (!file) return false;
+
+  res.status(range ? 206 : 200).set({
+    'Content-Type': file.contentType,
+    'Content-Length': file.size,
+    'Accept-Ranges': 'bytes',
+    ...(range && { 'Content-Range': `bytes ${range.start}-${range.end}/${info.size}` }),
+    ...headers
+  });
+
+  file.stream.on('error', (error) => {
+    console.error(`Error streaming ${key}:`, error);
+    res.destroy(error);
+  });
+  file.stream.pipe(res);
+  return true;
+}
+
+module.exports = {
+  persistImage,
+  releaseImages,
+  readAudioDuration,
+  storeRecording,
+  deleteStoredFile,
+  parseRange,
+  sendStoredFile,
+};
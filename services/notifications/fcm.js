@@ -0,0 +1,44 @@
+// dream-log-backend/services/notifications/fcm.js
+// Sends push notifications through Firebase Cloud Messaging
+
+// FCM accepts at most 500 tokens per multicast
+const MAX_TOKENS_PER_SEND = 500;
+
+// Errors meaning the token will never work again and should be forgotten
+const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+];
+
+class FcmDispatcher {
+  constructor({ messaging }) {
+    this.name = 'fcm';
+    this.messaging = messaging;
+  }
+
+  async send(tokens, { title, body, data = {} }) {
+    let successCount = 0;
+    const invalidTokens = [];
+
+    for (let i = 0; i < tokens.length; i += MAX_TOKENS_PER_SEND) {
+      const batch = tokens.slice(i, i + MAX_TOKENS_PER_SEND);
+      const response = await this.messaging.sendEachForMulticast({
+        tokens: batch,
+        notification: { title, body },
+        // FCM data values must be strings
+        data: Object.fromEntries(Object.entries(data).map(([key, value]) => [key, String(value)])),
+      });
+
+      successCount += response.successCount;
+      response.responses.forEach((result, j) => {
+        if (!result.success && result.error && INVALID_TOKEN_ERRORS.includes(result.error.code)) {
+          invalidTokens.push(batch[j]);
+        }
+      });
+    }
+
+    return { successCount, invalidTokens };
+  }
+}
+
+module.exports = { FcmDispatcher };
@@ -0,0 +1,52 @@
+// dream-log-backend/services/notifications/index.js
+// Push notification dispatcher selected by NOTIFICATION_DISPATCHER=fcm|log.
+// Defaults to fcm when Firebase Admin is configured, otherwise log.
+
+const db = require('../database');
+const { FcmDispatcher } = require('./fcm');
+const { LogDispatcher } = require('./log');
+
+const DISPATCHERS = ['fcm', 'log'];
+
+function createDispatcher() {
+  const { messaging } = require('../../config/firebase-admin');
+  const name = (process.env.NOTIFICATION_DISPATCHER || (messaging ? 'fcm' : 'log')).toLowerCase();
+
+  switch (name) {
+    case 'fcm':
+      if (!messaging) {
+        throw new Error('NOTIFICATION_DISPATCHER=fcm requires Firebase Admin to be configured');
+      }
+      return new FcmDispatcher({ messaging });
+    case 'log':
+      return new LogDispatcher();
+    default:
+      throw new Error(`Unknown notification dispatcher "${name}". Use one of: ${DISPATCHERS.join(', ')}`);
+  }
+}
+
+let dispatcher;
+
+function getDispatcher() {
+  if (!dispatcher) {
+    dispatcher = createDispatcher();
+  }
+  return dispatcher;
+}
+
+// Sends to every device the user has registered and forgets tokens the
+// push service reports as dead. Returns the number of devices reached.
+async function notifyUser(userId, notification) {
+  const tokens = await db.getDeviceTokens(userId);
+  if (tokens.length === 0) return 0;
+
+  const { successCount, invalidTokens } = await getDispatcher().send(tokens, notification);
+
+  if (invalidTokens.length > 0) {
+    await db.deleteDeviceTokens(invalidTokens);
+  }
+
+  return successCount;
+}
+
+module.exports = { DISPATCHERS, getDispatcher, notifyUser };
@@ -0,0 +1,25 @@
+// dream-log-backend/services/notifications/log.js
+// Stand-in dispatcher for local development: logs notifications instead of
+// sending them, and remembers the last few so they can be inspected
+
+const MAX_SENT = 50;
+
+class LogDispatcher {
+  constructor() {
+    this.name = 'log';
+    this.sent = [];
+  }
+
+  async send(tokens, notification) {
+    console.log(`[notification] to ${tokens.length} device(s): ${notification.title} - ${notification.body}`);
+
+    this.sent.push({ tokens, ...notification, sentAt: new Date() });
+    if (this.sent.length > MAX_SENT) {
+      this.sent.shift();
+    }
+
+    return { successCount: tokens.length, invalidTokens: [] };
+  }
+}
+
+module.exports = { LogDispatcher };
@@ -0,0 +1,147 @@
+// dream-log-backend/services/preferences.js
+// Profile fields and generation preferences. The generation endpoints take
+// anything a request leaves out from the signed-in user's preferences, then
+// from DEFAULTS. Preferences are stored as nullable User columns; null means
+// "use the default".
+
+const { isValidTimezone } = require('./trends');
+
+const STORY_TONES = ['whimsical', 'mystical', 'adventurous', 'gentle', 'mysterious', 'comedy'];
+const STORY_LENGTHS = ['short', 'medium', 'long'];
+const TTS_VOICES = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+const ANALYSIS_STYLES = ['balanced', 'psychological', 'jungian', 'spiritual'];
+
+const MIN_TTS_SPEED = 0.25;
+const MAX_TTS_SPEED = 4.0;
+const MAX_DISPLAY_NAME_LENGTH = 80;
+
+const DEFAULTS = {
+  storyTone: 'whimsical',
+  storyLength: 'medium',
+  ttsVoice: 'alloy',
+  ttsSpeed: 1.0,
+  analysisStyle: 'balanced',
+  language: 'en',
+};
+
+const PREFERENCE_FIELDS = Object.keys(DEFAULTS);
+
+const CHOICES = {
+  storyTone: STORY_TONES,
+  storyLength: STORY_LENGTHS,
+  ttsVoice: TTS_VOICES,
+  analysisStyle: ANALYSIS_STYLES,
+};
+
+// Canonical BCP 47 tag (e.g. 'pt-BR'), or null if it isn't one
+function normalizeLanguage(language) {
+  if (typeof language !== 'string' || !language.trim()) return null;
+  try {
+    return Intl.getCanonicalLocales(language.trim())[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+// English name of the language to ask for in prompts, or null for English,
+// which the prompts are already written in
+function promptLanguage(language) {
+  const tag = normalizeLanguage(language);
+  if (!tag || tag.split('-')[0] === 'en') return null;
+  return new Intl.DisplayNames(['en'], { type: 'language' }).of(tag);
+}
+
+function toPreference(field, value) {
+  if (value === null) return null;
+
+  if (CHOICES[field]) {
+    if (!CHOICES[field].includes(value)) {
+      throw new Error(`${field} must be one of: ${CHOICES[field].join(', ')}`);
+    }
+    return value;
+  }
+  if (field === 'ttsSpeed') {
+    if (typeof value !== 'number' || !(value >= MIN_TTS_SPEED && value <= MAX_TTS_SPEED)) {
+      throw new Error(`ttsSpeed must be a number from ${MIN_TTS_SPEED} to ${MAX_TTS_SPEED}`);
+    }
+    return value;
+  }
+
+  const language = normalizeLanguage(value);
+  if (!language) {
+    throw new Error('language must be a language code, e.g. en or pt-BR');
+  }
+  return language;
+}
+
+// Validates a PUT /api/profile body and returns the User columns to update.
+// Only the fields present are changed; null resets a preference to its
+// default. Throws with a message suitable for a 400.
+function toProfileUpdate(body) {
+  const data = {};
+
+  if (body.displayName !== undefined) {
+    if (body.displayName !== null &&
+        (typeof body.displayName !== 'string' || body.displayName.trim().length > MAX_DISPLAY_NAME_LENGTH)) {
+      throw new Error(`displayName must be at most ${MAX_DISPLAY_NAME_LENGTH} characters`);
+    }
+    data.displayName = body.displayName ? body.displayName.trim() : null;
+  }
+
+  if (body.timezone !== undefined) {
+    if (body.timezone !== null && (typeof body.timezone !== 'string' || !isValidTimezone(body.timezone))) {
+      throw new Error('timezone must be an IANA timezone, e.g. Europe/London');
+    }
+    data.timezone = body.timezone;
+  }
+
+  if (body.preferences !== undefined) {
+    if (!body.preferences || typeof body.preferences !== 'object' || Array.isArray(body.preferences)) {
+      throw new Error('preferences must be an object');
+    }
+    PREFERENCE_FIELDS.forEach(field => {
+      if (body.preferences[field] !== undefined) {
+        data[field] = toPreference(field, body.preferences[field]);
+      }
+    });
+  }
+
+  return data;
+}
+
+// The user's preferences with defaults filled in; DEFAULTS for guests
+function generationPreferences(user) {
+  return PREFERENCE_FIELDS.reduce((preferences, field) => {
+    preferences[field] = user && user[field] !== null && user[field] !== undefined
+      ? user[field]
+      : DEFAULTS[field];
+    return preferences;
+  }, {});
+}
+
+function toProfileResponse(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    displayName: user.displayName,
+    photoURL: user.photoURL,
+    plan: user.plan,
+    timezone: user.timezone,
+    preferences: generationPreferences(user),
+    createdAt: user.createdAt,
+  };
+}
+
+module.exports = {
+  STORY_TONES,
+  STORY_LENGTHS,
+  TTS_VOICES,
+  ANALYSIS_STYLES,
+  MIN_TTS_SPEED,
+  MAX_TTS_SPEED,
+  DEFAULTS,
+  promptLanguage,
+  toProfileUpdate,
+  generationPreferences,
+  toProfileResponse,
+};
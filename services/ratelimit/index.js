@@ -0,0 +1,79 @@
+// dream-log-backend/services/ratelimit/index.js
+// Rate-limit counter stores selected by RATE_LIMIT_STORE=memory|postgres|redis.
+// Defaults to redis when REDIS_URL is set, otherwise memory. Memory counters
+// are per process and reset on deploy; the others are shared by all instances.
+
+const { MemoryStore } = require('express-rate-limit');
+
+const STORES = ['memory', 'postgres', 'redis'];
+
+function storeName() {
+  return (process.env.RATE_LIMIT_STORE || (process.env.REDIS_URL ? 'redis' : 'memory')).toLowerCase();
+}
+
+// If the shared store is unreachable, let requests through rather than
+// failing every request in the app
+class FailOpenStore {
+  constructor(store) {
+    this.store = store;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    if (this.store.init) this.store.init(options);
+  }
+
+  async increment(key) {
+    try {
+      return await this.store.increment(key);
+    } catch (error) {
+      console.error('Rate limit store unavailable, allowing request:', error.message);
+      return { totalHits: 1, resetTime: new Date(Date.now() + this.windowMs) };
+    }
+  }
+
+  async decrement(key) {
+    await this.store.decrement(key).catch(() => {});
+  }
+
+  async resetKey(key) {
+    try {
+      await this.store.resetKey(key);
+    } catch (error) {
+      console.error('Rate limit store unavailable, could not reset key:', error.message);
+    }
+  }
+}
+
+// One store per limiter; `name` keeps each limiter's counters apart
+function createStore(name) {
+  const driver = storeName();
+  const prefix = `rl:${name}:`;
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'postgres': {
+      const { PostgresStore } = require('./postgres');
+      return new FailOpenStore(new PostgresStore({ prefix }));
+    }
+    case 'redis': {
+      if (!process.env.REDIS_URL) {
+        throw new Error('RATE_LIMIT_STORE=redis requires REDIS_URL');
+      }
+      // Only load the Redis client when it's actually used
+      const { RedisStore } = require('./redis');
+      return new FailOpenStore(new RedisStore({ prefix }));
+    }
+    default:
+      throw new Error(`Unknown rate limit store "${driver}". Use one of: ${STORES.join(', ')}`);
+  }
+}
+
+async function disconnect() {
+  if (storeName() === 'redis') {
+    await require('./redis').disconnect();
+  }
+}
+
+module.exports = { STORES, storeName, createStore, disconnect };
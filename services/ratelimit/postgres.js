@@ -0,0 +1,43 @@
+// dream-log-backend/services/ratelimit/postgres.js
+// Fixed-window counters in the "RateLimit" table, shared by every instance
+// that uses the same database
+
+const db = require('../database');
+
+// Expired windows are only overwritten on the next hit, so sweep them now and then
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+let cleanupTimer = null;
+
+class PostgresStore {
+  constructor({ prefix }) {
+    this.prefix = prefix;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+
+    if (!cleanupTimer) {
+      cleanupTimer = setInterval(() => {
+        db.deleteExpiredRateLimits().catch(error => {
+          console.error('Error cleaning up rate limits:', error);
+        });
+      }, CLEANUP_INTERVAL_MS);
+      cleanupTimer.unref();
+    }
+  }
+
+  async increment(key) {
+    const { hits, resetAt } = await db.incrementRateLimit(this.prefix + key, this.windowMs);
+    return { totalHits: hits, resetTime: resetAt };
+  }
+
+  async decrement(key) {
+    await db.decrementRateLimit(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await db.resetRateLimit(this.prefix + key);
+  }
+}
+
+module.exports = { PostgresStore };
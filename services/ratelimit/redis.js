@@ -0,0 +1,66 @@
+// dream-log-backend/services/ratelimit/redis.js
+// Fixed-window counters in Redis or anything speaking its protocol
+// (Valkey, KeyDB, Upstash, ...)
+
+const Redis = require('ioredis');
+
+// INCR and set the expiry in one round trip, so a crash between the two
+// can't leave a counter that never resets
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+let client;
+
+function getClient() {
+  if (!client) {
+    client = new Redis(process.env.REDIS_URL, {
+      enableOfflineQueue: false,
+      maxRetriesPerRequest: 1,
+    });
+    client.on('error', (error) => {
+      console.error('Redis rate limit store error:', error.message);
+    });
+    client.defineCommand('rateLimitIncrement', { numberOfKeys: 1, lua: INCREMENT_SCRIPT });
+  }
+  return client;
+}
+
+class RedisStore {
+  constructor({ prefix }) {
+    this.prefix = prefix;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.client = getClient();
+  }
+
+  async increment(key) {
+    const [hits, ttl] = await this.client.rateLimitIncrement(this.prefix + key, this.windowMs);
+    return { totalHits: hits, resetTime: new Date(Date.now() + ttl) };
+  }
+
+  async decrement(key) {
+    await this.client.decr(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+async function disconnect() {
+  if (client) {
+    await client.quit();
+    client = null;
+  }
+}
+
+module.exports = { RedisStore, disconnect };
@@ -0,0 +1,228 @@
+// dream-log-backend/services/reminders.js
+// Journaling reminders. Each reminder fires at a local time on chosen
+// weekdays in the user's timezone:
+//
+//   wake    nudge to write the dream down after waking (skipped if one was
+//           already recorded today)
+//   streak  evening nudge when the user has a streak going but hasn't
+//           recorded a dream today
+//
+// Reminders store their next run as a UTC instant; the scheduler claims due
+// ones with SKIP LOCKED, so running it on several instances is safe.
+
+const db = require('./database');
+const { notifyUser } = require('./notifications');
+const { isValidTimezone, localToday, addDays, computeStreaks } = require('./trends');
+
+const REMINDER_TYPES = ['wake', 'streak'];
+const DEFAULT_TIMES = { wake: '07:00', streak: '20:00' };
+const ALL_DAYS = [1, 2, 3, 4, 5, 6, 7]; // ISO weekdays, Monday = 1
+const MAX_REMINDERS_PER_USER = 10;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// A reminder that should have gone out longer ago than this (e.g. the server
+// was down) is skipped rather than delivered late
+const MAX_LATENESS_MS = 60 * 60 * 1000;
+const CLAIM_BATCH_SIZE = 100;
+
+// Milliseconds the timezone is ahead of UTC at the given instant
+function timezoneOffset(ms, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(ms)).map(part => [part.type, Number(part.value)]));
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The UTC instant of a local date and HH:MM time. Around a DST change the
+// offsets either side are both tried: a time that happens twice resolves to
+// the first one, and a time skipped by the change moves forward by the gap
+// (02:30 on a spring-forward night becomes 03:30).
+function zonedTimeToUtc(day, time, timezone) {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const local = Date.UTC(year, month - 1, date, hour, minute);
+
+  const offsetBefore = timezoneOffset(local - DAY_MS, timezone);
+  const offsetAfter = timezoneOffset(local + DAY_MS, timezone);
+  const matches = [offsetBefore, offsetAfter]
+    .map(offset => local - offset)
+    .filter(instant => instant + timezoneOffset(instant, timezone) === local);
+
+  return new Date(matches.length > 0 ? Math.min(...matches) : local - offsetBefore);
+}
+
+function isoWeekday(day) {
+  return new Date(`${day}T00:00:00Z`).getUTCDay() || 7;
+}
+
+// Next time the reminder should fire strictly after `after`, or null if it
+// can't fire (disabled or no days selected)
+function nextRunAt(reminder, after = new Date()) {
+  if (!reminder.enabled || reminder.days.length === 0) return null;
+
+  const today = localToday(reminder.timezone, after);
+  for (let i = 0; i <= 7; i++) {
+    const day = addDays(today, i);
+    if (!reminder.days.includes(isoWeekday(day))) continue;
+
+    const at = zonedTimeToUtc(day, reminder.time, reminder.timezone);
+    if (at > after) return at;
+  }
+  return null;
+}
+
+// Validates a create (partial = false) or update (partial = true) body and
+// returns the fields to store. Throws with a message suitable for a 400.
+function toReminderData(body, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || body.type !== undefined) {
+    if (!REMINDER_TYPES.includes(body.type)) {
+      throw new Error(`type must be one of: ${REMINDER_TYPES.join(', ')}`);
+    }
+    data.type = body.type;
+  }
+
+  if (body.time !== undefined || !partial) {
+    const time = body.time === undefined ? DEFAULT_TIMES[data.type] : body.time;
+    if (typeof time !== 'string' || !TIME_PATTERN.test(time)) {
+      throw new Error('time must be HH:MM in 24-hour format');
+    }
+    data.time = time;
+  }
+
+  if (body.days !== undefined || !partial) {
+    const days = body.days === undefined ? ALL_DAYS : body.days;
+    if (!Array.isArray(days) || days.some(day => !ALL_DAYS.includes(day))) {
+      throw new Error('days must be an array of ISO weekdays (1 = Monday ... 7 = Sunday)');
+    }
+    data.days = [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  if (body.timezone !== undefined || !partial) {
+    if (typeof body.timezone !== 'string' || !isValidTimezone(body.timezone)) {
+      throw new Error('A valid IANA timezone is required, e.g. Europe/London');
+    }
+    data.timezone = body.timezone;
+  }
+
+  if (body.enabled !== undefined || !partial) {
+    if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+      throw new Error('enabled must be a boolean');
+    }
+    data.enabled = body.enabled !== false;
+  }
+
+  return data;
+}
+
+// `data` and `changes` as returned by toReminderData
+async function createReminder(userId, data) {
+  return await db.createReminder(userId, { ...data, nextRunAt: nextRunAt(data) });
+}
+
+async function updateReminder(reminderId, userId, changes) {
+  const current = await db.getReminder(reminderId, userId);
+  const merged = { ...current, ...changes };
+
+  return await db.updateReminder(reminderId, userId, { ...changes, nextRunAt: nextRunAt(merged) });
+}
+
+// The notification for a due reminder, or null when there's no need to send it
+async function buildNotification(reminder) {
+  const today = localToday(reminder.timezone);
+
+  if (reminder.type === 'wake') {
+    if (await db.hasDreamOnLocalDay(reminder.userId, reminder.timezone, today)) return null;
+    return {
+      title: 'Good morning',
+      body: 'Write down your dream before it fades.',
+      data: { type: 'reminder', reminderType: 'wake' },
+    };
+  }
+
+  if (reminder.type === 'streak') {
+    const streaks = computeStreaks(await db.getJournalDays(reminder.userId, reminder.timezone), today);
+    if (streaks.current === 0 || streaks.lastEntry === today) return null;
+    return {
+      title: `Keep your ${streaks.current}-day streak going`,
+      body: 'You haven\'t recorded a dream today yet.',
+      data: { type: 'reminder', reminderType: 'streak', streak: streaks.current },
+    };
+  }
+
+  return null;
+}
+
+async function runDueReminders(now = new Date()) {
+  let sent = 0;
+
+  for (;;) {
+    const due = await db.claimDueReminders(now, CLAIM_BATCH_SIZE, reminder => nextRunAt(reminder, now));
+    if (due.length === 0) break;
+
+    for (const reminder of due) {
+      if (now - reminder.nextRunAt > MAX_LATENESS_MS) continue;
+
+      try {
+        const notification = await buildNotification(reminder);
+        if (notification) {
+          sent += await notifyUser(reminder.userId, notification) > 0 ? 1 : 0;
+        }
+      } catch (error) {
+        console.error(`Error sending reminder ${reminder.id}:`, error);
+      }
+    }
+
+    if (due.length < CLAIM_BATCH_SIZE) break;
+  }
+
+  return sent;
+}
+
+let timer = null;
+let running = null;
+
+function startReminderScheduler({ intervalMs = 60 * 1000 } = {}) {
+  if (timer) return;
+
+  timer = setInterval(() => {
+    if (running) return;
+    running = runDueReminders()
+      .catch(error => console.error('Error running reminders:', error))
+      .finally(() => { running = null; });
+  }, intervalMs);
+
+  console.log('Reminder scheduler started');
+}
+
+async function stopReminderScheduler() {
+  clearInterval(timer);
+  timer = null;
+  await running;
+}
+
+module.exports = {
+  REMINDER_TYPES,
+  MAX_REMINDERS_PER_USER,
+  zonedTimeToUtc,
+  nextRunAt,
+  toReminderData,
+  createReminder,
+  updateReminder,
+  runDueReminders,
+  startReminderScheduler,
+  stopReminderScheduler,
+};
@@ -0,0 +1,80 @@
+// dream-log-backend/services/revisions.js
+// Dream revision snapshots and field-level diffs. Each revision stores the
+// dream as it was before an update, plus what the update changed, so
+// restoring a revision puts the dream back the way it was.
+
+// Fields a revision captures. Favourite, audio and trash state are not
+// part of the history.
+const REVISION_FIELDS = [
+  'title',
+  'dreamText',
+  'story',
+  'storyTone',
+  'storyLength',
+  'tags',
+  'mood',
+  'lucidity',
+  'date',
+  'isPrivate',
+  'images',
+];
+
+const RESTORE_SCOPES = ['all', 'images'];
+
+function snapshotImages(images) {
+  return images.map(image => ({
+    url: image.url,
+    storageKey: image.storageKey,
+    scene: image.scene,
+    description: image.description,
+    prompt: image.prompt,
+  }));
+}
+
+// JSON-safe copy of the tracked fields of a dream loaded with its images
+function revisionSnapshot(dream) {
+  return REVISION_FIELDS.reduce((snapshot, field) => {
+    if (field === 'images') {
+      snapshot.images = snapshotImages(dream.images || []);
+    } else if (field === 'date') {
+      snapshot.date = dream.date.toISOString();
+    } else {
+      snapshot[field] = dream[field] ?? null;
+    }
+    return snapshot;
+  }, {});
+}
+
+// Images compare by what the user sees, not by row id
+function comparable(field, value) {
+  if (field === 'images') {
+    return JSON.stringify(value.map(image => [image.url, image.scene, image.description]));
+  }
+  return JSON.stringify(value);
+}
+
+// [{ field, from, to }] for every tracked field that differs
+function diffSnapshots(before, after) {
+  return REVISION_FIELDS
+    .filter(field => comparable(field, before[field]) !== comparable(field, after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+}
+
+// The updateDream input that puts a dream back to `snapshot`. Privacy is
+// left as it is now: restoring old content must never re-publish a dream.
+function snapshotToUpdates(snapshot, scope = 'all') {
+  if (scope === 'images') {
+    return { images: snapshot.images };
+  }
+
+  const { date, isPrivate, ...fields } = snapshot;
+  return { ...fields, date: new Date(date) };
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  RESTORE_SCOPES,
+  revisionSnapshot,
+  diffSnapshots,
+  snapshotToUpdates,
+};
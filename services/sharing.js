@@ -0,0 +1,102 @@
+// dream-log-backend/services/sharing.js
+// Read-only public links to a single dream. A link always shows the story
+// and illustrations; the dream text and latest analysis are only included
+// when the owner opted in. Links stop working when they expire, are revoked,
+// or the dream is made private again.
+
+const crypto = require('crypto');
+
+const MAX_ACTIVE_LINKS_PER_DREAM = 20;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+// 24 random bytes, 32 URL-safe characters
+function createShareToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function isShareToken(token) {
+  return typeof token === 'string' && TOKEN_PATTERN.test(token);
+}
+
+// Validates a create body and returns the link options. Throws with a
+// message suitable for a 400.
+function toShareOptions(body) {
+  const { includeDreamText = false, includeAnalysis = false, expiresAt = null } = body;
+
+  if (typeof includeDreamText !== 'boolean' || typeof includeAnalysis !== 'boolean') {
+    throw new Error('includeDreamText and includeAnalysis must be booleans');
+  }
+
+  let expiry = null;
+  if (expiresAt !== null) {
+    expiry = new Date(expiresAt);
+    if (isNaN(expiry.getTime())) {
+      throw new Error('expiresAt must be an ISO date');
+    }
+    if (expiry <= new Date()) {
+      throw new Error('expiresAt must be in the future');
+    }
+  }
+
+  return { includeDreamText, includeAnalysis, expiresAt: expiry };
+}
+
+function isActive(link, now = new Date()) {
+  return !link.revokedAt && (!link.expiresAt || link.expiresAt > now);
+}
+
+// Owner's view of a link
+function toShareResponse(link, url) {
+  return {
+    id: link.id,
+    url,
+    includeDreamText: link.includeDreamText,
+    includeAnalysis: link.includeAnalysis,
+    expiresAt: link.expiresAt,
+    revokedAt: link.revokedAt,
+    active: isActive(link),
+    viewCount: link.viewCount,
+    lastViewedAt: link.lastViewedAt,
+    createdAt: link.createdAt,
+  };
+}
+
+// The public view: an explicit allowlist, so new dream fields never leak
+// through a share link by default
+function toPublicDream(link) {
+  const { dream } = link;
+  const analysis = dream.analyses[0];
+
+  return {
+    title: dream.title,
+    date: dream.date,
+    story: dream.story,
+    storyTone: dream.storyTone,
+    images: dream.images.map(image => ({
+      url: image.url,
+      scene: image.scene,
+      description: image.description,
+    })),
+    ...(link.includeDreamText && { dreamText: dream.dreamText }),
+    ...(link.includeAnalysis && {
+      analysis: analysis ? {
+        summary: analysis.summary,
+        analysisText: analysis.analysisText,
+        symbols: analysis.symbols,
+        themes: analysis.themes,
+        emotions: analysis.emotions,
+      } : null,
+    }),
+    sharedAt: link.createdAt,
+    expiresAt: link.expiresAt,
+  };
+}
+
+module.exports = {
+  MAX_ACTIVE_LINKS_PER_DREAM,
+  createShareToken,
+  isShareToken,
+  toShareOptions,
+  toShareResponse,
+  toPublicDream,
+};
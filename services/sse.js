@@ -0,0 +1,63 @@
+// dream-log-backend/services/sse.js
+// Minimal Server-Sent Events helper for streaming generation results
+
+const HEARTBEAT_MS = 15000;
+
+// Streaming is opt-in: ?stream=true, "stream": true in the body, or an
+// Accept header asking for text/event-stream
+function wantsEventStream(req) {
+  return req.query.stream === 'true' ||
+    req.body.stream === true ||
+    (req.get('accept') || '').includes('text/event-stream');
+}
+
+// Switches the response to an event stream. `signal` aborts when the client
+// disconnects so callers can cancel upstream work.
+function openEventStream(req, res) {
+  const controller = new AbortController();
+  let closed = false;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    // no-transform keeps the compression middleware from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!closed) {
+      closed = true;
+      controller.abort();
+    }
+  });
+
+  return {
+    signal: controller.signal,
+
+    get closed() {
+      return closed;
+    },
+
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      clearInterval(heartbeat);
+      if (!closed) {
+        closed = true;
+        res.end();
+      }
+    },
+  };
+}
+
+module.exports = { wantsEventStream, openEventStream };
@@ -0,0 +1,105 @@
+// dream-log-backend/services/storage/index.js
+// Media storage selected by STORAGE_DRIVER=local|s3|memory (default local).
+// Stored files are served by the backend at /api/media/<key>, which gives
+// clients stable URLs whatever the backend.
+
+const crypto = require('crypto');
+const path = require('path');
+const { LocalStorage } = require('./local');
+const { MemoryStorage } = require('./memory');
+
+const MEDIA_ROUTE = '/api/media';
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  'audio/wav': 'wav',
+  'audio/webm': 'webm',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/ogg': 'ogg',
+};
+
+function createStorage() {
+  const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  switch (driver) {
+    case 'local':
+      return new LocalStorage({
+        root: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', '..', 'storage'),
+      });
+    case 's3': {
+      // Only load the AWS SDK when it's actually used
+      const { S3Storage } = require('./s3');
+      return new S3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === undefined
+          ? undefined
+          : process.env.S3_FORCE_PATH_STYLE === 'true',
+        prefix: process.env.S3_PREFIX,
+      });
+    }
+    case 'memory':
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown storage driver "${driver}". Use one of: local, s3, memory`);
+  }
+}
+
+let storage;
+
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+// Keys are random so media URLs can't be guessed
+function newKey(folder, contentType) {
+  const extension = EXTENSIONS[contentType] || 'bin';
+  return `${folder}/${crypto.randomUUID()}.${extension}`;
+}
+
+function isValidKey(key) {
+  return typeof key === 'string' && /^[a-z]+\/[a-zA-Z0-9-]+\.[a-z0-9]+$/.test(key);
+}
+
+// MEDIA_BASE_URL wins; otherwise callers pass the request's own origin
+function mediaUrl(key, baseUrl) {
+  const base = (process.env.MEDIA_BASE_URL || baseUrl || '').replace(/\/+$/, '');
+  return `${base}${MEDIA_ROUTE}/${key}`;
+}
+
+// Storage key for one of our media URLs, or null for anything else
+function keyFromUrl(url) {
+  if (typeof url !== 'string') return null;
+
+  let pathname;
+  try {
+    pathname = new URL(url, 'http://localhost').pathname;
+  } catch (error) {
+    return null;
+  }
+
+  if (!pathname.startsWith(`${MEDIA_ROUTE}/`)) return null;
+  const key = pathname.slice(MEDIA_ROUTE.length + 1);
+  return isValidKey(key) ? key : null;
+}
+
+module.exports = {
+  MEDIA_ROUTE,
+  EXTENSIONS,
+  getStorage,
+  newKey,
+  isValidKey,
+  mediaUrl,
+  keyFromUrl,
+};
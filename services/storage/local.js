@@ -0,0 +1,93 @@
+// dream-log-backend/services/storage/local.js
+// Stores media on the local filesystem under STORAGE_LOCAL_DIR
+
+const fs = require('fs');
+const path = require('path');
+
+function readMeta(filePath) {
+  return fs.promises.readFile(`${filePath}.meta.json`, 'utf8')
+    .then(JSON.parse)
+    .catch(() => ({}));
+}
+
+class LocalStorage {
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  async put(key, buffer, contentType) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    // Keep the content type next to the file so get() can report it
+    await fs.promises.writeFile(`${filePath}.meta.json`, JSON.stringify({ contentType }));
+    return { key, size: buffer.length };
+  }
+
+  // Uploads a file from disk without reading it into memory
+  async putFile(key, sourcePath, contentType) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.copyFile(sourcePath, filePath);
+    await fs.promises.writeFile(`${filePath}.meta.json`, JSON.stringify({ contentType }));
+    const stat = await fs.promises.stat(filePath);
+    return { key, size: stat.size };
+  }
+
+  // Optional { start, end } reads an inclusive byte range
+  async get(key, range) {
+    const filePath = this.resolve(key);
+    let stat;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const meta = await readMeta(filePath);
+
+    const start = range ? range.start : 0;
+    const end = range ? Math.min(range.end, stat.size - 1) : stat.size - 1;
+
+    return {
+      stream: fs.createReadStream(filePath, { start, end }),
+      size: end - start + 1,
+      totalSize: stat.size,
+      contentType: meta.contentType || 'application/octet-stream',
+    };
+  }
+
+  async head(key) {
+    const filePath = this.resolve(key);
+    let stat;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const meta = await readMeta(filePath);
+    return { size: stat.size, contentType: meta.contentType || 'application/octet-stream' };
+  }
+
+  async delete(key) {
+    const filePath = this.resolve(key);
+    await Promise.all([
+      fs.promises.rm(filePath, { force: true }),
+      fs.promises.rm(`${filePath}.meta.json`, { force: true }),
+    ]);
+  }
+}
+
+module.exports = { LocalStorage };
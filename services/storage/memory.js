@@ -0,0 +1,48 @@
+// dream-log-backend/services/storage/memory.js
+// In-process storage for tests and throwaway local runs. Lost on restart.
+
+const fs = require('fs');
+const { Readable } = require('stream');
+
+class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    this.objects = new Map();
+  }
+
+  async put(key, buffer, contentType) {
+    this.objects.set(key, { buffer: Buffer.from(buffer), contentType });
+    return { key, size: buffer.length };
+  }
+
+  async putFile(key, sourcePath, contentType) {
+    return await this.put(key, await fs.promises.readFile(sourcePath), contentType);
+  }
+
+  async get(key, range) {
+    const object = this.objects.get(key);
+    if (!object) return null;
+
+    const buffer = range
+      ? object.buffer.subarray(range.start, range.end + 1)
+      : object.buffer;
+
+    return {
+      stream: Readable.from([buffer]),
+      size: buffer.length,
+      totalSize: object.buffer.length,
+      contentType: object.contentType,
+    };
+  }
+
+  async head(key) {
+    const object = this.objects.get(key);
+    return object ? { size: object.buffer.length, contentType: object.contentType } : null;
+  }
+
+  async delete(key) {
+    this.objects.delete(key);
+  }
+}
+
+module.exports = { MemoryStorage };
@@ -0,0 +1,109 @@
+// dream-log-backend/services/storage/s3.js
+// Stores media in an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+
+class S3Storage {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix }) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix ? prefix.replace(/\/+$/, '') + '/' : '';
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      ...(endpoint && { endpoint }),
+      // MinIO and most self-hosted servers don't support virtual-hosted buckets
+      forcePathStyle: forcePathStyle !== undefined ? forcePathStyle : !!endpoint,
+      ...(accessKeyId && secretAccessKey && {
+        credentials: { accessKeyId, secretAccessKey },
+      }),
+    });
+  }
+
+  async put(key, buffer, contentType) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + key,
+      Body: buffer,
+      ContentType: contentType,
+    }));
+    return { key, size: buffer.length };
+  }
+
+  // Streams a file from disk; the known length lets a single PUT do it
+  async putFile(key, sourcePath, contentType) {
+    const { size } = await fs.promises.stat(sourcePath);
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + key,
+      Body: fs.createReadStream(sourcePath),
+      ContentLength: size,
+      ContentType: contentType,
+    }));
+    return { key, size };
+  }
+
+  async get(key, range) {
+    try {
+      const result = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.prefix + key,
+        ...(range && { Range: `bytes=${range.start}-${range.end}` }),
+      }));
+
+      // Content-Range looks like "bytes 0-99/1234"
+      const totalSize = result.ContentRange
+        ? parseInt(result.ContentRange.split('/')[1])
+        : result.ContentLength;
+
+      return {
+        stream: result.Body,
+        size: result.ContentLength,
+        totalSize,
+        contentType: result.ContentType || 'application/octet-stream',
+      };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async head(key) {
+    try {
+      const result = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.prefix + key,
+      }));
+      return {
+        size: result.ContentLength,
+        contentType: result.ContentType || 'application/octet-stream',
+      };
+    } catch (error) {
+      if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + key,
+    }));
+  }
+}
+
+module.exports = { S3Storage };
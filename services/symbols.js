@@ -0,0 +1,125 @@
+// dream-log-backend/services/symbols.js
+// Extracts the symbols of a dream for the per-user symbol index. Symbols come
+// from two places: a lexicon of common dream imagery matched against the
+// dream text, and the symbols the model named in the dream's analyses.
+
+const MAX_SYMBOL_LENGTH = 60;
+const INTERVALS = ['week', 'month', 'year'];
+
+// Canonical symbol -> word patterns that mean it. Analysis symbols are
+// mapped through this too, so "ocean" and "the sea" both index as water.
+const SYMBOL_LEXICON = {
+  water: ['water', 'ocean', 'sea', 'lake', 'river', 'flood(?:ing|ed)?', 'waves?', 'swim(?:ming)?', 'swam'],
+  teeth: ['teeth', 'tooth'],
+  falling: ['falling(?! asleep)', 'fell(?! asleep)', 'fall(?! asleep)'],
+  flying: ['fly(?:ing)?', 'flew', 'floating', 'levitat(?:e|ing|ed)'],
+  'being chased': ['chas(?:e|ed|ing)', 'pursu(?:ed|ing)', 'running away', 'hunted'],
+  house: ['house', 'home', 'rooms?', 'hallways?'],
+  death: ['death', 'dead', 'dying', 'died', 'funeral', 'grave'],
+  // "test" and "class" alone are too common ("a test of nerve", "first class")
+  school: ['school', 'classroom', 'exams?', 'teachers?', '(?:school|final|surprise|math|maths|science|history) (?:test|class)'],
+  'being late': ['(?:running|was|were|being|too) late', 'missed (?:the|my) (?:bus|train|flight)'],
+  nakedness: ['naked', 'nude', 'no clothes'],
+  car: ['car', 'driving', 'drove'],
+  snake: ['snakes?', 'serpents?'],
+  dog: ['dogs?', 'puppy', 'puppies'],
+  cat: ['cats?', 'kittens?'],
+  spider: ['spiders?'],
+  fire: ['fire', 'flames?', 'burning'],
+  storm: ['storms?', 'thunder', 'lightning', 'tornado'],
+  baby: ['baby', 'babies', 'infant', 'pregnan(?:t|cy)'],
+  mother: ['mother', 'mom', 'mum'],
+  father: ['father', 'dad'],
+  wedding: ['wedding', 'married', 'bride', 'groom'],
+  blood: ['blood', 'bleeding'],
+  stairs: ['stairs', 'staircase', 'steps'],
+  door: ['doors?', 'doorway'],
+  mirror: ['mirrors?', 'reflection'],
+  money: ['money', 'cash', 'coins?', 'wallet'],
+  phone: ['phone', 'telephone', 'cellphone'],
+  forest: ['forest', 'woods', 'trees'],
+  moon: ['moon', 'moonlight'],
+  monster: ['monsters?', 'creature', 'demon'],
+  lost: ['lost', 'couldn\'t find', 'can\'t find', 'searching for'],
+  'ex-partner': ['(?:my|an|her|his|their) ex', 'ex-(?:partner|boyfriend|girlfriend|husband|wife)', 'former (?:partner|boyfriend|girlfriend|husband|wife)'],
+};
+
+// Too ambiguous to match in running text, but clear when a whole symbol
+const SYMBOL_ALIASES = {
+  ex: 'ex-partner',
+};
+
+const LEXICON_PATTERNS = Object.entries(SYMBOL_LEXICON).map(([symbol, words]) => ({
+  symbol,
+  pattern: new RegExp(`\\b(?:${words.join('|')})\\b`, 'i'),
+}));
+
+function normalizeSymbol(name) {
+  if (typeof name !== 'string') return null;
+
+  const symbol = name
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s"'.,;:!?-]+|[\s"'.,;:!?-]+$/g, '')
+    .replace(/^(?:the|a|an|my|your) /, '')
+    .slice(0, MAX_SYMBOL_LENGTH)
+    .trim();
+
+  return symbol || null;
+}
+
+// Maps a free-form symbol onto the lexicon when it is one of the known images
+function canonicalSymbol(name) {
+  const symbol = normalizeSymbol(name);
+  if (!symbol) return null;
+  if (Object.hasOwn(SYMBOL_ALIASES, symbol)) return SYMBOL_ALIASES[symbol];
+
+  // Only short phrases, so "a house on fire" stays its own symbol
+  const known = LEXICON_PATTERNS.find(entry => (
+    entry.symbol === symbol || (symbol.split(' ').length <= 2 && entry.pattern.test(symbol))
+  ));
+  return known ? known.symbol : symbol;
+}
+
+function textSymbols(text) {
+  return LEXICON_PATTERNS
+    .filter(entry => entry.pattern.test(text || ''))
+    .map(entry => entry.symbol);
+}
+
+// Symbols for one dream: [{ symbol, meaning, source }]. Analysis symbols win
+// over lexicon matches because they come with a meaning; the newest analysis
+// wins over older ones.
+function extractDreamSymbols(dream) {
+  const symbols = new Map();
+
+  const analyses = [...(dream.analyses || [])].sort((a, b) => b.createdAt - a.createdAt);
+  analyses.forEach(analysis => {
+    (Array.isArray(analysis.symbols) ? analysis.symbols : []).forEach(item => {
+      const symbol = canonicalSymbol(typeof item === 'string' ? item : item && item.symbol);
+      if (symbol && !symbols.has(symbol)) {
+        symbols.set(symbol, {
+          symbol,
+          meaning: item && typeof item.meaning === 'string' ? item.meaning : null,
+          source: 'analysis',
+        });
+      }
+    });
+  });
+
+  textSymbols(`${dream.title || ''}\n${dream.dreamText}`).forEach(symbol => {
+    if (!symbols.has(symbol)) {
+      symbols.set(symbol, { symbol, meaning: null, source: 'text' });
+    }
+  });
+
+  return [...symbols.values()];
+}
+
+module.exports = {
+  INTERVALS,
+  SYMBOL_LEXICON,
+  normalizeSymbol,
+  canonicalSymbol,
+  extractDreamSymbols,
+};
@@ -0,0 +1,42 @@
+// dream-log-backend/services/tags.js
+// Tag normalisation. Tags are stored lowercased with whitespace trimmed and
+// collapsed, so "Flying", " flying " and "FLYING" are the same tag.
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_DREAM = 30;
+
+function normalizeTag(tag) {
+  if (typeof tag !== 'string') return null;
+
+  const normalized = tag
+    .normalize('NFC')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase()
+    .slice(0, MAX_TAG_LENGTH)
+    .trim();
+
+  return normalized || null;
+}
+
+// Normalises and de-duplicates a list of tags, keeping their order. Accepts
+// an array or a comma-separated string. Throws with a message suitable for
+// a 400.
+function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) {
+    throw new Error('tags must be an array of strings');
+  }
+
+  const normalized = [...new Set(list.map(normalizeTag).filter(Boolean))];
+  if (normalized.length > MAX_TAGS_PER_DREAM) {
+    throw new Error(`A dream can have at most ${MAX_TAGS_PER_DREAM} tags`);
+  }
+  return normalized;
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags,
+};
@@ -0,0 +1,83 @@
+// dream-log-backend/services/trash.js
+// Permanent deletion of trashed dreams: emptying a user's trash, and the
+// retention purge that removes dreams trashed more than TRASH_RETENTION_DAYS
+// ago. Stored images and recordings are released once their dreams are gone.
+
+const db = require('./database');
+const { releaseImages, deleteStoredFile } = require('./media');
+
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_BATCH_SIZE = 100;
+
+// When a dream trashed at `deletedAt` will be purged
+function purgeDate(deletedAt) {
+  return new Date(deletedAt.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+async function purgeBatch(dreamIds) {
+  const { count, imageKeys, audioKeys } = await db.purgeDreams(dreamIds);
+  await Promise.all([
+    releaseImages(imageKeys),
+    ...audioKeys.map(key => deleteStoredFile(key)),
+  ]);
+  return count;
+}
+
+async function purgeWhere(filter) {
+  let purged = 0;
+
+  for (;;) {
+    const ids = await db.findTrashedDreamIds({ ...filter, take: PURGE_BATCH_SIZE });
+    if (ids.length === 0) break;
+
+    purged += await purgeBatch(ids);
+    if (ids.length < PURGE_BATCH_SIZE) break;
+  }
+
+  return purged;
+}
+
+async function emptyTrash(userId) {
+  return await purgeWhere({ userId });
+}
+
+async function purgeExpiredTrash(now = new Date()) {
+  const trashedBefore = new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  return await purgeWhere({ trashedBefore });
+}
+
+let timer = null;
+let running = null;
+
+function startTrashPurge({ intervalMs = 60 * 60 * 1000 } = {}) {
+  if (timer) return;
+
+  const run = () => {
+    if (running) return;
+    running = purgeExpiredTrash()
+      .then(purged => {
+        if (purged > 0) console.log(`Purged ${purged} dream(s) from the trash`);
+      })
+      .catch(error => console.error('Error purging trash:', error))
+      .finally(() => { running = null; });
+  };
+
+  timer = setInterval(run, intervalMs);
+  run();
+  console.log(`Trash purge scheduled (retention ${RETENTION_DAYS} days)`);
+}
+
+async function stopTrashPurge() {
+  clearInterval(timer);
+  timer = null;
+  await running;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  purgeDate,
+  emptyTrash,
+  purgeExpiredTrash,
+  startTrashPurge,
+  stopTrashPurge,
+};
@@ -0,0 +1,184 @@
+// dream-log-backend/services/trends.js
+// Time-series statistics for charts: dream count, lucidity, moods, tags and
+// analysed emotions per day, week or month, plus journaling streaks and
+// day-of-week patterns. Everything is computed in the user's timezone.
+
+const db = require('./database');
+
+const TREND_INTERVALS = ['day', 'week', 'month'];
+
+// Range used when the client doesn't pass one, and the most buckets allowed
+const DEFAULT_BUCKETS = { day: 30, week: 12, month: 12 };
+const MAX_BUCKETS = { day: 366, week: 260, month: 120 };
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Today's calendar date in the timezone, as YYYY-MM-DD
+function localToday(timezone, now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(now);
+}
+
+// Calendar arithmetic on YYYY-MM-DD strings, done in UTC so DST can't interfere
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function addMonths(day, months) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function bucketCount(interval, start, end) {
+  const days = daysBetween(start, end);
+  if (interval === 'day') return days + 1;
+  if (interval === 'week') return Math.floor(days / 7) + 1;
+  return (Number(end.slice(0, 4)) - Number(start.slice(0, 4))) * 12 + Number(end.slice(5, 7)) - Number(start.slice(5, 7)) + 1;
+}
+
+// Date parsing rolls days like 2024-02-30 over into the next month, so the
+// day has to survive the round trip
+function isValidDay(day) {
+  if (!DATE_PATTERN.test(day)) return false;
+  const date = new Date(`${day}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === day;
+}
+
+// Validates and fills in the query options. Throws with a message suitable
+// for a 400 response.
+function resolveTrendOptions({ interval = 'week', timezone = 'UTC', startDate, endDate }) {
+  if (!TREND_INTERVALS.includes(interval)) {
+    throw new Error(`interval must be one of: ${TREND_INTERVALS.join(', ')}`);
+  }
+  if (!isValidTimezone(timezone)) {
+    throw new Error('Invalid timezone');
+  }
+  if ((startDate && !isValidDay(startDate)) || (endDate && !isValidDay(endDate))) {
+    throw new Error('startDate and endDate must be dates in YYYY-MM-DD format');
+  }
+
+  const end = endDate || localToday(timezone);
+  const start = startDate || (interval === 'month'
+    ? addMonths(end, -(DEFAULT_BUCKETS.month - 1))
+    : addDays(end, -(DEFAULT_BUCKETS[interval] * (interval === 'week' ? 7 : 1) - 1)));
+
+  if (start > end) {
+    throw new Error('startDate must be before endDate');
+  }
+  if (bucketCount(interval, start, end) > MAX_BUCKETS[interval]) {
+    throw new Error(`At most ${MAX_BUCKETS[interval]} ${interval}s can be requested at once`);
+  }
+
+  return { interval, timezone, start, end };
+}
+
+function groupByPeriod(rows) {
+  return rows.reduce((groups, row) => {
+    groups[row.period] = groups[row.period] || {};
+    groups[row.period][row.name] = row.count;
+    return groups;
+  }, {});
+}
+
+// Current streak counts back from today, or from yesterday when today has no
+// entry yet, so the streak doesn't look broken first thing in the morning
+function computeStreaks(days, today) {
+  let longest = { length: 0, start: null, end: null };
+  let run = null;
+
+  days.forEach(day => {
+    if (run && daysBetween(run.end, day) === 1) {
+      run.end = day;
+      run.length++;
+    } else {
+      run = { length: 1, start: day, end: day };
+    }
+    if (run.length > longest.length) {
+      longest = { ...run };
+    }
+  });
+
+  const last = days[days.length - 1] || null;
+  const isCurrent = last && daysBetween(last, today) <= 1;
+
+  return {
+    current: isCurrent ? run.length : 0,
+    currentStart: isCurrent ? run.start : null,
+    longest: longest.length,
+    longestStart: longest.start,
+    longestEnd: longest.end,
+    lastEntry: last,
+    totalDays: days.length,
+  };
+}
+
+// `options` as returned by resolveTrendOptions
+async function getTrends(userId, options) {
+  const [data, weekdays, journalDays] = await Promise.all([
+    db.getTrendData(userId, options),
+    db.getWeekdayPattern(userId, options),
+    db.getJournalDays(userId, options.timezone),
+  ]);
+
+  const moods = groupByPeriod(data.moods);
+  const tags = groupByPeriod(data.tags);
+  const emotions = groupByPeriod(data.emotions);
+
+  const weekdayRows = new Map(weekdays.map(row => [row.isoDay, row]));
+
+  return {
+    ...options,
+    series: data.series.map(row => ({
+      period: row.period,
+      count: row.count,
+      averageLucidity: row.averageLucidity === null ? null : Math.round(row.averageLucidity * 100) / 100,
+      moods: moods[row.period] || {},
+      tags: tags[row.period] || {},
+      emotions: emotions[row.period] || {},
+    })),
+    streaks: computeStreaks(journalDays, localToday(options.timezone)),
+    dayOfWeek: WEEKDAYS.map((day, i) => {
+      const row = weekdayRows.get(i + 1);
+      return {
+        day,
+        count: row ? row.count : 0,
+        averageLucidity: row && row.averageLucidity !== null ? Math.round(row.averageLucidity * 100) / 100 : null,
+        topMood: row ? row.topMood : null,
+      };
+    }),
+  };
+}
+
+module.exports = {
+  TREND_INTERVALS,
+  isValidTimezone,
+  isValidDay,
+  localToday,
+  addDays,
+  computeStreaks,
+  resolveTrendOptions,
+  getTrends,
+};
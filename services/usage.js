@@ -0,0 +1,297 @@
+// dream-log-backend/services/usage.js
+// Per-user (or per-guest) AI usage metering and quotas. Every AI call made
+// through `meteredAi` is recorded with its estimated cost; quotas are daily
+// and monthly cost allowances that depend on the user's plan. Calls the
+// server makes on its own (embedding saved dreams) are recorded as system
+// usage, with no user or guest, so they never use up anyone's quota.
+//
+//   AI_PRICING      JSON overriding the price table, keyed by model
+//   USAGE_QUOTAS    JSON overriding quotas, e.g. {"free":{"daily":0.5,"monthly":5}}
+//                   A limit of null means unlimited.
+
+const crypto = require('crypto');
+const ai = require('./ai');
+const db = require('./database');
+const { readAudioDuration } = require('./media');
+
+// USD. Chat and embedding prices are per 1K tokens, speech per 1K characters,
+// transcription per minute, images per image.
+const DEFAULT_PRICING = {
+  'gpt-4': { input: 0.03, output: 0.06 },
+  'gpt-4-turbo': { input: 0.01, output: 0.03 },
+  'gpt-4o': { input: 0.0025, output: 0.01 },
+  'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+  'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
+  'dall-e-3': { standard: 0.04, hd: 0.08 },
+  'dall-e-2': { standard: 0.02, hd: 0.02 },
+  'whisper-1': { minute: 0.006 },
+  'tts-1': { characters: 0.015 },
+  'tts-1-hd': { characters: 0.03 },
+  'text-embedding-3-small': { input: 0.00002 },
+  'text-embedding-3-large': { input: 0.00013 },
+  'text-embedding-ada-002': { input: 0.0001 },
+};
+
+// Unknown models are priced like the default model for the capability, so a
+// custom model name can't be used to get around quotas
+const FALLBACK_MODELS = {
+  chat: 'gpt-4',
+  image: 'dall-e-3',
+  transcription: 'whisper-1',
+  speech: 'tts-1',
+  embedding: 'text-embedding-3-small',
+};
+
+const DEFAULT_QUOTAS = {
+  guest: { daily: 0.1, monthly: 0.5 },
+  free: { daily: 0.5, monthly: 5 },
+  plus: { daily: 5, monthly: 50 },
+  unlimited: { daily: null, monthly: null },
+};
+
+function parseJsonEnv(name) {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`Ignoring invalid ${name}:`, error.message);
+    return {};
+  }
+}
+
+const PRICING = { ...DEFAULT_PRICING, ...parseJsonEnv('AI_PRICING') };
+const QUOTAS = Object.entries(parseJsonEnv('USAGE_QUOTAS')).reduce((quotas, [plan, limits]) => {
+  quotas[plan] = { ...quotas[plan], ...limits };
+  return quotas;
+}, { ...DEFAULT_QUOTAS });
+
+const PLANS = Object.keys(QUOTAS).filter(plan => plan !== 'guest');
+
+const SYSTEM_SUBJECT = { userId: null, guestId: null, plan: 'system' };
+
+function priceFor(capability, model) {
+  return PRICING[model] || PRICING[FALLBACK_MODELS[capability]] || {};
+}
+
+function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+function estimateCost(capability, provider, model, usage) {
+  if (provider === 'fake') return 0;
+  const price = priceFor(capability, model);
+
+  switch (capability) {
+    case 'chat':
+      return roundCost(
+        ((usage.promptTokens || 0) / 1000) * (price.input || 0) +
+        ((usage.completionTokens || 0) / 1000) * (price.output || 0)
+      );
+    case 'embedding':
+      return roundCost(((usage.promptTokens || 0) / 1000) * (price.input || 0));
+    case 'image':
+      return roundCost((usage.images || 0) * (price[usage.quality] || price.standard || 0));
+    case 'transcription':
+      return roundCost(((usage.audioSeconds || 0) / 60) * (price.minute || 0));
+    case 'speech':
+      return roundCost(((usage.characters || 0) / 1000) * (price.characters || 0));
+    default:
+      return 0;
+  }
+}
+
+// Rough token count for text we didn't get usage numbers for (streaming)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Anyone knowing the key can recompute guest fingerprints, so production
+// refuses to start without one. Elsewhere a per-process key is used, which
+// means guest usage starts over on every restart.
+function fingerprintSecret() {
+  if (process.env.USAGE_FINGERPRINT_SECRET) {
+    return process.env.USAGE_FINGERPRINT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('USAGE_FINGERPRINT_SECRET must be set in production');
+  }
+  console.warn('USAGE_FINGERPRINT_SECRET is not set; using a random key for guest fingerprints');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+const FINGERPRINT_SECRET = fingerprintSecret();
+
+// Guests are identified by a keyed hash of IP and user agent, so raw IPs
+// aren't stored
+function guestFingerprint(req) {
+  return crypto
+    .createHmac('sha256', FINGERPRINT_SECRET)
+    .update(`${req.ip}|${req.get('user-agent') || ''}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+function usageSubject(req) {
+  if (req.dbUser) {
+    return { userId: req.dbUser.id, guestId: null, plan: req.dbUser.plan || 'free' };
+  }
+  return { userId: null, guestId: guestFingerprint(req), plan: 'guest' };
+}
+
+function quotaFor(plan) {
+  return QUOTAS[plan] || QUOTAS.free;
+}
+
+function periodStarts(now = new Date()) {
+  const day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const month = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return {
+    daily: { start: day, resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)) },
+    monthly: { start: month, resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)) },
+  };
+}
+
+// Current spend against each quota period
+async function getQuotaStatus(subject) {
+  const limits = quotaFor(subject.plan);
+  const periods = periodStarts();
+  const status = {};
+
+  for (const period of ['daily', 'monthly']) {
+    const used = roundCost(await db.getAiUsageCost(subject, periods[period].start));
+    const limit = limits[period] ?? null;
+    status[period] = {
+      limit,
+      used,
+      remaining: limit === null ? null : roundCost(Math.max(0, limit - used)),
+      resetsAt: periods[period].resetsAt,
+    };
+  }
+
+  return status;
+}
+
+// The first exhausted quota period, or null if the subject may make calls
+async function findExceededQuota(subject) {
+  const status = await getQuotaStatus(subject);
+  for (const period of ['daily', 'monthly']) {
+    if (status[period].limit !== null && status[period].used >= status[period].limit) {
+      return { period, ...status[period] };
+    }
+  }
+  return null;
+}
+
+async function record(subject, endpoint, capability, result, usage) {
+  const provider = ai.getProvider(capability);
+  const model = (result && result.model) || provider.model;
+
+  try {
+    await db.recordAiUsage({
+      userId: subject.userId,
+      guestId: subject.userId ? null : subject.guestId,
+      endpoint,
+      capability,
+      provider: provider.name,
+      model,
+      promptTokens: usage.promptTokens ?? null,
+      completionTokens: usage.completionTokens ?? null,
+      images: usage.images ?? null,
+      characters: usage.characters ?? null,
+      audioSeconds: usage.audioSeconds ?? null,
+      estimatedCost: estimateCost(capability, provider.name, model, usage),
+    });
+  } catch (error) {
+    // Metering must never break the request it's measuring
+    console.error('Failed to record AI usage:', error);
+  }
+}
+
+// Same interface as services/ai, but every successful call is recorded
+// against `subject` under `endpoint`
+function meteredAi(subject, endpoint) {
+  return {
+    async chat(options) {
+      const result = await ai.chat(options);
+      await record(subject, endpoint, 'chat', result, {
+        promptTokens: result.usage ? result.usage.prompt_tokens : estimateTokens(options.messages.map(m => m.content).join('')),
+        completionTokens: result.usage ? result.usage.completion_tokens : estimateTokens(result.content),
+      });
+      return result;
+    },
+
+    // Streaming responses carry no usage numbers, so tokens are estimated.
+    // Partial output is recorded too when the client disconnects.
+    async *chatStream(options) {
+      let content = '';
+      try {
+        for await (const token of ai.chatStream(options)) {
+          content += token;
+          yield token;
+        }
+      } finally {
+        if (content) {
+          await record(subject, endpoint, 'chat', null, {
+            promptTokens: estimateTokens(options.messages.map(m => m.content).join('')),
+            completionTokens: estimateTokens(content),
+          });
+        }
+      }
+    },
+
+    async generateImage(options) {
+      const result = await ai.generateImage(options);
+      await record(subject, endpoint, 'image', result, { images: 1, quality: options.quality });
+      return result;
+    },
+
+    async transcribe(options) {
+      const result = await ai.transcribe(options);
+      await record(subject, endpoint, 'transcription', result, {
+        audioSeconds: await readAudioDuration(options.buffer, options.mimetype),
+      });
+      return result;
+    },
+
+    async speech(options) {
+      const result = await ai.speech(options);
+      await record(subject, endpoint, 'speech', result, { characters: options.text.length });
+      return result;
+    },
+
+    async embed(options) {
+      const result = await ai.embed(options);
+      await record(subject, endpoint, 'embedding', result, {
+        promptTokens: result.usage ? result.usage.prompt_tokens : estimateTokens(options.input.join('')),
+      });
+      return result;
+    },
+  };
+}
+
+// Usage summary for GET /api/usage
+async function getUsageSummary(subject) {
+  const { monthly } = periodStarts();
+  const [quotas, breakdown] = await Promise.all([
+    getQuotaStatus(subject),
+    db.getAiUsageBreakdown(subject, monthly.start),
+  ]);
+
+  return {
+    plan: subject.plan,
+    currency: 'USD',
+    quotas,
+    thisMonth: breakdown,
+  };
+}
+
+module.exports = {
+  PLANS,
+  SYSTEM_SUBJECT,
+  estimateCost,
+  guestFingerprint,
+  usageSubject,
+  findExceededQuota,
+  meteredAi,
+  getUsageSummary,
+};
@@ -0,0 +1,139 @@
+const { app, db, signIn, testUser } = require('./helpers/app');
+const request = require('supertest');
+
+jest.mock('../services/media');
+
+const crypto = require('crypto');
+const { releaseImages, deleteStoredFile } = require('../services/media');
+const { auth } = require('../config/firebase-admin');
+const account = require('../services/account');
+
+function hash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function users(count, offset = 0) {
+  return Array.from({ length: count }, (_, i) => testUser({ id: `user-${offset + i}`, firebaseUid: `uid-${offset + i}` }));
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  db.getAccountStorageKeys.mockResolvedValue({ imageKeys: [], fileKeys: [] });
+});
+
+describe('toGraceDays', () => {
+  test('accepts whole days up to the maximum', () => {
+    expect(account.toGraceDays(7)).toBe(7);
+    expect(account.toGraceDays(0)).toBe(0);
+    expect(() => account.toGraceDays(31)).toThrow('graceDays must be a whole number from 0 to 30');
+    expect(() => account.toGraceDays(1.5)).toThrow('graceDays must be a whole number from 0 to 30');
+    expect(() => account.toGraceDays('7')).toThrow('graceDays must be a whole number from 0 to 30');
+  });
+});
+
+describe('confirmDeletion', () => {
+  const user = testUser();
+
+  function pendingDeletion(token, expiresAt = new Date(Date.now() + 60000)) {
+    db.getAccountDeletion.mockResolvedValue({ deletionTokenHash: hash(token), deletionTokenExpiresAt: expiresAt });
+  }
+
+  test('only accepts the current, unexpired token', async () => {
+    pendingDeletion('right-token');
+    await expect(account.confirmDeletion(user, 'wrong-token', 0)).rejects.toThrow('Invalid or expired confirmation token');
+    await expect(account.confirmDeletion(user, undefined, 0)).rejects.toThrow('Invalid or expired confirmation token');
+
+    pendingDeletion('right-token', new Date(Date.now() - 1000));
+    await expect(account.confirmDeletion(user, 'right-token', 0)).rejects.toThrow('Invalid or expired confirmation token');
+
+    expect(db.deleteUser).not.toHaveBeenCalled();
+  });
+
+  test('deletes straight away without a grace period', async () => {
+    pendingDeletion('right-token');
+    db.getAccountStorageKeys.mockResolvedValue({ imageKeys: ['images/a.png'], fileKeys: ['audio/b.webm'] });
+
+    expect(await account.confirmDeletion(user, 'right-token', 0)).toEqual({ deleted: true });
+    expect(db.handOverOwnedCircles).toHaveBeenCalledWith(user.id);
+    expect(db.deleteUser).toHaveBeenCalledWith(user.id, user.firebaseUid);
+    expect(releaseImages).toHaveBeenCalledWith(['images/a.png']);
+    expect(deleteStoredFile).toHaveBeenCalledWith('audio/b.webm');
+  });
+
+  test('schedules the deletion when there is a grace period', async () => {
+    pendingDeletion('right-token');
+    const scheduledAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    db.scheduleAccountDeletion.mockResolvedValue({ deletionRequestedAt: new Date(), deletionScheduledAt: scheduledAt });
+
+    const status = await account.confirmDeletion(user, 'right-token', 7);
+
+    expect(status).toMatchObject({ scheduled: true, scheduledFor: scheduledAt });
+    expect(db.deleteUser).not.toHaveBeenCalled();
+  });
+});
+
+describe('deleteAccount', () => {
+  test('still counts as deleted when Firebase no longer has the user', async () => {
+    const error = Object.assign(new Error('no user'), { code: 'auth/user-not-found' });
+    jest.spyOn(auth, 'revokeRefreshTokens').mockRejectedValue(error);
+    jest.spyOn(auth, 'deleteUser').mockRejectedValue(error);
+
+    await expect(account.deleteAccount(testUser())).resolves.toBeUndefined();
+    expect(db.deleteUser).toHaveBeenCalled();
+  });
+});
+
+describe('purgeScheduledAccounts', () => {
+  test('works through full batches until a short one', async () => {
+    db.findAccountsDueForDeletion
+      .mockResolvedValueOnce(users(20))
+      .mockResolvedValueOnce(users(5, 20));
+
+    expect(await account.purgeScheduledAccounts()).toBe(25);
+    expect(db.findAccountsDueForDeletion).toHaveBeenCalledTimes(2);
+  });
+
+  test('stops after a batch in which every deletion failed', async () => {
+    db.findAccountsDueForDeletion.mockResolvedValue(users(20));
+    db.deleteUser.mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await account.purgeScheduledAccounts()).toBe(0);
+    expect(db.findAccountsDueForDeletion).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps going past accounts that failed while others succeed', async () => {
+    db.findAccountsDueForDeletion
+      .mockResolvedValueOnce(users(20))
+      .mockResolvedValueOnce([]);
+    db.deleteUser.mockImplementation(async userId => {
+      if (userId === 'user-3') throw new Error('connection lost');
+    });
+
+    expect(await account.purgeScheduledAccounts()).toBe(19);
+    expect(db.findAccountsDueForDeletion).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('POST /api/account/deletion/confirm', () => {
+  test('answers 400 for a bad token without logging a server error', async () => {
+    const error = jest.spyOn(console, 'error');
+    db.getAccountDeletion.mockResolvedValue(null);
+
+    const res = await request(app).post('/api/account/deletion/confirm').set(signIn(testUser())).send({ confirmationToken: 'nope' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Invalid or expired confirmation token' });
+    expect(error).not.toHaveBeenCalled();
+  });
+
+  test('answers 202 with the schedule for a grace period', async () => {
+    db.getAccountDeletion.mockResolvedValue({ deletionTokenHash: hash('t'), deletionTokenExpiresAt: new Date(Date.now() + 60000) });
+    db.scheduleAccountDeletion.mockResolvedValue({ deletionRequestedAt: new Date(), deletionScheduledAt: new Date() });
+
+    const res = await request(app).post('/api/account/deletion/confirm').set(signIn(testUser())).send({ confirmationToken: 't', graceDays: 3 });
+
+    expect(res.status).toBe(202);
+    expect(res.body.scheduled).toBe(true);
+  });
+});
@@ -0,0 +1,110 @@
+const { FakeProvider } = require('../services/ai/fake');
+const { buildAnalysisResult, analysisChatOptions } = require('../services/analysis');
+
+const ENV_KEYS = [
+  'AI_PROVIDER', 'AI_CHAT_PROVIDER', 'AI_IMAGE_PROVIDER', 'OPENAI_API_KEY',
+  'OPENAI_BASE_URL', 'OPENAI_CHAT_MODEL', 'OPENAI_IMAGE_BASE_URL',
+];
+const savedEnv = {};
+
+beforeEach(() => {
+  ENV_KEYS.forEach(key => {
+    savedEnv[key] = process.env[key];
+    delete process.env[key];
+  });
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+// Providers are created once per process, so each test gets a fresh module
+function loadAi() {
+  let ai;
+  jest.isolateModules(() => {
+    ai = require('../services/ai');
+  });
+  return ai;
+}
+
+describe('provider selection', () => {
+  test('defaults to OpenAI, which needs a key for api.openai.com', () => {
+    const ai = loadAi();
+
+    expect(ai.getProvider('chat').name).toBe('openai');
+    expect(ai.getProvider('chat').model).toBe('gpt-4');
+    expect(ai.unconfiguredCapabilities()).toEqual(ai.CAPABILITIES);
+  });
+
+  test('a compatible base URL counts as configured without a key', () => {
+    process.env.OPENAI_BASE_URL = 'http://localhost:11434/v1/';
+    process.env.OPENAI_CHAT_MODEL = 'llama3';
+    const ai = loadAi();
+
+    expect(ai.getProvider('chat').baseURL).toBe('http://localhost:11434/v1');
+    expect(ai.describe().chat).toEqual({ provider: 'openai', model: 'llama3', configured: true });
+  });
+
+  test('per-capability settings override the defaults', () => {
+    process.env.AI_PROVIDER = 'fake';
+    process.env.AI_IMAGE_PROVIDER = 'OpenAI';
+    process.env.OPENAI_IMAGE_BASE_URL = 'http://images.local/v1';
+    const ai = loadAi();
+
+    expect(ai.getProvider('chat').name).toBe('fake');
+    expect(ai.getProvider('image').name).toBe('openai');
+    expect(ai.getProvider('image').baseURL).toBe('http://images.local/v1');
+    expect(ai.unconfiguredCapabilities()).toEqual([]);
+  });
+
+  test('rejects unknown providers and capabilities', () => {
+    process.env.AI_CHAT_PROVIDER = 'acme';
+    const ai = loadAi();
+
+    expect(() => ai.getProvider('chat')).toThrow('Unknown AI provider "acme" for chat. Use one of: openai, fake');
+    expect(() => ai.getProvider('video')).toThrow('Unknown AI capability: video');
+  });
+});
+
+describe('FakeProvider', () => {
+  const chat = new FakeProvider({ capability: 'chat' });
+
+  test('gives the same answer for the same request', async () => {
+    const options = { purpose: 'title', messages: [{ role: 'user', content: 'Title this: "A purple whale sang"' }] };
+
+    const first = await chat.chat(options);
+    expect(first.content).toBe('The Tale of the Purple and Whale');
+    expect(await chat.chat(options)).toEqual(first);
+  });
+
+  test('returns analysis the real parser accepts as structured', async () => {
+    const response = await chat.chat(analysisChatOptions('I was lost in a forest'));
+    const result = buildAnalysisResult(response.content);
+
+    expect(result.structured).toBe(true);
+    expect(result.symbols.map(s => s.symbol)).toEqual(['lost', 'forest']);
+  });
+
+  test('streams the same content it would return', async () => {
+    const options = { messages: [{ role: 'user', content: 'hello there' }] };
+    let streamed = '';
+    for await (const token of chat.chatStream(options)) streamed += token;
+
+    expect(streamed).toBe((await chat.chat(options)).content);
+  });
+
+  test('makes WAV audio and unit-length embeddings', async () => {
+    const { audio, contentType } = await new FakeProvider({ capability: 'speech' }).speech({ text: 'a'.repeat(150) });
+    expect(contentType).toBe('audio/wav');
+    expect(audio.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(audio.readUInt32LE(40)).toBe(audio.length - 44);
+
+    const { embeddings } = await new FakeProvider({ capability: 'embedding' }).embed({ input: ['flying over water', ''] });
+    const norm = Math.sqrt(embeddings[0].reduce((sum, x) => sum + x * x, 0));
+    expect(norm).toBeCloseTo(1);
+    expect(embeddings[1].every(x => x === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,116 @@
+const {
+  parseStructuredAnalysis,
+  buildAnalysisResult,
+  analysisChatOptions,
+  toAnalysisResponse,
+  toAnalysisRecord,
+} = require('../services/analysis');
+
+const structured = {
+  summary: 'A dream about letting go.',
+  analysis: 'Water often stands for emotion...',
+  symbols: [
+    { symbol: 'Water', meaning: 'Emotion' },
+    { symbol: 'door' },
+    { symbol: '  ', meaning: 'Nothing' },
+  ],
+  themes: [
+    { name: 'Change', confidence: 0.4 },
+    { name: 'freedom', confidence: 3 },
+    { name: 'change', confidence: 0.9 },
+    'growth',
+  ],
+  emotions: [{ name: 'Calm', confidence: 'high' }],
+};
+
+describe('parseStructuredAnalysis', () => {
+  test('normalizes symbols and labels', () => {
+    expect(parseStructuredAnalysis(JSON.stringify(structured))).toEqual({
+      summary: 'A dream about letting go.',
+      analysis: 'Water often stands for emotion...',
+      symbols: [{ symbol: 'water', meaning: 'Emotion' }],
+      themes: [
+        { name: 'freedom', confidence: 1 },
+        { name: 'change', confidence: 0.4 },
+        { name: 'growth', confidence: null },
+      ],
+      emotions: [{ name: 'calm', confidence: null }],
+    });
+  });
+
+  test('finds JSON inside a code fence or surrounding prose', () => {
+    const json = JSON.stringify({ summary: 's', analysis: 'a' });
+
+    expect(parseStructuredAnalysis('```json\n' + json + '\n```')).toMatchObject({ summary: 's' });
+    expect(parseStructuredAnalysis(`Here you go: ${json} Hope it helps.`)).toMatchObject({ analysis: 'a' });
+  });
+
+  test('returns null without usable JSON or required fields', () => {
+    expect(parseStructuredAnalysis('Just prose')).toBeNull();
+    expect(parseStructuredAnalysis('{not json}')).toBeNull();
+    expect(parseStructuredAnalysis('{"summary": "s"}')).toBeNull();
+    expect(parseStructuredAnalysis(null)).toBeNull();
+  });
+});
+
+describe('buildAnalysisResult', () => {
+  test('uses the structured response when there is one', () => {
+    const result = buildAnalysisResult(JSON.stringify(structured));
+
+    expect(result.structured).toBe(true);
+    expect(result.analysisText).toBe('Water often stands for emotion...');
+    expect(result.summary).toBe('A dream about letting go.');
+  });
+
+  test('falls back to prose with whole-word theme and emotion matches', () => {
+    const result = buildAnalysisResult('  A journey toward Freedom leaves you content, not unhappy.  ');
+
+    expect(result).toEqual({
+      structured: false,
+      analysisText: 'A journey toward Freedom leaves you content, not unhappy.',
+      summary: null,
+      symbols: [],
+      themes: [{ name: 'freedom', confidence: null }, { name: 'journey', confidence: null }],
+      emotions: [{ name: 'content', confidence: null }],
+    });
+  });
+});
+
+describe('analysisChatOptions', () => {
+  test('adds the style and language to the system prompt', () => {
+    const options = analysisChatOptions('I was flying', { style: 'jungian', language: 'French' });
+    const [system, user] = options.messages;
+
+    expect(options.purpose).toBe('analysis');
+    expect(system.content).toContain('Perspective: Take a Jungian perspective');
+    expect(system.content).toContain('in French');
+    expect(user.content).toBe('Please analyze this dream: "I was flying"');
+  });
+
+  test('leaves the default prompt alone for the balanced style', () => {
+    const { messages } = analysisChatOptions('x', { style: 'balanced' });
+
+    expect(messages[0].content).not.toContain('Perspective:');
+    expect(messages[0].content).not.toContain('Write the summary');
+  });
+});
+
+describe('response and record shapes', () => {
+  const result = buildAnalysisResult(JSON.stringify(structured));
+
+  test('flattens labels to names and keeps the scores', () => {
+    expect(toAnalysisRecord(result)).toEqual({
+      analysisText: result.analysisText,
+      summary: result.summary,
+      symbols: result.symbols,
+      themes: ['freedom', 'change', 'growth'],
+      emotions: ['calm'],
+      scores: { themes: result.themes, emotions: result.emotions },
+    });
+    expect(toAnalysisResponse(result)).toMatchObject({
+      analysis: result.analysisText,
+      themes: ['freedom', 'change', 'growth'],
+      structured: true,
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const { app, db, signIn, testUser } = require('./helpers/app');
+const request = require('supertest');
+const circles = require('../services/circles');
+
+beforeEach(() => jest.resetAllMocks());
+
+const alice = { id: 'alice', displayName: 'Alice', photoURL: null, email: 'alice@example.com' };
+
+function comment(id, parentId, overrides) {
+  const createdAt = new Date(`2024-05-10T08:0${id.slice(-1)}:00Z`);
+  return { id, parentId, body: `Comment ${id}`, user: alice, createdAt, updatedAt: createdAt, deletedAt: null, ...overrides };
+}
+
+describe('buildCommentThreads', () => {
+  test('nests replies under their parents in order', () => {
+    const threads = circles.buildCommentThreads([
+      comment('c1', null),
+      comment('c2', 'c1'),
+      comment('c3', null),
+      comment('c4', 'c2'),
+    ]);
+
+    expect(threads.map(c => c.id)).toEqual(['c1', 'c3']);
+    expect(threads[0].replies.map(c => c.id)).toEqual(['c2']);
+    expect(threads[0].replies[0].replies.map(c => c.id)).toEqual(['c4']);
+    expect(threads[0].author).toEqual({ id: 'alice', displayName: 'Alice', photoURL: null });
+  });
+
+  test('keeps deleted comments in place without their body or author', () => {
+    const [root] = circles.buildCommentThreads([
+      comment('c1', null, { deletedAt: new Date() }),
+      comment('c2', 'c1'),
+    ]);
+
+    expect(root).toMatchObject({ body: null, author: null, deleted: true, edited: false });
+    expect(root.replies).toHaveLength(1);
+  });
+
+  test('marks edits and treats replies to missing parents as top level', () => {
+    const threads = circles.buildCommentThreads([
+      comment('c1', null, { updatedAt: new Date('2024-05-10T09:00:00Z') }),
+      comment('c2', 'gone'),
+    ]);
+
+    expect(threads.map(c => [c.id, c.edited])).toEqual([['c1', true], ['c2', false]]);
+  });
+});
+
+describe('removeMember', () => {
+  const owner = { userId: 'u-owner', role: 'owner' };
+  const admin = { userId: 'u-admin', role: 'admin' };
+  const member = { userId: 'u-member', role: 'member' };
+
+  function withMembers(...memberships) {
+    db.getCircleMembership.mockImplementation(async (circleId, userId) => memberships.find(m => m.userId === userId) || null);
+  }
+
+  test('lets members and admins leave but not the owner', async () => {
+    await circles.removeMember('circle-1', member, member.userId);
+    await circles.removeMember('circle-1', admin, admin.userId);
+    expect(db.removeCircleMember).toHaveBeenCalledTimes(2);
+
+    await expect(circles.removeMember('circle-1', owner, owner.userId))
+      .rejects.toThrow('The owner can\'t leave the circle. Transfer ownership or delete it.');
+  });
+
+  test('only removes members ranked below the actor', async () => {
+    withMembers(owner, admin, member, { userId: 'u-admin-2', role: 'admin' });
+
+    await circles.removeMember('circle-1', admin, member.userId);
+    await circles.removeMember('circle-1', owner, admin.userId);
+    expect(db.removeCircleMember.mock.calls).toEqual([['circle-1', member.userId], ['circle-1', admin.userId]]);
+
+    await expect(circles.removeMember('circle-1', admin, 'u-admin-2')).rejects.toThrow('Not allowed');
+    await expect(circles.removeMember('circle-1', admin, owner.userId)).rejects.toThrow('Not allowed');
+    await expect(circles.removeMember('circle-1', member, admin.userId)).rejects.toThrow('Not allowed');
+    await expect(circles.removeMember('circle-1', owner, 'u-stranger')).rejects.toThrow('Member not found');
+    expect(db.removeCircleMember).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('changeMemberRole', () => {
+  test('is owner-only and hands over ownership when asked', async () => {
+    const owner = { userId: 'u-owner', role: 'owner' };
+    db.getCircleMembership.mockResolvedValue({ userId: 'u-admin', role: 'admin' });
+
+    await expect(circles.changeMemberRole('circle-1', { userId: 'u-admin', role: 'admin' }, 'u-member', 'admin')).rejects.toThrow('Not allowed');
+    await expect(circles.changeMemberRole('circle-1', owner, owner.userId, 'member')).rejects.toThrow('Not allowed');
+
+    await circles.changeMemberRole('circle-1', owner, 'u-admin', 'owner');
+    expect(db.transferCircleOwnership).toHaveBeenCalledWith('circle-1', 'u-owner', 'u-admin');
+  });
+});
+
+describe('requireMember', () => {
+  test('hides circles from non-members and enforces the minimum role', async () => {
+    db.getCircleMembership.mockResolvedValueOnce(null);
+    await expect(circles.requireMember('circle-1', 'u')).rejects.toThrow('Circle not found');
+
+    db.getCircleMembership.mockResolvedValueOnce({ userId: 'u', role: 'member' });
+    await expect(circles.requireMember('circle-1', 'u', 'admin')).rejects.toThrow('Not allowed');
+  });
+});
+
+describe('GET /api/circles/:id/feed', () => {
+  test('answers 404 to non-members', async () => {
+    db.getCircleMembership.mockResolvedValue(null);
+
+    const res = await request(app).get('/api/circles/circle-1/feed').set(signIn(testUser()));
+
+    expect(res.status).toBe(404);
+    expect(db.getCircleFeed).not.toHaveBeenCalled();
+  });
+
+  test('passes the cursor through and rejects a bad one with 400', async () => {
+    const user = testUser();
+    db.getCircleMembership.mockResolvedValue({ userId: user.id, role: 'member' });
+    db.getCircleFeed.mockRejectedValue(new Error('Invalid cursor'));
+
+    const res = await request(app).get('/api/circles/circle-1/feed?cursor=garbage&limit=500').set(signIn(user));
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Invalid cursor' });
+    expect(db.getCircleFeed).toHaveBeenCalledWith('circle-1', { cursor: 'garbage', take: 50 });
+  });
+});
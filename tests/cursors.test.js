@@ -0,0 +1,41 @@
+const { encodeCursor, decodeCursor, cursorCondition } = require('../services/cursors');
+
+function encode(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+describe('dream list cursors', () => {
+  const dream = { id: 'dream-1', createdAt: new Date('2024-05-10T08:30:00.000Z') };
+
+  test('round-trips the sort value and id', () => {
+    const cursor = encodeCursor(dream, 'createdAt');
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor, 'createdAt')).toEqual({ value: dream.createdAt, id: 'dream-1' });
+  });
+
+  test('rejects a cursor made for another sort field', () => {
+    expect(() => decodeCursor(encodeCursor(dream, 'createdAt'), 'date')).toThrow('Invalid cursor');
+  });
+
+  test.each([
+    ['not base64 JSON', 'not-a-cursor'],
+    ['JSON null', encode(null)],
+    ['a number', encode(42)],
+    ['a string', encode('createdAt')],
+    ['a missing id', encode({ f: 'createdAt', v: '2024-05-10T08:30:00.000Z' })],
+    ['an invalid date', encode({ f: 'createdAt', v: 'yesterday', id: 'dream-1' })],
+  ])('rejects %s', (description, cursor) => {
+    expect(() => decodeCursor(cursor, 'createdAt')).toThrow('Invalid cursor');
+  });
+
+  test('builds a keyset condition in the sort direction', () => {
+    const position = { value: dream.createdAt, id: 'dream-1' };
+    expect(cursorCondition(position, 'createdAt', 'desc')).toEqual({
+      OR: [
+        { createdAt: { lt: dream.createdAt } },
+        { createdAt: dream.createdAt, id: { lt: 'dream-1' } },
+      ],
+    });
+    expect(cursorCondition(position, 'createdAt', 'asc').OR[0]).toEqual({ createdAt: { gt: dream.createdAt } });
+  });
+});
@@ -0,0 +1,84 @@
+const { app, db, signIn, testUser } = require('./helpers/app');
+const request = require('supertest');
+
+beforeEach(() => jest.resetAllMocks());
+
+describe('GET /api/dreams/:id', () => {
+  test('requires a signed-in user', async () => {
+    const res = await request(app).get('/api/dreams/dream-1');
+    expect(res.status).toBe(401);
+    expect(db.getDreamById).not.toHaveBeenCalled();
+  });
+
+  test('returns the dream when it belongs to the user', async () => {
+    const user = testUser();
+    db.getDreamById.mockResolvedValue({ id: 'dream-1', title: 'Flying' });
+
+    const res = await request(app).get('/api/dreams/dream-1').set(signIn(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body.dream).toEqual({ id: 'dream-1', title: 'Flying' });
+    expect(db.getDreamById).toHaveBeenCalledWith('dream-1', user.id);
+  });
+
+  test('returns 404 for a missing dream or one owned by someone else', async () => {
+    db.getDreamById.mockResolvedValue(null);
+
+    const res = await request(app).get('/api/dreams/dream-2').set(signIn(testUser()));
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Dream not found' });
+  });
+});
+
+describe('GET /api/dreams/:id/analyses', () => {
+  test('returns the analysis history', async () => {
+    const user = testUser();
+    db.getDreamAnalyses.mockResolvedValue([{ id: 'analysis-2' }, { id: 'analysis-1' }]);
+
+    const res = await request(app).get('/api/dreams/dream-1/analyses').set(signIn(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body.analyses.map(a => a.id)).toEqual(['analysis-2', 'analysis-1']);
+    expect(db.getDreamAnalyses).toHaveBeenCalledWith('dream-1', user.id);
+  });
+
+  test('maps an ownership miss to 404', async () => {
+    db.getDreamAnalyses.mockRejectedValue(new Error('Dream not found'));
+
+    const res = await request(app).get('/api/dreams/dream-2/analyses').set(signIn(testUser()));
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/dreams/search', () => {
+  test('requires a query', async () => {
+    const res = await request(app).get('/api/dreams/search?q=%20%20');
+    expect(res.status).toBe(400);
+  });
+
+  test('returns nothing for guests', async () => {
+    const res = await request(app).get('/api/dreams/search?q=flying');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ dreams: [], total: 0, hasMore: false });
+    expect(db.searchDreams).not.toHaveBeenCalled();
+  });
+
+  test('searches the user\'s dreams with paging and filters', async () => {
+    const user = testUser();
+    db.searchDreams.mockResolvedValue({ dreams: [], total: 0, hasMore: false });
+
+    const res = await request(app)
+      .get('/api/dreams/search?q=%20flying%20&page=3&limit=500&tags=sea,sky&favoritesOnly=true')
+      .set(signIn(user));
+
+    expect(res.status).toBe(200);
+    expect(db.searchDreams).toHaveBeenCalledWith(user.id, 'flying', expect.objectContaining({
+      skip: 100,
+      take: 50,
+      tags: ['sea', 'sky'],
+      favoritesOnly: true,
+    }));
+  });
+});
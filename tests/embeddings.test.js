@@ -0,0 +1,127 @@
+jest.mock('../services/database', () => ({
+  getDreamsForEmbedding: jest.fn(),
+  saveDreamEmbeddings: jest.fn(),
+  getDreamEmbedding: jest.fn(),
+  hasPgvector: jest.fn(),
+  findNearestDreams: jest.fn(),
+  getUserEmbeddings: jest.fn(),
+  getDreamSummaries: jest.fn(),
+  getEmbeddingsVersion: jest.fn(),
+}));
+jest.mock('../services/ai', () => ({
+  getProvider: jest.fn(),
+  embed: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const ai = require('../services/ai');
+const db = require('../services/database');
+const { embedDreams, findSimilarDreams, findRecurringClusters } = require('../services/embeddings');
+
+const MODEL = 'text-embedding-3-small';
+
+function hash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function summary(id, date) {
+  return { id, title: id, dreamText: `Text of ${id}`, date: new Date(date) };
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  ai.getProvider.mockReturnValue({ model: MODEL });
+  db.getDreamSummaries.mockImplementation(async ids => ids.map(id => summary(id, `2024-01-0${id.slice(-1)}`)));
+});
+
+describe('embedDreams', () => {
+  test('only embeds dreams whose text or model changed', async () => {
+    db.getDreamsForEmbedding.mockResolvedValue([
+      { id: 'd1', userId: 'u', dreamText: 'new dream', embedding: null },
+      { id: 'd2', userId: 'u', dreamText: 'same text', embedding: { model: MODEL, contentHash: hash('same text') } },
+      { id: 'd3', userId: 'u', dreamText: 'edited', embedding: { model: MODEL, contentHash: hash('before edit') } },
+      { id: 'd4', userId: 'u', dreamText: 'old model', embedding: { model: 'ada', contentHash: hash('old model') } },
+    ]);
+    const client = { embed: jest.fn(async ({ input }) => ({ embeddings: input.map(() => [1, 0]), model: MODEL })) };
+
+    expect(await embedDreams(['d1', 'd2', 'd3', 'd4'], client)).toEqual({ embedded: 3, skipped: 1 });
+    expect(client.embed).toHaveBeenCalledWith({ input: ['new dream', 'edited', 'old model'] });
+    expect(db.saveDreamEmbeddings.mock.calls[0][0][0]).toEqual({
+      dreamId: 'd1',
+      userId: 'u',
+      model: MODEL,
+      dimensions: 2,
+      vector: [1, 0],
+      contentHash: hash('new dream'),
+    });
+    expect(ai.embed).not.toHaveBeenCalled();
+  });
+});
+
+describe('findSimilarDreams', () => {
+  test('returns null until the dream is embedded', async () => {
+    db.getDreamEmbedding.mockResolvedValue(null);
+
+    expect(await findSimilarDreams('d1', 'u')).toBeNull();
+  });
+
+  test('ranks by cosine similarity without pgvector', async () => {
+    db.getDreamEmbedding.mockResolvedValue({ model: MODEL, vector: [1, 0] });
+    db.hasPgvector.mockResolvedValue(false);
+    db.getUserEmbeddings.mockResolvedValue([
+      { dreamId: 'd1', vector: [5, 0] },
+      { dreamId: 'd2', vector: [1, 1] },
+      { dreamId: 'd3', vector: [0, 3] },
+      { dreamId: 'd4', vector: [10, 1] },
+      { dreamId: 'd5', vector: [1, 0, 0] },
+    ]);
+
+    const similar = await findSimilarDreams('d1', 'u', { threshold: 0.5 });
+
+    expect(similar.map(d => [d.id, d.similarity])).toEqual([['d4', 0.995], ['d2', 0.707]]);
+  });
+});
+
+describe('findRecurringClusters', () => {
+  test('links chains of similar dreams and drops loners', async () => {
+    db.getEmbeddingsVersion.mockResolvedValue('v1');
+    db.getUserEmbeddings.mockResolvedValue([
+      { dreamId: 'd1', vector: [1, 0, 0] },
+      { dreamId: 'd2', vector: [0.9, 0.1, 0] },
+      { dreamId: 'd3', vector: [0.8, 0.3, 0] },
+      { dreamId: 'd4', vector: [0, 0, 1] },
+      { dreamId: 'd5', vector: [0, 0.1, 1] },
+      { dreamId: 'd6', vector: [0, 1, 0] },
+    ]);
+
+    const { clusters, analyzed, threshold } = await findRecurringClusters('user-a', { threshold: 0.9 });
+
+    expect(analyzed).toBe(6);
+    expect(threshold).toBe(0.9);
+    expect(clusters.map(c => c.dreams.map(d => d.id))).toEqual([['d1', 'd2', 'd3'], ['d4', 'd5']]);
+    expect(clusters[0]).toMatchObject({ size: 3, firstDate: new Date('2024-01-01'), lastDate: new Date('2024-01-03') });
+    expect(clusters[0].cohesion).toBeGreaterThan(0.9);
+    expect(clusters[0].dreams[0]).not.toHaveProperty('similarity');
+  });
+
+  test('reuses clusters until the embeddings change', async () => {
+    db.getEmbeddingsVersion.mockResolvedValue('v1');
+    db.getUserEmbeddings.mockResolvedValue([{ dreamId: 'd1', vector: [1, 0] }, { dreamId: 'd2', vector: [1, 0] }]);
+
+    await findRecurringClusters('user-b');
+    await findRecurringClusters('user-b');
+    expect(db.getUserEmbeddings).toHaveBeenCalledTimes(1);
+
+    db.getEmbeddingsVersion.mockResolvedValue('v2');
+    await findRecurringClusters('user-b');
+    expect(db.getUserEmbeddings).toHaveBeenCalledTimes(2);
+  });
+
+  test('skips clusters whose dreams were deleted since', async () => {
+    db.getEmbeddingsVersion.mockResolvedValue('v1');
+    db.getUserEmbeddings.mockResolvedValue([{ dreamId: 'd1', vector: [1, 0] }, { dreamId: 'd2', vector: [1, 0] }]);
+    db.getDreamSummaries.mockResolvedValue([summary('d1', '2024-01-01')]);
+
+    expect((await findRecurringClusters('user-c')).clusters).toEqual([]);
+  });
+});
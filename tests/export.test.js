@@ -0,0 +1,123 @@
+const { PassThrough } = require('stream');
+const { finished } = require('stream/promises');
+
+const { EXPORT_FORMATS, CSV_COLUMNS, getExportWriter, toExportRecord } = require('../services/export');
+
+const user = { email: 'dreamer@example.com', displayName: 'Dreamer' };
+
+function dream(overrides) {
+  return {
+    id: 'dream-1',
+    title: 'Flying',
+    dreamText: 'I was flying over the sea',
+    date: new Date('2024-05-10T00:00:00Z'),
+    story: null,
+    storyTone: null,
+    storyLength: null,
+    hasAudio: false,
+    audioUrl: null,
+    audioDuration: null,
+    isPrivate: true,
+    isFavorite: false,
+    tags: ['flying', 'sea'],
+    mood: 'calm',
+    lucidity: 2,
+    userId: 'user-1',
+    deletedAt: null,
+    createdAt: new Date('2024-05-10T07:00:00Z'),
+    updatedAt: new Date('2024-05-10T07:00:00Z'),
+    images: [],
+    analyses: [],
+    ...overrides,
+  };
+}
+
+async function* rows(...dreams) {
+  yield* dreams;
+}
+
+async function run(format, ...dreams) {
+  const res = new PassThrough();
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  await getExportWriter(format).write(res, user, rows(...dreams));
+  await finished(res);
+  return Buffer.concat(chunks);
+}
+
+describe('getExportWriter', () => {
+  test('has a writer for every format and nothing else', () => {
+    EXPORT_FORMATS.forEach(format => expect(getExportWriter(format)).not.toBeNull());
+    expect(getExportWriter('xml')).toBeNull();
+    expect(getExportWriter('toString')).toBeNull();
+  });
+});
+
+describe('toExportRecord', () => {
+  test('leaves out ownership and trash fields', () => {
+    const record = toExportRecord(dream({
+      images: [{ id: 'img-1', url: '/i.png', scene: 'Scene 1', description: 'd', prompt: 'p', storageKey: 'k', createdAt: new Date() }],
+    }));
+
+    expect(record).not.toHaveProperty('userId');
+    expect(record).not.toHaveProperty('deletedAt');
+    expect(record.images[0]).not.toHaveProperty('storageKey');
+  });
+});
+
+describe('JSON export', () => {
+  test('writes a versioned header and every dream', async () => {
+    const body = JSON.parse((await run('json', dream(), dream({ id: 'dream-2' }))).toString());
+
+    expect(body.version).toBe(1);
+    expect(body.user).toEqual(user);
+    expect(body.dreams.map(d => d.id)).toEqual(['dream-1', 'dream-2']);
+  });
+
+  test('is still valid JSON with no dreams', async () => {
+    expect(JSON.parse((await run('json')).toString()).dreams).toEqual([]);
+  });
+});
+
+describe('CSV export', () => {
+  test('writes the header then one quoted row per dream', async () => {
+    const text = (await run('csv', dream({
+      dreamText: 'I said "hi", then\nwoke up',
+      analyses: [{ analysisText: 'first' }, { analysisText: 'latest' }],
+    }))).toString();
+    const [header, row] = text.split('\r\n');
+
+    expect(header).toBe(CSV_COLUMNS.join(','));
+    expect(row).toContain('"I said ""hi"", then\nwoke up"');
+    expect(row).toContain('flying;sea');
+    expect(row).toContain(',2,latest,');
+    expect(row).toContain('2024-05-10T00:00:00.000Z');
+  });
+
+  test('prefixes text that a spreadsheet would run as a formula', async () => {
+    const text = (await run('csv', dream({
+      title: '=HYPERLINK("http://evil")',
+      dreamText: '-1+2',
+      mood: '@SUM(A1)',
+    }))).toString();
+
+    expect(text).toContain('"\'=HYPERLINK(""http://evil"")"');
+    expect(text).toContain(",'-1+2,");
+    expect(text).toContain(",'@SUM(A1),");
+  });
+
+  test('leaves numbers alone', async () => {
+    const row = (await run('csv', dream({ lucidity: -1 }))).toString().split('\r\n')[1];
+    expect(row).toContain(',-1,');
+  });
+});
+
+describe('Markdown export', () => {
+  test('zips one file per dream and keeps same-day names unique', async () => {
+    const zip = (await run('markdown', dream(), dream({ id: 'dream-2' }))).toString('latin1');
+
+    expect(zip.startsWith('PK')).toBe(true);
+    expect(zip).toContain('dreams/2024-05-10-flying.md');
+    expect(zip).toContain('dreams/2024-05-10-flying-dream-2.md');
+  });
+});
@@ -0,0 +1,124 @@
+jest.mock('../services/database', () => ({
+  saveJobProgress: jest.fn(),
+  getDreamImageKeys: jest.fn(),
+  updateDream: jest.fn(),
+}));
+jest.mock('../services/illustrations', () => ({ generateIllustrations: jest.fn() }));
+jest.mock('../services/media', () => ({ releaseImages: jest.fn() }));
+jest.mock('../services/usage', () => ({ meteredAi: jest.fn(() => ({})), SYSTEM_SUBJECT: {} }));
+
+const db = require('../services/database');
+const { generateIllustrations } = require('../services/illustrations');
+const { releaseImages } = require('../services/media');
+const { handlers, splitForSpeech, joinAudio } = require('../services/jobs/handlers');
+
+describe('splitForSpeech', () => {
+  test('keeps short text in one chunk', () => {
+    expect(splitForSpeech('I was flying. Then I fell!')).toEqual(['I was flying. Then I fell!']);
+  });
+
+  test('splits long text on sentence boundaries without losing any', () => {
+    const sentence = 'The corridor kept getting longer as I walked. ';
+    const text = sentence.repeat(200);
+    const chunks = splitForSpeech(text);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join('')).toBe(text);
+    chunks.forEach(chunk => {
+      expect(chunk.length).toBeLessThanOrEqual(4000);
+      expect(chunk.startsWith('The corridor')).toBe(true);
+    });
+  });
+
+  test('hard-splits a sentence longer than a chunk', () => {
+    const text = 'a'.repeat(9000);
+    const chunks = splitForSpeech(text);
+
+    expect(chunks.map(chunk => chunk.length)).toEqual([4000, 4000, 1000]);
+    expect(chunks.join('')).toBe(text);
+  });
+
+  test('drops trailing whitespace-only chunks', () => {
+    expect(splitForSpeech('')).toEqual([]);
+    expect(splitForSpeech('   ')).toEqual([]);
+  });
+});
+
+describe('joinAudio', () => {
+  function wav(samples) {
+    const data = Buffer.from(samples);
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write('WAVE', 8);
+    header.writeUInt32LE(data.length, 40);
+    return Buffer.concat([header, data]);
+  }
+
+  test('concatenates MP3 parts', () => {
+    const parts = [Buffer.from([1, 2]), Buffer.from([3])];
+    expect(joinAudio(parts, 'audio/mpeg')).toEqual(Buffer.from([1, 2, 3]));
+  });
+
+  test('returns a single part unchanged', () => {
+    const part = wav([1, 2, 3]);
+    expect(joinAudio([part], 'audio/wav')).toEqual(part);
+  });
+
+  test('merges WAV parts under one header with updated sizes', () => {
+    const joined = joinAudio([wav([1, 2]), wav([3, 4, 5])], 'audio/wav');
+
+    expect(joined.length).toBe(44 + 5);
+    expect(joined.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(joined.readUInt32LE(4)).toBe(36 + 5);
+    expect(joined.readUInt32LE(40)).toBe(5);
+    expect([...joined.subarray(44)]).toEqual([1, 2, 3, 4, 5]);
+  });
+});
+
+describe('generate-images', () => {
+  const stored = { url: '/api/media/images/a.png', scene: 'Scene 1', description: 'Beginning of the story' };
+  const failed = { url: null, scene: 'Scene 2', description: 'Middle of the story', error: true };
+
+  function job(overrides) {
+    return {
+      id: 'job-1',
+      type: 'generate-images',
+      lockedBy: 'worker-1',
+      userId: 'user-1',
+      dreamId: null,
+      payload: { story: 'A story.', tone: 'gentle', baseUrl: 'https://api.example' },
+      result: null,
+      ...overrides,
+    };
+  }
+
+  beforeEach(() => jest.resetAllMocks());
+
+  test('saves the images before attaching them, so a retry can reuse them', async () => {
+    generateIllustrations.mockResolvedValue([stored, failed]);
+    db.getDreamImageKeys.mockResolvedValue(['images/old.png']);
+
+    const result = await handlers['generate-images'](job({ dreamId: 'dream-1' }));
+
+    expect(result).toEqual({ images: [stored, failed], attached: true });
+    expect(db.saveJobProgress).toHaveBeenCalledWith('job-1', 'worker-1', { images: [stored, failed] });
+    expect(db.updateDream).toHaveBeenCalledWith('dream-1', 'user-1', { images: [stored] }, { source: 'job:generate-images' });
+    expect(releaseImages).toHaveBeenCalledWith(['images/old.png']);
+  });
+
+  test('passes the images an earlier attempt stored back in', async () => {
+    generateIllustrations.mockResolvedValue([stored]);
+
+    await handlers['generate-images'](job({ result: { images: [stored, failed] } }));
+
+    expect(generateIllustrations.mock.calls[0][4]).toEqual([stored, failed]);
+  });
+
+  test('fails, and so retries, when no image could be made', async () => {
+    generateIllustrations.mockResolvedValue([failed]);
+
+    await expect(handlers['generate-images'](job())).rejects.toThrow('No images could be generated');
+    expect(db.saveJobProgress).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,55 @@
+// Loads the Express app for route tests with the database and Firebase Auth
+// mocked. Every database method is a jest.fn created on first use, so tests
+// set return values with e.g. db.getDreamById.mockResolvedValue(...).
+// `Authorization: Bearer <uid>` signs in as that Firebase uid.
+
+process.env.PORT = '0';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgres://localhost/test';
+process.env.FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID || 'test-project';
+process.env.USAGE_FINGERPRINT_SECRET = 'test-secret';
+process.env.JOB_WORKER_ENABLED = 'false';
+process.env.REMINDERS_ENABLED = 'false';
+process.env.TRASH_PURGE_ENABLED = 'false';
+process.env.ACCOUNT_CLEANUP_ENABLED = 'false';
+
+jest.mock('../../services/database', () => new Proxy({}, {
+  get: (methods, name) => {
+    if (!(name in methods)) methods[name] = jest.fn();
+    return methods[name];
+  },
+}));
+
+jest.mock('../../config/firebase-admin', () => ({
+  admin: {},
+  db: null,
+  messaging: null,
+  auth: {
+    verifyIdToken: async (token) => {
+      if (token === 'invalid') throw new Error('Invalid token');
+      return { uid: token, email: `${token}@example.com`, email_verified: !token.startsWith('unverified') };
+    },
+    deleteUser: async () => {},
+    revokeRefreshTokens: async () => {},
+  },
+}));
+
+// Startup banner
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const db = require('../../services/database');
+const { app, server } = require('../../server');
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+// Makes requests with this token resolve to `user` and returns the header
+function signIn(user) {
+  db.findOrCreateUser.mockResolvedValue(user);
+  return { Authorization: `Bearer ${user.firebaseUid}` };
+}
+
+function testUser(overrides = {}) {
+  return { id: 'user-1', firebaseUid: 'uid-1', email: 'uid-1@example.com', plan: 'free', ...overrides };
+}
+
+module.exports = { app, db, signIn, testUser };
@@ -0,0 +1,51 @@
+// Stand-in for @prisma/client so DatabaseService methods run without a
+// database. Every model method (prisma.dream.findMany, ...) and raw query
+// ($queryRaw, $executeRaw) is a jest.fn created on first use; Prisma.sql
+// keeps the template parts so tests can check what would be sent.
+//
+//   jest.mock('@prisma/client', () => require('./helpers/prisma').client);
+
+function sql(strings, ...values) {
+  return { strings: [...strings], values };
+}
+
+const Prisma = {
+  sql,
+  join: (items, separator) => ({ join: items, separator }),
+  empty: sql``,
+};
+
+function lazyMocks() {
+  return new Proxy({}, {
+    get: (mocks, name) => {
+      if (!(name in mocks)) mocks[name] = jest.fn();
+      return mocks[name];
+    },
+  });
+}
+
+const models = {};
+
+const prisma = new Proxy({}, {
+  get: (target, name) => {
+    // Interactive transactions run against the same mocks
+    if (name === '$transaction') {
+      return (work) => (typeof work === 'function' ? work(prisma) : Promise.all(work));
+    }
+    if (typeof name === 'string' && name.startsWith('$')) {
+      if (!(name in target)) target[name] = jest.fn();
+      return target[name];
+    }
+    if (!(name in models)) models[name] = lazyMocks();
+    return models[name];
+  },
+});
+
+const client = {
+  Prisma,
+  PrismaClient: function PrismaClient() {
+    return prisma;
+  },
+};
+
+module.exports = { prisma, client };
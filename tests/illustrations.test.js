@@ -0,0 +1,86 @@
+jest.mock('../services/database', () => ({}));
+jest.mock('../services/media', () => ({ persistImage: jest.fn() }));
+
+const { persistImage } = require('../services/media');
+const { extractStorySegments, generateIllustrations } = require('../services/illustrations');
+
+const story = 'One. Two. Three. Four. Five. Six.';
+
+function fakeClient() {
+  let n = 0;
+  return { generateImage: jest.fn(async () => ({ url: `https://provider.example/${++n}.png` })) };
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  persistImage.mockImplementation(async url => ({ key: 'k', url: url.replace('https://provider.example', '/media') }));
+});
+
+describe('extractStorySegments', () => {
+  test('splits the story into thirds by sentence', () => {
+    const { beginning, middle, ending } = extractStorySegments(story);
+
+    expect([beginning, middle, ending].map(text => text.replace(/\s+/g, ' '))).toEqual([
+      'One. Two.',
+      'Three. Four.',
+      'Five. Six.',
+    ]);
+  });
+
+  test('uses the whole story for every scene when it is too short', () => {
+    expect(extractStorySegments('Just one line')).toEqual({
+      beginning: 'Just one line',
+      middle: 'Just one line',
+      ending: 'Just one line',
+    });
+  });
+});
+
+describe('generateIllustrations', () => {
+  test('stores every generated image and returns our URLs', async () => {
+    const client = fakeClient();
+
+    const images = await generateIllustrations(story, 'gentle', 'https://api.example', client);
+
+    expect(images.map(img => img.url)).toEqual(['/media/1.png', '/media/2.png', '/media/3.png']);
+    expect(images.map(img => img.scene)).toEqual(['Scene 1', 'Scene 2', 'Scene 3']);
+    expect(client.generateImage.mock.calls[0][0].prompt).toContain('soft watercolor');
+    expect(persistImage).toHaveBeenCalledWith('https://provider.example/1.png', 'https://api.example');
+  });
+
+  test('a scene whose image cannot be stored fails instead of handing out the provider URL', async () => {
+    persistImage
+      .mockResolvedValueOnce({ key: 'k1', url: '/media/1.png' })
+      .mockRejectedValueOnce(new Error('Image download failed: 403'))
+      .mockResolvedValueOnce({ key: 'k3', url: '/media/3.png' });
+
+    const images = await generateIllustrations(story, 'whimsical', null, fakeClient());
+
+    expect(images[1]).toEqual({ url: null, scene: 'Scene 2', description: 'Middle of the story', error: true });
+    expect(images.filter(img => img.url)).toHaveLength(2);
+  });
+
+  test('a failed generation does not fail the other scenes', async () => {
+    const client = fakeClient();
+    client.generateImage.mockRejectedValueOnce(new Error('content policy'));
+
+    const images = await generateIllustrations(story, 'whimsical', null, client);
+
+    expect(images[0]).toMatchObject({ url: null, error: true });
+    expect(images[1].url).not.toBeNull();
+  });
+
+  test('keeps images an earlier attempt stored and only regenerates the rest', async () => {
+    const client = fakeClient();
+    const previous = [
+      { url: '/media/old-1.png', scene: 'Scene 1', description: 'Beginning of the story', prompt: 'p' },
+      { url: null, scene: 'Scene 2', description: 'Middle of the story', error: true },
+    ];
+
+    const images = await generateIllustrations(story, 'whimsical', null, client, previous);
+
+    expect(images[0]).toBe(previous[0]);
+    expect(client.generateImage).toHaveBeenCalledTimes(2);
+    expect(images.map(img => img.url)).toEqual(['/media/old-1.png', '/media/1.png', '/media/2.png']);
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('../services/database', () => ({}));
+
+const { detectFormat, parseRecords, toDreamData, textSimilarity } = require('../services/import');
+
+describe('detectFormat', () => {
+  test('goes by extension, then MIME type', () => {
+    expect(detectFormat('journal.JSON', null, '')).toBe('json');
+    expect(detectFormat('journal.csv', 'text/plain', '')).toBe('csv');
+    expect(detectFormat('journal.md', null, '{')).toBe('text');
+    expect(detectFormat(null, 'text/csv', '')).toBe('csv');
+  });
+
+  test('falls back to sniffing the content', () => {
+    expect(detectFormat(null, null, '  [{"dreamText": "x"}]')).toBe('json');
+    expect(detectFormat('upload', null, '# Flying\nI was flying')).toBe('text');
+  });
+});
+
+describe('parseRecords', () => {
+  test('reads our JSON export and bare arrays', () => {
+    expect(parseRecords('json', '{"dreams": [{"dreamText": "a"}]}')).toEqual([{ dreamText: 'a' }]);
+    expect(parseRecords('json', '[{"dreamText": "b"}]')).toEqual([{ dreamText: 'b' }]);
+    expect(() => parseRecords('json', '{"entries": []}')).toThrow('JSON must be a dream export or an array of dreams');
+  });
+
+  test('maps CSV header aliases and keeps quoted commas, quotes and newlines', () => {
+    const csv = '\uFEFFDate,Entry,Labels,Ignored\r\n' +
+      '2024-05-10,"I was flying, then ""falling""\nand woke up",flying;falling,x\r\n' +
+      '\r\n' +
+      '2024-05-11,Short one,,\n';
+
+    expect(parseRecords('csv', csv)).toEqual([
+      { date: '2024-05-10', dreamText: 'I was flying, then "falling"\nand woke up', tags: 'flying;falling' },
+      { date: '2024-05-11', dreamText: 'Short one' },
+    ]);
+  });
+
+  test('requires a dream text column in CSV', () => {
+    expect(() => parseRecords('csv', 'title,date\nA,2024-05-10')).toThrow('CSV must have a dream text column');
+  });
+
+  test('splits text journals on headings and date lines', () => {
+    const text = 'Preamble line\n# 2024-05-10 Flying\nOver the sea.\n\n2024-05-11: Teeth\nThey fell out.\n';
+
+    expect(parseRecords('text', text)).toEqual([
+      { title: undefined, date: undefined, dreamText: 'Preamble line' },
+      { title: 'Flying', date: '2024-05-10', dreamText: 'Over the sea.' },
+      { title: 'Teeth', date: '2024-05-11', dreamText: 'They fell out.' },
+    ]);
+  });
+
+  test('reads Markdown from our own export', () => {
+    const entry = [
+      '---',
+      'id: "dream-1"',
+      'title: "Flying"',
+      'date: "2024-05-10T08:00:00.000Z"',
+      'tags: ["flying","sea"]',
+      'lucidity: 3',
+      'favorite: true',
+      '---',
+      '',
+      '# Flying',
+      '',
+      '## Dream',
+      '',
+      'Over the sea.',
+      '',
+      '## Story',
+      '',
+      'Once upon a time.',
+      '',
+    ].join('\n');
+
+    const [record] = parseRecords('text', entry);
+    expect(record).toMatchObject({
+      id: 'dream-1',
+      title: 'Flying',
+      date: '2024-05-10T08:00:00.000Z',
+      tags: ['flying', 'sea'],
+      lucidity: 3,
+      isFavorite: true,
+      dreamText: 'Over the sea.',
+      story: 'Once upon a time.',
+    });
+  });
+
+  test('rejects front matter without a closing ---', () => {
+    expect(() => parseRecords('text', '---\nid: "dream-1"\ntitle: "Flying"\n\n## Dream\nOver the sea.'))
+      .toThrow('Front matter is missing its closing ---');
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => parseRecords('xml', '<dreams/>')).toThrow('Unsupported import format: xml');
+  });
+});
+
+describe('toDreamData', () => {
+  test('normalises fields', () => {
+    const data = toDreamData({
+      title: '  Flying ',
+      dreamText: ' Over the sea. ',
+      date: '2024-05-10',
+      tags: 'Flying, sea;flying',
+      lucidity: '4',
+      isFavorite: 'yes',
+      images: [{ url: 'https://example.com/a.png' }, { scene: 'no url' }],
+    });
+
+    expect(data).toMatchObject({
+      title: 'Flying',
+      dreamText: 'Over the sea.',
+      date: new Date('2024-05-10'),
+      tags: ['flying', 'sea'],
+      lucidity: 4,
+      isFavorite: true,
+      images: [{ url: 'https://example.com/a.png', scene: 'Scene', description: '' }],
+      analyses: [],
+    });
+  });
+
+  test.each([
+    [null, 'Entry is not an object'],
+    [{ dreamText: '   ' }, 'Dream text is required'],
+    [{ dreamText: 'x'.repeat(50001) }, 'Dream text is longer than 50000 characters'],
+    [{ dreamText: 'x', date: 'someday' }, 'Invalid date: someday'],
+    [{ dreamText: 'x', lucidity: 6 }, 'Lucidity must be an integer from 1 to 5, got 6'],
+  ])('rejects %j', (record, message) => {
+    expect(() => toDreamData(record)).toThrow(message);
+  });
+});
+
+describe('textSimilarity', () => {
+  test('ignores case, punctuation and spacing', () => {
+    expect(textSimilarity('I was FLYING!', 'i was   flying')).toBe(1);
+  });
+
+  test('scores unrelated text low', () => {
+    expect(textSimilarity('I was flying over the sea', 'My teeth fell out')).toBeLessThan(0.5);
+  });
+});
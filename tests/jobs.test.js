@@ -0,0 +1,74 @@
+const { app, db, signIn, testUser } = require('./helpers/app');
+const request = require('supertest');
+
+beforeEach(() => jest.resetAllMocks());
+
+function job(overrides) {
+  return {
+    id: 'job-1',
+    userId: 'user-1',
+    dreamId: null,
+    status: 'completed',
+    attempts: 1,
+    maxAttempts: 3,
+    error: null,
+    lockedBy: 'worker-1',
+    payload: { story: 'Private story text' },
+    ...overrides,
+  };
+}
+
+describe('GET /api/jobs/:id', () => {
+  test('only shows the allowlisted result fields', async () => {
+    db.getJob.mockResolvedValue(job({
+      type: 'text-to-speech',
+      result: { audioKey: 'speech/secret.mp3', contentType: 'audio/mpeg', size: 1234, chunks: 2 },
+    }));
+
+    const res = await request(app).get('/api/jobs/job-1').set(signIn(testUser()));
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toEqual({ audioUrl: '/api/jobs/job-1/audio', contentType: 'audio/mpeg', size: 1234 });
+    expect(res.body).not.toHaveProperty('payload');
+    expect(res.body).not.toHaveProperty('lockedBy');
+  });
+
+  test('drops internal fields from image results', async () => {
+    db.getJob.mockResolvedValue(job({
+      type: 'generate-images',
+      result: {
+        images: [
+          { url: '/api/media/images/a.png', scene: 'Scene 1', description: 'd', prompt: 'full prompt' },
+          { url: null, scene: 'Scene 2', description: 'd', error: true },
+        ],
+        attached: false,
+      },
+    }));
+
+    const res = await request(app).get('/api/jobs/job-1').set(signIn(testUser()));
+
+    expect(res.body.result).toEqual({
+      images: [
+        { url: '/api/media/images/a.png', scene: 'Scene 1', description: 'd' },
+        { url: null, scene: 'Scene 2', description: 'd', error: true },
+      ],
+      attached: false,
+    });
+  });
+
+  test('has no result until the job completes', async () => {
+    db.getJob.mockResolvedValue(job({ type: 'generate-images', status: 'running', result: { images: [] } }));
+
+    const res = await request(app).get('/api/jobs/job-1').set(signIn(testUser()));
+
+    expect(res.body.result).toBeNull();
+  });
+
+  test('hides other users\' jobs', async () => {
+    db.getJob.mockResolvedValue(job({ type: 'embed-dreams', userId: 'someone-else', result: { embedded: 1, skipped: 0 } }));
+
+    const res = await request(app).get('/api/jobs/job-1').set(signIn(testUser()));
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,101 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+jest.mock('../services/database', () => ({ findReferencedStorageKeys: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../services/database');
+const { getStorage } = require('../services/storage');
+const { parseRange, persistImage, releaseImages, sendStoredFile } = require('../services/media');
+
+describe('parseRange', () => {
+  test('ignores missing and unsupported headers', () => {
+    expect(parseRange(undefined, 100)).toBeNull();
+    expect(parseRange('bytes=-', 100)).toBeNull();
+    expect(parseRange('items=0-10', 100)).toBeNull();
+    expect(parseRange('bytes=0-10,20-30', 100)).toBeNull();
+  });
+
+  test('reads closed, open-ended and suffix ranges', () => {
+    expect(parseRange('bytes=0-9', 100)).toEqual({ start: 0, end: 9 });
+    expect(parseRange('bytes=90-', 100)).toEqual({ start: 90, end: 99 });
+    expect(parseRange('bytes=-10', 100)).toEqual({ start: 90, end: 99 });
+  });
+
+  test('clamps to the file size', () => {
+    expect(parseRange('bytes=50-500', 100)).toEqual({ start: 50, end: 99 });
+    expect(parseRange('bytes=-500', 100)).toEqual({ start: 0, end: 99 });
+  });
+
+  test('returns false for unsatisfiable ranges', () => {
+    expect(parseRange('bytes=100-', 100)).toBe(false);
+    expect(parseRange('bytes=20-10', 100)).toBe(false);
+    expect(parseRange('bytes=-0', 100)).toBe(false);
+  });
+});
+
+describe('sendStoredFile', () => {
+  const app = express();
+  app.get('/files/:folder/:name', async (req, res) => {
+    if (!await sendStoredFile(req, res, `${req.params.folder}/${req.params.name}`)) {
+      res.status(404).end();
+    }
+  });
+
+  beforeAll(() => getStorage().put('audio/clip.mp3', Buffer.from('0123456789'), 'audio/mpeg'));
+
+  test('sends the whole file and advertises ranges', async () => {
+    const res = await request(app).get('/files/audio/clip.mp3');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['accept-ranges']).toBe('bytes');
+    expect(res.headers['content-type']).toBe('audio/mpeg');
+    expect(res.body.toString()).toBe('0123456789');
+  });
+
+  test('sends the requested range', async () => {
+    const res = await request(app).get('/files/audio/clip.mp3').set('Range', 'bytes=2-4');
+
+    expect(res.status).toBe(206);
+    expect(res.headers['content-range']).toBe('bytes 2-4/10');
+    expect(res.body.toString()).toBe('234');
+  });
+
+  test('answers 416 for a range past the end and 404 for a missing file', async () => {
+    const res = await request(app).get('/files/audio/clip.mp3').set('Range', 'bytes=10-');
+    expect(res.status).toBe(416);
+    expect(res.headers['content-range']).toBe('bytes */10');
+
+    expect((await request(app).get('/files/audio/missing.mp3')).status).toBe(404);
+  });
+});
+
+describe('persistImage', () => {
+  test('stores a data URL image and returns our URL for it', async () => {
+    const png = Buffer.from('fake png bytes');
+
+    const { key, url } = await persistImage(`data:image/png;base64,${png.toString('base64')}`, 'https://api.example/');
+
+    expect(key).toMatch(/^images\/[a-f0-9-]+\.png$/);
+    expect(url).toBe(`https://api.example/api/media/${key}`);
+    expect(await getStorage().head(key)).toEqual({ size: png.length, contentType: 'image/png' });
+  });
+
+  test('refuses content that is not an image we serve', async () => {
+    await expect(persistImage('data:text/html,<script></script>', null)).rejects.toThrow('Unsupported image type: text/html');
+  });
+});
+
+describe('releaseImages', () => {
+  test('deletes only files no other image still uses', async () => {
+    await getStorage().put('images/a.png', Buffer.from('a'), 'image/png');
+    await getStorage().put('images/b.png', Buffer.from('b'), 'image/png');
+    db.findReferencedStorageKeys.mockResolvedValue(['images/b.png']);
+
+    await releaseImages(['images/a.png', 'images/b.png', 'images/a.png', null]);
+
+    expect(db.findReferencedStorageKeys).toHaveBeenCalledWith(['images/a.png', 'images/b.png']);
+    expect(await getStorage().head('images/a.png')).toBeNull();
+    expect(await getStorage().head('images/b.png')).not.toBeNull();
+  });
+});
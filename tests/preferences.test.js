@@ -0,0 +1,95 @@
+const { app, db, signIn, testUser } = require('./helpers/app');
+const request = require('supertest');
+const {
+  DEFAULTS,
+  promptLanguage,
+  toProfileUpdate,
+  generationPreferences,
+  toProfileResponse,
+} = require('../services/preferences');
+
+beforeEach(() => jest.resetAllMocks());
+
+describe('toProfileUpdate', () => {
+  test('only returns the fields present, and null resets them', () => {
+    expect(toProfileUpdate({})).toEqual({});
+    expect(toProfileUpdate({
+      displayName: '  Dreamer ',
+      timezone: 'Europe/London',
+      preferences: { storyTone: 'gentle', ttsSpeed: 1.5, language: 'PT-br', ttsVoice: null },
+    })).toEqual({
+      displayName: 'Dreamer',
+      timezone: 'Europe/London',
+      storyTone: 'gentle',
+      ttsSpeed: 1.5,
+      language: 'pt-BR',
+      ttsVoice: null,
+    });
+    expect(toProfileUpdate({ displayName: '', timezone: null })).toEqual({ displayName: null, timezone: null });
+  });
+
+  test('rejects invalid values with a message for the client', () => {
+    expect(() => toProfileUpdate({ displayName: 'x'.repeat(81) })).toThrow('displayName must be at most 80 characters');
+    expect(() => toProfileUpdate({ timezone: 'Mars/Olympus' })).toThrow('timezone must be an IANA timezone, e.g. Europe/London');
+    expect(() => toProfileUpdate({ preferences: [] })).toThrow('preferences must be an object');
+    expect(() => toProfileUpdate({ preferences: { storyTone: 'grim' } })).toThrow('storyTone must be one of: whimsical, mystical, adventurous, gentle, mysterious, comedy');
+    expect(() => toProfileUpdate({ preferences: { ttsSpeed: '2' } })).toThrow('ttsSpeed must be a number from 0.25 to 4');
+    expect(() => toProfileUpdate({ preferences: { ttsSpeed: 5 } })).toThrow('ttsSpeed must be a number from 0.25 to 4');
+    expect(() => toProfileUpdate({ preferences: { language: 'not a language' } })).toThrow('language must be a language code, e.g. en or pt-BR');
+  });
+
+  test('ignores fields that are not preferences', () => {
+    expect(toProfileUpdate({ plan: 'unlimited', preferences: { plan: 'unlimited' } })).toEqual({});
+  });
+});
+
+describe('generationPreferences', () => {
+  test('fills anything unset from the defaults', () => {
+    expect(generationPreferences(testUser({ storyTone: 'comedy', ttsSpeed: null }))).toEqual({ ...DEFAULTS, storyTone: 'comedy' });
+  });
+
+  test('uses the defaults for guests', () => {
+    expect(generationPreferences(null)).toEqual(DEFAULTS);
+  });
+});
+
+describe('promptLanguage', () => {
+  test('names the language for prompts, except English', () => {
+    expect(promptLanguage('fr')).toBe('French');
+    expect(promptLanguage('pt-BR')).toBe('Brazilian Portuguese');
+    expect(promptLanguage('en-GB')).toBeNull();
+    expect(promptLanguage('??')).toBeNull();
+    expect(promptLanguage(undefined)).toBeNull();
+  });
+});
+
+describe('toProfileResponse', () => {
+  test('leaves out internal user fields', () => {
+    const profile = toProfileResponse(testUser({ firebaseUid: 'secret', deletionTokenHash: 'h' }));
+
+    expect(profile).not.toHaveProperty('firebaseUid');
+    expect(profile).not.toHaveProperty('deletionTokenHash');
+    expect(profile.preferences).toEqual(DEFAULTS);
+  });
+});
+
+describe('PUT /api/profile', () => {
+  test('saves a valid update and returns the profile', async () => {
+    const user = testUser();
+    db.updateUserProfile.mockResolvedValue({ ...user, storyLength: 'long' });
+
+    const res = await request(app).put('/api/profile').set(signIn(user)).send({ preferences: { storyLength: 'long' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.preferences.storyLength).toBe('long');
+    expect(db.updateUserProfile).toHaveBeenCalledWith(user.id, { storyLength: 'long' });
+  });
+
+  test('answers 400 without saving an invalid update', async () => {
+    const res = await request(app).put('/api/profile').set(signIn(testUser())).send({ preferences: { ttsVoice: 'robot' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('ttsVoice must be one of: alloy, echo, fable, onyx, nova, shimmer');
+    expect(db.updateUserProfile).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,79 @@
+jest.mock('../services/database', () => ({
+  incrementRateLimit: jest.fn(),
+  decrementRateLimit: jest.fn(),
+  resetRateLimit: jest.fn(),
+  deleteExpiredRateLimits: jest.fn(),
+}));
+
+const db = require('../services/database');
+const { MemoryStore } = require('express-rate-limit');
+const { storeName, createStore } = require('../services/ratelimit');
+
+const savedEnv = { store: process.env.RATE_LIMIT_STORE, redis: process.env.REDIS_URL };
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  delete process.env.RATE_LIMIT_STORE;
+  delete process.env.REDIS_URL;
+});
+
+afterAll(() => {
+  if (savedEnv.store !== undefined) process.env.RATE_LIMIT_STORE = savedEnv.store;
+  if (savedEnv.redis !== undefined) process.env.REDIS_URL = savedEnv.redis;
+});
+
+describe('createStore', () => {
+  test('uses memory unless Redis is configured', () => {
+    expect(storeName()).toBe('memory');
+    expect(createStore('api')).toBeInstanceOf(MemoryStore);
+
+    process.env.REDIS_URL = 'redis://localhost:6379';
+    expect(storeName()).toBe('redis');
+  });
+
+  test('rejects unknown stores and Redis without a URL', () => {
+    process.env.RATE_LIMIT_STORE = 'Memcached';
+    expect(() => createStore('api')).toThrow('Unknown rate limit store "memcached". Use one of: memory, postgres, redis');
+
+    process.env.RATE_LIMIT_STORE = 'redis';
+    expect(() => createStore('api')).toThrow('RATE_LIMIT_STORE=redis requires REDIS_URL');
+  });
+});
+
+describe('shared stores', () => {
+  let store;
+
+  beforeEach(() => {
+    process.env.RATE_LIMIT_STORE = 'postgres';
+    store = createStore('ai');
+    store.init({ windowMs: 60000 });
+  });
+
+  test('keep each limiter under its own prefix', async () => {
+    const resetAt = new Date(Date.now() + 60000);
+    db.incrementRateLimit.mockResolvedValue({ hits: 3, resetAt });
+
+    expect(await store.increment('user-1')).toEqual({ totalHits: 3, resetTime: resetAt });
+    expect(db.incrementRateLimit).toHaveBeenCalledWith('rl:ai:user-1', 60000);
+
+    await store.resetKey('user-1');
+    expect(db.resetRateLimit).toHaveBeenCalledWith('rl:ai:user-1');
+  });
+
+  test('let requests through when the store is down', async () => {
+    db.incrementRateLimit.mockRejectedValue(new Error('connection refused'));
+
+    const { totalHits, resetTime } = await store.increment('user-1');
+
+    expect(totalHits).toBe(1);
+    expect(resetTime.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('swallow decrement and reset failures', async () => {
+    db.decrementRateLimit.mockRejectedValue(new Error('connection refused'));
+    db.resetRateLimit.mockRejectedValue(new Error('connection refused'));
+
+    await expect(store.decrement('user-1')).resolves.toBeUndefined();
+    await expect(store.resetKey('user-1')).resolves.toBeUndefined();
+  });
+});
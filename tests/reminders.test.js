@@ -0,0 +1,57 @@
+jest.mock('../services/database', () => ({}));
+
+const { zonedTimeToUtc, nextRunAt } = require('../services/reminders');
+
+describe('zonedTimeToUtc', () => {
+  test('uses the offset in effect on the day', () => {
+    expect(zonedTimeToUtc('2024-01-15', '07:00', 'America/New_York').toISOString()).toBe('2024-01-15T12:00:00.000Z');
+    expect(zonedTimeToUtc('2024-07-15', '07:00', 'America/New_York').toISOString()).toBe('2024-07-15T11:00:00.000Z');
+    expect(zonedTimeToUtc('2024-06-01', '00:00', 'Asia/Kolkata').toISOString()).toBe('2024-05-31T18:30:00.000Z');
+  });
+
+  test('uses the new offset later on the day clocks go forward', () => {
+    expect(zonedTimeToUtc('2024-03-10', '07:00', 'America/New_York').toISOString()).toBe('2024-03-10T11:00:00.000Z');
+    expect(zonedTimeToUtc('2024-03-31', '07:00', 'Europe/London').toISOString()).toBe('2024-03-31T06:00:00.000Z');
+  });
+
+  test('moves a time skipped by spring forward on by the gap', () => {
+    expect(zonedTimeToUtc('2024-03-10', '02:30', 'America/New_York').toISOString()).toBe('2024-03-10T07:30:00.000Z');
+    expect(zonedTimeToUtc('2024-03-31', '01:30', 'Europe/London').toISOString()).toBe('2024-03-31T01:30:00.000Z');
+  });
+
+  test('picks the first of a time repeated by fall back', () => {
+    expect(zonedTimeToUtc('2024-11-03', '01:30', 'America/New_York').toISOString()).toBe('2024-11-03T05:30:00.000Z');
+    expect(zonedTimeToUtc('2024-10-27', '01:30', 'Europe/London').toISOString()).toBe('2024-10-27T00:30:00.000Z');
+  });
+});
+
+describe('nextRunAt', () => {
+  const reminder = { enabled: true, days: [1, 2, 3, 4, 5, 6, 7], time: '07:00', timezone: 'America/New_York' };
+
+  test('returns the next local time strictly after `after`', () => {
+    expect(nextRunAt(reminder, new Date('2024-03-09T11:00:00Z')).toISOString()).toBe('2024-03-09T12:00:00.000Z');
+    expect(nextRunAt(reminder, new Date('2024-03-09T12:00:00Z')).toISOString()).toBe('2024-03-10T11:00:00.000Z');
+  });
+
+  test('keeps the local time across DST changes', () => {
+    expect(nextRunAt(reminder, new Date('2024-11-02T12:00:00Z')).toISOString()).toBe('2024-11-03T12:00:00.000Z');
+    expect(nextRunAt({ ...reminder, time: '02:30' }, new Date('2024-03-10T05:00:00Z')).toISOString())
+      .toBe('2024-03-10T07:30:00.000Z');
+  });
+
+  test('fires a repeated time once', () => {
+    const late = { ...reminder, time: '01:30' };
+    expect(nextRunAt(late, new Date('2024-11-03T05:30:00Z')).toISOString()).toBe('2024-11-04T06:30:00.000Z');
+  });
+
+  test('skips days that are not selected', () => {
+    // 2024-03-09 is a Saturday
+    expect(nextRunAt({ ...reminder, days: [1] }, new Date('2024-03-09T11:00:00Z')).toISOString())
+      .toBe('2024-03-11T11:00:00.000Z');
+  });
+
+  test('returns null when the reminder cannot fire', () => {
+    expect(nextRunAt({ ...reminder, enabled: false })).toBeNull();
+    expect(nextRunAt({ ...reminder, days: [] })).toBeNull();
+  });
+});
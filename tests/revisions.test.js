@@ -0,0 +1,113 @@
+const { app, db, signIn, testUser } = require('./helpers/app');
+const request = require('supertest');
+const { revisionSnapshot, diffSnapshots, snapshotToUpdates } = require('../services/revisions');
+
+beforeEach(() => jest.resetAllMocks());
+
+function dream(overrides) {
+  return {
+    id: 'dream-1',
+    title: 'Flying',
+    dreamText: 'I was flying',
+    story: null,
+    storyTone: null,
+    storyLength: null,
+    tags: ['flying'],
+    mood: 'calm',
+    lucidity: null,
+    date: new Date('2024-05-10T00:00:00Z'),
+    isPrivate: true,
+    isFavorite: true,
+    deletedAt: null,
+    images: [{ id: 'img-1', url: '/api/media/images/a.png', storageKey: 'images/a.png', scene: 'Scene 1', description: 'Start', prompt: 'p' }],
+    ...overrides,
+  };
+}
+
+describe('revisionSnapshot', () => {
+  test('keeps only the tracked fields, in JSON-safe form', () => {
+    const snapshot = revisionSnapshot(dream({ story: undefined }));
+
+    expect(snapshot.date).toBe('2024-05-10T00:00:00.000Z');
+    expect(snapshot.story).toBeNull();
+    expect(snapshot).not.toHaveProperty('isFavorite');
+    expect(snapshot).not.toHaveProperty('id');
+    expect(snapshot.images).toEqual([{ url: '/api/media/images/a.png', storageKey: 'images/a.png', scene: 'Scene 1', description: 'Start', prompt: 'p' }]);
+  });
+});
+
+describe('diffSnapshots', () => {
+  test('lists every changed field with its old and new value', () => {
+    const before = revisionSnapshot(dream());
+    const after = revisionSnapshot(dream({ title: 'Falling', tags: ['falling'], isFavorite: false }));
+
+    expect(diffSnapshots(before, after)).toEqual([
+      { field: 'title', from: 'Flying', to: 'Falling' },
+      { field: 'tags', from: ['flying'], to: ['falling'] },
+    ]);
+  });
+
+  test('compares images by what the user sees, not row ids or storage', () => {
+    const before = revisionSnapshot(dream());
+    const sameImage = revisionSnapshot(dream({ images: [{ ...dream().images[0], id: 'img-2', storageKey: null, prompt: 'other' }] }));
+    const newImage = revisionSnapshot(dream({ images: [{ ...dream().images[0], url: '/api/media/images/b.png' }] }));
+
+    expect(diffSnapshots(before, sameImage)).toEqual([]);
+    expect(diffSnapshots(before, newImage).map(change => change.field)).toEqual(['images']);
+  });
+});
+
+describe('snapshotToUpdates', () => {
+  const snapshot = revisionSnapshot(dream({ isPrivate: false }));
+
+  test('restores content but never privacy', () => {
+    const updates = snapshotToUpdates(snapshot);
+
+    expect(updates).not.toHaveProperty('isPrivate');
+    expect(updates.date).toEqual(new Date('2024-05-10T00:00:00Z'));
+    expect(updates.title).toBe('Flying');
+    expect(updates.images).toEqual(snapshot.images);
+  });
+
+  test('restores only the images for the images scope', () => {
+    expect(snapshotToUpdates(snapshot, 'images')).toEqual({ images: snapshot.images });
+  });
+});
+
+describe('POST /api/dreams/:id/revisions/:revision/restore', () => {
+  test('applies the snapshot as a new revision', async () => {
+    const user = testUser();
+    const snapshot = revisionSnapshot(dream());
+    db.getDreamRevision.mockResolvedValue({ revision: 3, snapshot });
+    db.getDreamImageKeys.mockResolvedValue([]);
+    db.updateDream.mockResolvedValue({ id: 'dream-1', title: 'Flying' });
+
+    const res = await request(app).post('/api/dreams/dream-1/revisions/3/restore').set(signIn(user)).send({ scope: 'images' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, restoredFrom: 3, dream: { id: 'dream-1', title: 'Flying' } });
+    expect(db.getDreamRevision).toHaveBeenCalledWith('dream-1', user.id, 3);
+    expect(db.updateDream).toHaveBeenCalledWith('dream-1', user.id, { images: snapshot.images }, { source: 'restore' });
+  });
+
+  test('rejects an unknown scope and a malformed revision number', async () => {
+    const headers = signIn(testUser());
+
+    const badScope = await request(app).post('/api/dreams/dream-1/revisions/3/restore').set(headers).send({ scope: 'tags' });
+    expect(badScope.status).toBe(400);
+    expect(badScope.body).toEqual({ error: 'scope must be one of: all, images' });
+
+    const badRevision = await request(app).post('/api/dreams/dream-1/revisions/abc/restore').set(headers).send({});
+    expect(badRevision.status).toBe(404);
+    expect(db.getDreamRevision).not.toHaveBeenCalled();
+  });
+
+  test('answers 404 for a revision of someone else\'s dream', async () => {
+    db.getDreamRevision.mockRejectedValue(new Error('Dream not found'));
+
+    const res = await request(app).post('/api/dreams/dream-1/revisions/1/restore').set(signIn(testUser())).send({});
+
+    expect(res.status).toBe(404);
+    expect(db.updateDream).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('@prisma/client', () => require('./helpers/prisma').client);
+
+const { prisma } = require('./helpers/prisma');
+
+// What ts_headline is asked to put around matches
+const START = '\uE000';
+const STOP = '\uE001';
+const db = require('../services/database');
+
+beforeEach(() => jest.resetAllMocks());
+
+describe('searchDreams', () => {
+  function mockSearch(match) {
+    prisma.$queryRaw
+      .mockResolvedValueOnce([{ id: 'dream-1', rank: 0.5, ...match }])
+      .mockResolvedValueOnce([{ total: 1 }]);
+    prisma.dream.findMany.mockResolvedValue([{ id: 'dream-1', title: 'Flying' }]);
+  }
+
+  test('returns ranked dreams with their highlights', async () => {
+    mockSearch({ titleHighlight: `${START}Flying${STOP}`, dreamTextHighlight: `I was ${START}flying${STOP}`, storyHighlight: '' });
+
+    const result = await db.searchDreams('user-1', 'flying', { skip: 0, take: 10 });
+
+    expect(result.total).toBe(1);
+    expect(result.hasMore).toBe(false);
+    expect(result.dreams).toEqual([{
+      id: 'dream-1',
+      title: 'Flying',
+      rank: 0.5,
+      highlights: {
+        title: '<mark>Flying</mark>',
+        dreamText: 'I was <mark>flying</mark>',
+        story: null,
+      },
+    }]);
+  });
+
+  test('escapes the dream text around highlights', async () => {
+    mockSearch({
+      titleHighlight: `<img src=x onerror="alert(1)"> ${START}fly${STOP}`,
+      dreamTextHighlight: `Tom & Jerry's <mark>${START}fly${STOP}</mark>`,
+      storyHighlight: null,
+    });
+
+    const { dreams: [dream] } = await db.searchDreams('user-1', 'fly');
+
+    expect(dream.highlights.title).toBe('&lt;img src=x onerror=&quot;alert(1)&quot;&gt; <mark>fly</mark>');
+    expect(dream.highlights.dreamText).toBe('Tom &amp; Jerry&#39;s &lt;mark&gt;<mark>fly</mark>&lt;/mark&gt;');
+  });
+
+  test('strips highlight markers from stored text before highlighting', async () => {
+    mockSearch({});
+
+    await db.searchDreams('user-1', 'fly');
+
+    const [, ...values] = prisma.$queryRaw.mock.calls[0];
+    expect(values).toContain(START + STOP);
+  });
+
+  test('reports more results when the page is full', async () => {
+    prisma.$queryRaw
+      .mockResolvedValueOnce([{ id: 'dream-1' }])
+      .mockResolvedValueOnce([{ total: 3 }]);
+    prisma.dream.findMany.mockResolvedValue([{ id: 'dream-1' }]);
+
+    const result = await db.searchDreams('user-1', 'fly', { skip: 0, take: 1 });
+
+    expect(result.hasMore).toBe(true);
+  });
+});
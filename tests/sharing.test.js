@@ -0,0 +1,130 @@
+const { app, db } = require('./helpers/app');
+const request = require('supertest');
+const {
+  createShareToken,
+  isShareToken,
+  toShareOptions,
+  toShareResponse,
+  toPublicDream,
+} = require('../services/sharing');
+
+function link(overrides) {
+  return {
+    id: 'link-1',
+    token: createShareToken(),
+    includeDreamText: false,
+    includeAnalysis: false,
+    expiresAt: null,
+    revokedAt: null,
+    viewCount: 4,
+    lastViewedAt: null,
+    createdAt: new Date('2024-05-10T08:00:00Z'),
+    dream: {
+      id: 'dream-1',
+      userId: 'user-1',
+      title: 'Flying',
+      date: new Date('2024-05-10'),
+      dreamText: 'Private words',
+      story: 'Once upon a time',
+      storyTone: 'gentle',
+      isPrivate: false,
+      tags: ['secret-tag'],
+      mood: 'anxious',
+      audioUrl: '/api/dreams/dream-1/audio',
+      images: [{ id: 'img-1', url: '/api/media/images/a.png', scene: 'Scene 1', description: 'Start', prompt: 'p', storageKey: 'images/a.png' }],
+      analyses: [{ id: 'an-1', summary: 'S', analysisText: 'A', symbols: [], themes: ['flight'], emotions: ['joy'], scores: {} }],
+    },
+    ...overrides,
+  };
+}
+
+describe('share tokens', () => {
+  test('are 32 URL-safe characters', () => {
+    const token = createShareToken();
+
+    expect(isShareToken(token)).toBe(true);
+    expect(token).not.toBe(createShareToken());
+    expect(isShareToken('short')).toBe(false);
+    expect(isShareToken(`${token.slice(1)}/`)).toBe(false);
+    expect(isShareToken(null)).toBe(false);
+  });
+});
+
+describe('toShareOptions', () => {
+  test('defaults to the story only, with no expiry', () => {
+    expect(toShareOptions({})).toEqual({ includeDreamText: false, includeAnalysis: false, expiresAt: null });
+  });
+
+  test('rejects non-boolean flags and past or invalid expiry dates', () => {
+    expect(() => toShareOptions({ includeDreamText: 'yes' })).toThrow('includeDreamText and includeAnalysis must be booleans');
+    expect(() => toShareOptions({ expiresAt: 'soon' })).toThrow('expiresAt must be an ISO date');
+    expect(() => toShareOptions({ expiresAt: '2000-01-01T00:00:00Z' })).toThrow('expiresAt must be in the future');
+  });
+});
+
+describe('toShareResponse', () => {
+  test('reports whether the link still works', () => {
+    const past = new Date(Date.now() - 1000);
+
+    expect(toShareResponse(link(), '/s/x').active).toBe(true);
+    expect(toShareResponse(link({ expiresAt: past }), '/s/x').active).toBe(false);
+    expect(toShareResponse(link({ revokedAt: past }), '/s/x').active).toBe(false);
+    expect(toShareResponse(link(), '/s/x')).not.toHaveProperty('token');
+  });
+});
+
+describe('toPublicDream', () => {
+  test('only exposes the story and illustrations by default', () => {
+    expect(toPublicDream(link())).toEqual({
+      title: 'Flying',
+      date: new Date('2024-05-10'),
+      story: 'Once upon a time',
+      storyTone: 'gentle',
+      images: [{ url: '/api/media/images/a.png', scene: 'Scene 1', description: 'Start' }],
+      sharedAt: new Date('2024-05-10T08:00:00Z'),
+      expiresAt: null,
+    });
+  });
+
+  test('adds the dream text and latest analysis only when the owner opted in', () => {
+    const dream = toPublicDream(link({ includeDreamText: true, includeAnalysis: true }));
+
+    expect(dream.dreamText).toBe('Private words');
+    expect(dream.analysis).toEqual({ summary: 'S', analysisText: 'A', symbols: [], themes: ['flight'], emotions: ['joy'] });
+  });
+
+  test('shows a null analysis when none exists yet', () => {
+    const shared = link({ includeAnalysis: true });
+    shared.dream.analyses = [];
+
+    expect(toPublicDream(shared).analysis).toBeNull();
+  });
+});
+
+describe('GET /api/public/dreams/:token', () => {
+  beforeEach(() => jest.resetAllMocks());
+
+  test('serves the public view without caching', async () => {
+    const shared = link();
+    db.getSharedDream.mockResolvedValue(shared);
+
+    const res = await request(app).get(`/api/public/dreams/${shared.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body.dream).not.toHaveProperty('dreamText');
+    expect(db.getSharedDream).toHaveBeenCalledWith(shared.token);
+  });
+
+  test('answers 404 for malformed and unknown tokens alike', async () => {
+    db.getSharedDream.mockResolvedValue(null);
+
+    const malformed = await request(app).get('/api/public/dreams/not-a-token');
+    const unknown = await request(app).get(`/api/public/dreams/${createShareToken()}`);
+
+    expect(malformed.status).toBe(404);
+    expect(unknown.status).toBe(404);
+    expect(malformed.body).toEqual(unknown.body);
+    expect(db.getSharedDream).toHaveBeenCalledTimes(1);
+  });
+});
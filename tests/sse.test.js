@@ -0,0 +1,64 @@
+const http = require('http');
+const { once } = require('events');
+const express = require('express');
+const request = require('supertest');
+const { wantsEventStream, openEventStream } = require('../services/sse');
+
+function fakeRequest({ query = {}, body = {}, accept } = {}) {
+  return { query, body, get: name => (name === 'accept' ? accept : undefined) };
+}
+
+describe('wantsEventStream', () => {
+  test('is opt-in by query, body or Accept header', () => {
+    expect(wantsEventStream(fakeRequest())).toBe(false);
+    expect(wantsEventStream(fakeRequest({ query: { stream: 'true' } }))).toBe(true);
+    expect(wantsEventStream(fakeRequest({ body: { stream: true } }))).toBe(true);
+    expect(wantsEventStream(fakeRequest({ body: { stream: 'yes' } }))).toBe(false);
+    expect(wantsEventStream(fakeRequest({ accept: 'text/event-stream' }))).toBe(true);
+  });
+});
+
+describe('openEventStream', () => {
+  test('writes named JSON events and ends on close', async () => {
+    const app = express();
+    app.get('/events', (req, res) => {
+      const stream = openEventStream(req, res);
+      stream.send('delta', { text: 'Once upon' });
+      stream.send('done', { id: 'dream-1' });
+      stream.close();
+      stream.send('late', {});
+    });
+
+    const res = await request(app).get('/events');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+    expect(res.headers['cache-control']).toBe('no-cache, no-transform');
+    expect(res.text).toBe(
+      'event: delta\ndata: {"text":"Once upon"}\n\n' +
+      'event: done\ndata: {"id":"dream-1"}\n\n'
+    );
+  });
+
+  test('aborts the signal when the client disconnects', async () => {
+    let stream;
+    const app = express();
+    app.get('/events', (req, res) => {
+      stream = openEventStream(req, res);
+      stream.send('ready', {});
+    });
+
+    const server = app.listen(0);
+    await once(server, 'listening');
+
+    const req = http.get(`http://localhost:${server.address().port}/events`);
+    const [res] = await once(req, 'response');
+    await once(res, 'data');
+    const aborted = once(stream.signal, 'abort');
+    req.destroy();
+    await aborted;
+
+    expect(stream.closed).toBe(true);
+    await new Promise(resolve => server.close(resolve));
+  });
+});
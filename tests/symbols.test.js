@@ -0,0 +1,109 @@
+const { app, db, signIn, testUser } = require('./helpers/app');
+const request = require('supertest');
+const { normalizeSymbol, canonicalSymbol, extractDreamSymbols } = require('../services/symbols');
+
+function symbolsOf(dreamText, analyses = []) {
+  return extractDreamSymbols({ title: null, dreamText, analyses }).map(s => s.symbol);
+}
+
+describe('normalizeSymbol', () => {
+  test('lowercases, trims punctuation and drops a leading article', () => {
+    expect(normalizeSymbol('  The   Old House! ')).toBe('old house');
+    expect(normalizeSymbol('"my teeth"')).toBe('teeth');
+    expect(normalizeSymbol('...')).toBeNull();
+    expect(normalizeSymbol(42)).toBeNull();
+  });
+});
+
+describe('canonicalSymbol', () => {
+  test('maps known imagery onto the lexicon', () => {
+    expect(canonicalSymbol('Ocean')).toBe('water');
+    expect(canonicalSymbol('the sea')).toBe('water');
+    expect(canonicalSymbol('Being Chased')).toBe('being chased');
+    expect(canonicalSymbol('my ex')).toBe('ex-partner');
+  });
+
+  test('keeps longer phrases and unknown symbols as they are', () => {
+    expect(canonicalSymbol('a house on fire')).toBe('house on fire');
+    expect(canonicalSymbol('Lighthouse')).toBe('lighthouse');
+  });
+});
+
+describe('extractDreamSymbols', () => {
+  test('finds lexicon imagery in the text as whole words', () => {
+    expect(symbolsOf('I was flying over the ocean while my teeth fell out')).toEqual(['water', 'teeth', 'falling', 'flying']);
+    expect(symbolsOf('A seaside carpet in the kitchen')).toEqual([]);
+  });
+
+  test('does not read common phrases as symbols', () => {
+    expect(symbolsOf('It was a test of courage in first class')).toEqual([]);
+    expect(symbolsOf('We had an extra exit and an example')).toEqual([]);
+    expect(symbolsOf('I was falling asleep on the train')).toEqual([]);
+  });
+
+  test('still finds school and ex-partner dreams', () => {
+    expect(symbolsOf('I forgot about the math test')).toEqual(['school']);
+    expect(symbolsOf('My ex showed up at the party')).toEqual(['ex-partner']);
+    expect(symbolsOf('Her ex-husband was there')).toEqual(['ex-partner']);
+  });
+
+  test('prefers analysis symbols with meanings, newest analysis first', () => {
+    const symbols = extractDreamSymbols({
+      title: 'Swimming',
+      dreamText: 'I was swimming with a lighthouse in view',
+      analyses: [
+        { createdAt: new Date('2024-01-01'), symbols: [{ symbol: 'Ocean', meaning: 'old meaning' }] },
+        { createdAt: new Date('2024-02-01'), symbols: [{ symbol: 'the sea', meaning: 'new meaning' }, { symbol: 'Lighthouse', meaning: 'guidance' }] },
+      ],
+    });
+
+    expect(symbols).toEqual([
+      { symbol: 'water', meaning: 'new meaning', source: 'analysis' },
+      { symbol: 'lighthouse', meaning: 'guidance', source: 'analysis' },
+    ]);
+  });
+
+  test('ignores malformed analysis symbols', () => {
+    const symbols = extractDreamSymbols({
+      dreamText: 'A dog barked',
+      analyses: [{ createdAt: new Date(), symbols: [null, { meaning: 'no name' }, 'moon'] }],
+    });
+
+    expect(symbols).toEqual([
+      { symbol: 'moon', meaning: null, source: 'analysis' },
+      { symbol: 'dog', meaning: null, source: 'text' },
+    ]);
+  });
+});
+
+describe('symbol routes', () => {
+  beforeEach(() => jest.resetAllMocks());
+
+  test('reject date filters that are not YYYY-MM-DD dates', async () => {
+    const headers = signIn(testUser());
+
+    for (const query of ['startDate=2024-02-30', 'endDate=yesterday', 'startDate=2024-1-5']) {
+      const top = await request(app).get(`/api/symbols?${query}`).set(headers);
+      const timeline = await request(app).get(`/api/symbols/water/timeline?${query}`).set(headers);
+
+      expect(top.status).toBe(400);
+      expect(timeline.status).toBe(400);
+      expect(top.body).toEqual({ error: 'startDate and endDate must be dates in YYYY-MM-DD format' });
+    }
+    expect(db.getTopSymbols).not.toHaveBeenCalled();
+    expect(db.getSymbolTimeline).not.toHaveBeenCalled();
+  });
+
+  test('pass valid filters through', async () => {
+    const user = testUser();
+    db.getSymbolTimeline.mockResolvedValue([]);
+
+    const res = await request(app)
+      .get('/api/symbols/The%20Ocean/timeline?interval=week&startDate=2024-01-01&endDate=2024-03-31')
+      .set(signIn(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ symbol: 'ocean', interval: 'week', points: [] });
+    expect(db.getSymbolTimeline).toHaveBeenCalledWith(user.id, 'ocean', { interval: 'week', startDate: '2024-01-01', endDate: '2024-03-31' });
+  });
+});
@@ -0,0 +1,95 @@
+const { app, db, signIn, testUser } = require('./helpers/app');
+const request = require('supertest');
+
+beforeEach(() => jest.resetAllMocks());
+
+function sync(dreams, user = testUser()) {
+  return request(app).post('/api/dreams/sync').set(signIn(user)).send({ dreams });
+}
+
+describe('POST /api/dreams/sync', () => {
+  test('requires a non-empty array of at most 100 dreams', async () => {
+    for (const dreams of [undefined, {}, []]) {
+      const res = await sync(dreams);
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ error: 'dreams must be a non-empty array' });
+    }
+
+    const tooMany = Array.from({ length: 101 }, (_, i) => ({ clientId: `c${i}`, dreamText: 'x' }));
+    const res = await sync(tooMany);
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'At most 100 dreams can be synced per request' });
+    expect(db.syncGuestDreams).not.toHaveBeenCalled();
+  });
+
+  test('syncs valid dreams under their client ids', async () => {
+    const user = testUser();
+    db.syncGuestDreams.mockResolvedValue([
+      { clientId: 'a', id: 'dream-1', status: 'created' },
+      { clientId: '7', id: 'dream-2', status: 'existing' },
+    ]);
+
+    const res = await sync([
+      { clientId: 'a', dreamText: 'I was flying', tags: ['flying'] },
+      { id: 7, dreamText: 'A guest dream with a numeric id' },
+    ], user);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      success: true,
+      mappings: [
+        { clientId: 'a', id: 'dream-1', status: 'created' },
+        { clientId: '7', id: 'dream-2', status: 'existing' },
+      ],
+      errors: [],
+    });
+
+    const [userId, items] = db.syncGuestDreams.mock.calls[0];
+    expect(userId).toBe(user.id);
+    expect(items.map(item => item.clientId)).toEqual(['a', '7']);
+    expect(items[0].data).toMatchObject({ dreamText: 'I was flying', tags: ['flying'] });
+  });
+
+  test('reports bad entries by index and syncs the rest', async () => {
+    db.syncGuestDreams.mockResolvedValue([{ clientId: 'a', id: 'dream-1', status: 'existing' }]);
+
+    const res = await sync([
+      { clientId: 'a', dreamText: 'Fine' },
+      { dreamText: 'No id' },
+      { clientId: 'a', dreamText: 'Same id again' },
+      { clientId: 'b', dreamText: '' },
+      null,
+    ]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(false);
+    expect(res.body.errors).toEqual([
+      { index: 1, clientId: null, error: 'clientId is required' },
+      { index: 2, clientId: 'a', error: 'Duplicate clientId in batch' },
+      { index: 3, clientId: 'b', error: 'Dream text is required' },
+      { index: 4, clientId: null, error: 'clientId is required' },
+    ]);
+    expect(db.syncGuestDreams.mock.calls[0][1].map(item => item.clientId)).toEqual(['a']);
+  });
+
+  test('does not touch the database when every entry is invalid', async () => {
+    const res = await sync([{ dreamText: 'No id' }]);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      success: false,
+      mappings: [],
+      errors: [{ index: 0, clientId: null, error: 'clientId is required' }],
+    });
+    expect(db.syncGuestDreams).not.toHaveBeenCalled();
+  });
+
+  test('returns 500 when the sync fails', async () => {
+    db.syncGuestDreams.mockRejectedValue(new Error('connection lost'));
+
+    const res = await sync([{ clientId: 'a', dreamText: 'Fine' }]);
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ error: 'Failed to sync dreams' });
+  });
+});
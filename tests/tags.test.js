@@ -0,0 +1,75 @@
+jest.mock('@prisma/client', () => require('./helpers/prisma').client);
+
+const { prisma } = require('./helpers/prisma');
+const db = require('../services/database');
+const { normalizeTag, normalizeTags } = require('../services/tags');
+
+beforeEach(() => jest.resetAllMocks());
+
+describe('normalizeTag', () => {
+  test('trims, collapses whitespace and lowercases', () => {
+    expect(normalizeTag('  Lucid   Dream ')).toBe('lucid dream');
+    expect(normalizeTag('FLYING')).toBe('flying');
+    expect(normalizeTag('Café')).toBe('café');
+  });
+
+  test('caps the length and rejects empty or non-string tags', () => {
+    expect(normalizeTag('x'.repeat(60))).toHaveLength(50);
+    expect(normalizeTag('   ')).toBeNull();
+    expect(normalizeTag(7)).toBeNull();
+  });
+});
+
+describe('normalizeTags', () => {
+  test('de-duplicates while keeping order', () => {
+    expect(normalizeTags(['Flying', 'water', ' flying ', '', 'WATER'])).toEqual(['flying', 'water']);
+  });
+
+  test('accepts a comma-separated string', () => {
+    expect(normalizeTags('Flying, water,,falling')).toEqual(['flying', 'water', 'falling']);
+  });
+
+  test('rejects other types and too many tags', () => {
+    expect(() => normalizeTags(['ok', 3])).toThrow('tags must be an array of strings');
+    expect(() => normalizeTags({ tags: [] })).toThrow('tags must be an array of strings');
+    expect(() => normalizeTags(Array.from({ length: 31 }, (_, i) => `tag${i}`))).toThrow('A dream can have at most 30 tags');
+  });
+});
+
+describe('tag updates', () => {
+  function dream(id, tags) {
+    return { id, tags, title: null, dreamText: 'text', date: new Date('2024-05-10'), images: [] };
+  }
+
+  test('leave trashed dreams out of the update', async () => {
+    prisma.$queryRaw.mockResolvedValue([]);
+
+    expect(await db.replaceTags('user-1', ['flying'], 'flight')).toBe(0);
+
+    const lockQuery = prisma.$queryRaw.mock.calls[0][0].join('?');
+    expect(lockQuery).toContain('"deletedAt" IS NULL');
+    expect(lockQuery).toContain('FOR UPDATE');
+    expect(prisma.$executeRaw).not.toHaveBeenCalled();
+  });
+
+  test('record a revision for each dream whose tags changed', async () => {
+    prisma.$queryRaw.mockResolvedValue([{ id: 'd1' }, { id: 'd2' }]);
+    prisma.dream.findMany
+      .mockResolvedValueOnce([dream('d1', ['flying', 'sea']), dream('d2', ['flight'])])
+      .mockResolvedValueOnce([{ id: 'd1', tags: ['flight', 'sea'] }, { id: 'd2', tags: ['flight'] }]);
+    prisma.dreamRevision.groupBy.mockResolvedValue([{ dreamId: 'd1', _max: { revision: 4 } }]);
+
+    expect(await db.replaceTags('user-1', ['flying', 'flight'], 'flight', { source: 'tag-rename' })).toBe(2);
+
+    expect(prisma.$executeRaw).toHaveBeenCalledTimes(1);
+    const [{ data }] = prisma.dreamRevision.createMany.mock.calls[0];
+    expect(data).toEqual([expect.objectContaining({
+      dreamId: 'd1',
+      userId: 'user-1',
+      revision: 5,
+      source: 'tag-rename',
+      changedFields: ['tags'],
+      changes: [{ field: 'tags', from: ['flying', 'sea'], to: ['flight', 'sea'] }],
+    })]);
+  });
+});
@@ -0,0 +1,73 @@
+jest.mock('../services/database', () => ({
+  findTrashedDreamIds: jest.fn(),
+  purgeDreams: jest.fn(),
+}));
+jest.mock('../services/media', () => ({
+  releaseImages: jest.fn(),
+  deleteStoredFile: jest.fn(),
+}));
+
+const db = require('../services/database');
+const { releaseImages, deleteStoredFile } = require('../services/media');
+const { RETENTION_DAYS, purgeDate, emptyTrash, purgeExpiredTrash } = require('../services/trash');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function ids(count, offset = 0) {
+  return Array.from({ length: count }, (_, i) => `dream-${offset + i}`);
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  db.purgeDreams.mockImplementation(async dreamIds => ({ count: dreamIds.length, imageKeys: [], audioKeys: [] }));
+});
+
+describe('purgeDate', () => {
+  test('is the retention period after trashing', () => {
+    const trashedAt = new Date('2024-05-01T00:00:00Z');
+    expect(purgeDate(trashedAt).getTime() - trashedAt.getTime()).toBe(RETENTION_DAYS * DAY);
+  });
+});
+
+describe('emptyTrash', () => {
+  test('purges in batches until a short batch', async () => {
+    db.findTrashedDreamIds
+      .mockResolvedValueOnce(ids(100))
+      .mockResolvedValueOnce(ids(100, 100))
+      .mockResolvedValueOnce(ids(3, 200));
+
+    expect(await emptyTrash('user-1')).toBe(203);
+    expect(db.findTrashedDreamIds).toHaveBeenCalledTimes(3);
+    expect(db.findTrashedDreamIds).toHaveBeenCalledWith({ userId: 'user-1', take: 100 });
+  });
+
+  test('stops when a full batch was the last one', async () => {
+    db.findTrashedDreamIds.mockResolvedValueOnce(ids(100)).mockResolvedValueOnce([]);
+
+    expect(await emptyTrash('user-1')).toBe(100);
+    expect(db.purgeDreams).toHaveBeenCalledTimes(1);
+  });
+
+  test('counts only what was actually purged and releases its media', async () => {
+    db.findTrashedDreamIds.mockResolvedValueOnce(ids(2));
+    db.purgeDreams.mockResolvedValue({ count: 1, imageKeys: ['images/a.png'], audioKeys: ['audio/b.webm', 'audio/c.webm'] });
+
+    expect(await emptyTrash('user-1')).toBe(1);
+    expect(releaseImages).toHaveBeenCalledWith(['images/a.png']);
+    expect(deleteStoredFile.mock.calls).toEqual([['audio/b.webm'], ['audio/c.webm']]);
+  });
+});
+
+describe('purgeExpiredTrash', () => {
+  test('purges every user\'s dreams trashed before the retention cutoff', async () => {
+    const now = new Date('2024-06-30T12:00:00Z');
+    db.findTrashedDreamIds.mockResolvedValueOnce([]);
+
+    expect(await purgeExpiredTrash(now)).toBe(0);
+    expect(db.findTrashedDreamIds).toHaveBeenCalledWith({
+      trashedBefore: new Date(now.getTime() - RETENTION_DAYS * DAY),
+      take: 100,
+    });
+    expect(db.purgeDreams).not.toHaveBeenCalled();
+  });
+});
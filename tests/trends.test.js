@@ -0,0 +1,68 @@
+jest.mock('../services/database', () => ({}));
+
+const { computeStreaks, isValidDay } = require('../services/trends');
+
+describe('computeStreaks', () => {
+  test('handles no entries', () => {
+    expect(computeStreaks([], '2024-05-10')).toEqual({
+      current: 0,
+      currentStart: null,
+      longest: 0,
+      longestStart: null,
+      longestEnd: null,
+      lastEntry: null,
+      totalDays: 0,
+    });
+  });
+
+  test('counts the current streak up to today', () => {
+    const streaks = computeStreaks(['2024-05-01', '2024-05-08', '2024-05-09', '2024-05-10'], '2024-05-10');
+    expect(streaks.current).toBe(3);
+    expect(streaks.currentStart).toBe('2024-05-08');
+    expect(streaks.lastEntry).toBe('2024-05-10');
+    expect(streaks.totalDays).toBe(4);
+  });
+
+  test('keeps the current streak when today has no entry yet', () => {
+    const streaks = computeStreaks(['2024-05-08', '2024-05-09'], '2024-05-10');
+    expect(streaks.current).toBe(2);
+    expect(streaks.currentStart).toBe('2024-05-08');
+  });
+
+  test('breaks the current streak after a missed day', () => {
+    const streaks = computeStreaks(['2024-05-07', '2024-05-08'], '2024-05-10');
+    expect(streaks.current).toBe(0);
+    expect(streaks.currentStart).toBeNull();
+    expect(streaks.longest).toBe(2);
+  });
+
+  test('reports the first of equally long streaks as the longest', () => {
+    const streaks = computeStreaks(
+      ['2024-04-01', '2024-04-02', '2024-04-10', '2024-04-11', '2024-05-09', '2024-05-10'],
+      '2024-05-10'
+    );
+    expect(streaks.longest).toBe(2);
+    expect(streaks.longestStart).toBe('2024-04-01');
+    expect(streaks.longestEnd).toBe('2024-04-02');
+    expect(streaks.current).toBe(2);
+  });
+
+  test('counts across month and year ends', () => {
+    const streaks = computeStreaks(['2023-12-30', '2023-12-31', '2024-01-01', '2024-01-02'], '2024-01-02');
+    expect(streaks.current).toBe(4);
+    expect(streaks.longest).toBe(4);
+    expect(streaks.longestStart).toBe('2023-12-30');
+  });
+});
+
+describe('isValidDay', () => {
+  test('accepts real calendar days only', () => {
+    expect(isValidDay('2024-02-29')).toBe(true);
+    expect(isValidDay('2023-02-29')).toBe(false);
+    expect(isValidDay('2024-02-30')).toBe(false);
+    expect(isValidDay('2024-04-31')).toBe(false);
+    expect(isValidDay('2024-13-01')).toBe(false);
+    expect(isValidDay('2024-1-05')).toBe(false);
+    expect(isValidDay(undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,162 @@
+process.env.USAGE_FINGERPRINT_SECRET = 'test-secret';
+
+jest.mock('../services/database', () => ({
+  getAiUsageCost: jest.fn(),
+  recordAiUsage: jest.fn(),
+}));
+jest.mock('../services/media', () => ({ readAudioDuration: jest.fn() }));
+jest.mock('../services/ai', () => ({
+  getProvider: jest.fn(),
+  chat: jest.fn(),
+  chatStream: jest.fn(),
+  generateImage: jest.fn(),
+  embed: jest.fn(),
+}));
+
+const ai = require('../services/ai');
+const db = require('../services/database');
+const {
+  SYSTEM_SUBJECT,
+  estimateCost,
+  guestFingerprint,
+  usageSubject,
+  findExceededQuota,
+  meteredAi,
+} = require('../services/usage');
+
+const subject = { userId: 'user-1', guestId: null, plan: 'free' };
+
+function fakeRequest(ip, userAgent) {
+  return { ip, get: () => userAgent };
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  ai.getProvider.mockReturnValue({ name: 'openai', model: 'gpt-4' });
+});
+
+describe('estimateCost', () => {
+  test('prices each capability from the table', () => {
+    expect(estimateCost('chat', 'openai', 'gpt-4', { promptTokens: 1000, completionTokens: 500 })).toBe(0.06);
+    expect(estimateCost('image', 'openai', 'dall-e-3', { images: 2, quality: 'hd' })).toBe(0.16);
+    expect(estimateCost('transcription', 'openai', 'whisper-1', { audioSeconds: 90 })).toBe(0.009);
+    expect(estimateCost('speech', 'openai', 'tts-1', { characters: 2000 })).toBe(0.03);
+    expect(estimateCost('embedding', 'openai', 'text-embedding-3-small', { promptTokens: 500 })).toBe(0.00001);
+  });
+
+  test('prices unknown models like the default model and fake calls at nothing', () => {
+    expect(estimateCost('chat', 'openai', 'my-finetune', { promptTokens: 1000 })).toBe(0.03);
+    expect(estimateCost('chat', 'fake', 'gpt-4', { promptTokens: 1000 })).toBe(0);
+  });
+});
+
+describe('usageSubject', () => {
+  test('uses the signed-in user and their plan', () => {
+    expect(usageSubject({ dbUser: { id: 'user-1', plan: 'plus' } })).toEqual({ userId: 'user-1', guestId: null, plan: 'plus' });
+    expect(usageSubject({ dbUser: { id: 'user-1' } }).plan).toBe('free');
+  });
+
+  test('identifies guests by a keyed hash of IP and user agent', () => {
+    const guest = usageSubject(fakeRequest('203.0.113.5', 'Safari'));
+
+    expect(guest).toEqual({ userId: null, guestId: expect.stringMatching(/^[a-f0-9]{32}$/), plan: 'guest' });
+    expect(guest.guestId).not.toContain('203.0.113.5');
+    expect(guestFingerprint(fakeRequest('203.0.113.5', 'Safari'))).toBe(guest.guestId);
+    expect(guestFingerprint(fakeRequest('203.0.113.5', 'Firefox'))).not.toBe(guest.guestId);
+  });
+});
+
+describe('fingerprint secret', () => {
+  const saved = { secret: process.env.USAGE_FINGERPRINT_SECRET, env: process.env.NODE_ENV };
+
+  afterEach(() => {
+    process.env.USAGE_FINGERPRINT_SECRET = saved.secret;
+    process.env.NODE_ENV = saved.env;
+  });
+
+  test('is required in production', () => {
+    delete process.env.USAGE_FINGERPRINT_SECRET;
+    process.env.NODE_ENV = 'production';
+
+    expect(() => jest.isolateModules(() => require('../services/usage'))).toThrow('USAGE_FINGERPRINT_SECRET must be set in production');
+  });
+});
+
+describe('findExceededQuota', () => {
+  test('returns null while spend is under both limits', async () => {
+    db.getAiUsageCost.mockResolvedValueOnce(0.2).mockResolvedValueOnce(3);
+
+    expect(await findExceededQuota(subject)).toBeNull();
+  });
+
+  test('reports the first exhausted period', async () => {
+    db.getAiUsageCost.mockResolvedValueOnce(0.1).mockResolvedValueOnce(5);
+
+    expect(await findExceededQuota(subject)).toMatchObject({ period: 'monthly', limit: 5, used: 5, remaining: 0 });
+  });
+
+  test('never limits unlimited plans', async () => {
+    db.getAiUsageCost.mockResolvedValue(1000);
+
+    expect(await findExceededQuota({ ...subject, plan: 'unlimited' })).toBeNull();
+  });
+});
+
+describe('meteredAi', () => {
+  test('records a call against the subject with its estimated cost', async () => {
+    ai.chat.mockResolvedValue({ content: 'hi', model: 'gpt-4', usage: { prompt_tokens: 1000, completion_tokens: 1000 } });
+
+    const result = await meteredAi(subject, 'analyze-dream').chat({ messages: [{ role: 'user', content: 'x' }] });
+
+    expect(result.content).toBe('hi');
+    expect(db.recordAiUsage).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-1',
+      guestId: null,
+      endpoint: 'analyze-dream',
+      capability: 'chat',
+      provider: 'openai',
+      model: 'gpt-4',
+      promptTokens: 1000,
+      completionTokens: 1000,
+      estimatedCost: 0.09,
+    }));
+  });
+
+  test('estimates tokens for streamed output, including a partial stream', async () => {
+    ai.chatStream.mockImplementation(async function* () {
+      yield 'abcd';
+      yield 'efgh';
+    });
+
+    const stream = meteredAi(subject, 'generate-story').chatStream({ messages: [{ role: 'user', content: 'abcdefgh' }] });
+    for await (const token of stream) {
+      expect(token).toBe('abcd');
+      break;
+    }
+
+    expect(db.recordAiUsage).toHaveBeenCalledWith(expect.objectContaining({ promptTokens: 2, completionTokens: 1 }));
+  });
+
+  test('records system usage with no user or guest', async () => {
+    ai.getProvider.mockReturnValue({ name: 'openai', model: 'text-embedding-3-small' });
+    ai.embed.mockResolvedValue({ embeddings: [[1]], usage: { prompt_tokens: 10 } });
+
+    await meteredAi(SYSTEM_SUBJECT, 'job:embed-dreams').embed({ input: ['a dream'] });
+
+    expect(db.recordAiUsage).toHaveBeenCalledWith(expect.objectContaining({ userId: null, guestId: null, capability: 'embedding' }));
+  });
+
+  test('does not fail the call when recording fails', async () => {
+    ai.generateImage.mockResolvedValue({ url: 'data:image/png;base64,' });
+    db.recordAiUsage.mockRejectedValue(new Error('connection lost'));
+
+    await expect(meteredAi(subject, 'generate-images').generateImage({ prompt: 'p' })).resolves.toEqual({ url: 'data:image/png;base64,' });
+  });
+
+  test('does not record calls that fail', async () => {
+    ai.chat.mockRejectedValue(new Error('API Error: 500'));
+
+    await expect(meteredAi(subject, 'analyze-dream').chat({ messages: [] })).rejects.toThrow('API Error: 500');
+    expect(db.recordAiUsage).not.toHaveBeenCalled();
+  });
+});